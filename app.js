@@ -1,5 +1,5 @@
-// Load environment variables
-require('dotenv').config();
+// Load and validate configuration (environment variables); exits on invalid settings
+const config = require('./config');
 
 const express = require('express');
 const ngrok = require('@ngrok/ngrok');
@@ -13,25 +13,34 @@ const { testConnection, closeConnection } = require('./config/database');
 
 // Import database service
 const databaseService = require('./services/databaseService');
+const migrationService = require('./services/migrationService');
 
 // Import controllers
 const loginController = require('./controllers/loginController');
+const adminController = require('./controllers/adminController');
 const productController = require('./controllers/productController');
 const businessController = require('./controllers/businessController');
 const orderController = require('./controllers/orderController');
+const measurementSlotController = require('./controllers/measurementSlotController');
+const measurementTemplateController = require('./controllers/measurementTemplateController');
+const measurementProfileController = require('./controllers/measurementProfileController');
+const measurementSignOffController = require('./controllers/measurementSignOffController');
 
 const app = express();
-const PORT = process.env.PORT || 5000;
+const PORT = config.server.port;
 
 // Make database service available on app object
 app.db = databaseService.db;
 
 // Middleware
-app.use(cors());
+// Allowed origins come from CORS_ORIGINS (* allows any origin)
+app.use(cors({
+  origin: config.cors.origins.includes('*') ? '*' : config.cors.origins
+}));
 // Increase body size limit to handle base64 image data (matching signup API behavior)
-// Base64 images can be very large, so we set a generous limit
-app.use(bodyParser.json({ limit: '50mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
+// Base64 images can be very large, so the limit is generous (REQUEST_BODY_LIMIT)
+app.use(bodyParser.json({ limit: config.uploads.bodyLimit }));
+app.use(bodyParser.urlencoded({ extended: true, limit: config.uploads.bodyLimit }));
 
 // Serve static files (uploaded images)
 app.use('/uploads', express.static('uploads'));
@@ -44,6 +53,11 @@ app.use((req, res, next) => {
 
 // Routes
 app.use('/api/auth', loginController);
+app.use('/api/admin', adminController);
+app.use('/api/measurement-slots', measurementSlotController);
+app.use('/api/measurement-templates', measurementTemplateController);
+app.use('/api/measurement-profiles', measurementProfileController);
+app.use('/api/measurement-sign-off', measurementSignOffController);
 app.use('/api/products', productController);
 app.use('/api', businessController);
 app.use('/api', orderController);
@@ -105,11 +119,18 @@ const startServer = async () => {
     console.log('🚀 STARTING SERVER...');
     console.log('🚀 ===========================================');
     console.log(`🌐 Port: ${PORT}`);
-    console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🔧 Environment: ${config.env}`);
     console.log('🚀 ===========================================');
     
     // Test database connection first
     await testConnection();
+
+    // Bring the schema up to date. On by default for the in-process SQLite driver, which
+    // starts from an empty database; opt in with DB_AUTO_MIGRATE=true for SQL Server
+    if (config.database.autoMigrate) {
+      await migrationService.up();
+      await migrationService.seed();
+    }
     
     // Start the server for local 
     // app.listen(PORT, () => {
@@ -138,15 +159,13 @@ const startServer = async () => {
       // 🚀 START NGROK TUNNEL
       // ============================
       try {
-        const enableNgrok = (process.env.NGROK_ENABLED || 'true').toLowerCase() === 'true';
-    
-        if (enableNgrok) {
-          const ngrokPort = process.env.NGROK_PORT || PORT;
+        if (config.ngrok.enabled) {
+          const ngrokPort = config.ngrok.port;
     
           const listener = await ngrok.connect({
             addr: ngrokPort,
-            authtoken: process.env.NGROK_AUTHTOKEN,
-            region: process.env.NGROK_REGION || 'us'
+            authtoken: config.ngrok.authtoken,
+            region: config.ngrok.region
           });
           
           const url = listener.url();  // <-- Correct way
@@ -228,7 +247,9 @@ process.on('SIGTERM', async () => {
   console.log('👋 Server shutdown complete');
   process.exit(0);
 });
-// Start the server
-startServer();
+// Start the server when run directly (tests require the app and listen themselves)
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
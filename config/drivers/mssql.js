@@ -0,0 +1,198 @@
+const sql = require('mssql');
+const config = require('../index');
+
+// Database configuration (DB_* settings, see config/index.js)
+const { mssql: mssqlConfig } = config.database;
+const dbConfig = {
+  server: mssqlConfig.server,
+  port: mssqlConfig.port,
+  database: mssqlConfig.database,
+  user: mssqlConfig.user,
+  password: mssqlConfig.password,
+  connectionTimeout: mssqlConfig.connectionTimeout,
+  requestTimeout: mssqlConfig.requestTimeout,
+  options: {
+    encrypt: mssqlConfig.encrypt,
+    trustServerCertificate: mssqlConfig.trustServerCertificate,
+    enableArithAbort: true,
+    multipleActiveResultSets: true
+  },
+  pool: mssqlConfig.pool
+};
+
+// mssql types that templates may request through {{param "name" type="..."}}
+const sqlTypes = {
+  Int: () => sql.Int,
+  BigInt: () => sql.BigInt,
+  Decimal: () => sql.Decimal(18, 2),
+  Float: () => sql.Float,
+  Bit: () => sql.Bit,
+  NVarChar: () => sql.NVarChar(sql.MAX),
+  Date: () => sql.Date,
+  DateTime2: () => sql.DateTime2
+};
+
+// Infer an mssql type from a JavaScript value when the template does not name one
+const inferSqlType = (value) => {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? sql.Int : sql.Float;
+  }
+  if (typeof value === 'boolean') {
+    return sql.Bit;
+  }
+  if (value instanceof Date) {
+    return sql.DateTime2;
+  }
+  return sql.NVarChar(sql.MAX);
+};
+
+// Convert a param descriptor ({ value, type }) or a plain value into an mssql type/value pair
+const resolveParam = (param) => {
+  const isDescriptor = param !== null && typeof param === 'object' && !(param instanceof Date) && 'value' in param;
+  let value = isDescriptor ? param.value : param;
+  const typeName = isDescriptor ? param.type : null;
+
+  if (value === undefined) {
+    value = null;
+  }
+
+  if (!typeName) {
+    return { type: inferSqlType(value), value };
+  }
+
+  if (!sqlTypes[typeName]) {
+    throw new Error(`Unsupported SQL parameter type: ${typeName}`);
+  }
+
+  if (value !== null) {
+    if ((typeName === 'Date' || typeName === 'DateTime2') && !(value instanceof Date)) {
+      value = new Date(value);
+    } else if (typeName === 'Bit' && typeof value === 'string') {
+      value = !['false', '0', ''].includes(value.trim().toLowerCase());
+    }
+  }
+
+  return { type: sqlTypes[typeName](), value };
+};
+
+// Test database connection with detailed logging
+const testConnection = async () => {
+  try {
+    console.log('🔄 ===========================================');
+    console.log('🔄 ATTEMPTING DATABASE CONNECTION...');
+    console.log('🔄 ===========================================');
+    console.log(`📊 Database: ${dbConfig.database}`);
+    console.log(`🖥️  Server: ${dbConfig.server}`);
+    console.log(`👤 User: ${dbConfig.user}`);
+    console.log(`🔐 Password: ${'*'.repeat(dbConfig.password.length)}`);
+    console.log(`🔒 Encrypt: ${dbConfig.options.encrypt}`);
+    console.log(`🛡️  Trust Server Certificate: ${dbConfig.options.trustServerCertificate}`);
+    console.log('🔄 ===========================================');
+    
+    // Create connection pool
+    console.log('🔄 Creating connection pool...');
+    const pool = await sql.connect(dbConfig);
+    console.log('✅ Connection pool created successfully!');
+    
+    // Test the connection with a simple query
+    console.log('🔄 Testing connection with query: SELECT 1 as test');
+    const result = await pool.request().query('SELECT 1 as test');
+    console.log('✅ Test query executed successfully!');
+    console.log('📋 Query result:', result.recordset);
+    
+    if (result.recordset && result.recordset.length > 0) {
+      console.log('🎉 ===========================================');
+      console.log('🎉 DATABASE CONNECTION SUCCESSFUL!');
+      console.log('🎉 ===========================================');
+      console.log('🔗 Connection pool established');
+      console.log('📈 Ready to handle database operations');
+      console.log('⏰ Connection time:', new Date().toISOString());
+      console.log('🎉 ===========================================');
+      return pool;
+    } else {
+      throw new Error('Connection test query failed - no results returned');
+    }
+    
+  } catch (error) {
+    console.log('❌ ===========================================');
+    console.log('❌ DATABASE CONNECTION FAILED!');
+    console.log('❌ ===========================================');
+    console.error(`❌ Error: ${error.message}`);
+    console.error(`❌ Code: ${error.code || 'Unknown'}`);
+    console.error(`❌ Number: ${error.number || 'Unknown'}`);
+    console.error(`❌ State: ${error.state || 'Unknown'}`);
+    console.error(`❌ Class: ${error.class || 'Unknown'}`);
+    console.error(`❌ Server: ${error.server || 'Unknown'}`);
+    console.error(`❌ Procedure: ${error.procedure || 'Unknown'}`);
+    console.error(`❌ Line Number: ${error.lineNumber || 'Unknown'}`);
+    console.log('🔧 ===========================================');
+    console.log('🔧 TROUBLESHOOTING TIPS:');
+    console.log('🔧 ===========================================');
+    console.log('🔧 1. Check if SQL Server is running');
+    console.log('🔧 2. Verify database name exists');
+    console.log('🔧 3. Check username and password');
+    console.log('🔧 4. Ensure SQL Server allows remote connections');
+    console.log('🔧 5. Check firewall settings');
+    console.log('🔧 6. Verify SQL Server authentication mode');
+    console.log('🔧 ===========================================');
+    throw error;
+  }
+};
+
+// Get database connection pool
+const getConnection = async () => {
+  try {
+    if (sql.pools && sql.pools.default) {
+      console.log('🔄 Using existing connection pool...');
+      return sql.pools.default;
+    }
+    console.log('🔄 No existing pool found, creating new connection...');
+    return await testConnection();
+  } catch (error) {
+    console.error('❌ Failed to get database connection:', error.message);
+    throw error;
+  }
+};
+
+// Close database connection
+const closeConnection = async () => {
+  try {
+    console.log('🔄 Closing database connection...');
+    await sql.close();
+    console.log('🔌 Database connection closed successfully');
+  } catch (error) {
+    console.error('❌ Error closing database connection:', error.message);
+  }
+};
+
+// Run a query on the pool, or on the given transaction when one is active
+const query = async (queryText, params = {}, transaction = null) => {
+  const request = transaction ? new sql.Request(transaction) : (await getConnection()).request();
+
+  // Bind parameters (referenced as @name in the query) with their mssql types
+  Object.keys(params).forEach(key => {
+    const { type, value } = resolveParam(params[key]);
+    request.input(key, type, value);
+  });
+
+  return request.query(queryText);
+};
+
+// Begin an mssql Transaction on the pool; the returned object exposes commit() and rollback()
+const beginTransaction = async () => {
+  const pool = await getConnection();
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+  return transaction;
+};
+
+module.exports = {
+  dialect: 'mssql',
+  dbConfig,
+  testConnection,
+  getConnection,
+  closeConnection,
+  query,
+  beginTransaction,
+  sql
+};
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const config = require('../index');
+
+// In-process SQLite database (sql.js, no native build or external server needed).
+// Runs purely in memory unless SQLITE_FILE is set, in which case the database is loaded
+// from that file on startup and written back after every committed change.
+// The schema itself is created by the versioned migrations (npm run migrate).
+const sqliteConfig = config.database.sqlite;
+
+let databasePromise = null;
+
+// Queue of everything waiting for the (single) connection: an open transaction holds it until it
+// commits or rolls back, a query outside a transaction until it returns
+let connectionQueue = Promise.resolve();
+
+// Convert a param descriptor ({ value, type }) or a plain value into a value SQLite can bind.
+// Type names are the same ones templates use for mssql ({{param "name" type="..."}})
+const resolveParam = (param) => {
+  const isDescriptor = param !== null && typeof param === 'object' && !(param instanceof Date) && 'value' in param;
+  const value = isDescriptor ? param.value : param;
+  const typeName = isDescriptor ? param.type : null;
+
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  switch (typeName) {
+    case 'Int':
+    case 'BigInt':
+      return typeof value === 'string' ? parseInt(value, 10) : Number(value);
+    case 'Decimal':
+    case 'Float':
+      return Number(value);
+    case 'Bit':
+      if (typeof value === 'string') {
+        return ['false', '0', ''].includes(value.trim().toLowerCase()) ? 0 : 1;
+      }
+      return value ? 1 : 0;
+    case 'Date':
+      return new Date(value).toISOString().slice(0, 10);
+    case 'DateTime2':
+      return new Date(value).toISOString();
+    case 'NVarChar':
+      return String(value);
+    case null:
+    case undefined:
+      break;
+    default:
+      throw new Error(`Unsupported SQL parameter type: ${typeName}`);
+  }
+
+  // No type given - infer from the JavaScript value
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+};
+
+// Register T-SQL compatible functions and connection settings
+const configureConnection = (db) => {
+  // Shared templates use GETDATE() for default timestamps
+  db.create_function('GETDATE', () => new Date().toISOString());
+  db.run('PRAGMA foreign_keys = ON;');
+};
+
+// Write the database back to SQLITE_FILE (no-op for a purely in-memory database).
+// sql.js reopens the connection on export, dropping functions and pragmas, so they are re-applied
+const persist = (db) => {
+  if (!sqliteConfig.file) {
+    return;
+  }
+  fs.writeFileSync(sqliteConfig.file, Buffer.from(db.export()));
+  configureConnection(db);
+};
+
+// Open the database and register T-SQL compatible functions
+const openDatabase = async () => {
+  const SQL = await initSqlJs();
+
+  const existingFile = sqliteConfig.file && fs.existsSync(sqliteConfig.file);
+  const db = existingFile ? new SQL.Database(fs.readFileSync(sqliteConfig.file)) : new SQL.Database();
+
+  configureConnection(db);
+
+  return db;
+};
+
+// Test database connection with detailed logging
+const testConnection = async () => {
+  try {
+    console.log('🔄 ===========================================');
+    console.log('🔄 ATTEMPTING DATABASE CONNECTION...');
+    console.log('🔄 ===========================================');
+    console.log('📊 Database: SQLite (in-process)');
+    console.log(`💾 Storage: ${sqliteConfig.file || 'in-memory'}`);
+    console.log('🔄 ===========================================');
+
+    const db = await getConnection();
+
+    console.log('🔄 Testing connection with query: SELECT 1 as test');
+    const result = db.exec('SELECT 1 as test');
+    console.log('✅ Test query executed successfully!');
+
+    if (result.length > 0) {
+      console.log('🎉 ===========================================');
+      console.log('🎉 DATABASE CONNECTION SUCCESSFUL!');
+      console.log('🎉 ===========================================');
+      console.log('📈 Ready to handle database operations');
+      console.log('⏰ Connection time:', new Date().toISOString());
+      console.log('🎉 ===========================================');
+      return db;
+    } else {
+      throw new Error('Connection test query failed - no results returned');
+    }
+
+  } catch (error) {
+    console.log('❌ ===========================================');
+    console.log('❌ DATABASE CONNECTION FAILED!');
+    console.log('❌ ===========================================');
+    console.error(`❌ Error: ${error.message}`);
+    throw error;
+  }
+};
+
+// Get the database (opened once per process)
+const getConnection = async () => {
+  if (!databasePromise) {
+    databasePromise = openDatabase().catch(error => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+};
+
+// Close database connection
+const closeConnection = async () => {
+  try {
+    if (!databasePromise) {
+      return;
+    }
+    console.log('🔄 Closing database connection...');
+    const db = await databasePromise;
+    persist(db);
+    db.close();
+    databasePromise = null;
+    console.log('🔌 Database connection closed successfully');
+  } catch (error) {
+    console.error('❌ Error closing database connection:', error.message);
+  }
+};
+
+// Take the connection. The place in the queue is taken synchronously, before any await, so
+// callers get the connection one at a time in call order. Resolves to the function releasing it
+const lockConnection = () => {
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const acquired = connectionQueue.then(() => release);
+  connectionQueue = connectionQueue.then(() => held);
+  return acquired;
+};
+
+// Run every statement in the query and return an mssql-shaped result
+// ({ recordset, recordsets, rowsAffected }) so callers need not care which driver ran it
+const runQuery = (db, queryText, params, transaction) => {
+  // sql.js expects bound names to carry their prefix, e.g. { '@orderId': 5 }
+  const boundParams = {};
+  Object.keys(params).forEach(key => {
+    boundParams[`@${key}`] = resolveParam(params[key]);
+  });
+
+  const changesBefore = db.exec('SELECT total_changes() AS changes')[0].values[0][0];
+  const recordsets = [];
+  const rowsAffected = [];
+
+  for (const statement of db.iterateStatements(queryText)) {
+    try {
+      statement.bind(boundParams);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+
+      if (statement.getColumnNames().length > 0) {
+        recordsets.push(rows);
+        rowsAffected.push(rows.length);
+      } else {
+        rowsAffected.push(db.getRowsModified());
+      }
+    } finally {
+      statement.free();
+    }
+  }
+
+  const changesAfter = db.exec('SELECT total_changes() AS changes')[0].values[0][0];
+  if (!transaction && changesAfter !== changesBefore) {
+    persist(db);
+  }
+
+  return {
+    recordset: recordsets[0],
+    recordsets,
+    rowsAffected
+  };
+};
+
+// Queries of a transaction run on the connection it holds; others wait for their turn
+const query = async (queryText, params = {}, transaction = null) => {
+  if (transaction) {
+    return runQuery(await getConnection(), queryText, params, transaction);
+  }
+
+  const release = await lockConnection();
+  try {
+    return runQuery(await getConnection(), queryText, params, null);
+  } finally {
+    release();
+  }
+};
+
+// Begin a transaction on the single connection; the returned object exposes commit() and rollback().
+// The transaction holds the connection until it commits or rolls back
+const beginTransaction = async () => {
+  const release = await lockConnection();
+
+  let db;
+  try {
+    db = await getConnection();
+    db.run('BEGIN TRANSACTION;');
+  } catch (error) {
+    release();
+    throw error;
+  }
+
+  return {
+    commit: async () => {
+      try {
+        db.run('COMMIT;');
+        persist(db);
+      } finally {
+        release();
+      }
+    },
+    rollback: async () => {
+      try {
+        db.run('ROLLBACK;');
+      } finally {
+        release();
+      }
+    }
+  };
+};
+
+module.exports = {
+  dialect: 'sqlite',
+  testConnection,
+  getConnection,
+  closeConnection,
+  query,
+  beginTransaction
+};
@@ -0,0 +1,387 @@
+// Load environment variables
+require('dotenv').config();
+
+// Application configuration.
+// Every setting is read from the environment once, at startup, then type-checked and validated.
+// Anything missing or malformed stops the process with a list of every problem found.
+// Defaults depend on the profile selected by NODE_ENV (development, test or production).
+
+const environments = ['development', 'test', 'production'];
+
+// Per-environment defaults. Settings without a default here (e.g. JWT_SECRET, DB_PASSWORD) are required
+const profiles = {
+  development: {
+    DB_DRIVER: 'mssql',
+    DB_SERVER: 'localhost',
+    DB_NAME: 'FitFormal',
+    DB_ENCRYPT: 'false',
+    DB_TRUST_SERVER_CERTIFICATE: 'true',
+    CORS_ORIGINS: '*',
+    NGROK_ENABLED: 'false',
+    PUBLIC_APP_URL: 'http://localhost:3000'
+  },
+  test: {
+    // Tests run against an in-memory SQLite database with a throwaway signing key
+    DB_DRIVER: 'sqlite',
+    DB_ENCRYPT: 'false',
+    DB_TRUST_SERVER_CERTIFICATE: 'true',
+    JWT_SECRET: 'test-jwt-secret',
+    CORS_ORIGINS: '*',
+    NGROK_ENABLED: 'false',
+    PUBLIC_APP_URL: 'http://localhost:3000'
+  },
+  production: {
+    DB_DRIVER: 'mssql',
+    DB_ENCRYPT: 'true',
+    DB_TRUST_SERVER_CERTIFICATE: 'false',
+    NGROK_ENABLED: 'false'
+  }
+};
+
+// Defaults shared by every environment
+const commonDefaults = {
+  PORT: '5000',
+  DB_PORT: '1433',
+  DB_CONNECTION_TIMEOUT_MS: '30000',
+  DB_REQUEST_TIMEOUT_MS: '30000',
+  DB_POOL_MAX: '10',
+  DB_POOL_MIN: '0',
+  DB_POOL_IDLE_TIMEOUT_MS: '30000',
+  JWT_ISSUER: 'your-app-name',
+  JWT_AUDIENCE: 'your-app-users',
+  JWT_EXPIRES_IN: '15m',
+  REFRESH_TOKEN_TTL_DAYS: '30',
+  PASSWORD_RESET_TOKEN_TTL_MINUTES: '30',
+  EMAIL_VERIFICATION_TOKEN_TTL_HOURS: '48',
+  EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS: '60',
+  IMPERSONATION_TTL_MINUTES: '30',
+  LOGIN_MAX_FAILED_ATTEMPTS: '5',
+  LOGIN_MAX_FAILED_ATTEMPTS_PER_IP: '20',
+  LOGIN_FAILURE_WINDOW_MINUTES: '15',
+  LOGIN_LOCKOUT_MINUTES: '15',
+  LOGIN_LOCKOUT_MAX_MINUTES: '1440',
+  LOGIN_DELAY_MAX_SECONDS: '30',
+  OTP_LENGTH: '6',
+  OTP_TTL_MINUTES: '5',
+  OTP_MAX_ATTEMPTS: '5',
+  OTP_RESEND_COOLDOWN_SECONDS: '60',
+  OTP_MAX_REQUESTS_PER_WINDOW: '5',
+  OTP_REQUEST_WINDOW_MINUTES: '60',
+  SMS_PROVIDER: 'console',
+  MAIL_TRANSPORT: 'console',
+  MAIL_FROM: 'FitFormal <no-reply@fitformal.local>',
+  MAIL_FILE_DIR: './data/mail',
+  MEASUREMENT_DAILY_CAPACITY: '8',
+  MEASUREMENT_SIGN_OFF_LINK_TTL_HOURS: '72',
+  UPLOAD_MAX_FILE_SIZE_MB: '5',
+  UPLOAD_MAX_FILES: '10',
+  REQUEST_BODY_LIMIT: '50mb',
+  NGROK_REGION: 'us'
+};
+
+const ngrokRegions = ['us', 'eu', 'ap', 'au', 'sa', 'jp', 'in'];
+
+// Mail transports (see services/mailService.js)
+const mailTransports = ['console', 'file'];
+
+// SMS providers (see services/smsService.js)
+const smsProviders = ['console'];
+
+// Minimum JWT_SECRET length in production
+const minProductionSecretLength = 32;
+
+class ConfigError extends Error {
+  constructor(env, problems) {
+    super(`Invalid configuration for "${env}" environment:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Reads raw values (environment first, then profile defaults) and records every problem found
+const createReader = (source, defaults, problems) => {
+  const raw = (name) => {
+    const value = source[name];
+    if (value !== undefined && value.trim() !== '') {
+      return value.trim();
+    }
+    return defaults[name];
+  };
+
+  return {
+    string: (name, { required = false } = {}) => {
+      const value = raw(name);
+      if (value === undefined && required) {
+        problems.push(`${name} is required`);
+      }
+      return value;
+    },
+
+    integer: (name, { min = -Infinity, max = Infinity } = {}) => {
+      const value = raw(name);
+      if (value === undefined) {
+        problems.push(`${name} is required`);
+        return undefined;
+      }
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        problems.push(`${name} must be a whole number between ${min} and ${max} (got "${value}")`);
+        return undefined;
+      }
+      return number;
+    },
+
+    boolean: (name, fallback) => {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      const normalized = value.toLowerCase();
+      if (['true', '1', 'yes'].includes(normalized)) {
+        return true;
+      }
+      if (['false', '0', 'no'].includes(normalized)) {
+        return false;
+      }
+      problems.push(`${name} must be true or false (got "${value}")`);
+      return fallback;
+    },
+
+    oneOf: (name, allowed) => {
+      const value = raw(name);
+      const normalized = value === undefined ? undefined : value.toLowerCase();
+      if (!allowed.includes(normalized)) {
+        problems.push(`${name} must be one of: ${allowed.join(', ')} (got "${value}")`);
+        return undefined;
+      }
+      return normalized;
+    },
+
+    list: (name) => {
+      const value = raw(name);
+      if (value === undefined) {
+        return [];
+      }
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+  };
+};
+
+// Build and validate the configuration for the given environment variables
+const loadConfig = (source = process.env) => {
+  const env = (source.NODE_ENV || 'development').trim().toLowerCase();
+  if (!environments.includes(env)) {
+    throw new ConfigError(env, [`NODE_ENV must be one of: ${environments.join(', ')} (got "${source.NODE_ENV}")`]);
+  }
+
+  const problems = [];
+  const read = createReader(source, { ...commonDefaults, ...profiles[env] }, problems);
+  const isProduction = env === 'production';
+
+  // Server
+  const port = read.integer('PORT', { min: 1, max: 65535 });
+  // Base URL of the client application, used for links sent by email (e.g. password reset)
+  const publicAppUrl = read.string('PUBLIC_APP_URL', { required: true });
+  if (publicAppUrl && !/^https?:\/\/\S+$/.test(publicAppUrl)) {
+    problems.push(`PUBLIC_APP_URL must be an http(s) URL (got "${publicAppUrl}")`);
+  }
+
+  // Database
+  const driver = read.oneOf('DB_DRIVER', ['mssql', 'sqlite']);
+  const database = {
+    driver,
+    // On by default for SQLite, which starts from an empty database
+    autoMigrate: read.boolean('DB_AUTO_MIGRATE', driver === 'sqlite'),
+    mssql: null,
+    sqlite: null
+  };
+
+  if (driver === 'mssql') {
+    database.mssql = {
+      server: read.string('DB_SERVER', { required: true }),
+      database: read.string('DB_NAME', { required: true }),
+      user: read.string('DB_USER', { required: true }),
+      password: read.string('DB_PASSWORD', { required: true }),
+      port: read.integer('DB_PORT', { min: 1, max: 65535 }),
+      encrypt: read.boolean('DB_ENCRYPT', true),
+      trustServerCertificate: read.boolean('DB_TRUST_SERVER_CERTIFICATE', false),
+      connectionTimeout: read.integer('DB_CONNECTION_TIMEOUT_MS', { min: 1000 }),
+      requestTimeout: read.integer('DB_REQUEST_TIMEOUT_MS', { min: 1000 }),
+      pool: {
+        max: read.integer('DB_POOL_MAX', { min: 1 }),
+        min: read.integer('DB_POOL_MIN', { min: 0 }),
+        idleTimeoutMillis: read.integer('DB_POOL_IDLE_TIMEOUT_MS', { min: 0 })
+      }
+    };
+
+    if (database.mssql.pool.min > database.mssql.pool.max) {
+      problems.push('DB_POOL_MIN must not be greater than DB_POOL_MAX');
+    }
+  } else if (driver === 'sqlite') {
+    database.sqlite = {
+      // In-memory when not set
+      file: read.string('SQLITE_FILE') || null
+    };
+  }
+
+  // JWT
+  const jwt = {
+    secret: read.string('JWT_SECRET', { required: true }),
+    issuer: read.string('JWT_ISSUER', { required: true }),
+    audience: read.string('JWT_AUDIENCE', { required: true }),
+    expiresIn: read.string('JWT_EXPIRES_IN', { required: true }),
+    // Lifetime of the refresh token issued at login; each refresh starts a new period
+    refreshTokenTtlDays: read.integer('REFRESH_TOKEN_TTL_DAYS', { min: 1, max: 365 })
+  };
+
+  if (jwt.secret && isProduction && jwt.secret.length < minProductionSecretLength) {
+    problems.push(`JWT_SECRET must be at least ${minProductionSecretLength} characters in production`);
+  }
+  // Seconds, or a duration such as 15m, 24h or 7d
+  if (jwt.expiresIn && !/^\d+(ms|s|m|h|d|w|y)?$/.test(jwt.expiresIn)) {
+    problems.push(`JWT_EXPIRES_IN must be a number of seconds or a duration such as 15m, 24h or 7d (got "${jwt.expiresIn}")`);
+  } else if (/^\d+$/.test(jwt.expiresIn)) {
+    // jsonwebtoken reads a numeric string as milliseconds but a number as seconds
+    jwt.expiresIn = Number(jwt.expiresIn);
+  }
+
+  // Auth flows
+  const auth = {
+    passwordResetTokenTtlMinutes: read.integer('PASSWORD_RESET_TOKEN_TTL_MINUTES', { min: 5, max: 1440 }),
+    emailVerificationTokenTtlHours: read.integer('EMAIL_VERIFICATION_TOKEN_TTL_HOURS', { min: 1, max: 720 }),
+    emailVerificationResendCooldownSeconds: read.integer('EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS', { min: 0, max: 3600 }),
+    // Lifetime of the (non-refreshable) session an admin opens as another user
+    impersonationTtlMinutes: read.integer('IMPERSONATION_TTL_MINUTES', { min: 1, max: 240 }),
+    // Password login brute-force protection (see services/loginThrottleService.js)
+    login: {
+      maxFailedAttempts: read.integer('LOGIN_MAX_FAILED_ATTEMPTS', { min: 1, max: 100 }),
+      maxFailedAttemptsPerIp: read.integer('LOGIN_MAX_FAILED_ATTEMPTS_PER_IP', { min: 1, max: 10000 }),
+      failureWindowMinutes: read.integer('LOGIN_FAILURE_WINDOW_MINUTES', { min: 1, max: 1440 }),
+      lockoutMinutes: read.integer('LOGIN_LOCKOUT_MINUTES', { min: 1, max: 1440 }),
+      lockoutMaxMinutes: read.integer('LOGIN_LOCKOUT_MAX_MINUTES', { min: 1, max: 10080 }),
+      delayMaxSeconds: read.integer('LOGIN_DELAY_MAX_SECONDS', { min: 0, max: 300 })
+    },
+    // Phone number login codes
+    otp: {
+      length: read.integer('OTP_LENGTH', { min: 4, max: 10 }),
+      ttlMinutes: read.integer('OTP_TTL_MINUTES', { min: 1, max: 60 }),
+      maxAttempts: read.integer('OTP_MAX_ATTEMPTS', { min: 1, max: 20 }),
+      resendCooldownSeconds: read.integer('OTP_RESEND_COOLDOWN_SECONDS', { min: 0, max: 3600 }),
+      maxRequestsPerWindow: read.integer('OTP_MAX_REQUESTS_PER_WINDOW', { min: 1, max: 100 }),
+      requestWindowMinutes: read.integer('OTP_REQUEST_WINDOW_MINUTES', { min: 1, max: 1440 })
+    }
+  };
+
+  if (auth.login.lockoutMinutes > auth.login.lockoutMaxMinutes) {
+    problems.push('LOGIN_LOCKOUT_MINUTES must not be greater than LOGIN_LOCKOUT_MAX_MINUTES');
+  }
+
+  // Outgoing SMS
+  const sms = {
+    provider: read.oneOf('SMS_PROVIDER', smsProviders)
+  };
+
+  // Outgoing mail
+  const mail = {
+    transport: read.oneOf('MAIL_TRANSPORT', mailTransports),
+    from: read.string('MAIL_FROM', { required: true }),
+    // Only used by the file transport
+    fileDir: read.string('MAIL_FILE_DIR')
+  };
+
+  // Measurement visits (see services/measurementDispatchService.js)
+  const measurements = {
+    // Assign a measurement boy to new orders with a measurement address
+    autoDispatch: read.boolean('MEASUREMENT_AUTO_DISPATCH', true),
+    // Visits a day for measurement boys whose profile sets no capacity of its own
+    defaultDailyCapacity: read.integer('MEASUREMENT_DAILY_CAPACITY', { min: 1, max: 100 }),
+    // Lifetime of the emailed link customers approve or dispute their measurements with
+    signOffLinkTtlHours: read.integer('MEASUREMENT_SIGN_OFF_LINK_TTL_HOURS', { min: 1, max: 720 })
+  };
+
+  // Uploads and request bodies
+  const maxFileSizeMb = read.integer('UPLOAD_MAX_FILE_SIZE_MB', { min: 1, max: 100 });
+  const uploads = {
+    maxFileSizeMb,
+    maxFileSize: maxFileSizeMb * 1024 * 1024,
+    maxFiles: read.integer('UPLOAD_MAX_FILES', { min: 1, max: 50 }),
+    bodyLimit: read.string('REQUEST_BODY_LIMIT', { required: true })
+  };
+
+  if (uploads.bodyLimit && !/^\d+(b|kb|mb|gb)$/i.test(uploads.bodyLimit)) {
+    problems.push(`REQUEST_BODY_LIMIT must be a size such as 100kb or 50mb (got "${uploads.bodyLimit}")`);
+  }
+
+  // CORS - a comma separated list of allowed origins, or * for any origin
+  const cors = {
+    origins: read.list('CORS_ORIGINS')
+  };
+
+  if (cors.origins.length === 0) {
+    problems.push('CORS_ORIGINS is required (comma separated list of allowed origins)');
+  } else if (isProduction && cors.origins.includes('*')) {
+    problems.push('CORS_ORIGINS must list explicit origins in production, not *');
+  }
+  cors.origins.filter(origin => origin !== '*' && !/^https?:\/\/[^/\s]+$/.test(origin)).forEach(origin => {
+    problems.push(`CORS_ORIGINS entry "${origin}" must be an origin such as https://example.com (no path or trailing slash)`);
+  });
+
+  // Ngrok tunnel
+  const ngrok = {
+    enabled: read.boolean('NGROK_ENABLED', false),
+    authtoken: undefined,
+    port: undefined,
+    region: undefined
+  };
+
+  if (ngrok.enabled) {
+    ngrok.authtoken = read.string('NGROK_AUTHTOKEN');
+    if (!ngrok.authtoken) {
+      problems.push('NGROK_AUTHTOKEN is required when NGROK_ENABLED is true (or set NGROK_ENABLED=false)');
+    }
+    ngrok.port = source.NGROK_PORT ? read.integer('NGROK_PORT', { min: 1, max: 65535 }) : port;
+    ngrok.region = read.oneOf('NGROK_REGION', ngrokRegions);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(env, problems);
+  }
+
+  return {
+    env,
+    isDevelopment: env === 'development',
+    isTest: env === 'test',
+    isProduction,
+    server: {
+      port,
+      publicAppUrl: publicAppUrl && publicAppUrl.replace(/\/+$/, '')
+    },
+    database,
+    jwt,
+    auth,
+    mail,
+    sms,
+    measurements,
+    uploads,
+    cors,
+    ngrok
+  };
+};
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (error instanceof ConfigError) {
+    console.log('❌ ===========================================');
+    console.log('❌ INVALID CONFIGURATION');
+    console.log('❌ ===========================================');
+    error.problems.forEach(problem => console.error(`❌ ${problem}`));
+    console.log('❌ ===========================================');
+  }
+  throw error;
+}
+
+module.exports = config;
+module.exports.loadConfig = loadConfig;
+module.exports.ConfigError = ConfigError;
@@ -0,0 +1,110 @@
+// Role names as stored in the Roles table (see seeds/001_roles.js)
+const ROLES = {
+  ADMIN: 'Admin',
+  CUSTOMER: 'Customer',
+  SELLER: 'Seller',
+  TAILOR: 'Tailor',
+  TAYLORSELLER: 'Taylorseller', // legacy: accounts now hold Tailor and Seller (see services/roleService.js)
+  MEASUREMENT_BOY: 'MeasurementBoy'
+};
+
+// Permissions routes can require with requirePermission(...)
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  PROFILE_READ: 'profile:read',
+  PROFILE_UPDATE: 'profile:update',
+  PRODUCTS_MANAGE: 'products:manage',
+  BUSINESS_READ: 'business:read',
+  BUSINESS_MANAGE: 'business:manage',
+  BUSINESS_ORDERS_READ: 'business-orders:read',
+  AVAILABILITY_READ: 'availability:read',
+  AVAILABILITY_MANAGE: 'availability:manage',
+  ORDERS_CREATE: 'orders:create',
+  ORDERS_READ: 'orders:read',
+  ORDERS_READ_ALL: 'orders:read-all',
+  ORDERS_UPDATE: 'orders:update',
+  ORDERS_DELETE: 'orders:delete',
+  ADDRESSES_READ: 'addresses:read',
+  ADDRESSES_MANAGE: 'addresses:manage',
+  MEASUREMENTS_READ: 'measurements:read',
+  MEASUREMENTS_SUBMIT: 'measurements:submit',
+  MEASUREMENTS_ASSIGN: 'measurements:assign',
+  MEASUREMENT_SLOTS_MANAGE: 'measurement-slots:manage',
+  MEASUREMENT_TEMPLATES_MANAGE: 'measurement-templates:manage',
+  MEASUREMENT_PROFILES_MANAGE: 'measurement-profiles:manage',
+  MEASUREMENTS_SIGN_OFF: 'measurements:sign-off',
+  ORDER_STATUS_UPDATE: 'order-status:update'
+};
+
+// Permissions every signed-in user has, whatever their role
+const basePermissions = [
+  PERMISSIONS.PROFILE_READ,
+  PERMISSIONS.PROFILE_UPDATE,
+  PERMISSIONS.BUSINESS_READ,
+  PERMISSIONS.AVAILABILITY_READ
+];
+
+// Business owners (tailors and sellers) manage their business and the orders placed with it
+const businessOwnerPermissions = [
+  ...basePermissions,
+  PERMISSIONS.BUSINESS_MANAGE,
+  PERMISSIONS.BUSINESS_ORDERS_READ,
+  PERMISSIONS.ORDERS_READ,
+  PERMISSIONS.ORDERS_UPDATE,
+  PERMISSIONS.ORDER_STATUS_UPDATE
+];
+
+// Role -> permission matrix. Admin is granted every permission
+const rolePermissions = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.CUSTOMER]: [
+    ...basePermissions,
+    PERMISSIONS.ORDERS_CREATE,
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_UPDATE,
+    PERMISSIONS.ORDERS_DELETE,
+    PERMISSIONS.ADDRESSES_READ,
+    PERMISSIONS.ADDRESSES_MANAGE,
+    PERMISSIONS.MEASUREMENT_PROFILES_MANAGE,
+    PERMISSIONS.MEASUREMENTS_SIGN_OFF,
+    PERMISSIONS.ORDER_STATUS_UPDATE
+  ],
+  [ROLES.TAILOR]: [
+    ...businessOwnerPermissions,
+    PERMISSIONS.AVAILABILITY_MANAGE,
+    PERMISSIONS.MEASUREMENTS_ASSIGN
+  ],
+  [ROLES.SELLER]: [
+    ...businessOwnerPermissions,
+    PERMISSIONS.PRODUCTS_MANAGE
+  ],
+  [ROLES.TAYLORSELLER]: [
+    ...businessOwnerPermissions,
+    PERMISSIONS.AVAILABILITY_MANAGE,
+    PERMISSIONS.PRODUCTS_MANAGE,
+    PERMISSIONS.MEASUREMENTS_ASSIGN
+  ],
+  [ROLES.MEASUREMENT_BOY]: [
+    ...basePermissions,
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.MEASUREMENTS_READ,
+    PERMISSIONS.MEASUREMENTS_SUBMIT,
+    PERMISSIONS.ORDER_STATUS_UPDATE
+  ]
+};
+
+// Role names from the roles carried in the JWT ([{ id, name }])
+const getRoleNames = (roles = []) => roles.map(role => (typeof role === 'string' ? role : role.name));
+
+// True when any of the given roles grants the permission
+const hasPermission = (roles, permission) =>
+  getRoleNames(roles).some(roleName => (rolePermissions[roleName] || []).includes(permission));
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  rolePermissions,
+  getRoleNames,
+  hasPermission
+};
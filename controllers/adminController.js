@@ -0,0 +1,258 @@
+const express = require('express');
+const { matchedData } = require('express-validator');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const config = require('../config');
+const { PERMISSIONS } = require('../config/permissions');
+const userAdminService = require('../services/userAdminService');
+const { AppError } = require('../utils/appError');
+
+const router = express.Router();
+
+// Admin user management. Reads need users:read, changes users:manage (both Admin only);
+// every change is written to the admin audit log (GET /api/admin/audit-log).
+// Express 5 re-parses req.query on every read, so sanitized query values come from matchedData
+
+router.use(authenticateToken);
+
+// Send a rejected admin action, or a 500 for anything unexpected
+const sendError = (res, error, label) => {
+  if (error instanceof AppError) {
+    console.log(`❌ ${label} rejected:`, error.message);
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`❌ ${label} error:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: config.isDevelopment ? (error.message || error.toString()) : undefined
+  });
+};
+
+// List users: ?search= (name, email or phone), ?role=, ?isActive=, ?page=, ?pageSize=
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), validationMiddleware.validateAdminUsersQuery, async (req, res) => {
+  try {
+    const { search, role, isActive, page, pageSize } = matchedData(req, { locations: ['query'] });
+    const result = await userAdminService.listUsers({
+      search,
+      roleName: role,
+      isActive,
+      page: page || 1,
+      pageSize: pageSize || 20
+    });
+
+    res.json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: result.users,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'List users');
+  }
+});
+
+router.get('/users/:userId', requirePermission(PERMISSIONS.USERS_READ), validationMiddleware.validateAdminUserId, async (req, res) => {
+  try {
+    const user = await userAdminService.getUser(req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'User retrieved successfully',
+      data: user
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Get user');
+  }
+});
+
+// Reactivate a deactivated account
+router.post('/users/:userId/activate', requirePermission(PERMISSIONS.USERS_MANAGE), validationMiddleware.validateAdminSetUserActive, async (req, res) => {
+  try {
+    const user = await userAdminService.setActive(req.user, req.params.userId, true, {
+      reason: req.body.reason,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'User activated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Activate user');
+  }
+});
+
+// Deactivate an account; the user is signed out everywhere and can no longer log in
+router.post('/users/:userId/deactivate', requirePermission(PERMISSIONS.USERS_MANAGE), validationMiddleware.validateAdminSetUserActive, async (req, res) => {
+  try {
+    const user = await userAdminService.setActive(req.user, req.params.userId, false, {
+      reason: req.body.reason,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Deactivate user');
+  }
+});
+
+// Assign a role, e.g. { "roleName": "MeasurementBoy" }
+router.post('/users/:userId/roles', requirePermission(PERMISSIONS.USERS_MANAGE), validationMiddleware.validateAdminAssignRole, async (req, res) => {
+  try {
+    const user = await userAdminService.assignRole(req.user, req.params.userId, req.body.roleName, {
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role assigned successfully',
+      data: user
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Assign role');
+  }
+});
+
+// Revoke a role; the user is signed out so their tokens stop carrying it
+router.delete('/users/:userId/roles/:roleName', requirePermission(PERMISSIONS.USERS_MANAGE), validationMiddleware.validateAdminRevokeRole, async (req, res) => {
+  try {
+    const user = await userAdminService.revokeRole(req.user, req.params.userId, req.params.roleName, {
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Role revoked successfully',
+      data: user
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Revoke role');
+  }
+});
+
+// Reset a password: { "newPassword": "..." } sets it, an empty body emails a reset link
+router.post('/users/:userId/reset-password', requirePermission(PERMISSIONS.USERS_MANAGE), validationMiddleware.validateAdminResetPassword, async (req, res) => {
+  try {
+    const result = await userAdminService.resetPassword(req.user, req.params.userId, req.body.newPassword, {
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: result.method === 'set'
+        ? 'Password set successfully. The user has been signed out everywhere'
+        : 'Password reset link sent to the user',
+      data: result
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Admin password reset');
+  }
+});
+
+// Act as the user for support: returns a short-lived access token for their account
+router.post('/users/:userId/impersonate', requirePermission(PERMISSIONS.USERS_MANAGE), validationMiddleware.validateAdminUserId, async (req, res) => {
+  try {
+    const { session, user } = await userAdminService.impersonate(req.user, req.params.userId, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Impersonating ${user.email}. The token cannot be refreshed; end it with POST /api/auth/logout`,
+      data: {
+        user,
+        token: session.accessToken,
+        expiresIn: session.expiresIn,
+        expiresAt: session.expiresAt,
+        impersonatedBy: req.user.userId
+      }
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Impersonate user');
+  }
+});
+
+// Dispatch profile of a measurement boy: working city, service pincodes, daily capacity, availability
+router.get('/measurement-boys/:userId/profile', requirePermission(PERMISSIONS.USERS_READ), validationMiddleware.validateAdminUserId, async (req, res) => {
+  try {
+    const profile = await userAdminService.getMeasurementBoyProfile(req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'Measurement boy profile retrieved successfully',
+      data: profile
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Get measurement boy profile');
+  }
+});
+
+// Update it, e.g. { "workingCity": "Pune", "servicePincodes": ["411001"], "dailyCapacity": 6 }
+router.put('/measurement-boys/:userId/profile', requirePermission(PERMISSIONS.USERS_MANAGE), validationMiddleware.validateAdminMeasurementBoyProfile, async (req, res) => {
+  try {
+    const { workingCity, dailyCapacity, isAvailable, servicePincodes } = req.body;
+    const profile = await userAdminService.updateMeasurementBoyProfile(req.user, req.params.userId, {
+      workingCity,
+      dailyCapacity,
+      isAvailable,
+      servicePincodes
+    }, {
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Measurement boy profile updated successfully',
+      data: profile
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Update measurement boy profile');
+  }
+});
+
+// Admin audit log: ?adminUserId=, ?targetUserId=, ?action=, ?since=, ?page=, ?pageSize=
+router.get('/audit-log', requirePermission(PERMISSIONS.USERS_READ), validationMiddleware.validateAdminAuditLogQuery, async (req, res) => {
+  try {
+    const { adminUserId, targetUserId, action, since, page, pageSize } = matchedData(req, { locations: ['query'] });
+    const result = await userAdminService.getAuditLog({
+      adminUserId,
+      targetUserId,
+      action,
+      since,
+      page: page || 1,
+      pageSize: pageSize || 50
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin audit log retrieved successfully',
+      data: result.entries,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Get admin audit log');
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,8 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, requirePermission, allowPublic } = require('../middleware/authMiddleware');
+const config = require('../config');
+const { PERMISSIONS } = require('../config/permissions');
+const { isAdmin, authorizeSelf, authorizeBusiness } = require('../middleware/policyMiddleware');
 const { upload } = require('../middleware/uploadMiddleware');
 const databaseService = require('../services/databaseService');
 const path = require('path');
@@ -7,7 +10,7 @@ const fs = require('fs');
 const router = express.Router();
 
 // Get business details of a particular user
-router.get('/business/:userId', authenticateToken, async (req, res) => {
+router.get('/business/:userId', authenticateToken, requirePermission(PERMISSIONS.BUSINESS_READ), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -47,16 +50,16 @@ router.get('/business/:userId', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get business details',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Get all businesses (for admin/listing)
-router.get('/businesses', authenticateToken, async (req, res) => {
+router.get('/businesses', authenticateToken, requirePermission(PERMISSIONS.BUSINESS_READ), async (req, res) => {
   try {
-    // Call database service method
-    const businesses = await databaseService.db.GetAllBusinesses();
+    // Businesses of owners who have not verified their email are only listed for admins
+    const businesses = await databaseService.db.GetAllBusinesses({ includeUnverified: isAdmin(req.user) });
 
     return res.status(200).json({
       success: true,
@@ -70,18 +73,18 @@ router.get('/businesses', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get businesses',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Get list of all tailors with their business information
-router.get('/tailors', authenticateToken, async (req, res) => {
+router.get('/tailors', authenticateToken, requirePermission(PERMISSIONS.BUSINESS_READ), async (req, res) => {
   try {
     console.log('🔄 Get tailors list request received');
     
-    // Call database service method
-    const tailors = await databaseService.db.GetTailorsList();
+    // Tailors who have not verified their email are only listed for admins
+    const tailors = await databaseService.db.GetTailorsList({ includeUnverified: isAdmin(req.user) });
 
     return res.status(200).json({
       success: true,
@@ -95,13 +98,13 @@ router.get('/tailors', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get tailors list',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Get tailor by businessId
-router.get('/tailor/:businessId', authenticateToken, async (req, res) => {
+router.get('/tailor/:businessId', authenticateToken, requirePermission(PERMISSIONS.BUSINESS_READ), async (req, res) => {
   try {
     const { businessId } = req.params;
     console.log('🔄 Get tailor by businessId request received:', businessId);
@@ -127,13 +130,13 @@ router.get('/tailor/:businessId', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get tailor details',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Get tailor date availability by BusinessId
-router.get('/tailor-date-availability/:businessId', authenticateToken, async (req, res) => {
+router.get('/tailor-date-availability/:businessId', authenticateToken, requirePermission(PERMISSIONS.AVAILABILITY_READ), async (req, res) => {
   try {
     const { businessId } = req.params;
     console.log('🔄 Get tailor date availability by businessId request received:', businessId);
@@ -153,13 +156,13 @@ router.get('/tailor-date-availability/:businessId', authenticateToken, async (re
     return res.status(500).json({
       success: false,
       message: 'Failed to get tailor date availability',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Get all tailor date availability
-router.get('/tailor-date-availability', authenticateToken, async (req, res) => {
+router.get('/tailor-date-availability', authenticateToken, requirePermission(PERMISSIONS.AVAILABILITY_READ), async (req, res) => {
   try {
     console.log('🔄 Get all tailor date availability request received');
     
@@ -178,13 +181,13 @@ router.get('/tailor-date-availability', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get tailor date availability',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Create/Update tailor date availability
-router.post('/tailor-date-availability', authenticateToken, async (req, res) => {
+router.post('/tailor-date-availability', authenticateToken, requirePermission(PERMISSIONS.AVAILABILITY_MANAGE), authorizeBusiness(req => req.body.businessId), async (req, res) => {
   try {
     const {
       businessId,
@@ -258,13 +261,13 @@ router.post('/tailor-date-availability', authenticateToken, async (req, res) =>
     return res.status(500).json({
       success: false,
       message: 'Failed to save tailor date availability',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Create/Update business information
-router.post('/business', authenticateToken, async (req, res) => {
+router.post('/business', authenticateToken, requirePermission(PERMISSIONS.BUSINESS_MANAGE), authorizeSelf(req => req.body.userId), async (req, res) => {
   try {
     const {
       userId,
@@ -326,13 +329,13 @@ router.post('/business', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to save business information',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Update business information by business ID
-router.put('/business/:businessId', authenticateToken, async (req, res) => {
+router.put('/business/:businessId', authenticateToken, requirePermission(PERMISSIONS.BUSINESS_MANAGE), authorizeBusiness(), async (req, res) => {
   try {
     const { businessId } = req.params;
     const {
@@ -489,13 +492,13 @@ router.put('/business/:businessId', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to update business information',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Upload business logo
-router.post('/business/:businessId/upload-logo', authenticateToken, upload.single('logo'), async (req, res) => {
+router.post('/business/:businessId/upload-logo', authenticateToken, requirePermission(PERMISSIONS.BUSINESS_MANAGE), authorizeBusiness(), upload.single('logo'), async (req, res) => {
   try {
     const { businessId } = req.params;
 
@@ -540,13 +543,13 @@ router.post('/business/:businessId/upload-logo', authenticateToken, upload.singl
     return res.status(500).json({
       success: false,
       message: 'Failed to upload business logo',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Delete business information
-router.delete('/business/:userId', authenticateToken, async (req, res) => {
+router.delete('/business/:userId', authenticateToken, requirePermission(PERMISSIONS.BUSINESS_MANAGE), authorizeSelf(), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -570,13 +573,13 @@ router.delete('/business/:userId', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to delete business information',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Get all tailor items
-router.get('/tailor-items', async (req, res) => {
+router.get('/tailor-items', allowPublic, async (req, res) => {
   try {
     console.log('🔄 Get all tailor items request received');
     
@@ -595,7 +598,7 @@ router.get('/tailor-items', async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get tailor items',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
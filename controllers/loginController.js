@@ -1,263 +1,114 @@
 const express = require('express');
+const { matchedData } = require('express-validator');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { validationMiddleware } = require('../middleware/validationMiddleware');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, requirePermission, allowPublic } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
 const databaseService = require('../services/databaseService');
+const config = require('../config');
+const tokenService = require('../services/tokenService');
+const passwordService = require('../services/passwordService');
+const otpService = require('../services/otpService');
+const emailVerificationService = require('../services/emailVerificationService');
+const loginThrottleService = require('../services/loginThrottleService');
+const userAdminService = require('../services/userAdminService');
+const roleService = require('../services/roleService');
+const userService = require('../services/userService');
+const { SELF_SERVICE_ROLES } = require('../services/roleService');
+const { AuthError } = require('../services/tokenService');
+const { AppError } = require('../utils/appError');
 const router = express.Router();
 
-// Database storage - no in-memory storage needed
-
-// Signup API endpoint with reusable validation (with password)
-router.post('/signup', validationMiddleware.validateUserRegistration, async (req, res) => {
+// Response body of a successful login (password or OTP): the user without the password hash,
+// their roles and the session tokens
+const loginResponseData = (user, userRoles, session) => {
+  const { password: _, ...userResponse } = user;
+  return {
+    user: userResponse,
+    roles: userRoles.map(r => ({
+      id: r.id,
+      name: r.role_name,
+      description: r.description,
+      assignedAt: r.assigned_at
+    })),
+    activeRole: session.activeRole || null,
+    token: session.accessToken,
+    expiresIn: session.expiresIn,
+    refreshToken: session.refreshToken,
+    refreshTokenExpiresAt: session.refreshTokenExpiresAt
+  };
+};
+
+// Response body of a signup: the new user (unverified), their roles and the business profile
+// created for Tailor/Seller. role is the first role, kept for clients predating multi-role accounts
+const signupResponseData = ({ user, roles, businessInfo }) => {
+  const roleResponse = roles.map(r => ({
+    id: r.id,
+    name: r.role_name,
+    description: r.description
+  }));
+  return {
+    user,
+    role: roleResponse[0],
+    roles: roleResponse,
+    ...(businessInfo && { businessInfo })
+  };
+};
+
+// Send an AppError or AuthError as a JSON response (with Retry-After when rate limited)
+const sendAuthError = (res, error) => {
+  if (error.retryAfterSeconds) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+  }
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    ...(error.data && { data: error.data })
+  });
+};
+
+// Signup API endpoint with reusable validation (with password).
+// roleNames (or a single roleName, default Customer) picks the roles; Tailor/Seller also send businessInfo
+router.post('/signup', allowPublic, validationMiddleware.validateUserRegistration, async (req, res) => {
   try {
-    console.log('🔄 Signup request received:', req.body);
-    const { email, password, firstName, lastName, phoneNumber, roleName } = req.body;
-
-    // Default to 'Customer' if roleName is not provided
-    const roleNameToUse = roleName || 'Customer';
-    console.log('🔄 Role to assign:', roleNameToUse);
-
-    // Get role by name
-    console.log('🔄 Looking up role:', roleNameToUse);
-    let role;
-    try {
-      role = await databaseService.db.GetRoleByName(roleNameToUse);
-      if (!role) {
-        console.log('❌ Invalid role name:', roleNameToUse);
-        return res.status(400).json({
-          success: false,
-          message: `Invalid role name: ${roleNameToUse}. Valid roles are: Admin, Customer, Seller, Tailor, Taylorseller`
-        });
-      }
-      console.log('✅ Role found:', role);
-    } catch (error) {
-      console.error('❌ Error fetching role:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch role information',
-        error: process.env.NODE_ENV === 'development' ? (error.message || error.toString()) : undefined
-      });
-    }
-
-    // Check if user already exists in database
-    try {
-      console.log('🔄 Checking if user already exists in database...');
-      const existingUser = await databaseService.db.GetUserByEmail({ Email: email });
-      if (existingUser && Array.isArray(existingUser) && existingUser.length > 0) {
-        console.log('❌ User already exists:', email);
-        return res.status(409).json({
-          success: false,
-          message: 'User with this email already exists'
-        });
-      }
-      console.log('✅ User does not exist, proceeding with signup');
-    } catch (error) {
-      console.log('⚠️ Error checking existing user:', error);
-      // Continue with signup if we can't check (database might be down)
-    }
+    console.log('🔄 Signup request received for:', req.body.email);
+    const { email, password, firstName, lastName, phoneNumber, roleName, roleNames, businessInfo, tailoringCategoriesWithDetailsArray } = req.body;
 
-    // Hash the password
-    console.log('🔄 Hashing password...');
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-    console.log('✅ Password hashed successfully');
-
-    // Create new user object (with password and without id - will be auto-generated by database)
-    const newUser = {
+    const registration = await userService.registerUser({
       email,
-      password: hashedPassword,
+      password,
       firstName,
       lastName,
-      phoneNumber: phoneNumber || null,
-      createdAt: new Date().toISOString(),
-      modifiedAt: new Date().toISOString(),
-      isActive: true
-    };
-
-    // Save user to database using database service
-    let userId;
-    try {
-      console.log('🔄 Saving user to database using database service...');
-      const result = await databaseService.db.InsertUser(newUser);
-      console.log('✅ User saved to database successfully');
-      console.log('📊 Database result:', result);
-      
-      // Get the inserted user ID from the result
-      if (result && result.recordset && result.recordset.length > 0) {
-        userId = result.recordset[0].id;
-        console.log('✅ User ID retrieved:', userId);
-      } else {
-        throw new Error('Failed to retrieve user ID after insertion');
-      }
-    } catch (error) {
-      console.error('❌ Error saving user to database:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to save user to database',
-        error: process.env.NODE_ENV === 'development' ? (error.message || error.toString()) : undefined
-      });
-    }
-
-    // Insert user-role mapping
-    try {
-      console.log('🔄 Assigning role to user...');
-      await databaseService.db.InsertUserRole(userId, role.id);
-      console.log('✅ Role assigned successfully');
-    } catch (error) {
-      console.error('❌ Error assigning role to user:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'User created but failed to assign role',
-        error: process.env.NODE_ENV === 'development' ? (error.message || error.toString()) : undefined
-      });
-    }
-
-    // If role is Seller, Tailor, or Taylorseller, insert business information
-    let businessInfoResponse = null;
-    if (['Seller', 'Tailor', 'Taylorseller'].includes(roleNameToUse)) {
-      try {
-        console.log('🔄 Creating business information for role:', roleNameToUse);
-        
-        // Extract business information from request body (nested object)
-        const businessInfo = req.body.businessInfo || {};
-        console.log('📋 Business info from request:', businessInfo);
-        
-        // Create business information with provided data or defaults
-        const businessData =  {
-          userId: userId,
-          businessName: businessInfo.businessName || `${firstName} ${lastName}'s Business`,
-          ownerName: businessInfo.ownerName || `${firstName} ${lastName}`,
-          businessLogo: businessInfo.businessLogo || null,
-          businessDescription: businessInfo.businessDescription || null,
-          mobileNumber: businessInfo.mobileNumber || phoneNumber || '',
-          alternateNumber: businessInfo.alternateNumber || null,
-          email: businessInfo.email || email,
-          shopAddress: businessInfo.shopAddress || null,
-          googleMapLink: businessInfo.googleMapLink || null,
-          gpsLatitude: businessInfo.gpsLatitude || null,
-          gpsLongitude: businessInfo.gpsLongitude || null,
-          workingCity: businessInfo.workingCity || null,
-          serviceTypes: businessInfo.serviceTypes || null,
-          specialization: businessInfo.specialization || null,
-          yearsOfExperience: businessInfo.yearsOfExperience || null,
-          portfolioPhotos: businessInfo.portfolioPhotos || null,
-          certifications: businessInfo.certifications || null,
-          openingTime: businessInfo.openingTime || null,
-          closingTime: businessInfo.closingTime || null,
-          weeklyOff: businessInfo.weeklyOff || null,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        };
-        
-        console.log('📋 Prepared business data for insertion:', businessData);
-        const businessResult = await databaseService.db.InsertBusinessInformation(businessData);
-        businessInfoResponse = {
-          businessId: businessResult.businessId,
-          businessName: businessData.businessName,
-          ownerName: businessData.ownerName,
-          workingCity: businessData.workingCity
-        };
-        console.log('✅ Business information created successfully:', businessInfoResponse);
-
-        // Insert tailoringCategoriesWithDetailsArray into TailorItemPrices
-        // Check multiple possible sources: array directly or JSON string in tailoringCategoriesDetails
-        let tailoringCategoriesWithDetailsArray = req.body.tailoringCategoriesWithDetailsArray || businessInfo.tailoringCategoriesWithDetailsArray;
-        
-        // If not found as array, check tailoringCategoriesDetails (might be a JSON string)
-        if (!tailoringCategoriesWithDetailsArray && businessInfo.tailoringCategoriesDetails) {
-          try {
-            console.log('🔄 Found tailoringCategoriesDetails, attempting to parse JSON string');
-            const parsedDetails = typeof businessInfo.tailoringCategoriesDetails === 'string' 
-              ? JSON.parse(businessInfo.tailoringCategoriesDetails) 
-              : businessInfo.tailoringCategoriesDetails;
-            
-            if (Array.isArray(parsedDetails)) {
-              tailoringCategoriesWithDetailsArray = parsedDetails;
-              console.log('✅ Successfully parsed tailoringCategoriesDetails');
-            }
-          } catch (parseError) {
-            console.error('❌ Error parsing tailoringCategoriesDetails:', parseError);
-            console.log('⚠️ Could not parse tailoringCategoriesDetails as JSON');
-          }
-        }
-        
-        if (tailoringCategoriesWithDetailsArray && Array.isArray(tailoringCategoriesWithDetailsArray) && tailoringCategoriesWithDetailsArray.length > 0) {
-          try {
-            console.log('🔄 Inserting tailor item prices for business:', businessResult.businessId);
-            console.log('📋 Tailoring categories with details array:', tailoringCategoriesWithDetailsArray);
-            
-            const currentTime = new Date().toISOString();
-            const insertPromises = tailoringCategoriesWithDetailsArray.map(async (item) => {
-              const tailorItemPriceData = {
-                BusinessId: businessResult.businessId,
-                ItemId: item.ItemId || null,
-                FullPrice: item.FullPrice || null,
-                DiscountPrice: item.DiscountPrice || null,
-                DiscountType: item.DiscountType || null,
-                DiscountValue: item.DiscountValue || null,
-                EstimatedDays: item.EstimatedDays || null,
-                IsAvailable: item.IsAvailable !== undefined ? item.IsAvailable : true,
-                Notes: item.Notes || null,
-                CreatedAt: currentTime,
-                UpdatedAt: currentTime
-              };
-              
-              console.log('📋 Inserting tailor item price:', tailorItemPriceData);
-              return await databaseService.db.InsertTailorItemPrice(tailorItemPriceData);
-            });
-            
-            await Promise.all(insertPromises);
-            console.log('✅ All tailor item prices inserted successfully');
-          } catch (error) {
-            console.error('❌ Error inserting tailor item prices:', error);
-            console.error('❌ Error details:', error.message);
-            // Log error but don't fail the registration
-            console.log('⚠️ Business created but failed to insert tailor item prices');
-          }
-        } else {
-          console.log('ℹ️ No tailoringCategoriesWithDetailsArray or tailoringCategoriesDetails provided or empty array');
-        }
-      } catch (error) {
-        console.error('❌ Error creating business information:', error);
-        console.error('❌ Error details:', error.message);
-        // Log error but don't fail the registration
-        console.log('⚠️ User created without business information');
-      }
-    }
-
-    // Remove password from response
-    const { password: _, ...userResponse } = newUser;
+      phoneNumber,
+      roleNames: roleNames && roleNames.length > 0 ? roleNames : [roleName || 'Customer'],
+      businessInfo,
+      tailoringCategoriesWithDetailsArray
+    });
 
-    console.log('🎉 User created successfully:', userResponse.email);
     res.status(201).json({
       success: true,
-      message: 'User created successfully',
-      data: {
-        user: userResponse,
-        role: {
-          id: role.id,
-          name: role.role_name,
-          description: role.description
-        },
-        ...(businessInfoResponse && { businessInfo: businessInfoResponse })
-      }
+      message: 'User created successfully. Check your email to verify your account before logging in',
+      data: signupResponseData(registration)
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Signup rejected:', error.message);
+      return sendAuthError(res, error);
+    }
     console.error('❌ Signup error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error during signup',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
     });
   }
 });
 
-// Simple signup endpoint for testing (without validation but with password)
-router.post('/signup-simple', async (req, res) => {
+// Simple signup endpoint for testing (minimal checks, Customer role only)
+router.post('/signup-simple', allowPublic, async (req, res) => {
   try {
-    console.log('🔄 Simple signup request received:', req.body);
+    console.log('🔄 Simple signup request received for:', req.body.email);
     const { email, password, firstName, lastName, phoneNumber } = req.body;
     
     // Basic validation
@@ -268,86 +119,71 @@ router.post('/signup-simple', async (req, res) => {
       });
     }
 
-    // Check if user already exists
-    const existingUser = users.find(user => user.email === email);
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        message: 'User with this email already exists'
-      });
-    }
-
-    // Hash the password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-    // Create new user object (with password and without id - will be auto-generated by database)
-    const newUser = {
+    const registration = await userService.registerUser({
       email,
-      password: hashedPassword,
+      password,
       firstName,
       lastName,
-      phoneNumber: phoneNumber || null,
-      createdAt: new Date().toISOString(),
-      modifiedAt: new Date().toISOString(),
-      isActive: true
-    };
-
-    // Save user to database using database service
-    try {
-      console.log('🔄 Saving user to database using database service (simple)...');
-      const result = await databaseService.db.InsertUser(newUser);
-      console.log('✅ User saved to database successfully (simple)');
-      console.log('📊 Database result:', result);
-    } catch (error) {
-      console.error('❌ Error saving user to database (simple):', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to save user to database',
-        error: process.env.NODE_ENV === 'development' ? (error.message || error.toString()) : undefined
-      });
-    }
-
-    // Also add to in-memory storage for backward compatibility
-    users.push(newUser);
-    console.log('✅ User added to in-memory storage (simple)');
-
-    // Remove password from response
-    const { password: _, ...userResponse } = newUser;
+      phoneNumber
+    });
 
     res.status(201).json({
       success: true,
-      message: 'User created successfully (simple endpoint)',
-      data: {
-        user: userResponse
-      }
+      message: 'User created successfully. Check your email to verify your account before logging in',
+      data: signupResponseData(registration)
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Simple signup rejected:', error.message);
+      return sendAuthError(res, error);
+    }
     console.error('❌ Simple signup error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error during signup',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
     });
   }
 });
 
 // Login API endpoint with JWT token generation
-router.post('/login', validationMiddleware.validateUserLogin, async (req, res) => {
+router.post('/login', allowPublic, validationMiddleware.validateUserLogin, async (req, res) => {
   try {
     console.log('🔄 Login request received:', req.body.email);
     const { email, password } = req.body;
+    const userAgent = req.get('user-agent');
+
+    // Locked out or still waiting after recent failures (per email and per IP)
+    try {
+      await loginThrottleService.assertLoginAllowed(email, req.ip);
+    } catch (error) {
+      if (error instanceof AppError) {
+        console.log('❌ Login throttled:', email, error.message);
+        await loginThrottleService.recordAttempt({ identifier: email, ipAddress: req.ip, userAgent, succeeded: false, failureReason: 'throttled' });
+        return sendAuthError(res, error);
+      }
+      throw error;
+    }
+
+    // Count a failed attempt and answer 401, or 429 when this failure triggered a lockout
+    const rejectLogin = async (reason, userId = null, message = 'Invalid email or password') => {
+      const lockout = await loginThrottleService.recordFailure(email, req.ip, { userId, userAgent, reason });
+      if (lockout) {
+        return sendAuthError(res, lockout);
+      }
+      return res.status(401).json({
+        success: false,
+        message
+      });
+    };
 
     // Find user by email in database
     console.log('🔄 Searching for user in database...');
     const users = await databaseService.db.GetUserByEmail({ Email: email });
     if (!users || users.length === 0) {
       console.log('❌ User not found:', email);
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+      return rejectLogin('unknown-email');
     }
 
     const user = users[0];
@@ -356,10 +192,7 @@ router.post('/login', validationMiddleware.validateUserLogin, async (req, res) =
     // Check if user is active
     if (!user.isActive) {
       console.log('❌ User account deactivated:', email);
-      return res.status(401).json({
-        success: false,
-        message: 'Account is deactivated'
-      });
+      return rejectLogin('account-deactivated', user.id, 'Account is deactivated');
     }
 
     // Verify password
@@ -369,18 +202,25 @@ router.post('/login', validationMiddleware.validateUserLogin, async (req, res) =
     
     if (!password || !user.password) {
       console.log('❌ Missing password data');
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+      return rejectLogin('no-password', user.id);
     }
 
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
       console.log('❌ Invalid password for user:', email);
-      return res.status(401).json({
+      return rejectLogin('invalid-password', user.id);
+    }
+
+    // Email must be verified (see /verify-email)
+    if (!user.emailVerifiedAt) {
+      console.log('❌ Email not verified:', email);
+      await loginThrottleService.recordAttempt({ identifier: email, userId: user.id, ipAddress: req.ip, userAgent, succeeded: false, failureReason: 'email-not-verified' });
+      return res.status(403).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Please verify your email address before logging in',
+        data: {
+          emailVerified: false
+        }
       });
     }
 
@@ -395,60 +235,550 @@ router.post('/login', validationMiddleware.validateUserLogin, async (req, res) =
       // Continue without roles if fetch fails
     }
 
-    // Generate JWT token (include roles in token)
+    // Start a session: short-lived access token (include roles in token) plus a refresh token
     console.log('🔄 Generating JWT token...');
-    const tokenPayload = {
-      userId: user.id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      roles: userRoles.map(r => ({ id: r.id, name: r.role_name }))
-    };
+    const session = await tokenService.createSession(user, userRoles, {
+      userAgent,
+      ipAddress: req.ip,
+      activeRole: req.body.activeRole
+    });
+
+    console.log('✅ JWT token generated successfully');
+    await loginThrottleService.recordSuccess(email, req.ip, { userId: user.id, userAgent });
+
+    console.log('✅ Login successful for user:', email);
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: loginResponseData(user, userRoles, session)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Login rejected:', error.message);
+      return sendAuthError(res, error);
+    }
+    console.error('❌ Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during login',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Phone number login, step 1: send a one-time code by SMS to a registered number
+router.post('/otp/request', allowPublic, validationMiddleware.validateOtpRequest, async (req, res) => {
+  try {
+    await otpService.requestOtp(req.body.phoneNumber, { ipAddress: req.ip });
 
-    const token = jwt.sign(
-      tokenPayload,
-      process.env.JWT_SECRET,
-      { 
-        expiresIn: '24h', // Token expires in 24 hours
-        issuer: 'your-app-name',
-        audience: 'your-app-users'
+    res.json({
+      success: true,
+      message: 'If this phone number is registered, a login code has been sent',
+      data: {
+        expiresInMinutes: config.auth.otp.ttlMinutes
       }
-    );
+    });
 
-    console.log('✅ JWT token generated successfully');
+  } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ OTP request rejected:', error.message);
+      return sendAuthError(res, error);
+    }
+    console.error('❌ OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while sending login code',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
 
-    // Remove password from response
-    const { password: _, ...userResponse } = user;
+// Phone number login, step 2: exchange the code for the same tokens /login issues
+router.post('/otp/verify', allowPublic, validationMiddleware.validateOtpVerify, async (req, res) => {
+  try {
+    const { phoneNumber, otp } = req.body;
+    let account;
+    try {
+      account = await otpService.verifyOtp(phoneNumber, otp);
+    } catch (error) {
+      if (error instanceof AppError) {
+        await loginThrottleService.recordAttempt({ method: 'otp', identifier: phoneNumber, ipAddress: req.ip, userAgent: req.get('user-agent'), succeeded: false, failureReason: 'otp-rejected' });
+      }
+      throw error;
+    }
+    const { user, userRoles } = account;
 
-    console.log('✅ Login successful for user:', email);
+    const session = await tokenService.createSession(user, userRoles, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+      activeRole: req.body.activeRole
+    });
+
+    await loginThrottleService.recordAttempt({ method: 'otp', identifier: phoneNumber, userId: user.id, ipAddress: req.ip, userAgent: req.get('user-agent'), succeeded: true });
+    console.log('✅ OTP login successful for user:', user.id);
     res.json({
       success: true,
       message: 'Login successful',
+      data: loginResponseData(user, userRoles, session)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ OTP verification rejected:', error.message);
+      return sendAuthError(res, error);
+    }
+    console.error('❌ OTP verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during login',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token. The refresh token is rotated:
+// the one sent is no longer valid and a new one is returned
+router.post('/refresh', allowPublic, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken is required'
+      });
+    }
+
+    const session = await tokenService.rotateSession(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        activeRole: session.activeRole,
+        token: session.accessToken,
+        expiresIn: session.expiresIn,
+        refreshToken: session.refreshToken,
+        refreshTokenExpiresAt: session.refreshTokenExpiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Refresh rejected:', error.message);
+      return sendAuthError(res, error);
+    }
+    console.error('❌ Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during token refresh',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Log out the current device: revokes the session of the access token used
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.user.sessionId, 'logout');
+    console.log('✅ User logged out:', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Log out every device: revokes all sessions of the signed-in user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await tokenService.revokeAllSessions(req.user.userId, 'logout-all');
+    console.log('✅ User logged out from all devices:', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Logout-all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Roles of the signed-in user, the role the session is scoped to and the roles they may add
+router.get('/roles', authenticateToken, requirePermission(PERMISSIONS.PROFILE_READ), async (req, res) => {
+  try {
+    const userRoles = await databaseService.db.GetUserRoles(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Roles retrieved successfully',
       data: {
-        user: userResponse,
         roles: userRoles.map(r => ({
           id: r.id,
           name: r.role_name,
           description: r.description,
           assignedAt: r.assigned_at
         })),
-        token: token,
-        expiresIn: '24h'
+        activeRole: req.user.activeRole,
+        selfServiceRoles: SELF_SERVICE_ROLES
       }
     });
 
   } catch (error) {
-    console.error('❌ Login error:', error);
+    console.error('❌ Get roles error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error during login',
-      error: process.env.NODE_ENV === 'development' ? (error.message || error.toString()) : undefined
+      message: 'Internal server error',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Add a role to the own account (Customer, Tailor or Seller). Tailor/Seller send the same
+// businessInfo (and tailoringCategoriesWithDetailsArray) as signup when they have no business yet.
+// Returns a new access token carrying the role
+router.post('/roles', authenticateToken, requirePermission(PERMISSIONS.PROFILE_UPDATE), validationMiddleware.validateAddRole, async (req, res) => {
+  try {
+    const { roleName, businessInfo, tailoringCategoriesWithDetailsArray } = req.body;
+    const { addedRoles, business } = await roleService.addRole(req.user.userId, roleName, {
+      businessInfo,
+      tailoringCategoriesWithDetailsArray
+    });
+    const token = await tokenService.reissueAccessToken(req.user.sessionId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role added successfully',
+      data: {
+        addedRoles,
+        roles: token.roles.map(r => r.role_name),
+        activeRole: token.activeRole,
+        ...(business && { businessInfo: business }),
+        token: token.accessToken,
+        expiresIn: token.expiresIn
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Add role rejected:', error.message);
+      return sendAuthError(res, error);
+    }
+    console.error('❌ Add role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Remove a role from the own account; returns a new access token without it
+router.delete('/roles/:roleName', authenticateToken, requirePermission(PERMISSIONS.PROFILE_UPDATE), async (req, res) => {
+  try {
+    await roleService.removeRole(req.user.userId, req.params.roleName);
+    const token = await tokenService.reissueAccessToken(req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Role removed successfully',
+      data: {
+        roles: token.roles.map(r => r.role_name),
+        activeRole: token.activeRole,
+        token: token.accessToken,
+        expiresIn: token.expiresIn
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Remove role rejected:', error.message);
+      return sendAuthError(res, error);
+    }
+    console.error('❌ Remove role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Scope the session to one role ({ "roleName": "Tailor" }) or back to all roles ({ "roleName": null }).
+// Returns a new access token; later refreshes keep the choice
+router.post('/active-role', authenticateToken, validationMiddleware.validateActiveRole, async (req, res) => {
+  try {
+    const token = await tokenService.reissueAccessToken(req.user.sessionId, {
+      activeRole: req.body.roleName || null
+    });
+
+    res.json({
+      success: true,
+      message: token.activeRole ? `Switched to the ${token.activeRole} role` : 'Switched to all roles',
+      data: {
+        activeRole: token.activeRole,
+        roles: token.roles.map(r => r.role_name),
+        token: token.accessToken,
+        expiresIn: token.expiresIn
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Switch role rejected:', error.message);
+      return sendAuthError(res, error);
+    }
+    console.error('❌ Switch role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Change password (signed in). Every session is revoked; the response carries a new session
+// for the current device so the client stays signed in
+router.post('/change-password', authenticateToken, requirePermission(PERMISSIONS.PROFILE_UPDATE), validationMiddleware.validateChangePassword, async (req, res) => {
+  try {
+    console.log('🔄 Change password request for:', req.user.email);
+    const { currentPassword, newPassword } = req.body;
+
+    // An admin acting as the user must not take over the account
+    if (req.user.impersonatedBy) {
+      throw new AuthError('Passwords cannot be changed while impersonating a user', 403);
+    }
+
+    const user = await passwordService.changePassword(req.user.userId, currentPassword, newPassword);
+
+    const userRoles = await databaseService.db.GetUserRoles(user.id);
+    const session = await tokenService.createSession(user, userRoles, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. All other sessions have been signed out',
+      data: {
+        token: session.accessToken,
+        expiresIn: session.expiresIn,
+        refreshToken: session.refreshToken,
+        refreshTokenExpiresAt: session.refreshTokenExpiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Change password rejected:', error.message);
+      return sendAuthError(res, error);
+    }
+    console.error('❌ Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while changing password',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Forgot password: email a one-time reset link. Always answers the same way, whether or not
+// the email belongs to an account
+router.post('/forgot-password', allowPublic, validationMiddleware.validateForgotPassword, async (req, res) => {
+  try {
+    await passwordService.requestReset(req.body.email, { ipAddress: req.ip });
+  } catch (error) {
+    // Logged only: failures must not reveal whether the account exists
+    console.error('❌ Forgot password error:', error);
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+});
+
+// Reset password with the token from the reset link. Signs the user out everywhere
+router.post('/reset-password', allowPublic, validationMiddleware.validateResetPassword, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    await passwordService.resetPassword(token, newPassword);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Password reset rejected:', error.message);
+      return sendAuthError(res, error);
+    }
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while resetting password',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Verify an email address with the token from the verification link.
+// GET serves the link itself (?token=...), POST takes { token } from the client app
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.method === 'GET' ? req.query.token : req.body.token;
+    const { email, alreadyVerified } = await emailVerificationService.verifyEmail(token);
+
+    res.json({
+      success: true,
+      message: alreadyVerified ? 'Email address is already verified' : 'Email address verified. You can now log in',
+      data: {
+        email,
+        emailVerified: true
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Email verification rejected:', error.message);
+      return sendAuthError(res, error);
+    }
+    console.error('❌ Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while verifying email',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+};
+
+router.get('/verify-email', allowPublic, validationMiddleware.validateVerifyEmailQuery, verifyEmail);
+router.post('/verify-email', allowPublic, validationMiddleware.validateVerifyEmail, verifyEmail);
+
+// Send a new verification link. Answers the same way whether or not the email belongs to an
+// unverified account (only the resend cooldown is reported)
+router.post('/verify-email/resend', allowPublic, validationMiddleware.validateResendVerification, async (req, res) => {
+  try {
+    await emailVerificationService.resendVerification(req.body.email);
+
+    res.json({
+      success: true,
+      message: 'If this email belongs to an unverified account, a new verification link has been sent'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Verification resend rejected:', error.message);
+      return sendAuthError(res, error);
+    }
+    console.error('❌ Verification resend error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while sending verification email',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
     });
   }
 });
 
-// Get all users from database (Protected route - requires authentication)
-router.get('/users', authenticateToken, async (req, res) => {
+// Login audit log (admin): newest attempts first, filtered by email, IP, user, outcome and time
+router.get('/login-attempts', authenticateToken, requirePermission(PERMISSIONS.USERS_READ), validationMiddleware.validateLoginAttemptsQuery, async (req, res) => {
+  try {
+    // Sanitized values (Express 5 re-parses req.query on every read)
+    const { email, ipAddress, userId, failedOnly, since, limit } = matchedData(req, { locations: ['query'] });
+    const attempts = await databaseService.db.GetLoginAttempts({
+      identifier: email,
+      ipAddress,
+      userId,
+      failedOnly,
+      since,
+      limit: limit || 100
+    });
+
+    res.json({
+      success: true,
+      message: 'Login attempts retrieved successfully',
+      count: attempts.length,
+      data: attempts
+    });
+
+  } catch (error) {
+    console.error('❌ Get login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Failure counters and lockouts of an email address and/or IP (admin)
+router.get('/login-lockouts', authenticateToken, requirePermission(PERMISSIONS.USERS_READ), validationMiddleware.validateLoginLockoutQuery, async (req, res) => {
+  try {
+    const { email, ipAddress } = matchedData(req, { locations: ['query'] });
+    const status = await loginThrottleService.getStatus({ email, ipAddress });
+
+    res.json({
+      success: true,
+      message: 'Login lockout status retrieved successfully',
+      data: status
+    });
+
+  } catch (error) {
+    console.error('❌ Get login lockout status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Clear the failures and lockout of an email address and/or IP (admin)
+router.post('/login-lockouts/unlock', authenticateToken, requirePermission(PERMISSIONS.USERS_MANAGE), validationMiddleware.validateUnlockLogin, async (req, res) => {
+  try {
+    const { email, ipAddress } = req.body;
+    await loginThrottleService.unlock({ email, ipAddress }, req.user.userId);
+
+    const users = email ? await databaseService.db.GetUserByEmail({ Email: email }) : [];
+    await userAdminService.recordAction(req.user, userAdminService.ACTIONS.LOGIN_UNLOCK, users && users[0] ? users[0].id : null, {
+      email: email || null,
+      ipAddress: ipAddress || null
+    }, { ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Login unlocked successfully',
+      data: await loginThrottleService.getStatus({ email, ipAddress })
+    });
+
+  } catch (error) {
+    console.error('❌ Unlock login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
+    });
+  }
+});
+
+// Get all users from database (admin). Prefer the paged search at GET /api/admin/users
+router.get('/users', authenticateToken, requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
   try {
     console.log('🔄 Retrieving all users from database...');
     
@@ -456,13 +786,15 @@ router.get('/users', authenticateToken, async (req, res) => {
     const result = await databaseService.db.SelectUsers();
     
     console.log('✅ Users retrieved from database successfully');
-    console.log('📊 Database result:', result);
+    
+    // Never return password hashes
+    const users = result.map(({ password: _, ...user }) => user);
     
     res.json({
       success: true,
       data: {
-        users: result,
-        count: result.length
+        users,
+        count: users.length
       }
     });
   } catch (error) {
@@ -470,33 +802,39 @@ router.get('/users', authenticateToken, async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
-// Get user by email (since we removed id field)
-router.get('/user/:email', (req, res) => {
+// Get user by email (admin)
+router.get('/user/:email', authenticateToken, requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
   try {
     const { email } = req.params;
     console.log('🔄 Getting user by email:', email);
     
-    const user = users.find(u => u.email === email);
-    
-    if (!user) {
+    const users = await databaseService.db.GetUserByEmail({ Email: email });
+    if (!users || users.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
-    // User response (no password to remove)
-    const userResponse = user;
+    // Remove password from response
+    const { password: _, ...userResponse } = users[0];
+    const userRoles = await databaseService.db.GetUserRoles(userResponse.id);
 
     res.json({
       success: true,
       data: {
-        user: userResponse
+        user: userResponse,
+        roles: userRoles.map(r => ({
+          id: r.id,
+          name: r.role_name,
+          description: r.description,
+          assignedAt: r.assigned_at
+        }))
       }
     });
 
@@ -505,13 +843,13 @@ router.get('/user/:email', (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
     });
   }
 });
 
 // Protected route - Get current user profile (requires authentication)
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticateToken, requirePermission(PERMISSIONS.PROFILE_READ), async (req, res) => {
   try {
     console.log('🔄 Getting user profile for:', req.user.email);
     
@@ -542,17 +880,20 @@ router.get('/profile', authenticateToken, async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? (error.message || error.toString()) : undefined
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
     });
   }
 });
 
 // Protected route - Update user profile (requires authentication)
-router.put('/profile', authenticateToken, validationMiddleware.validateUserUpdate, async (req, res) => {
+router.put('/profile', authenticateToken, requirePermission(PERMISSIONS.PROFILE_UPDATE), validationMiddleware.validateUserUpdate, async (req, res) => {
   try {
     console.log('🔄 Updating user profile for:', req.user.email);
     const { firstName, lastName, phoneNumber } = req.body;
 
+    // The phone number signs the account in by OTP, so it cannot be one another account has
+    await otpService.assertPhoneNumberAvailable(phoneNumber, { userId: req.user.userId });
+
     // Update user in database
     const updateData = {
       firstName,
@@ -574,11 +915,15 @@ router.put('/profile', authenticateToken, validationMiddleware.validateUserUpdat
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Profile update rejected:', error.message);
+      return sendAuthError(res, error);
+    }
     console.error('❌ Update profile error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? (error.message || error.toString()) : undefined
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
     });
   }
 });
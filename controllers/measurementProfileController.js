@@ -0,0 +1,146 @@
+const express = require('express');
+const { matchedData } = require('express-validator');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { authorizeMeasurementProfile, authorizeSelf } = require('../middleware/policyMiddleware');
+const config = require('../config');
+const { PERMISSIONS } = require('../config/permissions');
+const measurementProfileService = require('../services/measurementProfileService');
+const { AppError } = require('../utils/appError');
+
+const router = express.Router();
+
+// Customer measurement profiles. Customers manage their own (and their family's) profiles;
+// admins can manage any customer's by passing customerId. Measurement boys save profiles through
+// POST /api/measurement-boy/submit-measurement and orders use them through createOrder.
+// Express 5 re-parses req.query on every read, so sanitized query values come from matchedData
+
+router.use(authenticateToken, requirePermission(PERMISSIONS.MEASUREMENT_PROFILES_MANAGE));
+
+// Send a rejected profile request, or a 500 for anything unexpected
+const sendError = (res, error, label) => {
+  if (error instanceof AppError) {
+    console.log(`❌ ${label} rejected:`, error.message);
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`❌ ${label} error:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: config.isDevelopment ? (error.message || error.toString()) : undefined
+  });
+};
+
+router.get('/', validationMiddleware.validateMeasurementProfilesQuery, authorizeSelf(req => req.query.customerId), async (req, res) => {
+  try {
+    const { customerId, itemType, includeArchived } = matchedData(req, { locations: ['query'] });
+    const profiles = await measurementProfileService.listProfiles(customerId || req.user.userId, {
+      itemType: itemType || null,
+      includeArchived: Boolean(includeArchived)
+    });
+
+    res.json({
+      success: true,
+      message: 'Measurement profiles retrieved successfully',
+      count: profiles.length,
+      data: profiles
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'List measurement profiles');
+  }
+});
+
+// New profile with its first measurements
+router.post('/', validationMiddleware.validateMeasurementProfile, authorizeSelf(req => req.body.customerId), async (req, res) => {
+  try {
+    const profile = await measurementProfileService.createProfile({
+      customerId: req.body.customerId || req.user.userId,
+      name: req.body.name,
+      itemType: req.body.itemType,
+      measurements: req.body.measurements,
+      notes: req.body.notes || null,
+      measuredBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Measurement profile created successfully',
+      data: profile
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Create measurement profile');
+  }
+});
+
+router.get('/:profileId', validationMiddleware.validateMeasurementProfileGet, authorizeMeasurementProfile(), async (req, res) => {
+  try {
+    const { version } = matchedData(req, { locations: ['query'] });
+    const profile = await measurementProfileService.getProfile(req.params.profileId, { versionNumber: version || null });
+
+    res.json({
+      success: true,
+      message: 'Measurement profile retrieved successfully',
+      data: profile
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Get measurement profile');
+  }
+});
+
+// Re-measure: the measurements become the profile's next version
+router.post('/:profileId/versions', validationMiddleware.validateMeasurementProfileVersion, authorizeMeasurementProfile(), async (req, res) => {
+  try {
+    const profile = await measurementProfileService.addVersion(req.params.profileId, {
+      measurements: req.body.measurements,
+      notes: req.body.notes || null,
+      measuredBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Measurement profile version added successfully',
+      data: profile
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Add measurement profile version');
+  }
+});
+
+router.put('/:profileId', validationMiddleware.validateMeasurementProfileRename, authorizeMeasurementProfile(), async (req, res) => {
+  try {
+    const profile = await measurementProfileService.renameProfile(req.params.profileId, req.body.name);
+
+    res.json({
+      success: true,
+      message: 'Measurement profile updated successfully',
+      data: profile
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Update measurement profile');
+  }
+});
+
+// Archive; order items made from the profile keep their measurements
+router.delete('/:profileId', validationMiddleware.validateMeasurementProfileId, authorizeMeasurementProfile(), async (req, res) => {
+  try {
+    await measurementProfileService.archiveProfile(req.params.profileId);
+
+    res.json({
+      success: true,
+      message: 'Measurement profile archived successfully'
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Archive measurement profile');
+  }
+});
+
+module.exports = router;
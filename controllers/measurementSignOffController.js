@@ -0,0 +1,118 @@
+const express = require('express');
+const { matchedData } = require('express-validator');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const { authenticateToken, requirePermission, allowPublic } = require('../middleware/authMiddleware');
+const { authorizeOrder, isAdmin } = require('../middleware/policyMiddleware');
+const config = require('../config');
+const { PERMISSIONS } = require('../config/permissions');
+const measurementSignOffService = require('../services/measurementSignOffService');
+const { AppError } = require('../utils/appError');
+
+const router = express.Router();
+
+// Customer sign-off on collected measurements. Customers approve or dispute each order item's
+// measurements in the app, or without logging in through the one-time link emailed when the
+// measurement visit is complete. Measurement boys can resend the link.
+// Express 5 re-parses req.query on every read, so sanitized query values come from matchedData
+
+// Send a rejected sign-off request, or a 500 for anything unexpected
+const sendError = (res, error, label) => {
+  if (error instanceof AppError) {
+    console.log(`❌ ${label} rejected:`, error.message);
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`❌ ${label} error:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: config.isDevelopment ? (error.message || error.toString()) : undefined
+  });
+};
+
+// Review through the emailed link; does not use the link up
+router.get('/link', allowPublic, validationMiddleware.validateMeasurementSignOffLinkQuery, async (req, res) => {
+  try {
+    const { token, unit } = matchedData(req, { locations: ['query'] });
+    const review = await measurementSignOffService.getReviewByLink(token, { unit: unit || null });
+
+    res.json({
+      success: true,
+      message: 'Measurements retrieved successfully',
+      data: review
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Get measurement sign-off by link');
+  }
+});
+
+// Decide through the emailed link; the link works once
+router.post('/link', allowPublic, validationMiddleware.validateMeasurementSignOffLink, async (req, res) => {
+  try {
+    const review = await measurementSignOffService.decideByLink(req.body.token, req.body.items);
+
+    res.json({
+      success: true,
+      message: 'Measurement sign-off recorded successfully',
+      data: review
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Measurement sign-off by link');
+  }
+});
+
+router.get('/orders/:orderId', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), validationMiddleware.validateMeasurementUnitQuery, authorizeOrder(), async (req, res) => {
+  try {
+    const { unit } = matchedData(req, { locations: ['query'] });
+    const review = await measurementSignOffService.getReview(req.params.orderId, { unit: unit || null });
+
+    res.json({
+      success: true,
+      message: 'Measurement sign-off retrieved successfully',
+      data: review
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Get measurement sign-off');
+  }
+});
+
+router.post('/orders/:orderId', authenticateToken, requirePermission(PERMISSIONS.MEASUREMENTS_SIGN_OFF), validationMiddleware.validateMeasurementSignOffDecision, authorizeOrder(), async (req, res) => {
+  try {
+    const review = await measurementSignOffService.decideInApp(req.params.orderId, req.body.items, {
+      userId: req.user.userId,
+      asAdmin: isAdmin(req.user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Measurement sign-off recorded successfully',
+      data: review
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Measurement sign-off');
+  }
+});
+
+// Email the customer a new sign-off link; earlier links stop working
+router.post('/orders/:orderId/link', authenticateToken, requirePermission(PERMISSIONS.MEASUREMENTS_SUBMIT), authorizeOrder(), async (req, res) => {
+  try {
+    const link = await measurementSignOffService.sendLink(req.params.orderId);
+
+    res.json({
+      success: true,
+      message: 'Measurement sign-off link sent successfully',
+      data: link
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Send measurement sign-off link');
+  }
+});
+
+module.exports = router;
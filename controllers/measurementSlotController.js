@@ -0,0 +1,154 @@
+const express = require('express');
+const { matchedData } = require('express-validator');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const config = require('../config');
+const { PERMISSIONS } = require('../config/permissions');
+const measurementSlotService = require('../services/measurementSlotService');
+const { AppError } = require('../utils/appError');
+
+const router = express.Router();
+
+// Measurement slot catalog. Anyone signed in can look up the open slots for an address;
+// schedules and closures are managed with measurement-slots:manage (Admin).
+// Express 5 re-parses req.query on every read, so sanitized query values come from matchedData
+
+router.use(authenticateToken);
+
+// Send a rejected slot request, or a 500 for anything unexpected
+const sendError = (res, error, label) => {
+  if (error instanceof AppError) {
+    console.log(`❌ ${label} rejected:`, error.message);
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`❌ ${label} error:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: config.isDevelopment ? (error.message || error.toString()) : undefined
+  });
+};
+
+// Open slots on a date for a measurement address: ?date=YYYY-MM-DD&pincode=&city=
+// (&includeUnavailable=true also lists full and closed slots). schedule is null when no
+// measurement team covers the address; orders there may ask for any slot
+router.get('/', requirePermission(PERMISSIONS.AVAILABILITY_READ), validationMiddleware.validateMeasurementSlotsQuery, async (req, res) => {
+  try {
+    const { date, pincode, city, includeUnavailable } = matchedData(req, { locations: ['query'] });
+    const result = await measurementSlotService.findSlots({
+      date,
+      pincode,
+      city: city || null,
+      openOnly: !includeUnavailable
+    });
+
+    res.json({
+      success: true,
+      message: result.schedule
+        ? `${result.slots.length} measurement slots found`
+        : 'No measurement team covers this address',
+      data: { date, ...result }
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Get measurement slots');
+  }
+});
+
+// Schedules, optionally for one city: ?city=
+router.get('/schedules', requirePermission(PERMISSIONS.MEASUREMENT_SLOTS_MANAGE), async (req, res) => {
+  try {
+    const city = typeof req.query.city === 'string' && req.query.city.trim() ? req.query.city.trim() : null;
+    const schedules = await measurementSlotService.listSchedules({ city });
+
+    res.json({
+      success: true,
+      message: 'Measurement slot schedules retrieved successfully',
+      data: schedules
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'List measurement slot schedules');
+  }
+});
+
+router.get('/schedules/:scheduleId', requirePermission(PERMISSIONS.MEASUREMENT_SLOTS_MANAGE), validationMiddleware.validateMeasurementSlotScheduleId, async (req, res) => {
+  try {
+    const schedule = await measurementSlotService.getSchedule(req.params.scheduleId);
+
+    res.json({
+      success: true,
+      message: 'Measurement slot schedule retrieved successfully',
+      data: schedule
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Get measurement slot schedule');
+  }
+});
+
+router.post('/schedules', requirePermission(PERMISSIONS.MEASUREMENT_SLOTS_MANAGE), validationMiddleware.validateMeasurementSlotSchedule, async (req, res) => {
+  try {
+    const schedule = await measurementSlotService.createSchedule(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Measurement slot schedule created successfully',
+      data: schedule
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Create measurement slot schedule');
+  }
+});
+
+// Fields left out keep their value; pincodes replaces the whole list
+router.put('/schedules/:scheduleId', requirePermission(PERMISSIONS.MEASUREMENT_SLOTS_MANAGE), validationMiddleware.validateMeasurementSlotScheduleUpdate, async (req, res) => {
+  try {
+    const schedule = await measurementSlotService.updateSchedule(req.params.scheduleId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Measurement slot schedule updated successfully',
+      data: schedule
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Update measurement slot schedule');
+  }
+});
+
+// Close a date (holiday, team off) or a single slot of it
+router.post('/schedules/:scheduleId/closures', requirePermission(PERMISSIONS.MEASUREMENT_SLOTS_MANAGE), validationMiddleware.validateMeasurementSlotClosure, async (req, res) => {
+  try {
+    const closure = await measurementSlotService.addClosure(req.params.scheduleId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Measurement slot closure added successfully',
+      data: closure
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Add measurement slot closure');
+  }
+});
+
+router.delete('/schedules/:scheduleId/closures/:closureId', requirePermission(PERMISSIONS.MEASUREMENT_SLOTS_MANAGE), validationMiddleware.validateMeasurementSlotClosureParams, async (req, res) => {
+  try {
+    await measurementSlotService.removeClosure(req.params.scheduleId, req.params.closureId);
+
+    res.json({
+      success: true,
+      message: 'Measurement slot closure removed successfully'
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Remove measurement slot closure');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const { authenticateToken, requirePermission, allowPublic } = require('../middleware/authMiddleware');
+const config = require('../config');
+const { PERMISSIONS } = require('../config/permissions');
+const measurementTemplateService = require('../services/measurementTemplateService');
+const { AppError } = require('../utils/appError');
+
+const router = express.Router();
+
+// Measurement templates of the tailor items (GET /api/tailor-items). Reading them is public like
+// the items themselves; changing one needs measurement-templates:manage (Admin)
+
+// Send a rejected template request, or a 500 for anything unexpected
+const sendError = (res, error, label) => {
+  if (error instanceof AppError) {
+    console.log(`❌ ${label} rejected:`, error.message);
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`❌ ${label} error:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: config.isDevelopment ? (error.message || error.toString()) : undefined
+  });
+};
+
+router.get('/', allowPublic, async (req, res) => {
+  try {
+    const templates = await measurementTemplateService.listTemplates();
+
+    res.json({
+      success: true,
+      message: 'Measurement templates retrieved successfully',
+      count: templates.length,
+      data: templates
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'List measurement templates');
+  }
+});
+
+router.get('/:itemId', allowPublic, validationMiddleware.validateMeasurementTemplateItemId, async (req, res) => {
+  try {
+    const template = await measurementTemplateService.getTemplate(req.params.itemId);
+
+    res.json({
+      success: true,
+      message: 'Measurement template retrieved successfully',
+      data: template
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Get measurement template');
+  }
+});
+
+// Replace the item's fields; an empty list lets the item take any measurement keys again
+router.put('/:itemId', authenticateToken, requirePermission(PERMISSIONS.MEASUREMENT_TEMPLATES_MANAGE), validationMiddleware.validateMeasurementTemplate, async (req, res) => {
+  try {
+    const template = await measurementTemplateService.saveTemplate(req.params.itemId, req.body.fields, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Measurement template saved successfully',
+      data: template
+    });
+
+  } catch (error) {
+    return sendError(res, error, 'Save measurement template');
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,57 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { matchedData } = require('express-validator');
+const config = require('../config');
+const { authenticateToken, requireRole, requirePermission } = require('../middleware/authMiddleware');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const { handleMeasurementUpload } = require('../middleware/uploadMiddleware');
+const { ROLES, PERMISSIONS, getRoleNames } = require('../config/permissions');
+const {
+  isAdmin,
+  canAccessOrder,
+  authorizeOrder,
+  authorizeOrderItem,
+  authorizeDeliveryAddress,
+  authorizeSelf,
+  authorizeBusiness
+} = require('../middleware/policyMiddleware');
 const databaseService = require('../services/databaseService');
+const measurementAssignmentService = require('../services/measurementAssignmentService');
+const measurementDispatchService = require('../services/measurementDispatchService');
+const { DISPATCH_RESULT } = require('../services/measurementDispatchService');
+const measurementSlotService = require('../services/measurementSlotService');
+const measurementTemplateService = require('../services/measurementTemplateService');
+const measurementProfileService = require('../services/measurementProfileService');
+const measurementUnitService = require('../services/measurementUnitService');
+const measurementHistoryService = require('../services/measurementHistoryService');
+const measurementAttachmentService = require('../services/measurementAttachmentService');
+const { ATTACHMENT_TYPES } = require('../services/measurementAttachmentService');
+const measurementSignOffService = require('../services/measurementSignOffService');
+const orderStatusService = require('../services/orderStatusService');
+const { ORDER_ITEM_STATUS } = require('../services/orderStatusService');
+const { MEASUREMENT_UNITS } = require('../services/measurementUnitService');
+const { AppError } = require('../utils/appError');
 const router = express.Router();
 
-// Create a new order with order items
-router.post('/createOrder', authenticateToken, async (req, res) => {
+// Send a rejected order status or delete request, or a 500 for anything unexpected
+const sendStatusError = (res, error, label) => {
+  if (error instanceof AppError) {
+    console.log(`❌ ${label} rejected:`, error.message);
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`❌ Error: ${label}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `${label} failed`,
+    error: config.isDevelopment ? error.message : undefined
+  });
+};
+
+// Create a new order with order items. Existing addresses (deliveryAddressId, measurementAddressId)
+// must belong to the user
+router.post('/createOrder', authenticateToken, requirePermission(PERMISSIONS.ORDERS_CREATE), authorizeSelf(req => req.body.customerId), authorizeDeliveryAddress(req => req.body.deliveryAddressId), authorizeDeliveryAddress(req => req.body.measurementAddressId), async (req, res) => {
   try {
     console.log('🔄 Create order request received');
     const {
@@ -57,45 +104,8 @@ router.post('/createOrder', authenticateToken, async (req, res) => {
       updatedAt: new Date().toISOString()
     };
 
-    console.log('📋 Order data:', orderData);
-    const orderResult = await databaseService.db.InsertOrder(orderData);
-    const orderId = orderResult.orderId;
-
-    // Insert order items if provided
-    const insertedOrderItems = [];
-    if (orderItems && Array.isArray(orderItems) && orderItems.length > 0) {
-      const currentTime = new Date().toISOString();
-      for (const item of orderItems) {
-        // itemTotal is a computed column in the database, so we don't include it in INSERT
-        const orderItemData = {
-          orderId,
-          itemType: item.itemType || null,
-          productCode: item.productCode || null,
-          description: item.description || null,
-          shopId: item.shopId || null,
-          tailorId: item.tailorId || null,
-          quantity: item.quantity || 1,
-          unit: item.unit || null,
-          unitPrice: item.unitPrice || 0,
-          status: item.status || 'Pending',
-          notes: item.notes || null,
-          measurementDate: item.measurementDate || null,
-          measurementSlot: (item.measurementSlot && item.measurementSlot.time) ? item.measurementSlot.time : (item.measurementSlot || null),
-          stitchingDate: item.stitchingDate || null,
-          createdAt: currentTime,
-          updatedAt: currentTime
-        };
-
-        const itemResult = await databaseService.db.InsertOrderItem(orderItemData);
-        insertedOrderItems.push({
-          orderItemId: itemResult.orderItemId,
-          ...orderItemData
-        });
-      }
-    }
-
     // Helper function to handle address creation/mapping
-    const handleAddress = async (addressId, addressObject, addressType, addressName) => {
+    const handleAddress = async (tx, orderId, addressId, addressObject, addressType, addressName) => {
       let finalAddressId = null;
       
       if (addressId) {
@@ -109,7 +119,7 @@ router.post('/createOrder', authenticateToken, async (req, res) => {
           deliveryAddressType: addressType || null
         };
         
-        await databaseService.db.InsertOrderDeliveryAddressMapping(mappingData);
+        await tx.InsertOrderDeliveryAddressMapping(mappingData);
         
       } else if (addressObject) {
         // Create new address (without orderId, as it's now in mapping table)
@@ -135,11 +145,13 @@ router.post('/createOrder', authenticateToken, async (req, res) => {
         // Validate required fields
         if (!addressData.fullName || !addressData.phoneNumber || !addressData.addressLine1 || 
             !addressData.city || !addressData.state || !addressData.pincode) {
-          throw new Error(`${addressName} address requires: fullName, phoneNumber, addressLine1, city, state, pincode`);
+          const validationError = new Error(`${addressName} address requires: fullName, phoneNumber, addressLine1, city, state, pincode`);
+          validationError.statusCode = 400;
+          throw validationError;
         }
 
         // Insert address (without orderId)
-        const addressResult = await databaseService.db.InsertDeliveryAddress(addressData);
+        const addressResult = await tx.InsertDeliveryAddress(addressData);
         finalAddressId = addressResult.deliveryAddressId;
         
         // Create mapping entry
@@ -149,40 +161,130 @@ router.post('/createOrder', authenticateToken, async (req, res) => {
           deliveryAddressType: addressType || null
         };
         
-        await databaseService.db.InsertOrderDeliveryAddressMapping(mappingData);
+        await tx.InsertOrderDeliveryAddressMapping(mappingData);
       }
       
       return finalAddressId;
     };
 
-    // Handle delivery address
+    // Order, items, addresses and mappings are written as one unit - any failure rolls all of them back
+    let orderId;
+    let measuredFromProfiles = false;
     try {
-      await handleAddress(
-        deliveryAddressId,
-        deliveryAddress,
-        deliveryAddressType,
-        'delivery'
+      // Items made from a saved measurement profile (measurementProfileId) get its measurements
+      const profileAttachments = await measurementProfileService.planAttachments(
+        customerId,
+        Array.isArray(orderItems) ? orderItems : []
       );
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        message: error.message
+
+      orderId = await databaseService.transaction(async (tx) => {
+        // Where a measurement team covers the measurement address, item slots must be open slots
+        // of its catalog; they are checked and booked in this transaction
+        let slotPlan = null;
+        const slotAddress = measurementAddressId
+          ? await tx.GetDeliveryAddressById(measurementAddressId)
+          : measurementAddress;
+        if (slotAddress && slotAddress.pincode) {
+          slotPlan = await measurementSlotService.planBookings(
+            { pincode: slotAddress.pincode, city: slotAddress.city || null },
+            Array.isArray(orderItems) ? orderItems : []
+          );
+        }
+
+        console.log('📋 Order data:', orderData);
+        const orderResult = await tx.InsertOrder(orderData);
+        const newOrderId = orderResult.orderId;
+
+        // Insert order items if provided
+        if (orderItems && Array.isArray(orderItems) && orderItems.length > 0) {
+          const currentTime = new Date().toISOString();
+          for (const [index, item] of orderItems.entries()) {
+            // itemTotal is a computed column in the database, so we don't include it in INSERT
+            const orderItemData = {
+              orderId: newOrderId,
+              itemType: item.itemType || null,
+              productCode: item.productCode || null,
+              description: item.description || null,
+              shopId: item.shopId || null,
+              tailorId: item.tailorId || null,
+              quantity: item.quantity || 1,
+              unit: item.unit || null,
+              unitPrice: item.unitPrice || 0,
+              status: ORDER_ITEM_STATUS.PLACED,
+              notes: item.notes || null,
+              measurementDate: item.measurementDate || null,
+              measurementSlot: (slotPlan && slotPlan.slotLabels[index])
+                || ((item.measurementSlot && item.measurementSlot.time) ? item.measurementSlot.time : (item.measurementSlot || null)),
+              stitchingDate: item.stitchingDate || null,
+              measurementProfileVersionId: profileAttachments[index] ? profileAttachments[index].versionId : null,
+              createdAt: currentTime,
+              updatedAt: currentTime
+            };
+
+            const { orderItemId } = await tx.InsertOrderItem(orderItemData);
+            await orderStatusService.recordInitialStatus(orderItemId, orderItemData.status, { changedBy: req.user.userId });
+
+            if (profileAttachments[index]) {
+              const { profileId, versionNumber, values } = profileAttachments[index];
+              for (const { measurementKey, measurementValue } of values) {
+                const stored = measurementUnitService.normalize(measurementValue);
+                const { measurementId } = await tx.InsertMeasurement({ orderItemId, measurementKey, ...stored, notes: null });
+                await measurementHistoryService.recordChange({
+                  measurementId,
+                  orderItemId,
+                  measurementKey,
+                  current: stored,
+                  reason: `From measurement profile ${profileId} version ${versionNumber}`,
+                  changedBy: req.user.userId
+                });
+              }
+            }
+          }
+
+          // Measured from profiles alone: nothing is left for a home visit
+          if (profileAttachments.some(Boolean) && await tx.CheckAllMeasurementsDone(newOrderId)) {
+            await tx.UpdateOrderItemsMeasurementDone(newOrderId);
+            await orderStatusService.advanceOrder(newOrderId, ORDER_ITEM_STATUS.MEASURED, {
+              changedBy: req.user.userId,
+              reason: 'Measured from measurement profiles'
+            });
+            measuredFromProfiles = true;
+          }
+        }
+
+        // Handle delivery address
+        await handleAddress(tx, newOrderId, deliveryAddressId, deliveryAddress, deliveryAddressType, 'delivery');
+
+        // Handle measurement address
+        await handleAddress(tx, newOrderId, measurementAddressId, measurementAddress, measurementAddressType, 'measurement');
+
+        if (slotPlan) {
+          await measurementSlotService.bookSlots(newOrderId, slotPlan);
+        }
+
+        return newOrderId;
       });
+    } catch (error) {
+      // Address and slot failures are client errors; the transaction has already been rolled back
+      if (error instanceof AppError || error.statusCode === 400) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
     }
 
-    // Handle measurement address
-    try {
-      await handleAddress(
-        measurementAddressId,
-        measurementAddress,
-        measurementAddressType,
-        'measurement'
-      );
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        message: error.message
-      });
+    // Send a measurement boy when the order has a measurement address and still needs measuring.
+    // Best effort: the order is placed either way and unassigned orders can still be assigned by hand
+    let measurementAssignment = null;
+    if (config.measurements.autoDispatch && (measurementAddressId || measurementAddress) && !measuredFromProfiles) {
+      try {
+        const dispatch = await measurementDispatchService.dispatchOrder(orderId);
+        measurementAssignment = dispatch.assignment;
+      } catch (error) {
+        console.error('⚠️ Error dispatching measurement boy for order:', orderId, error);
+      }
     }
 
     // Get all addresses for this order
@@ -198,7 +300,8 @@ router.post('/createOrder', authenticateToken, async (req, res) => {
       data: {
         order: createdOrder,
         orderItems: orderItemsList,
-        deliveryAddresses: deliveryAddressData
+        deliveryAddresses: deliveryAddressData,
+        measurementAssignment
       }
     });
 
@@ -207,13 +310,14 @@ router.post('/createOrder', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to create order',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Get order by ID with order items
-router.get('/orders/:orderId', authenticateToken, async (req, res) => {
+// ?unit=in|cm returns the measurements in that unit
+router.get('/orders/:orderId', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), validationMiddleware.validateMeasurementUnitQuery, authorizeOrder(), async (req, res) => {
   try {
     const { orderId } = req.params;
     console.log('🔄 Get order by ID request received:', orderId);
@@ -228,7 +332,8 @@ router.get('/orders/:orderId', authenticateToken, async (req, res) => {
     }
 
     // Get order items
-    const orderItems = await databaseService.db.GetOrderItemsByOrderId(orderId);
+    const { unit } = matchedData(req, { locations: ['query'] });
+    const orderItems = measurementUnitService.convertOrderItems(await databaseService.db.GetOrderItemsByOrderId(orderId), unit);
     
     // Get delivery addresses (array)
     const deliveryAddresses = await databaseService.db.GetDeliveryAddressByOrderId(orderId);
@@ -237,7 +342,7 @@ router.get('/orders/:orderId', authenticateToken, async (req, res) => {
       success: true,
       message: 'Order retrieved successfully',
       data: {
-        order,
+        order: { ...order, orderStatus: orderStatusService.deriveOrderStatus(orderItems) },
         orderItems,
         deliveryAddresses
       }
@@ -248,13 +353,13 @@ router.get('/orders/:orderId', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get order',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Get all orders
-router.get('/orders', authenticateToken, async (req, res) => {
+router.get('/orders', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ_ALL), async (req, res) => {
   try {
     console.log('🔄 Get all orders request received');
     
@@ -279,15 +384,16 @@ router.get('/orders', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get orders',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
-// Get orders by customer ID
-router.get('/orders/customer/:customerId', authenticateToken, async (req, res) => {
+// Get orders by customer ID (?unit=in|cm for the measurements)
+router.get('/orders/customer/:customerId', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), validationMiddleware.validateMeasurementUnitQuery, authorizeSelf('customerId'), async (req, res) => {
   try {
     const { customerId } = req.params;
+    const { unit } = matchedData(req, { locations: ['query'] });
     console.log('🔄 Get orders by customer ID request received:', customerId);
 
     const orders = await databaseService.db.GetOrdersByCustomerId(customerId);
@@ -295,10 +401,11 @@ router.get('/orders/customer/:customerId', authenticateToken, async (req, res) =
     // Get order items and delivery addresses for each order
     const ordersWithItems = await Promise.all(
       orders.map(async (order) => {
-        const orderItems = await databaseService.db.GetOrderItemsByOrderId(order.orderId);
+        const orderItems = measurementUnitService.convertOrderItems(await databaseService.db.GetOrderItemsByOrderId(order.orderId), unit);
         const deliveryAddresses = await databaseService.db.GetDeliveryAddressByOrderId(order.orderId);
         return {
           ...order,
+          orderStatus: orderStatusService.deriveOrderStatus(orderItems),
           orderItems,
           deliveryAddresses
         };
@@ -317,13 +424,17 @@ router.get('/orders/customer/:customerId', authenticateToken, async (req, res) =
     return res.status(500).json({
       success: false,
       message: 'Failed to get customer orders',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
+// Fields of an order only an admin may change: who it belongs to and what it costs and has paid
+// (no payment flow writes them yet)
+const ADMIN_ORDER_FIELDS = ['customerId', 'totalAmount', 'paymentStatus', 'advancePaid'];
+
 // Update order
-router.put('/orders/:orderId', authenticateToken, async (req, res) => {
+router.put('/orders/:orderId', authenticateToken, requirePermission(PERMISSIONS.ORDERS_UPDATE), authorizeOrder('orderId', { write: true }), async (req, res) => {
   try {
     const { orderId } = req.params;
     const {
@@ -339,6 +450,15 @@ router.put('/orders/:orderId', authenticateToken, async (req, res) => {
 
     console.log('🔄 Update order request received:', orderId);
 
+    const adminFields = ADMIN_ORDER_FIELDS.filter(field => req.body[field] !== undefined);
+    if (adminFields.length > 0 && !isAdmin(req.user)) {
+      console.log(`❌ User ${req.user.userId} denied changing ${adminFields.join(', ')} of order ${orderId}`);
+      return res.status(403).json({
+        success: false,
+        message: `Only an admin can change ${adminFields.join(', ')} of an order`
+      });
+    }
+
     // Build update object - only include fields that are provided
     const updateData = {};
     if (customerId !== undefined) updateData.customerId = customerId;
@@ -384,47 +504,34 @@ router.put('/orders/:orderId', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to update order',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Delete order
-router.delete('/orders/:orderId', authenticateToken, async (req, res) => {
+router.delete('/orders/:orderId', authenticateToken, requirePermission(PERMISSIONS.ORDERS_DELETE), authorizeOrder('orderId', { write: true }), async (req, res) => {
   try {
     const { orderId } = req.params;
     console.log('🔄 Delete order request received:', orderId);
 
-    // Note: This will delete the order, but order items should be deleted separately
-    // or handled by database cascade delete if configured
-    const result = await databaseService.db.DeleteOrder(orderId);
+    // Only while every item is still Placed; later orders are cancelled through their status
+    await orderStatusService.deleteOrder(orderId);
 
-    if (result && result.rowsAffected && result.rowsAffected[0] > 0) {
-      return res.status(200).json({
-        success: true,
-        message: 'Order deleted successfully'
-      });
-    } else {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found'
-      });
-    }
+    return res.status(200).json({
+      success: true,
+      message: 'Order deleted successfully'
+    });
 
   } catch (error) {
-    console.error('❌ Error deleting order:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to delete order',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    return sendStatusError(res, error, 'Delete order');
   }
 });
 
 // ==================== OrderItem Routes ====================
 
 // Create order item
-router.post('/orders/:orderId/items', authenticateToken, async (req, res) => {
+router.post('/orders/:orderId/items', authenticateToken, requirePermission(PERMISSIONS.ORDERS_UPDATE), authorizeOrder('orderId', { write: true }), async (req, res) => {
   try {
     const { orderId } = req.params;
     const {
@@ -436,7 +543,6 @@ router.post('/orders/:orderId/items', authenticateToken, async (req, res) => {
       quantity,
       unit,
       unitPrice,
-      status,
       notes,
       measurementDate,
       measurementSlot,
@@ -466,7 +572,7 @@ router.post('/orders/:orderId/items', authenticateToken, async (req, res) => {
       quantity: quantity || 1,
       unit: unit || null,
       unitPrice: unitPrice || 0,
-      status: status || 'Pending',
+      status: await orderStatusService.getInitialStatus(orderId),
       notes: notes || null,
       measurementDate: measurementDate || null,
       measurementSlot: measurementSlot || null,
@@ -475,7 +581,15 @@ router.post('/orders/:orderId/items', authenticateToken, async (req, res) => {
       updatedAt: new Date().toISOString()
     };
 
-    const result = await databaseService.db.InsertOrderItem(orderItemData);
+    const result = await databaseService.transaction(async () => {
+      // A slot of the measurement team's catalog is checked and booked as at order creation
+      if (measurementDate || measurementSlot) {
+        orderItemData.measurementSlot = await measurementSlotService.bookItemSlot(orderId, { measurementDate, measurementSlot });
+      }
+      const inserted = await databaseService.db.InsertOrderItem(orderItemData);
+      await orderStatusService.recordInitialStatus(inserted.orderItemId, orderItemData.status, { changedBy: req.user.userId });
+      return inserted;
+    });
 
     // Get the created order item
     const orderItems = await databaseService.db.GetOrderItemsByOrderId(orderId);
@@ -488,22 +602,30 @@ router.post('/orders/:orderId/items', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Create order item rejected:', error.message);
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('❌ Error creating order item:', error);
     return res.status(500).json({
       success: false,
       message: 'Failed to create order item',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
-// Get order items by order ID
-router.get('/orders/:orderId/items', authenticateToken, async (req, res) => {
+// Get order items by order ID (?unit=in|cm for the measurements)
+router.get('/orders/:orderId/items', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), validationMiddleware.validateMeasurementUnitQuery, authorizeOrder(), async (req, res) => {
   try {
     const { orderId } = req.params;
+    const { unit } = matchedData(req, { locations: ['query'] });
     console.log('🔄 Get order items request received for order:', orderId);
 
-    const orderItems = await databaseService.db.GetOrderItemsByOrderId(orderId);
+    const orderItems = measurementUnitService.convertOrderItems(await databaseService.db.GetOrderItemsByOrderId(orderId), unit);
 
     return res.status(200).json({
       success: true,
@@ -517,13 +639,43 @@ router.get('/orders/:orderId/items', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get order items',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
+    });
+  }
+});
+
+// Measurement history of an order item: every value taken or corrected, who changed it, when and
+// why, oldest first (?measurementKey= for one measurement, ?unit=in|cm for the values)
+router.get('/orders/:orderId/items/:orderItemId/measurement-history', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), validationMiddleware.validateMeasurementHistoryQuery, authorizeOrder(), authorizeOrderItem(), async (req, res) => {
+  try {
+    const { orderItemId } = req.params;
+    const { measurementKey, unit } = matchedData(req, { locations: ['query'] });
+    console.log('🔄 Get measurement history request received for order item:', orderItemId);
+
+    const history = await measurementHistoryService.getHistory(orderItemId, {
+      measurementKey: measurementKey || null,
+      unit: unit || null
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Measurement history retrieved successfully',
+      count: history.length,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting measurement history:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get measurement history',
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Update order item
-router.put('/orders/:orderId/items/:orderItemId', authenticateToken, async (req, res) => {
+router.put('/orders/:orderId/items/:orderItemId', authenticateToken, requirePermission(PERMISSIONS.ORDERS_UPDATE), authorizeOrder(), authorizeOrderItem('orderItemId', { write: true }), async (req, res) => {
   try {
     const { orderId, orderItemId } = req.params;
     const {
@@ -544,6 +696,14 @@ router.put('/orders/:orderId/items/:orderItemId', authenticateToken, async (req,
 
     console.log('🔄 Update order item request received:', orderItemId);
 
+    // Status follows the order item lifecycle; it only changes through the status endpoint
+    if (status !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `Use POST /api/orders/${orderId}/items/${orderItemId}/status to change an order item's status`
+      });
+    }
+
     // Build update object - only include fields that are provided
     // Note: itemTotal is a computed column (quantity * unitPrice) in the database
     // It will be automatically recalculated when quantity or unitPrice changes
@@ -556,7 +716,6 @@ router.put('/orders/:orderId/items/:orderItemId', authenticateToken, async (req,
     if (quantity !== undefined) updateData.quantity = quantity;
     if (unit !== undefined) updateData.unit = unit;
     if (unitPrice !== undefined) updateData.unitPrice = unitPrice;
-    if (status !== undefined) updateData.status = status;
     if (notes !== undefined) updateData.notes = notes;
     if (measurementDate !== undefined) updateData.measurementDate = measurementDate;
     if (measurementSlot !== undefined) updateData.measurementSlot = measurementSlot;
@@ -569,7 +728,17 @@ router.put('/orders/:orderId/items/:orderItemId', authenticateToken, async (req,
       });
     }
 
-    const result = await databaseService.db.UpdateOrderItem(orderItemId, updateData);
+    const result = await databaseService.transaction(async () => {
+      // A changed slot is checked and booked as at order creation, and the old one released
+      if (measurementDate !== undefined || measurementSlot !== undefined) {
+        const current = await databaseService.db.GetOrderItemById(orderItemId);
+        updateData.measurementSlot = await measurementSlotService.bookItemSlot(orderId, {
+          measurementDate: measurementDate !== undefined ? measurementDate : current.measurementDate,
+          measurementSlot: measurementSlot !== undefined ? measurementSlot : current.measurementSlot
+        }, { previous: current });
+      }
+      return databaseService.db.UpdateOrderItem(orderItemId, updateData);
+    });
 
     if (result && result.rowsAffected && result.rowsAffected[0] > 0) {
       // Get updated order item
@@ -589,49 +758,45 @@ router.put('/orders/:orderId/items/:orderItemId', authenticateToken, async (req,
     }
 
   } catch (error) {
+    if (error instanceof AppError) {
+      console.log('❌ Update order item rejected:', error.message);
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('❌ Error updating order item:', error);
     return res.status(500).json({
       success: false,
       message: 'Failed to update order item',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Delete order item
-router.delete('/orders/:orderId/items/:orderItemId', authenticateToken, async (req, res) => {
+router.delete('/orders/:orderId/items/:orderItemId', authenticateToken, requirePermission(PERMISSIONS.ORDERS_UPDATE), authorizeOrder(), authorizeOrderItem('orderItemId', { write: true }), async (req, res) => {
   try {
-    const { orderItemId } = req.params;
+    const { orderId, orderItemId } = req.params;
     console.log('🔄 Delete order item request received:', orderItemId);
 
-    const result = await databaseService.db.DeleteOrderItem(orderItemId);
+    // Only while the item is still Placed; later items are cancelled through their status
+    await orderStatusService.deleteOrderItem(orderId, orderItemId);
 
-    if (result && result.rowsAffected && result.rowsAffected[0] > 0) {
-      return res.status(200).json({
-        success: true,
-        message: 'Order item deleted successfully'
-      });
-    } else {
-      return res.status(404).json({
-        success: false,
-        message: 'Order item not found'
-      });
-    }
+    return res.status(200).json({
+      success: true,
+      message: 'Order item deleted successfully'
+    });
 
   } catch (error) {
-    console.error('❌ Error deleting order item:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to delete order item',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    return sendStatusError(res, error, 'Delete order item');
   }
 });
 
 // ==================== DeliveryAddress Routes ====================
 
 // Get all delivery addresses for the current logged-in user (customer)
-router.get('/my-delivery-addresses', authenticateToken, async (req, res) => {
+router.get('/my-delivery-addresses', authenticateToken, requirePermission(PERMISSIONS.ADDRESSES_READ), async (req, res) => {
   try {
     const userId = req.user.userId;
     console.log('🔄 Get delivery addresses for current user:', userId);
@@ -650,13 +815,13 @@ router.get('/my-delivery-addresses', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get delivery addresses',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Get existing delivery addresses for a user (by userId parameter)
-router.get('/delivery-addresses/user/:userId', authenticateToken, async (req, res) => {
+router.get('/delivery-addresses/user/:userId', authenticateToken, requirePermission(PERMISSIONS.ADDRESSES_READ), authorizeSelf(), async (req, res) => {
   try {
     const { userId } = req.params;
     console.log('🔄 Get delivery addresses by user ID request received:', userId);
@@ -675,13 +840,13 @@ router.get('/delivery-addresses/user/:userId', authenticateToken, async (req, re
     return res.status(500).json({
       success: false,
       message: 'Failed to get delivery addresses',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Get delivery address by order ID
-router.get('/orders/:orderId/delivery-address', authenticateToken, async (req, res) => {
+router.get('/orders/:orderId/delivery-address', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), authorizeOrder(), async (req, res) => {
   try {
     const { orderId } = req.params;
     console.log('🔄 Get delivery address by order ID request received:', orderId);
@@ -707,13 +872,13 @@ router.get('/orders/:orderId/delivery-address', authenticateToken, async (req, r
     return res.status(500).json({
       success: false,
       message: 'Failed to get delivery address',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Create delivery address for an order
-router.post('/orders/:orderId/delivery-address', authenticateToken, async (req, res) => {
+router.post('/orders/:orderId/delivery-address', authenticateToken, requirePermission(PERMISSIONS.ADDRESSES_MANAGE), authorizeOrder('orderId', { write: true }), authorizeSelf(req => req.body.userId), async (req, res) => {
   try {
     const { orderId } = req.params;
     const {
@@ -787,13 +952,13 @@ router.post('/orders/:orderId/delivery-address', authenticateToken, async (req,
     return res.status(500).json({
       success: false,
       message: 'Failed to create delivery address',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Update delivery address
-router.put('/delivery-addresses/:deliveryAddressId', authenticateToken, async (req, res) => {
+router.put('/delivery-addresses/:deliveryAddressId', authenticateToken, requirePermission(PERMISSIONS.ADDRESSES_MANAGE), authorizeDeliveryAddress(), async (req, res) => {
   try {
     const { deliveryAddressId } = req.params;
     const {
@@ -859,13 +1024,13 @@ router.put('/delivery-addresses/:deliveryAddressId', authenticateToken, async (r
     return res.status(500).json({
       success: false,
       message: 'Failed to update delivery address',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Delete delivery address
-router.delete('/delivery-addresses/:deliveryAddressId', authenticateToken, async (req, res) => {
+router.delete('/delivery-addresses/:deliveryAddressId', authenticateToken, requirePermission(PERMISSIONS.ADDRESSES_MANAGE), authorizeDeliveryAddress(), async (req, res) => {
   try {
     const { deliveryAddressId } = req.params;
     console.log('🔄 Delete delivery address request received:', deliveryAddressId);
@@ -889,7 +1054,7 @@ router.delete('/delivery-addresses/:deliveryAddressId', authenticateToken, async
     return res.status(500).json({
       success: false,
       message: 'Failed to delete delivery address',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
@@ -897,34 +1062,18 @@ router.delete('/delivery-addresses/:deliveryAddressId', authenticateToken, async
 // ==================== Orders Per Day Routes ====================
 
 // Get orders based on logged-in user's role (Tailor or Seller)
-router.get('/my-orders', authenticateToken, async (req, res) => {
+router.get('/my-orders', authenticateToken, requireRole(ROLES.TAILOR, ROLES.SELLER), validationMiddleware.validateMeasurementUnitQuery, async (req, res) => {
   try {
     const userId = req.user.userId;
     const { date } = req.query; // Optional: filter by date
+    const { unit } = matchedData(req, { locations: ['query'] }); // Optional: measurements in in or cm
     
     console.log('🔄 Get my orders request received for user:', userId);
 
-    // Get user roles
-    const userRoles = await databaseService.db.GetUserRoles(userId);
-    
-    if (!userRoles || userRoles.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'User has no roles assigned'
-      });
-    }
-
-    // Check if user has Tailor or Seller role
-    const roleNames = userRoles.map(role => role.role_name);
-    const isTailor = roleNames.includes('Tailor') ;
-    const isSeller = roleNames.includes('Seller') ;
-
-    if (!isTailor && !isSeller) {
-      return res.status(403).json({
-        success: false,
-        message: 'User must have Tailor or Seller role to access orders'
-      });
-    }
+    // Roles come from the token; requireRole has already checked for Tailor or Seller
+    const roleNames = getRoleNames(req.user.roles);
+    const isTailor = roleNames.includes(ROLES.TAILOR);
+    const isSeller = roleNames.includes(ROLES.SELLER);
 
     // Get business information for the user
     const business = await databaseService.db.GetBusinessByUserId({ UserId: userId });
@@ -985,7 +1134,7 @@ router.get('/my-orders', authenticateToken, async (req, res) => {
         const allOrderItems = await databaseService.db.GetOrderItemsByOrderId(order.orderId);
         
         // Filter order items based on user's role
-        let filteredOrderItems = allOrderItems;
+        let filteredOrderItems = measurementUnitService.convertOrderItems(allOrderItems, unit);
 
         
         return {
@@ -1012,16 +1161,17 @@ router.get('/my-orders', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get orders',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Get order details for a specific date and business
-router.get('/orders-per-day/:businessId/details', authenticateToken, async (req, res) => {
+router.get('/orders-per-day/:businessId/details', authenticateToken, requirePermission(PERMISSIONS.BUSINESS_ORDERS_READ), validationMiddleware.validateMeasurementUnitQuery, authorizeBusiness(), async (req, res) => {
   try {
     const { businessId } = req.params;
     const { date } = req.query;
+    const { unit } = matchedData(req, { locations: ['query'] });
 
     console.log('🔄 Get order details by date request received:', { businessId, date });
 
@@ -1038,11 +1188,12 @@ router.get('/orders-per-day/:businessId/details', authenticateToken, async (req,
     // Get order items and delivery addresses for each order
     const ordersWithDetails = await Promise.all(
       orders.map(async (order) => {
-        const orderItems = await databaseService.db.GetOrderItemsByOrderId(order.orderId);
+        const orderItems = measurementUnitService.convertOrderItems(await databaseService.db.GetOrderItemsByOrderId(order.orderId), unit);
         const deliveryAddresses = await databaseService.db.GetDeliveryAddressByOrderId(order.orderId);
         
         return {
           ...order,
+          orderStatus: orderStatusService.deriveOrderStatus(orderItems),
           orderItems,
           deliveryAddresses
         };
@@ -1062,16 +1213,17 @@ router.get('/orders-per-day/:businessId/details', authenticateToken, async (req,
     return res.status(500).json({
       success: false,
       message: 'Failed to get order details',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
-// Get orders assigned to measurement boy
-router.get('/measurement-boy/orders', authenticateToken, async (req, res) => {
+// Get orders assigned to measurement boy (?unit=in|cm for the measurements)
+router.get('/measurement-boy/orders', authenticateToken, requireRole(ROLES.MEASUREMENT_BOY), validationMiddleware.validateMeasurementUnitQuery, async (req, res) => {
   try {
     const userId = req.user.userId;
     const { isOrderMeasurementDone } = req.query;
+    const { unit } = matchedData(req, { locations: ['query'] });
     
     // Convert query parameter to number or null
     let isOrderMeasurementDoneFilter = null;
@@ -1084,18 +1236,6 @@ router.get('/measurement-boy/orders', authenticateToken, async (req, res) => {
     
     console.log('🔄 Get measurement boy orders request received for user:', userId, 'filter:', isOrderMeasurementDoneFilter);
 
-    // Optional: Verify user has MeasurementBoy role
-    const userRoles = await databaseService.db.GetUserRoles(userId);
-    const roleNames = userRoles.map(role => role.role_name);
-    const isMeasurementBoy = roleNames.includes('MeasurementBoy');
-
-    if (!isMeasurementBoy) {
-      return res.status(403).json({
-        success: false,
-        message: 'User must have MeasurementBoy role to access this endpoint'
-      });
-    }
-
     // Get orders assigned to this measurement boy
     const orders = await databaseService.db.GetOrdersByMeasurementBoyId(userId, isOrderMeasurementDoneFilter);
 
@@ -1154,8 +1294,21 @@ router.get('/measurement-boy/orders', authenticateToken, async (req, res) => {
           } else {
             item.measurements = [];
           }
+          // Photos and sketches taken during the visit
+          if (typeof item.attachments === 'string') {
+            try {
+              item.attachments = JSON.parse(item.attachments);
+            } catch (error) {
+              console.error('❌ Error parsing attachments JSON:', error);
+              item.attachments = [];
+            }
+          }
+          if (!Array.isArray(item.attachments)) {
+            item.attachments = [];
+          }
           return item;
         });
+        orderItems = measurementUnitService.convertOrderItems(orderItems, unit);
       }
       
       return {
@@ -1203,16 +1356,18 @@ router.get('/measurement-boy/orders', authenticateToken, async (req, res) => {
     return res.status(500).json({
       success: false,
       message: 'Failed to get measurement boy orders',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
 
 // Submit measurements for an order item
-router.post('/measurement-boy/submit-measurement', authenticateToken, async (req, res) => {
+router.post('/measurement-boy/submit-measurement', authenticateToken, requireRole(ROLES.MEASUREMENT_BOY), async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { measurements } = req.body;
+    // saveProfile ({ profileId } or { name }) also saves the item's measurements as a customer
+    // measurement profile version
+    const { measurements, saveProfile } = req.body;
 
     console.log('🔄 Submit measurement request received for user:', userId);
     console.log('📋 Measurements payload:', measurements);
@@ -1225,7 +1380,9 @@ router.post('/measurement-boy/submit-measurement', authenticateToken, async (req
       });
     }
 
-    const { orderId, orderItemId, itemType, notes, ...measurementFields } = measurements;
+    // unit (in or cm) is the unit of values sent without one; they are stored in inches.
+    // reason is required when a value already taken is changed and is kept in the history
+    const { orderId, orderItemId, itemType, notes, unit, reason, ...measurementFields } = measurements;
 
     if (!orderItemId) {
       return res.status(400).json({
@@ -1234,15 +1391,44 @@ router.post('/measurement-boy/submit-measurement', authenticateToken, async (req
       });
     }
 
-    // Optional: Verify user has MeasurementBoy role
-    const userRoles = await databaseService.db.GetUserRoles(userId);
-    const roleNames = userRoles.map(role => role.role_name);
-    const isMeasurementBoy = roleNames.includes('MeasurementBoy');
+    // The item must belong to an order assigned to this measurement boy
+    const orderItem = await databaseService.db.GetOrderItemById(orderItemId);
+    if (!orderItem || (orderId && String(orderItem.orderId) !== String(orderId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order item not found'
+      });
+    }
 
-    if (!isMeasurementBoy) {
+    const { allowed } = await canAccessOrder(req.user, orderItem.orderId);
+    if (!allowed) {
       return res.status(403).json({
         success: false,
-        message: 'User must have MeasurementBoy role to submit measurements'
+        message: 'This order is not assigned to you'
+      });
+    }
+
+    try {
+      // Measurements are taken once the visit has started (admins may submit at any time)
+      if (!isAdmin(req.user)) {
+        await measurementAssignmentService.assertMeasuring(orderItem.orderId);
+      }
+      // Measurements in use for stitching stay as the customer approved them
+      measurementSignOffService.assertMeasurementsOpen(orderItem);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    if (unit !== undefined && !Object.values(MEASUREMENT_UNITS).includes(unit)) {
+      return res.status(400).json({
+        success: false,
+        message: `unit must be one of: ${Object.values(MEASUREMENT_UNITS).join(', ')}`
       });
     }
 
@@ -1255,110 +1441,193 @@ router.post('/measurement-boy/submit-measurement', authenticateToken, async (req
       });
     }
 
-    // Insert each measurement field as a separate record
-    const insertedMeasurements = [];
-    const errors = [];
-
-    for (const [measurementKey, measurementValue] of Object.entries(measurementFields)) {
-      // Skip empty values
-      if (measurementValue === null || measurementValue === undefined || measurementValue === '') {
-        continue;
+    // Check where the profile goes before anything is written
+    let profileTarget = null;
+    let customerId = null;
+    if (saveProfile) {
+      try {
+        customerId = (await databaseService.db.GetOrderById(orderItem.orderId)).customerId;
+        profileTarget = await measurementProfileService.resolveSaveTarget(customerId, orderItem.itemType, saveProfile);
+      } catch (error) {
+        if (error instanceof AppError) {
+          return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+          });
+        }
+        throw error;
       }
+    }
 
-      try {
-        const upperCaseKey = measurementKey.toUpperCase();
-        const parsedOrderItemId = parseInt(orderItemId);
-        
-        // Check if measurement already exists for this orderItemId and measurementKey
-        const existingMeasurement = await databaseService.db.GetMeasurementByOrderItemIdAndKey(
-          parsedOrderItemId,
-          upperCaseKey
-        );
+    // Items with a measurement template only take its keys, within range
+    const templateFields = await measurementTemplateService.getTemplateForItemType(orderItem.itemType);
+    const { values, errors: templateErrors } = measurementTemplateService.validateMeasurements(templateFields, measurementFields, { unit });
+    if (templateErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Measurements do not match the ${orderItem.itemType} measurement template`,
+        errors: templateErrors
+      });
+    }
+
+    // Values already taken that this submission changes are corrections and need a reason
+    const parsedOrderItemId = parseInt(orderItemId);
+    const existingMeasurements = await Promise.all(values.map(({ measurementKey }) =>
+      databaseService.db.GetMeasurementByOrderItemIdAndKey(parsedOrderItemId, measurementKey)
+    ));
+    const corrections = values
+      .map((value, index) => ({ ...value, existing: existingMeasurements[index] }))
+      .filter(({ existing, measurementValue }) => existing && existing.measurementValue !== measurementValue);
+    const correctionReason = typeof reason === 'string' ? reason.trim() : '';
+
+    if (correctionReason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'reason must be at most 500 characters'
+      });
+    }
+    if (corrections.length > 0 && correctionReason.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to change measurements that were already taken',
+        corrections: corrections.map(({ measurementKey, existing, measurementValue }) => ({
+          measurementKey,
+          previousValue: existing.measurementValue,
+          newValue: measurementValue
+        }))
+      });
+    }
+
+    // Insert each measurement field as a separate record; every change is recorded in the
+    // measurement history. The whole submission is one transaction: if any step fails nothing is
+    // kept and the measurement boy can submit again
+    const insertedMeasurements = await databaseService.transaction(async (tx) => {
+      const saved = [];
+
+      for (const [index, { measurementKey, measurementValue, numericValue, unit: storedUnit }] of values.entries()) {
+        const existingMeasurement = existingMeasurements[index];
+        const stored = { measurementValue, numericValue, unit: storedUnit };
 
-        if (existingMeasurement) {
+        if (existingMeasurement && existingMeasurement.measurementValue === measurementValue) {
+          // Same value again: only the notes can change
+          if (notes) {
+            await tx.UpdateMeasurement(existingMeasurement.measurementId, { ...stored, notes });
+          }
+          saved.push({
+            measurementId: existingMeasurement.measurementId,
+            measurementKey,
+            ...stored,
+            action: 'unchanged'
+          });
+        } else if (existingMeasurement) {
           // Update existing measurement
-          console.log(`📝 Updating existing measurement: orderItemId=${parsedOrderItemId}, key=${upperCaseKey}`);
-          const updateData = {
-            measurementValue: String(measurementValue),
-            notes: notes || null
-          };
-          
-          await databaseService.db.UpdateMeasurement(existingMeasurement.measurementId, updateData);
-          
-          insertedMeasurements.push({
+          console.log(`📝 Updating existing measurement: orderItemId=${parsedOrderItemId}, key=${measurementKey}`);
+          await tx.UpdateMeasurement(existingMeasurement.measurementId, { ...stored, notes: notes || null });
+          await measurementHistoryService.recordChange({
             measurementId: existingMeasurement.measurementId,
-            measurementKey: upperCaseKey,
-            measurementValue: measurementValue,
+            orderItemId: parsedOrderItemId,
+            measurementKey,
+            previous: existingMeasurement,
+            current: stored,
+            reason: correctionReason,
+            changedBy: userId
+          });
+
+          saved.push({
+            measurementId: existingMeasurement.measurementId,
+            measurementKey,
+            ...stored,
+            previousValue: existingMeasurement.measurementValue,
             action: 'updated'
           });
         } else {
           // Insert new measurement
-          console.log(`➕ Inserting new measurement: orderItemId=${parsedOrderItemId}, key=${upperCaseKey}`);
-          const measurementData = {
+          console.log(`➕ Inserting new measurement: orderItemId=${parsedOrderItemId}, key=${measurementKey}`);
+          const inserted = await tx.InsertMeasurement({
             orderItemId: parsedOrderItemId,
-            measurementKey: upperCaseKey,
-            measurementValue: String(measurementValue),
+            measurementKey,
+            ...stored,
             notes: notes || null
-          };
+          });
+          await measurementHistoryService.recordChange({
+            measurementId: inserted.measurementId,
+            orderItemId: parsedOrderItemId,
+            measurementKey,
+            current: stored,
+            reason: correctionReason || null,
+            changedBy: userId
+          });
 
-          const result = await databaseService.db.InsertMeasurement(measurementData);
-          insertedMeasurements.push({
-            measurementId: result.measurementId,
-            measurementKey: upperCaseKey,
-            measurementValue: measurementValue,
+          saved.push({
+            measurementId: inserted.measurementId,
+            measurementKey,
+            ...stored,
             action: 'inserted'
           });
         }
-      } catch (error) {
-        console.error(`❌ Error processing measurement ${measurementKey}:`, error);
-        errors.push({
-          measurementKey: measurementKey,
-          error: error.message
-        });
       }
-    }
 
-    if (insertedMeasurements.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No valid measurements were saved',
-        errors: errors
-      });
-    }
+      // Changed measurements need the customer's sign-off again
+      if (saved.some(({ action }) => action !== 'unchanged')) {
+        await measurementSignOffService.clearSignOff(parsedOrderItemId);
+      }
 
-    // Check if all measurements are done for the order and update order items
+      return saved;
+    });
+    const measurementsChanged = insertedMeasurements.some(({ action }) => action !== 'unchanged');
+
+    // Check if all measurements are done for the order (every required template key of every
+    // item) and update order items
     let allMeasurementsDone = false;
-    if (orderId) {
+    let missingMeasurementKeys = [];
+    try {
+      const parsedOrderId = parseInt(orderItem.orderId);
+      missingMeasurementKeys = await measurementTemplateService.getMissingKeys(orderItem.orderItemId);
+
+      // Check if all measurements are done for this order
+      allMeasurementsDone = await databaseService.db.CheckAllMeasurementsDone(parsedOrderId);
+
+      if (allMeasurementsDone) {
+        console.log(`✅ All measurements done for order ${parsedOrderId}, updating order items...`);
+        // Update all order items' isMeasurementDone to 1
+        await databaseService.db.UpdateOrderItemsMeasurementDone(parsedOrderId);
+        console.log(`✅ Updated all order items' isMeasurementDone to 1 for order ${parsedOrderId}`);
+        await orderStatusService.advanceOrder(parsedOrderId, ORDER_ITEM_STATUS.MEASURED, {
+          changedBy: userId,
+          reason: 'All measurements taken'
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error checking/updating order items measurement status:', error);
+      // Don't fail the request if this check fails, just log it
+    }
+
+    // Measured (or re-measured): email the customer a link to review and sign off
+    if (allMeasurementsDone && measurementsChanged) {
       try {
-        const parsedOrderId = parseInt(orderId);
-        if (!isNaN(parsedOrderId)) {
-          // Check if all measurements are done for this order
-          allMeasurementsDone = await databaseService.db.CheckAllMeasurementsDone(parsedOrderId);
-          
-          if (allMeasurementsDone) {
-            console.log(`✅ All measurements done for order ${parsedOrderId}, updating order items...`);
-            // Update all order items' isMeasurementDone to 1
-            await databaseService.db.UpdateOrderItemsMeasurementDone(parsedOrderId);
-            console.log(`✅ Updated all order items' isMeasurementDone to 1 for order ${parsedOrderId}`);
-          }
-        }
+        await measurementSignOffService.sendLink(orderItem.orderId);
       } catch (error) {
-        console.error('❌ Error checking/updating order items measurement status:', error);
-        // Don't fail the request if this check fails, just log it
+        console.error('⚠️ Warning: Failed to send measurement sign-off link:', error.message);
       }
     }
 
+    let measurementProfile = null;
+    if (profileTarget) {
+      measurementProfile = await measurementProfileService.saveFromOrderItem(orderItem, customerId, profileTarget, userId);
+    }
+
     return res.status(201).json({
       success: true,
       message: 'Measurements submitted successfully',
       data: {
-        orderId: orderId ? parseInt(orderId) : null,
+        orderId: parseInt(orderItem.orderId),
         orderItemId: parseInt(orderItemId),
-        itemType: itemType || null,
+        itemType: itemType || orderItem.itemType || null,
         totalMeasurements: insertedMeasurements.length,
         measurements: insertedMeasurements,
+        missingMeasurementKeys,
         allMeasurementsDone: allMeasurementsDone,
-        errors: errors.length > 0 ? errors : undefined
+        measurementProfile
       }
     });
 
@@ -1367,8 +1636,383 @@ router.post('/measurement-boy/submit-measurement', authenticateToken, async (req
     return res.status(500).json({
       success: false,
       message: 'Failed to submit measurements',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
+    });
+  }
+});
+
+// Upload photos or sketches for an order item during the measurement visit (multipart: images in
+// "attachments", optional attachmentType and caption). They are returned in the order item's
+// attachments wherever its measurements are
+router.post('/measurement-boy/orders/:orderId/items/:orderItemId/attachments', authenticateToken, requireRole(ROLES.MEASUREMENT_BOY), authorizeOrder(), authorizeOrderItem('orderItemId', { write: true }), handleMeasurementUpload, async (req, res) => {
+  const files = req.files || [];
+  try {
+    const { orderItemId } = req.params;
+    const attachmentType = req.body.attachmentType || ATTACHMENT_TYPES.PHOTO;
+    const caption = typeof req.body.caption === 'string' && req.body.caption.trim() ? req.body.caption.trim() : null;
+
+    console.log('🔄 Measurement attachment upload received for order item:', orderItemId, 'files:', files.length);
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one image is required in the attachments field'
+      });
+    }
+    if (!Object.values(ATTACHMENT_TYPES).includes(attachmentType) || (caption && caption.length > 500)) {
+      measurementAttachmentService.discardUploads(files);
+      return res.status(400).json({
+        success: false,
+        message: `attachmentType must be one of: ${Object.values(ATTACHMENT_TYPES).join(', ')}; caption must be at most 500 characters`
+      });
+    }
+
+    const orderItem = await databaseService.db.GetOrderItemById(orderItemId);
+    const attachments = await measurementAttachmentService.addAttachments(orderItem, files, {
+      attachmentType,
+      caption,
+      uploadedBy: req.user.userId
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Measurement attachments uploaded successfully',
+      data: {
+        orderId: orderItem.orderId,
+        orderItemId: orderItem.orderItemId,
+        attachments
+      }
+    });
+
+  } catch (error) {
+    measurementAttachmentService.discardUploads(files);
+    console.error('❌ Error uploading measurement attachments:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to upload measurement attachments',
+      error: config.isDevelopment ? error.message : undefined
+    });
+  }
+});
+
+// Delete an attachment the measurement boy uploaded
+router.delete('/measurement-boy/orders/:orderId/items/:orderItemId/attachments/:attachmentId', authenticateToken, requireRole(ROLES.MEASUREMENT_BOY), authorizeOrder(), authorizeOrderItem('orderItemId', { write: true }), async (req, res) => {
+  try {
+    const { orderItemId, attachmentId } = req.params;
+    await measurementAttachmentService.removeAttachment(orderItemId, attachmentId, req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Measurement attachment deleted successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('❌ Error deleting measurement attachment:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete measurement attachment',
+      error: config.isDevelopment ? error.message : undefined
+    });
+  }
+});
+
+// ==================== Measurement Boy Assignment Routes ====================
+
+// Send a rejected assignment request, or a 500 for anything unexpected
+const sendAssignmentError = (res, error, label) => {
+  if (error instanceof AppError) {
+    console.log(`❌ ${label} rejected:`, error.message);
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`❌ Error: ${label}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `${label} failed`,
+    error: config.isDevelopment ? error.message : undefined
+  });
+};
+
+// measurementBoyId from the request body as a positive integer, or null
+const parseMeasurementBoyId = (body) => {
+  const measurementBoyId = Number(body && body.measurementBoyId);
+  return Number.isInteger(measurementBoyId) && measurementBoyId > 0 ? measurementBoyId : null;
+};
+
+// Orders with a measurement address and no measurement boy yet.
+// Admins see every order, tailors the orders placed with their business
+router.get('/measurement-assignments/unassigned', authenticateToken, requirePermission(PERMISSIONS.MEASUREMENTS_ASSIGN), async (req, res) => {
+  try {
+    console.log('🔄 Get unassigned measurement orders request received for user:', req.user.userId);
+
+    let tailorId = null;
+    if (!isAdmin(req.user)) {
+      const business = await databaseService.db.GetBusinessByUserId({ UserId: req.user.userId });
+      if (!business || !business.businessId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Business information not found for this user'
+        });
+      }
+      tailorId = business.businessId;
+    }
+
+    const orders = await measurementAssignmentService.listUnassigned({ tailorId });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Unassigned measurement orders retrieved successfully',
+      data: {
+        totalOrders: orders.length,
+        orders
+      }
+    });
+
+  } catch (error) {
+    return sendAssignmentError(res, error, 'Get unassigned measurement orders');
+  }
+});
+
+// Get the measurement boy assignment of an order
+router.get('/orders/:orderId/measurement-boy', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), authorizeOrder(), async (req, res) => {
+  try {
+    const assignment = await measurementAssignmentService.getAssignment(req.params.orderId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Measurement boy assignment retrieved successfully',
+      data: assignment
+    });
+
+  } catch (error) {
+    return sendAssignmentError(res, error, 'Get measurement boy assignment');
+  }
+});
+
+// Assign a measurement boy to an order: { "measurementBoyId": 12 }
+router.post('/orders/:orderId/measurement-boy', authenticateToken, requirePermission(PERMISSIONS.MEASUREMENTS_ASSIGN), authorizeOrder(), async (req, res) => {
+  try {
+    const measurementBoyId = parseMeasurementBoyId(req.body);
+    if (!measurementBoyId) {
+      return res.status(400).json({
+        success: false,
+        message: 'measurementBoyId is required'
+      });
+    }
+
+    const assignment = await measurementAssignmentService.assign(req.params.orderId, measurementBoyId);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Measurement boy assigned successfully',
+      data: assignment
+    });
+
+  } catch (error) {
+    return sendAssignmentError(res, error, 'Assign measurement boy');
+  }
+});
+
+// Reassign the order to another measurement boy; the assignment starts over as Assigned
+router.put('/orders/:orderId/measurement-boy', authenticateToken, requirePermission(PERMISSIONS.MEASUREMENTS_ASSIGN), authorizeOrder(), async (req, res) => {
+  try {
+    const measurementBoyId = parseMeasurementBoyId(req.body);
+    if (!measurementBoyId) {
+      return res.status(400).json({
+        success: false,
+        message: 'measurementBoyId is required'
+      });
+    }
+
+    const { assignment, previousMeasurementBoyId } = await measurementAssignmentService.reassign(req.params.orderId, measurementBoyId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Measurement boy reassigned successfully',
+      data: {
+        ...assignment,
+        previousMeasurementBoyId
+      }
+    });
+
+  } catch (error) {
+    return sendAssignmentError(res, error, 'Reassign measurement boy');
+  }
+});
+
+// Measurement boys who could take the order's visit (same pincode or city, free slot, under
+// their daily capacity), best first - what auto-dispatch would pick from
+router.get('/orders/:orderId/measurement-boy/candidates', authenticateToken, requirePermission(PERMISSIONS.MEASUREMENTS_ASSIGN), authorizeOrder(), async (req, res) => {
+  try {
+    const { visit, candidates } = await measurementDispatchService.findCandidates(req.params.orderId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Measurement boy candidates retrieved successfully',
+      data: {
+        visit,
+        candidates
+      }
+    });
+
+  } catch (error) {
+    return sendAssignmentError(res, error, 'Get measurement boy candidates');
+  }
+});
+
+// Run auto-dispatch for an order that is still unassigned, e.g. after a measurement boy became available
+router.post('/orders/:orderId/measurement-boy/dispatch', authenticateToken, requirePermission(PERMISSIONS.MEASUREMENTS_ASSIGN), authorizeOrder(), async (req, res) => {
+  try {
+    const { result, assignment, visit } = await measurementDispatchService.dispatchOrder(req.params.orderId);
+
+    if (result === DISPATCH_RESULT.NO_MEASUREMENT_ADDRESS) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has no measurement address'
+      });
+    }
+    if (result === DISPATCH_RESULT.ALREADY_ASSIGNED) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order already has a measurement boy; reassign it instead',
+        data: assignment
+      });
+    }
+    if (result === DISPATCH_RESULT.NO_MEASUREMENT_BOY_AVAILABLE) {
+      return res.status(409).json({
+        success: false,
+        message: 'No measurement boy is available for this visit; assign one by hand',
+        data: { visit }
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Measurement boy dispatched successfully',
+      data: assignment
+    });
+
+  } catch (error) {
+    return sendAssignmentError(res, error, 'Dispatch measurement boy');
+  }
+});
+
+// The assigned measurement boy moves the order along: accept (Assigned -> Accepted),
+// start (Accepted -> Started) and complete (Started -> Completed)
+router.post('/measurement-boy/orders/:orderId/:action', authenticateToken, requireRole(ROLES.MEASUREMENT_BOY), async (req, res) => {
+  try {
+    const { orderId, action } = req.params;
+    console.log('🔄 Measurement boy', req.user.userId, 'assignment action', action, 'for order:', orderId);
+
+    const assignment = await measurementAssignmentService.transition(req.user.userId, orderId, action);
+
+    return res.status(200).json({
+      success: true,
+      message: `Assignment ${assignment.status.toLowerCase()} successfully`,
+      data: assignment
+    });
+
+  } catch (error) {
+    return sendAssignmentError(res, error, 'Update measurement assignment');
+  }
+});
+
+// ==================== Order Status Routes ====================
+
+// Order status (derived from its items) and each item's status with the moves the user can make
+router.get('/orders/:orderId/status', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), authorizeOrder(), async (req, res) => {
+  try {
+    const status = await orderStatusService.getStatus(req.user, req.params.orderId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Order status retrieved successfully',
+      data: status
+    });
+
+  } catch (error) {
+    return sendStatusError(res, error, 'Get order status');
+  }
+});
+
+// Move every item of the order to a status (e.g. Cancelled)
+router.post('/orders/:orderId/status', authenticateToken, requirePermission(PERMISSIONS.ORDER_STATUS_UPDATE), validationMiddleware.validateOrderStatusTransition, authorizeOrder(), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { status, reason } = req.body;
+    console.log('🔄 Order status change request received for order:', orderId, '->', status);
+
+    const orderStatus = await orderStatusService.transitionOrder(req.user, orderId, status, { reason: reason || null });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: orderStatus
+    });
+
+  } catch (error) {
+    return sendStatusError(res, error, 'Update order status');
+  }
+});
+
+// Move one order item along its lifecycle
+router.post('/orders/:orderId/items/:orderItemId/status', authenticateToken, requirePermission(PERMISSIONS.ORDER_STATUS_UPDATE), validationMiddleware.validateOrderStatusTransition, authorizeOrder(), authorizeOrderItem('orderItemId', { write: true }), async (req, res) => {
+  try {
+    const { orderId, orderItemId } = req.params;
+    const { status, reason } = req.body;
+    console.log('🔄 Order item status change request received for order item:', orderItemId, '->', status);
+
+    const orderStatus = await orderStatusService.transitionOrderItem(req.user, orderId, orderItemId, status, { reason: reason || null });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Order item status updated successfully',
+      data: orderStatus
+    });
+
+  } catch (error) {
+    return sendStatusError(res, error, 'Update order item status');
+  }
+});
+
+// Status history of the order's items, oldest first
+router.get('/orders/:orderId/status-history', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), authorizeOrder(), async (req, res) => {
+  try {
+    const history = await orderStatusService.getHistory(req.params.orderId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Order status history retrieved successfully',
+      count: history.length,
+      data: history
     });
+
+  } catch (error) {
+    return sendStatusError(res, error, 'Get order status history');
+  }
+});
+
+router.get('/orders/:orderId/items/:orderItemId/status-history', authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ), authorizeOrder(), authorizeOrderItem(), async (req, res) => {
+  try {
+    const history = await orderStatusService.getHistory(req.params.orderId, { orderItemId: req.params.orderItemId });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Order item status history retrieved successfully',
+      count: history.length,
+      data: history
+    });
+
+  } catch (error) {
+    return sendStatusError(res, error, 'Get order item status history');
   }
 });
 
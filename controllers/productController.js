@@ -3,7 +3,11 @@ const { body, validationResult } = require('express-validator');
 const { validationSets } = require('../validators/productValidation');
 const databaseService = require('../services/databaseService');
 const { handleUpload } = require('../middleware/uploadMiddleware');
+const { authenticateToken, requirePermission, allowPublic } = require('../middleware/authMiddleware');
+const config = require('../config');
+const { PERMISSIONS } = require('../config/permissions');
 const path = require('path');
+const fs = require('fs');
 const router = express.Router();
 
 /**
@@ -113,7 +117,7 @@ const handleValidationErrors = (req, res, next) => {
  */
 // Note: handleUpload must come first to process multipart/form-data
 // Validation is done after files are processed and body is parsed
-router.post('/', handleUpload, async (req, res) => {
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.PRODUCTS_MANAGE), handleUpload, async (req, res) => {
   try {
     console.log('🔄 Add product request received');
     console.log('📋 Body fields:', req.body);
@@ -270,157 +274,148 @@ router.post('/', handleUpload, async (req, res) => {
       updated_at: currentTime
     };
 
-    // Insert product into database
+    // Product, user-product link, price, compliance, inventory and images are written as one unit -
+    // a failure in any step rolls back the whole product instead of leaving a partial one behind
     let productId;
+    const uploadedImages = [];
     try {
-      console.log('🔄 Inserting product into database...');
-      const insertResult = await databaseService.db.InsertProduct(productData);
-      
-      if (!insertResult || !insertResult.productId) {
-        throw new Error('Failed to create product');
-      }
-      
-      productId = insertResult.productId;
-      console.log('✅ Product created successfully with ID:', productId);
-    } catch (error) {
-      console.error('❌ Error creating product:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to create product',
-        error: process.env.NODE_ENV === 'development' ? (error.message || error.toString()) : undefined
-      });
-    }
+      productId = await databaseService.transaction(async (tx) => {
+        // Insert product into database
+        console.log('🔄 Inserting product into database...');
+        const insertResult = await tx.InsertProduct(productData);
+        
+        if (!insertResult || !insertResult.productId) {
+          throw new Error('Failed to create product');
+        }
+        
+        const newProductId = insertResult.productId;
+        console.log('✅ Product created successfully with ID:', newProductId);
 
-    // Insert user-product relationship if user_id is provided
-    if (user_id) {
-      try {
-        console.log('🔄 Inserting user-product relationship...');
-        const parsedUserId = parseField(user_id);
-        await databaseService.db.InsertUserProduct({
-          user_id: parseInt(parsedUserId),
-          product_id: productId
-        });
-        console.log('✅ User-product relationship created successfully');
-      } catch (error) {
-        console.error('⚠️ Warning: Product created but user-product relationship insertion failed:', error);
-        // Continue even if this fails (product is already created)
-      }
-    }
+        // Insert user-product relationship if user_id is provided
+        if (user_id) {
+          console.log('🔄 Inserting user-product relationship...');
+          const parsedUserId = parseField(user_id);
+          await tx.InsertUserProduct({
+            user_id: parseInt(parsedUserId),
+            product_id: newProductId
+          });
+          console.log('✅ User-product relationship created successfully');
+        }
 
-    // Insert product price (already validated above)
-    try {
-      console.log('🔄 Inserting product price...');
-      const parsedPriceSale = parseField(bodyData.price_sale);
-      const parsedCurrencyCode = parseField(bodyData.currency_code) || 'INR';
-      const parsedValidFrom = parseField(bodyData.valid_from) || currentTime;
-      const parsedValidTo = parseField(bodyData.valid_to) || null;
-      
-      const priceData = {
-        product_id: productId,
-        product_type: 'UnstitchedFabricProduct',
-        currency_code: parsedCurrencyCode,
-        price_mrp: parseFloat(parsedPriceMrp),
-        price_sale: parsedPriceSale ? parseFloat(parsedPriceSale) : null,
-        valid_from: parsedValidFrom,
-        valid_to: parsedValidTo,
-        is_active: true,
-        created_at: currentTime
-      };
+        // Insert product price (already validated above)
+        console.log('🔄 Inserting product price...');
+        const parsedPriceSale = parseField(bodyData.price_sale);
+        const parsedCurrencyCode = parseField(bodyData.currency_code) || 'INR';
+        const parsedValidFrom = parseField(bodyData.valid_from) || currentTime;
+        const parsedValidTo = parseField(bodyData.valid_to) || null;
+        
+        const priceData = {
+          product_id: newProductId,
+          product_type: 'UnstitchedFabricProduct',
+          currency_code: parsedCurrencyCode,
+          price_mrp: parseFloat(parsedPriceMrp),
+          price_sale: parsedPriceSale ? parseFloat(parsedPriceSale) : null,
+          valid_from: parsedValidFrom,
+          valid_to: parsedValidTo,
+          is_active: true,
+          created_at: currentTime
+        };
 
-      await databaseService.db.InsertProductPrice(priceData);
-      console.log('✅ Product price created successfully');
-    } catch (error) {
-      console.error('⚠️ Warning: Product created but price insertion failed:', error);
-      // Continue even if price insertion fails (product is already created)
-    }
+        await tx.InsertProductPrice(priceData);
+        console.log('✅ Product price created successfully');
 
-    // Insert product compliance if any compliance field is provided
-    try {
-      const hasCompliance =
-        parseField(country_of_origin) ||
-        parseField(manufacturer_details) ||
-        parseField(packer_details) ||
-        parseField(importer_details) ||
-        parseField(mfg_month_year) ||
-        parseField(customer_care);
+        // Insert product compliance if any compliance field is provided
+        const hasCompliance =
+          parseField(country_of_origin) ||
+          parseField(manufacturer_details) ||
+          parseField(packer_details) ||
+          parseField(importer_details) ||
+          parseField(mfg_month_year) ||
+          parseField(customer_care);
 
-      if (hasCompliance) {
-        console.log('🔄 Inserting product compliance...');
-        const complianceData = {
-          product_id: productId,
-          country_of_origin: parseField(country_of_origin) || null,
-          manufacturer_details: parseField(manufacturer_details) || null,
-          packer_details: parseField(packer_details) || null,
-          importer_details: parseField(importer_details) || null,
-          mfg_month_year: parseField(mfg_month_year) || null,
-          customer_care: parseField(customer_care) || null
-        };
-        await databaseService.db.InsertProductCompliance(complianceData);
-        console.log('✅ Product compliance saved successfully');
-      }
-    } catch (error) {
-      console.error('⚠️ Warning: Product created but compliance insertion failed:', error);
-      // Continue even if compliance insertion fails
-    }
+        if (hasCompliance) {
+          console.log('🔄 Inserting product compliance...');
+          const complianceData = {
+            product_id: newProductId,
+            country_of_origin: parseField(country_of_origin) || null,
+            manufacturer_details: parseField(manufacturer_details) || null,
+            packer_details: parseField(packer_details) || null,
+            importer_details: parseField(importer_details) || null,
+            mfg_month_year: parseField(mfg_month_year) || null,
+            customer_care: parseField(customer_care) || null
+          };
+          await tx.InsertProductCompliance(complianceData);
+          console.log('✅ Product compliance saved successfully');
+        }
 
-    // Insert product inventory
-    try {
-      console.log('🔄 Inserting product inventory...');
-      const parsedStockQty = parseField(stock_qty);
-      
-      const inventoryData = {
-        product_id: productId,
-        stock_qty: parsedStockQty ? parseInt(parsedStockQty) : 0,
-        is_in_stock: parsedStockQty ? 1 : 0
-      };
-      
-      await databaseService.db.InsertProductInventory(inventoryData);
-      console.log('✅ Product inventory saved successfully');
-    } catch (error) {
-      console.error('⚠️ Warning: Product created but inventory insertion failed:', error);
-      // Continue even if inventory insertion fails
-    }
+        // Insert product inventory
+        console.log('🔄 Inserting product inventory...');
+        const parsedStockQty = parseField(stock_qty);
+        
+        const inventoryData = {
+          product_id: newProductId,
+          stock_qty: parsedStockQty ? parseInt(parsedStockQty) : 0,
+          is_in_stock: parsedStockQty ? 1 : 0
+        };
+        
+        await tx.InsertProductInventory(inventoryData);
+        console.log('✅ Product inventory saved successfully');
 
-    // Handle image uploads
-    const uploadedImages = [];
-    if (req.files && req.files.length > 0) {
-      console.log(`🔄 Processing ${req.files.length} uploaded image(s)...`);
-      
-      for (let i = 0; i < req.files.length; i++) {
-        const file = req.files[i];
-        try {
-          // Generate URL for the uploaded image
-          // Using relative path that can be accessed via static file serving
-          const imageUrl = `/uploads/products/${file.filename}`;
-          
-          // First image is marked as primary
-          const isPrimary = i === 0;
-          
-          const imageData = {
-            product_id: productId,
-            url: imageUrl,
-            is_primary: isPrimary
-          };
+        // Handle image uploads
+        if (req.files && req.files.length > 0) {
+          console.log(`🔄 Processing ${req.files.length} uploaded image(s)...`);
           
-          await databaseService.db.InsertProductImage(imageData);
-          console.log(`✅ Image ${i + 1} saved successfully: ${file.filename}`);
+          for (let i = 0; i < req.files.length; i++) {
+            const file = req.files[i];
+            // Generate URL for the uploaded image
+            // Using relative path that can be accessed via static file serving
+            const imageUrl = `/uploads/products/${file.filename}`;
+            
+            // First image is marked as primary
+            const isPrimary = i === 0;
+            
+            const imageData = {
+              product_id: newProductId,
+              url: imageUrl,
+              is_primary: isPrimary
+            };
+            
+            await tx.InsertProductImage(imageData);
+            console.log(`✅ Image ${i + 1} saved successfully: ${file.filename}`);
+            
+            uploadedImages.push({
+              filename: file.filename,
+              url: imageUrl,
+              is_primary: isPrimary,
+              size: file.size,
+              mimetype: file.mimetype
+            });
+          }
           
-          uploadedImages.push({
-            filename: file.filename,
-            url: imageUrl,
-            is_primary: isPrimary,
-            size: file.size,
-            mimetype: file.mimetype
-          });
-        } catch (error) {
-          console.error(`⚠️ Warning: Failed to save image ${i + 1} (${file.filename}):`, error);
-          // Continue processing other images even if one fails
+          console.log(`✅ Successfully saved ${uploadedImages.length} image(s)`);
         }
+
+        return newProductId;
+      });
+    } catch (error) {
+      console.error('❌ Error creating product:', error);
+
+      // Nothing was saved, so the uploaded image files are orphans - remove them
+      if (req.files && req.files.length > 0) {
+        req.files.forEach(file => {
+          fs.unlink(file.path, (unlinkError) => {
+            if (unlinkError) {
+              console.error(`⚠️ Warning: Failed to remove uploaded file ${file.filename}:`, unlinkError.message);
+            }
+          });
+        });
       }
-      
-      if (uploadedImages.length > 0) {
-        console.log(`✅ Successfully saved ${uploadedImages.length} image(s)`);
-      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create product',
+        error: config.isDevelopment ? (error.message || error.toString()) : undefined
+      });
     }
 
     // Prepare response
@@ -462,7 +457,7 @@ router.post('/', handleUpload, async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error during product creation',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
@@ -478,7 +473,7 @@ router.post('/', handleUpload, async (req, res) => {
  * - is_active: Filter by active status (0 or 1, default: 1)
  * - productId: Filter by specific product ID
  */
-router.get('/', async (req, res) => {
+router.get('/', allowPublic, async (req, res) => {
   try {
     console.log('🔄 Get all products request received');
     console.log('📋 Query params:', req.query);
@@ -598,7 +593,7 @@ router.get('/', async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Failed to retrieve products',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
@@ -609,7 +604,7 @@ router.get('/', async (req, res) => {
  * 
  * Returns all active product types from ProductTypes table
  */
-router.get('/getAllProductTypes', async (req, res) => {
+router.get('/getAllProductTypes', allowPublic, async (req, res) => {
   try {
     console.log('🔄 Get all product types request received');
     
@@ -632,7 +627,7 @@ router.get('/getAllProductTypes', async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Failed to retrieve product types',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
@@ -643,7 +638,7 @@ router.get('/getAllProductTypes', async (req, res) => {
  * 
  * Returns all active categories from categories table
  */
-router.get('/getAllCategories', async (req, res) => {
+router.get('/getAllCategories', allowPublic, async (req, res) => {
   try {
     console.log('🔄 Get all categories request received');
     
@@ -666,7 +661,7 @@ router.get('/getAllCategories', async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Failed to retrieve categories',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
@@ -677,7 +672,7 @@ router.get('/getAllCategories', async (req, res) => {
  * 
  * Returns all active brands from brands table
  */
-router.get('/getAllBrands', async (req, res) => {
+router.get('/getAllBrands', allowPublic, async (req, res) => {
   try {
     console.log('🔄 Get all brands request received');
     
@@ -700,7 +695,7 @@ router.get('/getAllBrands', async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Failed to retrieve brands',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
@@ -714,7 +709,7 @@ router.get('/getAllBrands', async (req, res) => {
  * 
  * Returns product with all associated data (price, images, compliance)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', allowPublic, async (req, res) => {
   try {
     const productId = parseInt(req.params.id);
     const userId = req.query.user_id ? parseInt(req.query.user_id) : null;
@@ -812,7 +807,7 @@ router.get('/:id', async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Failed to retrieve product',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
@@ -827,7 +822,7 @@ router.get('/:id', async (req, res) => {
  * Images should be uploaded with field name 'images' (multiple files allowed).
  * If images are provided, existing images will be deleted and replaced with new ones.
  */
-router.put('/:id', handleUpload, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.PRODUCTS_MANAGE), handleUpload, async (req, res) => {
   try {
     const productId = parseInt(req.params.id);
     
@@ -1011,7 +1006,7 @@ router.put('/:id', handleUpload, async (req, res) => {
       return res.status(500).json({
         success: false,
         message: 'Failed to update product',
-        error: process.env.NODE_ENV === 'development' ? (error.message || error.toString()) : undefined
+        error: config.isDevelopment ? (error.message || error.toString()) : undefined
       });
     }
 
@@ -1180,7 +1175,7 @@ router.put('/:id', handleUpload, async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error during product update',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
@@ -1192,7 +1187,7 @@ router.put('/:id', handleUpload, async (req, res) => {
  * Deletes a product and all its related data (price, images, compliance).
  * Product ID should be provided in the URL path.
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.PRODUCTS_MANAGE), async (req, res) => {
   try {
     const productId = parseInt(req.params.id);
     
@@ -1264,7 +1259,7 @@ router.delete('/:id', async (req, res) => {
       return res.status(500).json({
         success: false,
         message: 'Failed to delete product',
-        error: process.env.NODE_ENV === 'development' ? (error.message || error.toString()) : undefined
+        error: config.isDevelopment ? (error.message || error.toString()) : undefined
       });
     }
     
@@ -1283,7 +1278,7 @@ router.delete('/:id', async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error during product deletion',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: config.isDevelopment ? error.message : undefined
     });
   }
 });
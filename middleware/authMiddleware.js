@@ -1,7 +1,16 @@
 const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { getRoleNames, hasPermission } = require('../config/permissions');
+const tokenService = require('../services/tokenService');
+
+// Tokens must be signed with our secret for our issuer and audience
+const verifyOptions = {
+  issuer: config.jwt.issuer,
+  audience: config.jwt.audience
+};
 
 // JWT Authentication Middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   try {
     console.log('🔄 Authenticating token...');
     
@@ -18,55 +27,74 @@ const authenticateToken = (req, res, next) => {
     }
 
     // Verify token
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
-        console.log('❌ Invalid token:', err.message);
-        return res.status(403).json({
-          success: false,
-          message: 'Invalid or expired token'
-        });
-      }
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwt.secret, verifyOptions);
+    } catch (err) {
+      console.log('❌ Invalid token:', err.message);
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
 
-      console.log('✅ Token verified successfully for user:', decoded.email);
-      
-      // Add user info to request object
-      req.user = {
-        userId: decoded.userId,
-        email: decoded.email,
-        firstName: decoded.firstName,
-        lastName: decoded.lastName
-      };
-
-      next();
-    });
+    // The session must not have been logged out or revoked, and the user must still be active
+    if (!decoded.sid || !(await tokenService.isSessionActive(decoded.sid))) {
+      console.log('❌ Session revoked or user deactivated:', decoded.email);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked, please log in again'
+      });
+    }
+
+    console.log('✅ Token verified successfully for user:', decoded.email);
+    
+    // Add user info to request object
+    req.user = {
+      userId: decoded.userId,
+      email: decoded.email,
+      firstName: decoded.firstName,
+      lastName: decoded.lastName,
+      roles: decoded.roles || [],
+      sessionId: decoded.sid,
+      // The one role the session is scoped to (POST /api/auth/active-role), null for all roles
+      activeRole: decoded.activeRole || null,
+      // Set when an admin is acting as this user (see POST /api/admin/users/:userId/impersonate)
+      impersonatedBy: decoded.act ? decoded.act.userId : null
+    };
+
+    next();
 
   } catch (error) {
     console.error('❌ Authentication error:', error);
     res.status(500).json({
       success: false,
       message: 'Authentication error',
-      error: process.env.NODE_ENV === 'development' ? (error.message || error.toString()) : undefined
+      error: config.isDevelopment ? (error.message || error.toString()) : undefined
     });
   }
 };
 
 // Optional authentication middleware (doesn't fail if no token)
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-        if (!err) {
-          req.user = {
-            userId: decoded.userId,
-            email: decoded.email,
-            firstName: decoded.firstName,
-            lastName: decoded.lastName
-          };
-        }
-      });
+      const decoded = jwt.verify(token, config.jwt.secret, verifyOptions);
+      if (decoded.sid && await tokenService.isSessionActive(decoded.sid)) {
+        req.user = {
+          userId: decoded.userId,
+          email: decoded.email,
+          firstName: decoded.firstName,
+          lastName: decoded.lastName,
+          roles: decoded.roles || [],
+          sessionId: decoded.sid,
+          activeRole: decoded.activeRole || null,
+          impersonatedBy: decoded.act ? decoded.act.userId : null
+        };
+      }
     }
 
     next();
@@ -76,7 +104,42 @@ const optionalAuth = (req, res, next) => {
   }
 };
 
+// Role check - must run after authenticateToken. Passes if the user has any of the given roles
+const requireRole = (...roleNames) => (req, res, next) => {
+  const userRoles = getRoleNames(req.user && req.user.roles);
+
+  if (!roleNames.some(roleName => userRoles.includes(roleName))) {
+    console.log(`❌ Access denied for user ${req.user && req.user.email}: requires role ${roleNames.join(' or ')}`);
+    return res.status(403).json({
+      success: false,
+      message: `User must have ${roleNames.join(' or ')} role to access this endpoint`
+    });
+  }
+
+  next();
+};
+
+// Permission check - must run after authenticateToken. Passes if any of the user's roles
+// grants the permission (see config/permissions.js)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user && req.user.roles, permission)) {
+    console.log(`❌ Access denied for user ${req.user && req.user.email}: missing permission ${permission}`);
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+// Marks a route as intentionally public (no token needed), so every route declares a policy
+const allowPublic = (req, res, next) => next();
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  requireRole,
+  requirePermission,
+  allowPublic
 };
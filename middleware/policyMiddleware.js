@@ -0,0 +1,213 @@
+const databaseService = require('../services/databaseService');
+const config = require('../config');
+const { ROLES, getRoleNames } = require('../config/permissions');
+
+// Resource ownership checks. Run after authenticateToken and requirePermission/requireRole:
+// the permission says what a user may do, these policies say to which records.
+// Admin passes every policy.
+
+const businessOwnerRoles = [ROLES.TAILOR, ROLES.SELLER, ROLES.TAYLORSELLER];
+
+const hasRole = (user, roleName) => getRoleNames(user && user.roles).includes(roleName);
+
+const isAdmin = (user) => hasRole(user, ROLES.ADMIN);
+
+// Read the id a policy applies to: a route param name, or a function of the request
+// (e.g. req => req.body.businessId)
+const resolveId = (req, source) => (typeof source === 'function' ? source(req) : req.params[source]);
+
+const isMissing = (id) => id === undefined || id === null || id === '';
+
+const sameId = (a, b) => !isMissing(a) && !isMissing(b) && String(a) === String(b);
+
+// Whether the user may access the order:
+//   customers - orders they placed
+//   tailors/sellers - orders with an item whose tailorId/shopId is their business
+//   measurement boys - orders assigned to them in OrderMeasurementBoyAssignment
+// Tailors and sellers reach the order only through their business's items, so for them the
+// order itself is read-only (readOnly) and they change only those items (see authorizeOrderItem).
+// Returns { found, allowed, readOnly }
+const canAccessOrder = async (user, orderId) => {
+  const access = await databaseService.db.GetOrderAccess(orderId, user.userId);
+  if (!access) {
+    return { found: false, allowed: false, readOnly: false };
+  }
+
+  const canWrite = isAdmin(user)
+    || sameId(access.customerId, user.userId)
+    || (Boolean(access.isAssignedMeasurementBoy) && hasRole(user, ROLES.MEASUREMENT_BOY));
+  const canRead = canWrite
+    || (Boolean(access.isBusinessOrder) && businessOwnerRoles.some(roleName => hasRole(user, roleName)));
+
+  return { found: true, allowed: canRead, readOnly: canRead && !canWrite };
+};
+
+// Whether the order item is for the user's business (its tailorId or shopId)
+const isOwnBusinessItem = async (user, orderItem) => {
+  const ownBusiness = await databaseService.db.GetBusinessByUserId({ UserId: user.userId });
+  return Boolean(ownBusiness)
+    && (sameId(orderItem.tailorId, ownBusiness.businessId) || sameId(orderItem.shopId, ownBusiness.businessId));
+};
+
+// Send the 403/500 responses shared by every policy
+const denyAccess = (res, message) => res.status(403).json({
+  success: false,
+  message
+});
+
+const policyError = (res, error) => {
+  console.error('❌ Authorization policy error:', error);
+  return res.status(500).json({
+    success: false,
+    message: 'Failed to check access',
+    error: config.isDevelopment ? error.message : undefined
+  });
+};
+
+// The order (default: :orderId) must be one the user may access. With write, tailors and sellers
+// who only see the order through their business's items are turned away
+const authorizeOrder = (source = 'orderId', { write = false } = {}) => async (req, res, next) => {
+  const orderId = resolveId(req, source);
+  if (isMissing(orderId)) {
+    return next();
+  }
+
+  try {
+    const { found, allowed, readOnly } = await canAccessOrder(req.user, orderId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    if (!allowed) {
+      console.log(`❌ User ${req.user.userId} denied access to order ${orderId}`);
+      return denyAccess(res, 'You do not have access to this order');
+    }
+    if (write && readOnly) {
+      console.log(`❌ User ${req.user.userId} denied changes to order ${orderId}`);
+      return denyAccess(res, 'You can only change the items of your own business in this order');
+    }
+    req.orderAccess = { readOnly };
+    next();
+  } catch (error) {
+    return policyError(res, error);
+  }
+};
+
+// :orderItemId must belong to :orderId (run after authorizeOrder). With write, tailors and sellers
+// with read-only access to the order must own the item through their business
+const authorizeOrderItem = (source = 'orderItemId', { write = false } = {}) => async (req, res, next) => {
+  const orderItemId = resolveId(req, source);
+  if (isMissing(orderItemId)) {
+    return next();
+  }
+
+  try {
+    const orderItem = await databaseService.db.GetOrderItemById(orderItemId);
+    if (!orderItem || !sameId(orderItem.orderId, req.params.orderId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order item not found'
+      });
+    }
+    if (write && req.orderAccess && req.orderAccess.readOnly && !await isOwnBusinessItem(req.user, orderItem)) {
+      console.log(`❌ User ${req.user.userId} denied changes to order item ${orderItemId}`);
+      return denyAccess(res, 'You can only change the items of your own business');
+    }
+    next();
+  } catch (error) {
+    return policyError(res, error);
+  }
+};
+
+// The delivery address (default: :deliveryAddressId) must belong to the user
+const authorizeDeliveryAddress = (source = 'deliveryAddressId') => async (req, res, next) => {
+  const deliveryAddressId = resolveId(req, source);
+  if (isMissing(deliveryAddressId)) {
+    return next();
+  }
+
+  try {
+    const address = await databaseService.db.GetDeliveryAddressById(deliveryAddressId);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery address not found'
+      });
+    }
+    if (!isAdmin(req.user) && !sameId(address.userId, req.user.userId)) {
+      console.log(`❌ User ${req.user.userId} denied access to delivery address ${deliveryAddressId}`);
+      return denyAccess(res, 'You do not have access to this delivery address');
+    }
+    next();
+  } catch (error) {
+    return policyError(res, error);
+  }
+};
+
+// The measurement profile (default: :profileId) must belong to the user
+const authorizeMeasurementProfile = (source = 'profileId') => async (req, res, next) => {
+  const profileId = resolveId(req, source);
+  if (isMissing(profileId)) {
+    return next();
+  }
+
+  try {
+    const [profile] = await databaseService.db.GetMeasurementProfiles({ profileId, includeArchived: true });
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Measurement profile not found'
+      });
+    }
+    if (!isAdmin(req.user) && !sameId(profile.customerId, req.user.userId)) {
+      console.log(`❌ User ${req.user.userId} denied access to measurement profile ${profileId}`);
+      return denyAccess(res, 'You do not have access to this measurement profile');
+    }
+    next();
+  } catch (error) {
+    return policyError(res, error);
+  }
+};
+
+// The user id (default: :userId) must be the signed-in user's own id
+const authorizeSelf = (source = 'userId') => (req, res, next) => {
+  const userId = resolveId(req, source);
+  if (isMissing(userId) || isAdmin(req.user) || sameId(userId, req.user.userId)) {
+    return next();
+  }
+
+  console.log(`❌ User ${req.user.userId} denied access to records of user ${userId}`);
+  return denyAccess(res, 'You can only access your own records');
+};
+
+// The business (default: :businessId) must be owned by the signed-in user
+const authorizeBusiness = (source = 'businessId') => async (req, res, next) => {
+  const businessId = resolveId(req, source);
+  if (isMissing(businessId) || isAdmin(req.user)) {
+    return next();
+  }
+
+  try {
+    const ownBusiness = await databaseService.db.GetBusinessByUserId({ UserId: req.user.userId });
+    if (!ownBusiness || !sameId(ownBusiness.businessId, businessId)) {
+      console.log(`❌ User ${req.user.userId} denied access to business ${businessId}`);
+      return denyAccess(res, 'You do not have access to this business');
+    }
+    next();
+  } catch (error) {
+    return policyError(res, error);
+  }
+};
+
+module.exports = {
+  isAdmin,
+  canAccessOrder,
+  authorizeOrder,
+  authorizeOrderItem,
+  authorizeDeliveryAddress,
+  authorizeMeasurementProfile,
+  authorizeSelf,
+  authorizeBusiness
+};
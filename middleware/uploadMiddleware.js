@@ -1,82 +1,104 @@
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '..', 'uploads', 'products');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename: timestamp-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    cb(null, `${uniqueSuffix}-${name}${ext}`);
-  }
-});
-
-// File filter - only allow images
-const fileFilter = (req, file, cb) => {
-  // Check if file is an image
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed!'), false);
-  }
-};
-
-// Configure multer
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB max file size
-  }
-});
-
-// Middleware for multiple image uploads
-const uploadMultiple = upload.array('images', 10); // Max 10 images
-
-// Middleware wrapper to handle errors
-const handleUpload = (req, res, next) => {
-  uploadMultiple(req, res, (err) => {
-    if (err instanceof multer.MulterError) {
-      if (err.code === 'LIMIT_FILE_SIZE') {
-        return res.status(400).json({
-          success: false,
-          message: 'File size too large. Maximum size is 5MB per image.'
-        });
-      }
-      if (err.code === 'LIMIT_FILE_COUNT') {
-        return res.status(400).json({
-          success: false,
-          message: 'Too many files. Maximum 10 images allowed.'
-        });
-      }
-      return res.status(400).json({
-        success: false,
-        message: err.message
-      });
-    } else if (err) {
-      return res.status(400).json({
-        success: false,
-        message: err.message
-      });
-    }
-    next();
-  });
-};
-
-module.exports = {
-  handleUpload,
-  upload,
-  uploadsDir
-};
-
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+
+// Create uploads directories if they don't exist
+const uploadsDir = path.join(__dirname, '..', 'uploads', 'products');
+// Measurement photos and sketches are kept apart from product images
+const measurementUploadsDir = path.join(__dirname, '..', 'uploads', 'measurements');
+[uploadsDir, measurementUploadsDir].forEach((dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+});
+
+// Configure storage
+const createStorage = (dir) => multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, dir);
+  },
+  filename: function (req, file, cb) {
+    // Generate unique filename: timestamp-originalname
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname);
+    const name = path.basename(file.originalname, ext);
+    cb(null, `${uniqueSuffix}-${name}${ext}`);
+  }
+});
+
+const storage = createStorage(uploadsDir);
+
+// File filter - only allow images
+const fileFilter = (req, file, cb) => {
+  // Check if file is an image
+  if (file.mimetype.startsWith('image/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image files are allowed!'), false);
+  }
+};
+
+// Configure multer
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: config.uploads.maxFileSize // UPLOAD_MAX_FILE_SIZE_MB, 5MB by default
+  }
+});
+
+const measurementUpload = multer({
+  storage: createStorage(measurementUploadsDir),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: config.uploads.maxFileSize
+  }
+});
+
+// Middleware for multiple image uploads
+const uploadMultiple = upload.array('images', config.uploads.maxFiles); // UPLOAD_MAX_FILES, 10 by default
+
+// Middleware wrapper to handle errors
+const handleUploadErrors = (uploadFiles) => (req, res, next) => {
+  uploadFiles(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          message: `File size too large. Maximum size is ${config.uploads.maxFileSizeMb}MB per image.`
+        });
+      }
+      if (err.code === 'LIMIT_FILE_COUNT') {
+        return res.status(400).json({
+          success: false,
+          message: `Too many files. Maximum ${config.uploads.maxFiles} images allowed.`
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    } else if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    next();
+  });
+};
+
+const handleUpload = handleUploadErrors(uploadMultiple);
+
+// Measurement attachments: images in the "attachments" field
+const handleMeasurementUpload = handleUploadErrors(measurementUpload.array('attachments', config.uploads.maxFiles));
+
+module.exports = {
+  handleUpload,
+  handleMeasurementUpload,
+  upload,
+  uploadsDir,
+  measurementUploadsDir
+};
+
@@ -17,6 +17,65 @@ const validationMiddleware = {
   // User login validation
   validateUserLogin: createValidationMiddleware(validationSets.userLogin),
   
+  // Password change / forgot / reset validation
+  validateChangePassword: createValidationMiddleware(validationSets.changePassword),
+  validateForgotPassword: createValidationMiddleware(validationSets.forgotPassword),
+  validateResetPassword: createValidationMiddleware(validationSets.resetPassword),
+  
+  // Email verification validation
+  validateVerifyEmailQuery: createValidationMiddleware(validationSets.verifyEmailQuery),
+  validateVerifyEmail: createValidationMiddleware(validationSets.verifyEmail),
+  validateResendVerification: createValidationMiddleware(validationSets.resendVerification),
+  
+  // Login audit and lockout validation (admin)
+  validateLoginAttemptsQuery: createValidationMiddleware(validationSets.loginAttemptsQuery),
+  validateLoginLockoutQuery: createValidationMiddleware(validationSets.loginLockoutQuery),
+  validateUnlockLogin: createValidationMiddleware(validationSets.unlockLogin),
+  
+  // Admin user management validation
+  validateAdminUsersQuery: createValidationMiddleware(validationSets.adminUsersQuery),
+  validateAdminUserId: createValidationMiddleware(validationSets.adminUserIdParam),
+  validateAdminSetUserActive: createValidationMiddleware(validationSets.adminSetUserActive),
+  validateAdminAssignRole: createValidationMiddleware(validationSets.adminAssignRole),
+  validateAdminRevokeRole: createValidationMiddleware(validationSets.adminRevokeRole),
+  validateAdminResetPassword: createValidationMiddleware(validationSets.adminResetPassword),
+  validateAdminMeasurementBoyProfile: createValidationMiddleware(validationSets.adminMeasurementBoyProfile),
+  validateAdminAuditLogQuery: createValidationMiddleware(validationSets.adminAuditLogQuery),
+  
+  // Measurement slot catalog validation
+  validateMeasurementSlotsQuery: createValidationMiddleware(validationSets.measurementSlotsQuery),
+  validateMeasurementSlotSchedule: createValidationMiddleware(validationSets.measurementSlotSchedule),
+  validateMeasurementSlotScheduleUpdate: createValidationMiddleware(validationSets.measurementSlotScheduleUpdate),
+  validateMeasurementSlotScheduleId: createValidationMiddleware(validationSets.measurementSlotScheduleIdParam),
+  validateMeasurementSlotClosure: createValidationMiddleware(validationSets.measurementSlotClosure),
+  validateMeasurementSlotClosureParams: createValidationMiddleware(validationSets.measurementSlotClosureParams),
+  
+  // Measurement template validation
+  validateMeasurementTemplateItemId: createValidationMiddleware(validationSets.measurementTemplateItemId),
+  validateMeasurementTemplate: createValidationMiddleware(validationSets.measurementTemplate),
+  validateMeasurementUnitQuery: createValidationMiddleware(validationSets.measurementUnitQuery),
+  validateMeasurementHistoryQuery: createValidationMiddleware(validationSets.measurementHistoryQuery),
+  
+  // Measurement profile validation
+  validateMeasurementProfilesQuery: createValidationMiddleware(validationSets.measurementProfilesQuery),
+  validateMeasurementProfile: createValidationMiddleware(validationSets.measurementProfile),
+  validateMeasurementProfileVersion: createValidationMiddleware(validationSets.measurementProfileVersion),
+  validateMeasurementProfileRename: createValidationMiddleware(validationSets.measurementProfileRename),
+  validateMeasurementProfileGet: createValidationMiddleware(validationSets.measurementProfileGet),
+  validateMeasurementProfileId: createValidationMiddleware(validationSets.measurementProfileId),
+  validateMeasurementSignOffDecision: createValidationMiddleware(validationSets.measurementSignOffDecision),
+  validateMeasurementSignOffLink: createValidationMiddleware(validationSets.measurementSignOffLink),
+  validateMeasurementSignOffLinkQuery: createValidationMiddleware(validationSets.measurementSignOffLinkQuery),
+  validateOrderStatusTransition: createValidationMiddleware(validationSets.orderStatusTransition),
+  
+  // Own roles and role switching validation
+  validateAddRole: createValidationMiddleware(validationSets.addRole),
+  validateActiveRole: createValidationMiddleware(validationSets.activeRole),
+  
+  // Phone number OTP login validation
+  validateOtpRequest: createValidationMiddleware(validationSets.otpRequest),
+  validateOtpVerify: createValidationMiddleware(validationSets.otpVerify),
+  
   // User update validation
   validateUserUpdate: createValidationMiddleware(validationSets.userUpdate),
   
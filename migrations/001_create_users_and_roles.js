@@ -0,0 +1,76 @@
+// Users, roles and the user-role mapping used by signup, login and role checks
+module.exports = {
+  description: 'Create Users, Roles and UserRoles',
+
+  up: {
+    mssql: `
+      CREATE TABLE Users (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        email NVARCHAR(255) NOT NULL CONSTRAINT UQ_Users_email UNIQUE,
+        password NVARCHAR(255) NOT NULL,
+        firstName NVARCHAR(100) NULL,
+        lastName NVARCHAR(100) NULL,
+        phoneNumber NVARCHAR(20) NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_Users_createdAt DEFAULT GETDATE(),
+        modifiedAt DATETIME2 NOT NULL CONSTRAINT DF_Users_modifiedAt DEFAULT GETDATE(),
+        isActive BIT NOT NULL CONSTRAINT DF_Users_isActive DEFAULT 1
+      );
+
+      CREATE TABLE Roles (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        role_name NVARCHAR(50) NOT NULL CONSTRAINT UQ_Roles_role_name UNIQUE,
+        description NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL CONSTRAINT DF_Roles_created_at DEFAULT GETDATE(),
+        updated_at DATETIME2 NOT NULL CONSTRAINT DF_Roles_updated_at DEFAULT GETDATE()
+      );
+
+      CREATE TABLE UserRoles (
+        user_id INT NOT NULL CONSTRAINT FK_UserRoles_Users REFERENCES Users(id) ON DELETE CASCADE,
+        role_id INT NOT NULL CONSTRAINT FK_UserRoles_Roles REFERENCES Roles(id),
+        assigned_at DATETIME2 NOT NULL CONSTRAINT DF_UserRoles_assigned_at DEFAULT GETDATE(),
+        CONSTRAINT PK_UserRoles PRIMARY KEY (user_id, role_id)
+      );
+    `,
+    sqlite: `
+      CREATE TABLE Users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL UNIQUE,
+        password TEXT NOT NULL,
+        firstName TEXT,
+        lastName TEXT,
+        phoneNumber TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        modifiedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        isActive INTEGER NOT NULL DEFAULT 1
+      );
+
+      CREATE TABLE Roles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        role_name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE UserRoles (
+        user_id INTEGER NOT NULL REFERENCES Users(id) ON DELETE CASCADE,
+        role_id INTEGER NOT NULL REFERENCES Roles(id),
+        assigned_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        PRIMARY KEY (user_id, role_id)
+      );
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE UserRoles;
+      DROP TABLE Roles;
+      DROP TABLE Users;
+    `,
+    sqlite: `
+      DROP TABLE UserRoles;
+      DROP TABLE Roles;
+      DROP TABLE Users;
+    `
+  }
+};
@@ -0,0 +1,146 @@
+// Seller/tailor business profiles, the tailor item catalog, per-business item prices and date availability
+module.exports = {
+  description: 'Create BusinessInformations, TailorItems, TailorItemPrices and TailorDateAvailability',
+
+  up: {
+    mssql: `
+      CREATE TABLE BusinessInformations (
+        businessId INT IDENTITY(1,1) PRIMARY KEY,
+        userId INT NOT NULL CONSTRAINT FK_BusinessInformations_Users REFERENCES Users(id),
+        businessName NVARCHAR(255) NULL,
+        ownerName NVARCHAR(255) NULL,
+        businessLogo NVARCHAR(MAX) NULL,
+        businessDescription NVARCHAR(MAX) NULL,
+        mobileNumber NVARCHAR(20) NULL,
+        alternateNumber NVARCHAR(20) NULL,
+        email NVARCHAR(255) NULL,
+        shopAddress NVARCHAR(500) NULL,
+        googleMapLink NVARCHAR(1000) NULL,
+        gpsLatitude FLOAT NULL,
+        gpsLongitude FLOAT NULL,
+        workingCity NVARCHAR(100) NULL,
+        serviceTypes NVARCHAR(MAX) NULL,
+        specialization NVARCHAR(MAX) NULL,
+        yearsOfExperience INT NULL,
+        portfolioPhotos NVARCHAR(MAX) NULL,
+        certifications NVARCHAR(MAX) NULL,
+        openingTime NVARCHAR(20) NULL,
+        closingTime NVARCHAR(20) NULL,
+        weeklyOff NVARCHAR(50) NULL,
+        tailoringCategories NVARCHAR(MAX) NULL,
+        created_at DATETIME2 NOT NULL CONSTRAINT DF_BusinessInformations_created_at DEFAULT GETDATE(),
+        updated_at DATETIME2 NOT NULL CONSTRAINT DF_BusinessInformations_updated_at DEFAULT GETDATE()
+      );
+
+      CREATE TABLE TailorItems (
+        ItemId INT IDENTITY(1,1) PRIMARY KEY,
+        Name NVARCHAR(100) NOT NULL CONSTRAINT UQ_TailorItems_Name UNIQUE,
+        Description NVARCHAR(255) NULL,
+        IsActive BIT NOT NULL CONSTRAINT DF_TailorItems_IsActive DEFAULT 1,
+        CreatedAt DATETIME2 NOT NULL CONSTRAINT DF_TailorItems_CreatedAt DEFAULT GETDATE()
+      );
+
+      CREATE TABLE TailorItemPrices (
+        TailorItemPriceId INT IDENTITY(1,1) PRIMARY KEY,
+        BusinessId INT NOT NULL CONSTRAINT FK_TailorItemPrices_BusinessInformations REFERENCES BusinessInformations(businessId) ON DELETE CASCADE,
+        ItemId INT NULL CONSTRAINT FK_TailorItemPrices_TailorItems REFERENCES TailorItems(ItemId),
+        FullPrice DECIMAL(18,2) NULL,
+        DiscountPrice DECIMAL(18,2) NULL,
+        DiscountType NVARCHAR(20) NULL,
+        DiscountValue DECIMAL(18,2) NULL,
+        EstimatedDays INT NULL,
+        IsAvailable BIT NOT NULL CONSTRAINT DF_TailorItemPrices_IsAvailable DEFAULT 1,
+        Notes NVARCHAR(MAX) NULL,
+        CreatedAt DATETIME2 NOT NULL CONSTRAINT DF_TailorItemPrices_CreatedAt DEFAULT GETDATE(),
+        UpdatedAt DATETIME2 NOT NULL CONSTRAINT DF_TailorItemPrices_UpdatedAt DEFAULT GETDATE()
+      );
+
+      CREATE TABLE TailorDateAvailability (
+        TailorDateAvailabilityId INT IDENTITY(1,1) PRIMARY KEY,
+        BusinessId INT NOT NULL CONSTRAINT FK_TailorDateAvailability_BusinessInformations REFERENCES BusinessInformations(businessId) ON DELETE CASCADE,
+        [Date] DATE NOT NULL,
+        IsClosed BIT NOT NULL CONSTRAINT DF_TailorDateAvailability_IsClosed DEFAULT 0,
+        CreatedAt DATETIME2 NOT NULL CONSTRAINT DF_TailorDateAvailability_CreatedAt DEFAULT GETDATE(),
+        UpdatedAt DATETIME2 NOT NULL CONSTRAINT DF_TailorDateAvailability_UpdatedAt DEFAULT GETDATE(),
+        CONSTRAINT UQ_TailorDateAvailability_BusinessId_Date UNIQUE (BusinessId, [Date])
+      );
+    `,
+    sqlite: `
+      CREATE TABLE BusinessInformations (
+        businessId INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL REFERENCES Users(id),
+        businessName TEXT,
+        ownerName TEXT,
+        businessLogo TEXT,
+        businessDescription TEXT,
+        mobileNumber TEXT,
+        alternateNumber TEXT,
+        email TEXT,
+        shopAddress TEXT,
+        googleMapLink TEXT,
+        gpsLatitude REAL,
+        gpsLongitude REAL,
+        workingCity TEXT,
+        serviceTypes TEXT,
+        specialization TEXT,
+        yearsOfExperience INTEGER,
+        portfolioPhotos TEXT,
+        certifications TEXT,
+        openingTime TEXT,
+        closingTime TEXT,
+        weeklyOff TEXT,
+        tailoringCategories TEXT,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE TailorItems (
+        ItemId INTEGER PRIMARY KEY AUTOINCREMENT,
+        Name TEXT NOT NULL UNIQUE,
+        Description TEXT,
+        IsActive INTEGER NOT NULL DEFAULT 1,
+        CreatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE TailorItemPrices (
+        TailorItemPriceId INTEGER PRIMARY KEY AUTOINCREMENT,
+        BusinessId INTEGER NOT NULL REFERENCES BusinessInformations(businessId) ON DELETE CASCADE,
+        ItemId INTEGER REFERENCES TailorItems(ItemId),
+        FullPrice NUMERIC,
+        DiscountPrice NUMERIC,
+        DiscountType TEXT,
+        DiscountValue NUMERIC,
+        EstimatedDays INTEGER,
+        IsAvailable INTEGER NOT NULL DEFAULT 1,
+        Notes TEXT,
+        CreatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        UpdatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE TailorDateAvailability (
+        TailorDateAvailabilityId INTEGER PRIMARY KEY AUTOINCREMENT,
+        BusinessId INTEGER NOT NULL REFERENCES BusinessInformations(businessId) ON DELETE CASCADE,
+        Date TEXT NOT NULL,
+        IsClosed INTEGER NOT NULL DEFAULT 0,
+        CreatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        UpdatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        UNIQUE (BusinessId, Date)
+      );
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE TailorDateAvailability;
+      DROP TABLE TailorItemPrices;
+      DROP TABLE TailorItems;
+      DROP TABLE BusinessInformations;
+    `,
+    sqlite: `
+      DROP TABLE TailorDateAvailability;
+      DROP TABLE TailorItemPrices;
+      DROP TABLE TailorItems;
+      DROP TABLE BusinessInformations;
+    `
+  }
+};
@@ -0,0 +1,210 @@
+// Unstitched fabric product catalog: lookups, products and their price, image, compliance, inventory and owner rows
+module.exports = {
+  description: 'Create brands, categories, ProductTypes, UnstitchedFabricProducts and product detail tables',
+
+  up: {
+    mssql: `
+      CREATE TABLE brands (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        name NVARCHAR(100) NOT NULL CONSTRAINT UQ_brands_name UNIQUE
+      );
+
+      CREATE TABLE categories (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        name NVARCHAR(100) NOT NULL CONSTRAINT UQ_categories_name UNIQUE
+      );
+
+      CREATE TABLE ProductTypes (
+        ProductTypeId INT IDENTITY(1,1) PRIMARY KEY,
+        ProductType NVARCHAR(100) NOT NULL CONSTRAINT UQ_ProductTypes_ProductType UNIQUE
+      );
+
+      CREATE TABLE UnstitchedFabricProducts (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        title NVARCHAR(255) NOT NULL,
+        brand_id INT NULL CONSTRAINT FK_UnstitchedFabricProducts_brands REFERENCES brands(id),
+        category_id INT NULL CONSTRAINT FK_UnstitchedFabricProducts_categories REFERENCES categories(id),
+        sku NVARCHAR(100) NULL,
+        style_code NVARCHAR(100) NULL,
+        model_name NVARCHAR(255) NULL,
+        product_type NVARCHAR(100) NULL,
+        color NVARCHAR(50) NULL,
+        brand_color NVARCHAR(50) NULL,
+        fabric NVARCHAR(100) NULL,
+        fabric_purity NVARCHAR(100) NULL,
+        composition NVARCHAR(255) NULL,
+        pattern NVARCHAR(100) NULL,
+        stitching_type NVARCHAR(100) NULL,
+        ideal_for NVARCHAR(50) NULL,
+        unit NVARCHAR(20) NULL CONSTRAINT DF_UnstitchedFabricProducts_unit DEFAULT 'meter',
+        top_length_value DECIMAL(18,2) NULL,
+        top_length_unit NVARCHAR(20) NULL CONSTRAINT DF_UnstitchedFabricProducts_top_length_unit DEFAULT 'm',
+        sales_package NVARCHAR(255) NULL,
+        short_description NVARCHAR(500) NULL,
+        long_description NVARCHAR(MAX) NULL,
+        is_active BIT NOT NULL CONSTRAINT DF_UnstitchedFabricProducts_is_active DEFAULT 1,
+        created_at DATETIME2 NOT NULL CONSTRAINT DF_UnstitchedFabricProducts_created_at DEFAULT GETDATE(),
+        updated_at DATETIME2 NOT NULL CONSTRAINT DF_UnstitchedFabricProducts_updated_at DEFAULT GETDATE()
+      );
+
+      CREATE TABLE ProductPrices (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        product_id INT NOT NULL CONSTRAINT FK_ProductPrices_UnstitchedFabricProducts REFERENCES UnstitchedFabricProducts(id) ON DELETE CASCADE,
+        product_type NVARCHAR(100) NULL,
+        currency_code NVARCHAR(3) NOT NULL CONSTRAINT DF_ProductPrices_currency_code DEFAULT 'INR',
+        price_mrp DECIMAL(18,2) NOT NULL,
+        price_sale DECIMAL(18,2) NULL,
+        valid_from DATETIME2 NULL,
+        valid_to DATETIME2 NULL,
+        is_active BIT NOT NULL CONSTRAINT DF_ProductPrices_is_active DEFAULT 1,
+        created_at DATETIME2 NOT NULL CONSTRAINT DF_ProductPrices_created_at DEFAULT GETDATE()
+      );
+
+      CREATE TABLE ProductImages (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        product_id INT NOT NULL CONSTRAINT FK_ProductImages_UnstitchedFabricProducts REFERENCES UnstitchedFabricProducts(id) ON DELETE CASCADE,
+        url NVARCHAR(1000) NOT NULL,
+        is_primary BIT NOT NULL CONSTRAINT DF_ProductImages_is_primary DEFAULT 0
+      );
+
+      CREATE TABLE Product_Compliance (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        product_id INT NOT NULL CONSTRAINT FK_Product_Compliance_UnstitchedFabricProducts REFERENCES UnstitchedFabricProducts(id) ON DELETE CASCADE,
+        country_of_origin NVARCHAR(100) NULL,
+        manufacturer_details NVARCHAR(MAX) NULL,
+        packer_details NVARCHAR(MAX) NULL,
+        importer_details NVARCHAR(MAX) NULL,
+        mfg_month_year NVARCHAR(20) NULL,
+        customer_care NVARCHAR(MAX) NULL
+      );
+
+      CREATE TABLE Product_Inventory (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        product_id INT NOT NULL CONSTRAINT FK_Product_Inventory_UnstitchedFabricProducts REFERENCES UnstitchedFabricProducts(id) ON DELETE CASCADE,
+        stock_qty INT NOT NULL CONSTRAINT DF_Product_Inventory_stock_qty DEFAULT 0,
+        is_in_stock AS (CAST(CASE WHEN stock_qty > 0 THEN 1 ELSE 0 END AS BIT))
+      );
+
+      CREATE TABLE UserUnstichedProducts (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        UserId INT NOT NULL CONSTRAINT FK_UserUnstichedProducts_Users REFERENCES Users(id),
+        ProductId INT NOT NULL CONSTRAINT FK_UserUnstichedProducts_UnstitchedFabricProducts REFERENCES UnstitchedFabricProducts(id) ON DELETE CASCADE,
+        Created_At DATETIME2 NOT NULL CONSTRAINT DF_UserUnstichedProducts_Created_At DEFAULT GETDATE()
+      );
+    `,
+    sqlite: `
+      CREATE TABLE brands (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE
+      );
+
+      CREATE TABLE categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE
+      );
+
+      CREATE TABLE ProductTypes (
+        ProductTypeId INTEGER PRIMARY KEY AUTOINCREMENT,
+        ProductType TEXT NOT NULL UNIQUE
+      );
+
+      CREATE TABLE UnstitchedFabricProducts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        brand_id INTEGER REFERENCES brands(id),
+        category_id INTEGER REFERENCES categories(id),
+        sku TEXT,
+        style_code TEXT,
+        model_name TEXT,
+        product_type TEXT,
+        color TEXT,
+        brand_color TEXT,
+        fabric TEXT,
+        fabric_purity TEXT,
+        composition TEXT,
+        pattern TEXT,
+        stitching_type TEXT,
+        ideal_for TEXT,
+        unit TEXT DEFAULT 'meter',
+        top_length_value NUMERIC,
+        top_length_unit TEXT DEFAULT 'm',
+        sales_package TEXT,
+        short_description TEXT,
+        long_description TEXT,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE ProductPrices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL REFERENCES UnstitchedFabricProducts(id) ON DELETE CASCADE,
+        product_type TEXT,
+        currency_code TEXT NOT NULL DEFAULT 'INR',
+        price_mrp NUMERIC NOT NULL,
+        price_sale NUMERIC,
+        valid_from TEXT,
+        valid_to TEXT,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE ProductImages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL REFERENCES UnstitchedFabricProducts(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        is_primary INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE Product_Compliance (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL REFERENCES UnstitchedFabricProducts(id) ON DELETE CASCADE,
+        country_of_origin TEXT,
+        manufacturer_details TEXT,
+        packer_details TEXT,
+        importer_details TEXT,
+        mfg_month_year TEXT,
+        customer_care TEXT
+      );
+
+      CREATE TABLE Product_Inventory (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL REFERENCES UnstitchedFabricProducts(id) ON DELETE CASCADE,
+        stock_qty INTEGER NOT NULL DEFAULT 0,
+        is_in_stock INTEGER GENERATED ALWAYS AS (CASE WHEN stock_qty > 0 THEN 1 ELSE 0 END) VIRTUAL
+      );
+
+      CREATE TABLE UserUnstichedProducts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        UserId INTEGER NOT NULL REFERENCES Users(id),
+        ProductId INTEGER NOT NULL REFERENCES UnstitchedFabricProducts(id) ON DELETE CASCADE,
+        Created_At TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE UserUnstichedProducts;
+      DROP TABLE Product_Inventory;
+      DROP TABLE Product_Compliance;
+      DROP TABLE ProductImages;
+      DROP TABLE ProductPrices;
+      DROP TABLE UnstitchedFabricProducts;
+      DROP TABLE ProductTypes;
+      DROP TABLE categories;
+      DROP TABLE brands;
+    `,
+    sqlite: `
+      DROP TABLE UserUnstichedProducts;
+      DROP TABLE Product_Inventory;
+      DROP TABLE Product_Compliance;
+      DROP TABLE ProductImages;
+      DROP TABLE ProductPrices;
+      DROP TABLE UnstitchedFabricProducts;
+      DROP TABLE ProductTypes;
+      DROP TABLE categories;
+      DROP TABLE brands;
+    `
+  }
+};
@@ -0,0 +1,197 @@
+// Orders, their items (itemTotal is computed), addresses and address mappings, measurements
+// and measurement boy assignments
+module.exports = {
+  description: 'Create Orders, OrderItems, DeliveryAddresses, OrderDeliveryAddressMapping, Measurements and OrderMeasurementBoyAssignment',
+
+  up: {
+    mssql: `
+      CREATE TABLE Orders (
+        orderId INT IDENTITY(1,1) PRIMARY KEY,
+        customerId INT NOT NULL CONSTRAINT FK_Orders_Users REFERENCES Users(id),
+        orderDate DATETIME2 NOT NULL CONSTRAINT DF_Orders_orderDate DEFAULT GETDATE(),
+        orderType NVARCHAR(50) NULL,
+        totalAmount DECIMAL(18,2) NOT NULL CONSTRAINT DF_Orders_totalAmount DEFAULT 0,
+        paymentStatus NVARCHAR(50) NOT NULL CONSTRAINT DF_Orders_paymentStatus DEFAULT 'Pending',
+        advancePaid DECIMAL(18,2) NOT NULL CONSTRAINT DF_Orders_advancePaid DEFAULT 0,
+        deliveryDate DATETIME2 NULL,
+        notes NVARCHAR(MAX) NULL,
+        createdBy INT NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_Orders_createdAt DEFAULT GETDATE(),
+        updatedAt DATETIME2 NOT NULL CONSTRAINT DF_Orders_updatedAt DEFAULT GETDATE()
+      );
+
+      CREATE TABLE OrderItems (
+        orderItemId INT IDENTITY(1,1) PRIMARY KEY,
+        orderId INT NOT NULL CONSTRAINT FK_OrderItems_Orders REFERENCES Orders(orderId) ON DELETE CASCADE,
+        itemType NVARCHAR(100) NULL,
+        productCode NVARCHAR(100) NULL,
+        description NVARCHAR(MAX) NULL,
+        shopId INT NULL,
+        tailorId INT NULL,
+        quantity DECIMAL(18,2) NOT NULL CONSTRAINT DF_OrderItems_quantity DEFAULT 1,
+        unit NVARCHAR(20) NULL,
+        unitPrice DECIMAL(18,2) NOT NULL CONSTRAINT DF_OrderItems_unitPrice DEFAULT 0,
+        itemTotal AS (quantity * unitPrice) PERSISTED,
+        status NVARCHAR(50) NOT NULL CONSTRAINT DF_OrderItems_status DEFAULT 'Pending',
+        notes NVARCHAR(MAX) NULL,
+        measurementDate DATE NULL,
+        measurementSlot NVARCHAR(50) NULL,
+        stitchingDate DATE NULL,
+        isMeasurementDone BIT NOT NULL CONSTRAINT DF_OrderItems_isMeasurementDone DEFAULT 0,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_OrderItems_createdAt DEFAULT GETDATE(),
+        updatedAt DATETIME2 NOT NULL CONSTRAINT DF_OrderItems_updatedAt DEFAULT GETDATE()
+      );
+
+      CREATE TABLE DeliveryAddresses (
+        deliveryAddressId INT IDENTITY(1,1) PRIMARY KEY,
+        orderId INT NULL,
+        userId INT NULL CONSTRAINT FK_DeliveryAddresses_Users REFERENCES Users(id),
+        fullName NVARCHAR(255) NOT NULL,
+        phoneNumber NVARCHAR(20) NOT NULL,
+        alternatePhone NVARCHAR(20) NULL,
+        addressLine1 NVARCHAR(500) NOT NULL,
+        addressLine2 NVARCHAR(500) NULL,
+        landmark NVARCHAR(255) NULL,
+        city NVARCHAR(100) NOT NULL,
+        state NVARCHAR(100) NOT NULL,
+        pincode NVARCHAR(10) NOT NULL,
+        addressType NVARCHAR(20) NOT NULL CONSTRAINT DF_DeliveryAddresses_addressType DEFAULT 'Home',
+        deliveryInstructions NVARCHAR(MAX) NULL,
+        googleMapLink NVARCHAR(1000) NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_DeliveryAddresses_createdAt DEFAULT GETDATE(),
+        updatedAt DATETIME2 NOT NULL CONSTRAINT DF_DeliveryAddresses_updatedAt DEFAULT GETDATE()
+      );
+
+      CREATE TABLE OrderDeliveryAddressMapping (
+        orderDeliveryId INT IDENTITY(1,1) PRIMARY KEY,
+        orderId INT NOT NULL CONSTRAINT FK_OrderDeliveryAddressMapping_Orders REFERENCES Orders(orderId) ON DELETE CASCADE,
+        deliveryAddressId INT NOT NULL CONSTRAINT FK_OrderDeliveryAddressMapping_DeliveryAddresses REFERENCES DeliveryAddresses(deliveryAddressId),
+        deliveryAddressType NVARCHAR(20) NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_OrderDeliveryAddressMapping_createdAt DEFAULT GETDATE()
+      );
+
+      CREATE TABLE Measurements (
+        measurementId INT IDENTITY(1,1) PRIMARY KEY,
+        orderItemId INT NOT NULL CONSTRAINT FK_Measurements_OrderItems REFERENCES OrderItems(orderItemId) ON DELETE CASCADE,
+        measurementKey NVARCHAR(100) NOT NULL,
+        measurementValue NVARCHAR(100) NULL,
+        notes NVARCHAR(MAX) NULL,
+        CONSTRAINT UQ_Measurements_orderItemId_measurementKey UNIQUE (orderItemId, measurementKey)
+      );
+
+      CREATE TABLE OrderMeasurementBoyAssignment (
+        orderMeasurementBoyAssignmentId INT IDENTITY(1,1) PRIMARY KEY,
+        orderId INT NOT NULL CONSTRAINT FK_OrderMeasurementBoyAssignment_Orders REFERENCES Orders(orderId) ON DELETE CASCADE,
+        userId INT NOT NULL CONSTRAINT FK_OrderMeasurementBoyAssignment_Users REFERENCES Users(id),
+        status NVARCHAR(50) NOT NULL CONSTRAINT DF_OrderMeasurementBoyAssignment_status DEFAULT 'Assigned',
+        assignedAt DATETIME2 NOT NULL CONSTRAINT DF_OrderMeasurementBoyAssignment_assignedAt DEFAULT GETDATE(),
+        startedAt DATETIME2 NULL,
+        completedAt DATETIME2 NULL
+      );
+    `,
+    sqlite: `
+      CREATE TABLE Orders (
+        orderId INTEGER PRIMARY KEY AUTOINCREMENT,
+        customerId INTEGER NOT NULL REFERENCES Users(id),
+        orderDate TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        orderType TEXT,
+        totalAmount NUMERIC NOT NULL DEFAULT 0,
+        paymentStatus TEXT NOT NULL DEFAULT 'Pending',
+        advancePaid NUMERIC NOT NULL DEFAULT 0,
+        deliveryDate TEXT,
+        notes TEXT,
+        createdBy INTEGER,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE OrderItems (
+        orderItemId INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderId INTEGER NOT NULL REFERENCES Orders(orderId) ON DELETE CASCADE,
+        itemType TEXT,
+        productCode TEXT,
+        description TEXT,
+        shopId INTEGER,
+        tailorId INTEGER,
+        quantity NUMERIC NOT NULL DEFAULT 1,
+        unit TEXT,
+        unitPrice NUMERIC NOT NULL DEFAULT 0,
+        itemTotal NUMERIC GENERATED ALWAYS AS (quantity * unitPrice) STORED,
+        status TEXT NOT NULL DEFAULT 'Pending',
+        notes TEXT,
+        measurementDate TEXT,
+        measurementSlot TEXT,
+        stitchingDate TEXT,
+        isMeasurementDone INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE DeliveryAddresses (
+        deliveryAddressId INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderId INTEGER,
+        userId INTEGER REFERENCES Users(id),
+        fullName TEXT NOT NULL,
+        phoneNumber TEXT NOT NULL,
+        alternatePhone TEXT,
+        addressLine1 TEXT NOT NULL,
+        addressLine2 TEXT,
+        landmark TEXT,
+        city TEXT NOT NULL,
+        state TEXT NOT NULL,
+        pincode TEXT NOT NULL,
+        addressType TEXT NOT NULL DEFAULT 'Home',
+        deliveryInstructions TEXT,
+        googleMapLink TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE OrderDeliveryAddressMapping (
+        orderDeliveryId INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderId INTEGER NOT NULL REFERENCES Orders(orderId) ON DELETE CASCADE,
+        deliveryAddressId INTEGER NOT NULL REFERENCES DeliveryAddresses(deliveryAddressId),
+        deliveryAddressType TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE Measurements (
+        measurementId INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderItemId INTEGER NOT NULL REFERENCES OrderItems(orderItemId) ON DELETE CASCADE,
+        measurementKey TEXT NOT NULL,
+        measurementValue TEXT,
+        notes TEXT,
+        UNIQUE (orderItemId, measurementKey)
+      );
+
+      CREATE TABLE OrderMeasurementBoyAssignment (
+        orderMeasurementBoyAssignmentId INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderId INTEGER NOT NULL REFERENCES Orders(orderId) ON DELETE CASCADE,
+        userId INTEGER NOT NULL REFERENCES Users(id),
+        status TEXT NOT NULL DEFAULT 'Assigned',
+        assignedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        startedAt TEXT,
+        completedAt TEXT
+      );
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE OrderMeasurementBoyAssignment;
+      DROP TABLE Measurements;
+      DROP TABLE OrderDeliveryAddressMapping;
+      DROP TABLE DeliveryAddresses;
+      DROP TABLE OrderItems;
+      DROP TABLE Orders;
+    `,
+    sqlite: `
+      DROP TABLE OrderMeasurementBoyAssignment;
+      DROP TABLE Measurements;
+      DROP TABLE OrderDeliveryAddressMapping;
+      DROP TABLE DeliveryAddresses;
+      DROP TABLE OrderItems;
+      DROP TABLE Orders;
+    `
+  }
+};
@@ -0,0 +1,54 @@
+// Login sessions backing refresh tokens. A session is one signed-in device: it holds the hash of
+// the current refresh token (rotated on every refresh) and is revoked on logout. Access tokens
+// carry the session id, so a revoked session also stops its access tokens.
+module.exports = {
+  description: 'Create AuthSessions',
+
+  up: {
+    mssql: `
+      CREATE TABLE AuthSessions (
+        sessionId NVARCHAR(36) NOT NULL CONSTRAINT PK_AuthSessions PRIMARY KEY,
+        userId INT NOT NULL CONSTRAINT FK_AuthSessions_Users REFERENCES Users(id) ON DELETE CASCADE,
+        refreshTokenHash NVARCHAR(64) NOT NULL CONSTRAINT UQ_AuthSessions_refreshTokenHash UNIQUE,
+        previousRefreshTokenHash NVARCHAR(64) NULL,
+        expiresAt DATETIME2 NOT NULL,
+        userAgent NVARCHAR(500) NULL,
+        ipAddress NVARCHAR(64) NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_AuthSessions_createdAt DEFAULT GETDATE(),
+        lastUsedAt DATETIME2 NOT NULL CONSTRAINT DF_AuthSessions_lastUsedAt DEFAULT GETDATE(),
+        revokedAt DATETIME2 NULL,
+        revokedReason NVARCHAR(50) NULL
+      );
+
+      CREATE INDEX IX_AuthSessions_userId ON AuthSessions (userId);
+      CREATE INDEX IX_AuthSessions_previousRefreshTokenHash ON AuthSessions (previousRefreshTokenHash);
+    `,
+    sqlite: `
+      CREATE TABLE AuthSessions (
+        sessionId TEXT NOT NULL PRIMARY KEY,
+        userId INTEGER NOT NULL REFERENCES Users(id) ON DELETE CASCADE,
+        refreshTokenHash TEXT NOT NULL UNIQUE,
+        previousRefreshTokenHash TEXT,
+        expiresAt TEXT NOT NULL,
+        userAgent TEXT,
+        ipAddress TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        lastUsedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        revokedAt TEXT,
+        revokedReason TEXT
+      );
+
+      CREATE INDEX IX_AuthSessions_userId ON AuthSessions (userId);
+      CREATE INDEX IX_AuthSessions_previousRefreshTokenHash ON AuthSessions (previousRefreshTokenHash);
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE AuthSessions;
+    `,
+    sqlite: `
+      DROP TABLE AuthSessions;
+    `
+  }
+};
@@ -0,0 +1,43 @@
+// One-time password reset tokens. Only the SHA-256 hash of a token is stored; a token is
+// spent by setting usedAt, and any token still open is closed when the password changes.
+module.exports = {
+  description: 'Create PasswordResetTokens',
+
+  up: {
+    mssql: `
+      CREATE TABLE PasswordResetTokens (
+        id INT IDENTITY(1,1) CONSTRAINT PK_PasswordResetTokens PRIMARY KEY,
+        userId INT NOT NULL CONSTRAINT FK_PasswordResetTokens_Users REFERENCES Users(id) ON DELETE CASCADE,
+        tokenHash NVARCHAR(64) NOT NULL CONSTRAINT UQ_PasswordResetTokens_tokenHash UNIQUE,
+        expiresAt DATETIME2 NOT NULL,
+        requestedIp NVARCHAR(64) NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_PasswordResetTokens_createdAt DEFAULT GETDATE(),
+        usedAt DATETIME2 NULL
+      );
+
+      CREATE INDEX IX_PasswordResetTokens_userId ON PasswordResetTokens (userId);
+    `,
+    sqlite: `
+      CREATE TABLE PasswordResetTokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL REFERENCES Users(id) ON DELETE CASCADE,
+        tokenHash TEXT NOT NULL UNIQUE,
+        expiresAt TEXT NOT NULL,
+        requestedIp TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        usedAt TEXT
+      );
+
+      CREATE INDEX IX_PasswordResetTokens_userId ON PasswordResetTokens (userId);
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE PasswordResetTokens;
+    `,
+    sqlite: `
+      DROP TABLE PasswordResetTokens;
+    `
+  }
+};
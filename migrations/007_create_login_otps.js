@@ -0,0 +1,69 @@
+// One-time passwords for phone number login. Codes are stored as keyed hashes; a code is
+// spent (consumedAt) on success, after too many wrong attempts, or when a newer code is sent.
+// LoginOtpRequests logs every code request, for registered numbers or not, and is what the
+// OTP rate limits are counted from.
+module.exports = {
+  description: 'Create LoginOtps and LoginOtpRequests',
+
+  up: {
+    mssql: `
+      CREATE TABLE LoginOtps (
+        id INT IDENTITY(1,1) CONSTRAINT PK_LoginOtps PRIMARY KEY,
+        userId INT NOT NULL CONSTRAINT FK_LoginOtps_Users REFERENCES Users(id) ON DELETE CASCADE,
+        phoneNumber NVARCHAR(20) NOT NULL,
+        otpHash NVARCHAR(64) NOT NULL,
+        expiresAt DATETIME2 NOT NULL,
+        attempts INT NOT NULL CONSTRAINT DF_LoginOtps_attempts DEFAULT 0,
+        requestedIp NVARCHAR(64) NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_LoginOtps_createdAt DEFAULT GETDATE(),
+        consumedAt DATETIME2 NULL
+      );
+
+      CREATE INDEX IX_LoginOtps_phoneNumber_createdAt ON LoginOtps (phoneNumber, createdAt);
+
+      CREATE TABLE LoginOtpRequests (
+        id INT IDENTITY(1,1) CONSTRAINT PK_LoginOtpRequests PRIMARY KEY,
+        phoneNumber NVARCHAR(20) NOT NULL,
+        requestedIp NVARCHAR(64) NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_LoginOtpRequests_createdAt DEFAULT GETDATE()
+      );
+
+      CREATE INDEX IX_LoginOtpRequests_phoneNumber_createdAt ON LoginOtpRequests (phoneNumber, createdAt);
+    `,
+    sqlite: `
+      CREATE TABLE LoginOtps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL REFERENCES Users(id) ON DELETE CASCADE,
+        phoneNumber TEXT NOT NULL,
+        otpHash TEXT NOT NULL,
+        expiresAt TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        requestedIp TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        consumedAt TEXT
+      );
+
+      CREATE INDEX IX_LoginOtps_phoneNumber_createdAt ON LoginOtps (phoneNumber, createdAt);
+
+      CREATE TABLE LoginOtpRequests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phoneNumber TEXT NOT NULL,
+        requestedIp TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX IX_LoginOtpRequests_phoneNumber_createdAt ON LoginOtpRequests (phoneNumber, createdAt);
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE LoginOtpRequests;
+      DROP TABLE LoginOtps;
+    `,
+    sqlite: `
+      DROP TABLE LoginOtpRequests;
+      DROP TABLE LoginOtps;
+    `
+  }
+};
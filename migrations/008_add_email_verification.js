@@ -0,0 +1,53 @@
+// Email verification. Users.emailVerifiedAt stays NULL until the owner of the address follows
+// the link sent at signup; accounts that existed before this migration count as verified.
+// Verification tokens work like password reset tokens: hashed, expiring and single use.
+module.exports = {
+  description: 'Add Users.emailVerifiedAt and create EmailVerificationTokens',
+
+  up: {
+    mssql: `
+      ALTER TABLE Users ADD emailVerifiedAt DATETIME2 NULL;
+
+      -- Dynamic SQL: the new column does not exist yet when this batch is compiled
+      EXEC('UPDATE Users SET emailVerifiedAt = createdAt');
+
+      CREATE TABLE EmailVerificationTokens (
+        id INT IDENTITY(1,1) CONSTRAINT PK_EmailVerificationTokens PRIMARY KEY,
+        userId INT NOT NULL CONSTRAINT FK_EmailVerificationTokens_Users REFERENCES Users(id) ON DELETE CASCADE,
+        tokenHash NVARCHAR(64) NOT NULL CONSTRAINT UQ_EmailVerificationTokens_tokenHash UNIQUE,
+        expiresAt DATETIME2 NOT NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_EmailVerificationTokens_createdAt DEFAULT GETDATE(),
+        usedAt DATETIME2 NULL
+      );
+
+      CREATE INDEX IX_EmailVerificationTokens_userId ON EmailVerificationTokens (userId);
+    `,
+    sqlite: `
+      ALTER TABLE Users ADD COLUMN emailVerifiedAt TEXT;
+
+      UPDATE Users SET emailVerifiedAt = createdAt;
+
+      CREATE TABLE EmailVerificationTokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL REFERENCES Users(id) ON DELETE CASCADE,
+        tokenHash TEXT NOT NULL UNIQUE,
+        expiresAt TEXT NOT NULL,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        usedAt TEXT
+      );
+
+      CREATE INDEX IX_EmailVerificationTokens_userId ON EmailVerificationTokens (userId);
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE EmailVerificationTokens;
+      ALTER TABLE Users DROP COLUMN emailVerifiedAt;
+    `,
+    sqlite: `
+      DROP TABLE EmailVerificationTokens;
+      ALTER TABLE Users DROP COLUMN emailVerifiedAt;
+    `
+  }
+};
@@ -0,0 +1,80 @@
+// Login brute-force protection. LoginAttempts is the audit log of every sign-in attempt
+// (password or OTP); LoginThrottles holds the running failure count and lockout of each
+// email address and client IP, reset by a successful login or an admin unlock.
+module.exports = {
+  description: 'Create LoginAttempts and LoginThrottles',
+
+  up: {
+    mssql: `
+      CREATE TABLE LoginAttempts (
+        id INT IDENTITY(1,1) CONSTRAINT PK_LoginAttempts PRIMARY KEY,
+        method NVARCHAR(20) NOT NULL,
+        identifier NVARCHAR(255) NULL,
+        userId INT NULL CONSTRAINT FK_LoginAttempts_Users REFERENCES Users(id) ON DELETE SET NULL,
+        ipAddress NVARCHAR(64) NULL,
+        userAgent NVARCHAR(500) NULL,
+        succeeded BIT NOT NULL,
+        failureReason NVARCHAR(50) NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_LoginAttempts_createdAt DEFAULT GETDATE()
+      );
+
+      CREATE INDEX IX_LoginAttempts_identifier_createdAt ON LoginAttempts (identifier, createdAt);
+      CREATE INDEX IX_LoginAttempts_ipAddress_createdAt ON LoginAttempts (ipAddress, createdAt);
+
+      CREATE TABLE LoginThrottles (
+        id INT IDENTITY(1,1) CONSTRAINT PK_LoginThrottles PRIMARY KEY,
+        scope NVARCHAR(10) NOT NULL,
+        identifier NVARCHAR(255) NOT NULL,
+        failedCount INT NOT NULL CONSTRAINT DF_LoginThrottles_failedCount DEFAULT 0,
+        lastFailedAt DATETIME2 NULL,
+        lockedUntil DATETIME2 NULL,
+        lockoutCount INT NOT NULL CONSTRAINT DF_LoginThrottles_lockoutCount DEFAULT 0,
+        unlockedAt DATETIME2 NULL,
+        unlockedBy INT NULL,
+        updatedAt DATETIME2 NOT NULL CONSTRAINT DF_LoginThrottles_updatedAt DEFAULT GETDATE(),
+        CONSTRAINT UQ_LoginThrottles_scope_identifier UNIQUE (scope, identifier)
+      );
+    `,
+    sqlite: `
+      CREATE TABLE LoginAttempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        method TEXT NOT NULL,
+        identifier TEXT,
+        userId INTEGER REFERENCES Users(id) ON DELETE SET NULL,
+        ipAddress TEXT,
+        userAgent TEXT,
+        succeeded INTEGER NOT NULL,
+        failureReason TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX IX_LoginAttempts_identifier_createdAt ON LoginAttempts (identifier, createdAt);
+      CREATE INDEX IX_LoginAttempts_ipAddress_createdAt ON LoginAttempts (ipAddress, createdAt);
+
+      CREATE TABLE LoginThrottles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scope TEXT NOT NULL,
+        identifier TEXT NOT NULL,
+        failedCount INTEGER NOT NULL DEFAULT 0,
+        lastFailedAt TEXT,
+        lockedUntil TEXT,
+        lockoutCount INTEGER NOT NULL DEFAULT 0,
+        unlockedAt TEXT,
+        unlockedBy INTEGER,
+        updatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        UNIQUE (scope, identifier)
+      );
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE LoginThrottles;
+      DROP TABLE LoginAttempts;
+    `,
+    sqlite: `
+      DROP TABLE LoginThrottles;
+      DROP TABLE LoginAttempts;
+    `
+  }
+};
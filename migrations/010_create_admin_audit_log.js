@@ -0,0 +1,54 @@
+// Admin user management. AdminAuditLog records every action an admin takes on a user account
+// (activation, roles, password resets, impersonation, login unlocks). AuthSessions.impersonatedBy
+// marks sessions an admin opened as another user for support.
+module.exports = {
+  description: 'Create AdminAuditLog and add AuthSessions.impersonatedBy',
+
+  up: {
+    mssql: `
+      CREATE TABLE AdminAuditLog (
+        id INT IDENTITY(1,1) CONSTRAINT PK_AdminAuditLog PRIMARY KEY,
+        adminUserId INT NULL CONSTRAINT FK_AdminAuditLog_Users REFERENCES Users(id) ON DELETE SET NULL,
+        action NVARCHAR(50) NOT NULL,
+        targetUserId INT NULL,
+        details NVARCHAR(MAX) NULL,
+        ipAddress NVARCHAR(64) NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_AdminAuditLog_createdAt DEFAULT GETDATE()
+      );
+
+      CREATE INDEX IX_AdminAuditLog_targetUserId_createdAt ON AdminAuditLog (targetUserId, createdAt);
+      CREATE INDEX IX_AdminAuditLog_adminUserId_createdAt ON AdminAuditLog (adminUserId, createdAt);
+
+      -- No foreign key: Users already cascades into AuthSessions through userId
+      ALTER TABLE AuthSessions ADD impersonatedBy INT NULL;
+    `,
+    sqlite: `
+      CREATE TABLE AdminAuditLog (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        adminUserId INTEGER REFERENCES Users(id) ON DELETE SET NULL,
+        action TEXT NOT NULL,
+        targetUserId INTEGER,
+        details TEXT,
+        ipAddress TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX IX_AdminAuditLog_targetUserId_createdAt ON AdminAuditLog (targetUserId, createdAt);
+      CREATE INDEX IX_AdminAuditLog_adminUserId_createdAt ON AdminAuditLog (adminUserId, createdAt);
+
+      -- No foreign key: Users already cascades into AuthSessions through userId
+      ALTER TABLE AuthSessions ADD COLUMN impersonatedBy INTEGER;
+    `
+  },
+
+  down: {
+    mssql: `
+      ALTER TABLE AuthSessions DROP COLUMN impersonatedBy;
+      DROP TABLE AdminAuditLog;
+    `,
+    sqlite: `
+      ALTER TABLE AuthSessions DROP COLUMN impersonatedBy;
+      DROP TABLE AdminAuditLog;
+    `
+  }
+};
@@ -0,0 +1,23 @@
+// Role switching. A session may be scoped to one of the user's roles (the "active role");
+// its access tokens then only carry that role. NULL means every role the user holds.
+module.exports = {
+  description: 'Add AuthSessions.activeRole',
+
+  up: {
+    mssql: `
+      ALTER TABLE AuthSessions ADD activeRole NVARCHAR(50) NULL;
+    `,
+    sqlite: `
+      ALTER TABLE AuthSessions ADD COLUMN activeRole TEXT;
+    `
+  },
+
+  down: {
+    mssql: `
+      ALTER TABLE AuthSessions DROP COLUMN activeRole;
+    `,
+    sqlite: `
+      ALTER TABLE AuthSessions DROP COLUMN activeRole;
+    `
+  }
+};
@@ -0,0 +1,62 @@
+// Multi-role accounts replace the combined Taylorseller role: users holding it get the Tailor and
+// Seller roles instead. The Taylorseller role row itself stays for tokens issued before this.
+// Rolling back gives users holding both Tailor and Seller the Taylorseller role again.
+module.exports = {
+  description: 'Replace Taylorseller role mappings with Tailor and Seller',
+
+  up: {
+    mssql: `
+      INSERT INTO UserRoles (user_id, role_id, assigned_at)
+      SELECT ur.user_id, r.id, GETDATE()
+      FROM UserRoles ur
+      INNER JOIN Roles legacy ON legacy.id = ur.role_id AND legacy.role_name = 'Taylorseller'
+      INNER JOIN Roles r ON r.role_name IN ('Tailor', 'Seller')
+      WHERE NOT EXISTS (
+        SELECT 1 FROM UserRoles x WHERE x.user_id = ur.user_id AND x.role_id = r.id
+      );
+
+      DELETE FROM UserRoles
+      WHERE role_id IN (SELECT id FROM Roles WHERE role_name = 'Taylorseller');
+    `,
+    sqlite: `
+      INSERT INTO UserRoles (user_id, role_id, assigned_at)
+      SELECT ur.user_id, r.id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      FROM UserRoles ur
+      INNER JOIN Roles legacy ON legacy.id = ur.role_id AND legacy.role_name = 'Taylorseller'
+      INNER JOIN Roles r ON r.role_name IN ('Tailor', 'Seller')
+      WHERE NOT EXISTS (
+        SELECT 1 FROM UserRoles x WHERE x.user_id = ur.user_id AND x.role_id = r.id
+      );
+
+      DELETE FROM UserRoles
+      WHERE role_id IN (SELECT id FROM Roles WHERE role_name = 'Taylorseller');
+    `
+  },
+
+  down: {
+    mssql: `
+      INSERT INTO UserRoles (user_id, role_id, assigned_at)
+      SELECT tailor.user_id, legacy.id, GETDATE()
+      FROM UserRoles tailor
+      INNER JOIN Roles tr ON tr.id = tailor.role_id AND tr.role_name = 'Tailor'
+      INNER JOIN UserRoles seller ON seller.user_id = tailor.user_id
+      INNER JOIN Roles sr ON sr.id = seller.role_id AND sr.role_name = 'Seller'
+      INNER JOIN Roles legacy ON legacy.role_name = 'Taylorseller'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM UserRoles x WHERE x.user_id = tailor.user_id AND x.role_id = legacy.id
+      );
+    `,
+    sqlite: `
+      INSERT INTO UserRoles (user_id, role_id, assigned_at)
+      SELECT tailor.user_id, legacy.id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      FROM UserRoles tailor
+      INNER JOIN Roles tr ON tr.id = tailor.role_id AND tr.role_name = 'Tailor'
+      INNER JOIN UserRoles seller ON seller.user_id = tailor.user_id
+      INNER JOIN Roles sr ON sr.id = seller.role_id AND sr.role_name = 'Seller'
+      INNER JOIN Roles legacy ON legacy.role_name = 'Taylorseller'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM UserRoles x WHERE x.user_id = tailor.user_id AND x.role_id = legacy.id
+      );
+    `
+  }
+};
@@ -0,0 +1,28 @@
+// Measurement boy assignments. An order has at most one assignment: reassigning moves the
+// existing row to another measurement boy, so the unique index also stops two concurrent
+// assign requests from both succeeding. The userId index serves a measurement boy's order list.
+module.exports = {
+  description: 'Add unique OrderMeasurementBoyAssignment.orderId and userId indexes',
+
+  up: {
+    mssql: `
+      CREATE UNIQUE INDEX UX_OrderMeasurementBoyAssignment_orderId ON OrderMeasurementBoyAssignment (orderId);
+      CREATE INDEX IX_OrderMeasurementBoyAssignment_userId_status ON OrderMeasurementBoyAssignment (userId, status);
+    `,
+    sqlite: `
+      CREATE UNIQUE INDEX UX_OrderMeasurementBoyAssignment_orderId ON OrderMeasurementBoyAssignment (orderId);
+      CREATE INDEX IX_OrderMeasurementBoyAssignment_userId_status ON OrderMeasurementBoyAssignment (userId, status);
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP INDEX IX_OrderMeasurementBoyAssignment_userId_status ON OrderMeasurementBoyAssignment;
+      DROP INDEX UX_OrderMeasurementBoyAssignment_orderId ON OrderMeasurementBoyAssignment;
+    `,
+    sqlite: `
+      DROP INDEX IX_OrderMeasurementBoyAssignment_userId_status;
+      DROP INDEX UX_OrderMeasurementBoyAssignment_orderId;
+    `
+  }
+};
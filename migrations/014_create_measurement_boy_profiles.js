@@ -0,0 +1,57 @@
+// Measurement boy dispatch. MeasurementBoyProfiles holds where a measurement boy works (city),
+// how many visits a day they take (dailyCapacity, NULL = MEASUREMENT_DAILY_CAPACITY) and whether
+// they take new orders at all; MeasurementBoyServicePincodes lists the pincodes they cover.
+module.exports = {
+  description: 'Create MeasurementBoyProfiles and MeasurementBoyServicePincodes',
+
+  up: {
+    mssql: `
+      CREATE TABLE MeasurementBoyProfiles (
+        userId INT NOT NULL CONSTRAINT PK_MeasurementBoyProfiles PRIMARY KEY
+          CONSTRAINT FK_MeasurementBoyProfiles_Users REFERENCES Users(id) ON DELETE CASCADE,
+        workingCity NVARCHAR(100) NULL,
+        dailyCapacity INT NULL,
+        isAvailable BIT NOT NULL CONSTRAINT DF_MeasurementBoyProfiles_isAvailable DEFAULT 1,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementBoyProfiles_createdAt DEFAULT GETDATE(),
+        updatedAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementBoyProfiles_updatedAt DEFAULT GETDATE()
+      );
+
+      CREATE TABLE MeasurementBoyServicePincodes (
+        userId INT NOT NULL CONSTRAINT FK_MeasurementBoyServicePincodes_Profiles REFERENCES MeasurementBoyProfiles(userId) ON DELETE CASCADE,
+        pincode NVARCHAR(10) NOT NULL,
+        CONSTRAINT PK_MeasurementBoyServicePincodes PRIMARY KEY (userId, pincode)
+      );
+
+      CREATE INDEX IX_MeasurementBoyServicePincodes_pincode ON MeasurementBoyServicePincodes (pincode);
+    `,
+    sqlite: `
+      CREATE TABLE MeasurementBoyProfiles (
+        userId INTEGER PRIMARY KEY REFERENCES Users(id) ON DELETE CASCADE,
+        workingCity TEXT,
+        dailyCapacity INTEGER,
+        isAvailable INTEGER NOT NULL DEFAULT 1,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE MeasurementBoyServicePincodes (
+        userId INTEGER NOT NULL REFERENCES MeasurementBoyProfiles(userId) ON DELETE CASCADE,
+        pincode TEXT NOT NULL,
+        PRIMARY KEY (userId, pincode)
+      );
+
+      CREATE INDEX IX_MeasurementBoyServicePincodes_pincode ON MeasurementBoyServicePincodes (pincode);
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE MeasurementBoyServicePincodes;
+      DROP TABLE MeasurementBoyProfiles;
+    `,
+    sqlite: `
+      DROP TABLE MeasurementBoyServicePincodes;
+      DROP TABLE MeasurementBoyProfiles;
+    `
+  }
+};
@@ -0,0 +1,123 @@
+// Measurement slot booking. A MeasurementSlotSchedule is the slot catalog of one measurement team:
+// the city it serves (and optionally the pincodes, which take precedence over the city), its
+// working hours (startTime-endTime, 'HH:MM'), slot length and how many visits one slot takes.
+// Closures close a whole date or a single slot; closedWeekdays lists days (0 = Sunday) the team
+// never works. MeasurementSlotBookings holds the slots each order booked, which is what the
+// capacity of a slot is counted from.
+module.exports = {
+  description: 'Create MeasurementSlotSchedules, MeasurementSlotSchedulePincodes, MeasurementSlotClosures and MeasurementSlotBookings',
+
+  up: {
+    mssql: `
+      CREATE TABLE MeasurementSlotSchedules (
+        scheduleId INT IDENTITY(1,1) CONSTRAINT PK_MeasurementSlotSchedules PRIMARY KEY,
+        name NVARCHAR(100) NOT NULL,
+        city NVARCHAR(100) NOT NULL,
+        startTime NVARCHAR(5) NOT NULL,
+        endTime NVARCHAR(5) NOT NULL,
+        slotMinutes INT NOT NULL,
+        maxBookings INT NOT NULL,
+        closedWeekdays NVARCHAR(20) NULL,
+        isActive BIT NOT NULL CONSTRAINT DF_MeasurementSlotSchedules_isActive DEFAULT 1,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementSlotSchedules_createdAt DEFAULT GETDATE(),
+        updatedAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementSlotSchedules_updatedAt DEFAULT GETDATE()
+      );
+
+      CREATE INDEX IX_MeasurementSlotSchedules_city ON MeasurementSlotSchedules (city);
+
+      CREATE TABLE MeasurementSlotSchedulePincodes (
+        scheduleId INT NOT NULL CONSTRAINT FK_MeasurementSlotSchedulePincodes_Schedules REFERENCES MeasurementSlotSchedules(scheduleId) ON DELETE CASCADE,
+        pincode NVARCHAR(10) NOT NULL,
+        CONSTRAINT PK_MeasurementSlotSchedulePincodes PRIMARY KEY (scheduleId, pincode)
+      );
+
+      CREATE INDEX IX_MeasurementSlotSchedulePincodes_pincode ON MeasurementSlotSchedulePincodes (pincode);
+
+      CREATE TABLE MeasurementSlotClosures (
+        closureId INT IDENTITY(1,1) CONSTRAINT PK_MeasurementSlotClosures PRIMARY KEY,
+        scheduleId INT NOT NULL CONSTRAINT FK_MeasurementSlotClosures_Schedules REFERENCES MeasurementSlotSchedules(scheduleId) ON DELETE CASCADE,
+        closedDate DATE NOT NULL,
+        slotStart NVARCHAR(5) NULL,
+        reason NVARCHAR(255) NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementSlotClosures_createdAt DEFAULT GETDATE()
+      );
+
+      CREATE INDEX IX_MeasurementSlotClosures_scheduleId_closedDate ON MeasurementSlotClosures (scheduleId, closedDate);
+
+      CREATE TABLE MeasurementSlotBookings (
+        bookingId INT IDENTITY(1,1) CONSTRAINT PK_MeasurementSlotBookings PRIMARY KEY,
+        orderId INT NOT NULL CONSTRAINT FK_MeasurementSlotBookings_Orders REFERENCES Orders(orderId) ON DELETE CASCADE,
+        scheduleId INT NOT NULL CONSTRAINT FK_MeasurementSlotBookings_Schedules REFERENCES MeasurementSlotSchedules(scheduleId) ON DELETE CASCADE,
+        slotDate DATE NOT NULL,
+        slotStart NVARCHAR(5) NOT NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementSlotBookings_createdAt DEFAULT GETDATE(),
+        CONSTRAINT UQ_MeasurementSlotBookings_order_slot UNIQUE (orderId, slotDate, slotStart)
+      );
+
+      CREATE INDEX IX_MeasurementSlotBookings_schedule_slot ON MeasurementSlotBookings (scheduleId, slotDate, slotStart);
+    `,
+    sqlite: `
+      CREATE TABLE MeasurementSlotSchedules (
+        scheduleId INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        city TEXT NOT NULL,
+        startTime TEXT NOT NULL,
+        endTime TEXT NOT NULL,
+        slotMinutes INTEGER NOT NULL,
+        maxBookings INTEGER NOT NULL,
+        closedWeekdays TEXT,
+        isActive INTEGER NOT NULL DEFAULT 1,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX IX_MeasurementSlotSchedules_city ON MeasurementSlotSchedules (city);
+
+      CREATE TABLE MeasurementSlotSchedulePincodes (
+        scheduleId INTEGER NOT NULL REFERENCES MeasurementSlotSchedules(scheduleId) ON DELETE CASCADE,
+        pincode TEXT NOT NULL,
+        PRIMARY KEY (scheduleId, pincode)
+      );
+
+      CREATE INDEX IX_MeasurementSlotSchedulePincodes_pincode ON MeasurementSlotSchedulePincodes (pincode);
+
+      CREATE TABLE MeasurementSlotClosures (
+        closureId INTEGER PRIMARY KEY AUTOINCREMENT,
+        scheduleId INTEGER NOT NULL REFERENCES MeasurementSlotSchedules(scheduleId) ON DELETE CASCADE,
+        closedDate TEXT NOT NULL,
+        slotStart TEXT,
+        reason TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX IX_MeasurementSlotClosures_scheduleId_closedDate ON MeasurementSlotClosures (scheduleId, closedDate);
+
+      CREATE TABLE MeasurementSlotBookings (
+        bookingId INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderId INTEGER NOT NULL REFERENCES Orders(orderId) ON DELETE CASCADE,
+        scheduleId INTEGER NOT NULL REFERENCES MeasurementSlotSchedules(scheduleId) ON DELETE CASCADE,
+        slotDate TEXT NOT NULL,
+        slotStart TEXT NOT NULL,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        UNIQUE (orderId, slotDate, slotStart)
+      );
+
+      CREATE INDEX IX_MeasurementSlotBookings_schedule_slot ON MeasurementSlotBookings (scheduleId, slotDate, slotStart);
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE MeasurementSlotBookings;
+      DROP TABLE MeasurementSlotClosures;
+      DROP TABLE MeasurementSlotSchedulePincodes;
+      DROP TABLE MeasurementSlotSchedules;
+    `,
+    sqlite: `
+      DROP TABLE MeasurementSlotBookings;
+      DROP TABLE MeasurementSlotClosures;
+      DROP TABLE MeasurementSlotSchedulePincodes;
+      DROP TABLE MeasurementSlotSchedules;
+    `
+  }
+};
@@ -0,0 +1,68 @@
+// Measurement templates. Each TailorItems item lists the measurements taken for it: the key
+// (stored uppercase, as in Measurements.measurementKey), its unit, the accepted range and whether
+// it may be left out. Order items are matched to their item by OrderItems.itemType = TailorItems.Name.
+// A MeasurementTemplates row marks a template an admin has saved: seeds/003_measurement_templates.js
+// only fills in default fields for items whose template was never edited.
+module.exports = {
+  description: 'Create MeasurementTemplates and MeasurementTemplateFields',
+
+  up: {
+    mssql: `
+      CREATE TABLE MeasurementTemplates (
+        itemId INT NOT NULL CONSTRAINT PK_MeasurementTemplates PRIMARY KEY CONSTRAINT FK_MeasurementTemplates_TailorItems REFERENCES TailorItems(ItemId) ON DELETE CASCADE,
+        updatedBy INT NULL CONSTRAINT FK_MeasurementTemplates_Users REFERENCES Users(id),
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementTemplates_createdAt DEFAULT GETDATE(),
+        updatedAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementTemplates_updatedAt DEFAULT GETDATE()
+      );
+
+      CREATE TABLE MeasurementTemplateFields (
+        fieldId INT IDENTITY(1,1) CONSTRAINT PK_MeasurementTemplateFields PRIMARY KEY,
+        itemId INT NOT NULL CONSTRAINT FK_MeasurementTemplateFields_TailorItems REFERENCES TailorItems(ItemId) ON DELETE CASCADE,
+        measurementKey NVARCHAR(100) NOT NULL,
+        label NVARCHAR(100) NULL,
+        unit NVARCHAR(10) NOT NULL,
+        minValue DECIMAL(9,2) NOT NULL,
+        maxValue DECIMAL(9,2) NOT NULL,
+        isOptional BIT NOT NULL CONSTRAINT DF_MeasurementTemplateFields_isOptional DEFAULT 0,
+        sortOrder INT NOT NULL CONSTRAINT DF_MeasurementTemplateFields_sortOrder DEFAULT 0,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementTemplateFields_createdAt DEFAULT GETDATE(),
+        updatedAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementTemplateFields_updatedAt DEFAULT GETDATE(),
+        CONSTRAINT UQ_MeasurementTemplateFields_itemId_key UNIQUE (itemId, measurementKey)
+      );
+    `,
+    sqlite: `
+      CREATE TABLE MeasurementTemplates (
+        itemId INTEGER PRIMARY KEY REFERENCES TailorItems(ItemId) ON DELETE CASCADE,
+        updatedBy INTEGER REFERENCES Users(id),
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE TABLE MeasurementTemplateFields (
+        fieldId INTEGER PRIMARY KEY AUTOINCREMENT,
+        itemId INTEGER NOT NULL REFERENCES TailorItems(ItemId) ON DELETE CASCADE,
+        measurementKey TEXT NOT NULL,
+        label TEXT,
+        unit TEXT NOT NULL,
+        minValue NUMERIC NOT NULL,
+        maxValue NUMERIC NOT NULL,
+        isOptional INTEGER NOT NULL DEFAULT 0,
+        sortOrder INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        UNIQUE (itemId, measurementKey)
+      );
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE MeasurementTemplateFields;
+      DROP TABLE MeasurementTemplates;
+    `,
+    sqlite: `
+      DROP TABLE MeasurementTemplateFields;
+      DROP TABLE MeasurementTemplates;
+    `
+  }
+};
@@ -0,0 +1,94 @@
+// Customer measurement profiles. A profile holds one person's measurements for one garment
+// (itemType, as in OrderItems.itemType): the customer themself or a family member, told apart by
+// the profile name. Every re-measurement adds a dated MeasurementProfileVersions row with its own
+// values, so earlier versions stay as they were. An order item made from a profile records the
+// version in OrderItems.measurementProfileVersionId.
+module.exports = {
+  description: 'Create MeasurementProfiles, MeasurementProfileVersions, MeasurementProfileValues and add OrderItems.measurementProfileVersionId',
+
+  up: {
+    mssql: `
+      CREATE TABLE MeasurementProfiles (
+        profileId INT IDENTITY(1,1) CONSTRAINT PK_MeasurementProfiles PRIMARY KEY,
+        customerId INT NOT NULL CONSTRAINT FK_MeasurementProfiles_Users REFERENCES Users(id) ON DELETE CASCADE,
+        name NVARCHAR(100) NOT NULL,
+        itemType NVARCHAR(100) NOT NULL,
+        isArchived BIT NOT NULL CONSTRAINT DF_MeasurementProfiles_isArchived DEFAULT 0,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementProfiles_createdAt DEFAULT GETDATE(),
+        updatedAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementProfiles_updatedAt DEFAULT GETDATE()
+      );
+
+      CREATE INDEX IX_MeasurementProfiles_customerId ON MeasurementProfiles (customerId, isArchived);
+
+      CREATE TABLE MeasurementProfileVersions (
+        versionId INT IDENTITY(1,1) CONSTRAINT PK_MeasurementProfileVersions PRIMARY KEY,
+        profileId INT NOT NULL CONSTRAINT FK_MeasurementProfileVersions_Profiles REFERENCES MeasurementProfiles(profileId) ON DELETE CASCADE,
+        versionNumber INT NOT NULL,
+        measuredAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementProfileVersions_measuredAt DEFAULT GETDATE(),
+        measuredBy INT NULL,
+        sourceOrderItemId INT NULL,
+        notes NVARCHAR(MAX) NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementProfileVersions_createdAt DEFAULT GETDATE(),
+        CONSTRAINT UQ_MeasurementProfileVersions_profile_version UNIQUE (profileId, versionNumber)
+      );
+
+      CREATE TABLE MeasurementProfileValues (
+        versionId INT NOT NULL CONSTRAINT FK_MeasurementProfileValues_Versions REFERENCES MeasurementProfileVersions(versionId) ON DELETE CASCADE,
+        measurementKey NVARCHAR(100) NOT NULL,
+        measurementValue NVARCHAR(100) NOT NULL,
+        CONSTRAINT PK_MeasurementProfileValues PRIMARY KEY (versionId, measurementKey)
+      );
+
+      ALTER TABLE OrderItems ADD measurementProfileVersionId INT NULL;
+    `,
+    sqlite: `
+      CREATE TABLE MeasurementProfiles (
+        profileId INTEGER PRIMARY KEY AUTOINCREMENT,
+        customerId INTEGER NOT NULL REFERENCES Users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        itemType TEXT NOT NULL,
+        isArchived INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updatedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX IX_MeasurementProfiles_customerId ON MeasurementProfiles (customerId, isArchived);
+
+      CREATE TABLE MeasurementProfileVersions (
+        versionId INTEGER PRIMARY KEY AUTOINCREMENT,
+        profileId INTEGER NOT NULL REFERENCES MeasurementProfiles(profileId) ON DELETE CASCADE,
+        versionNumber INTEGER NOT NULL,
+        measuredAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        measuredBy INTEGER,
+        sourceOrderItemId INTEGER,
+        notes TEXT,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        UNIQUE (profileId, versionNumber)
+      );
+
+      CREATE TABLE MeasurementProfileValues (
+        versionId INTEGER NOT NULL REFERENCES MeasurementProfileVersions(versionId) ON DELETE CASCADE,
+        measurementKey TEXT NOT NULL,
+        measurementValue TEXT NOT NULL,
+        PRIMARY KEY (versionId, measurementKey)
+      );
+
+      ALTER TABLE OrderItems ADD COLUMN measurementProfileVersionId INTEGER;
+    `
+  },
+
+  down: {
+    mssql: `
+      ALTER TABLE OrderItems DROP COLUMN measurementProfileVersionId;
+      DROP TABLE MeasurementProfileValues;
+      DROP TABLE MeasurementProfileVersions;
+      DROP TABLE MeasurementProfiles;
+    `,
+    sqlite: `
+      ALTER TABLE OrderItems DROP COLUMN measurementProfileVersionId;
+      DROP TABLE MeasurementProfileValues;
+      DROP TABLE MeasurementProfileVersions;
+      DROP TABLE MeasurementProfiles;
+    `
+  }
+};
@@ -0,0 +1,68 @@
+// Measurement units. Measurements.measurementValue was free text, so "38", "38in" and "96.5cm"
+// were stored side by side. Numeric measurements now also have numericValue and unit, always in
+// the canonical unit (inches, see services/measurementUnitService.js), and measurementValue holds
+// the same number as text. Existing values are converted: bare numbers are taken as inches and
+// values ending in "in" or "cm" are read in that unit. Anything else stays text without a unit.
+module.exports = {
+  description: 'Add Measurements.numericValue and Measurements.unit and normalize existing measurements to inches',
+
+  up: {
+    mssql: `
+      ALTER TABLE Measurements ADD numericValue DECIMAL(9,3) NULL, unit NVARCHAR(10) NULL;
+
+      -- Dynamic SQL: the new columns do not exist yet when this batch is compiled
+      EXEC('
+        UPDATE m SET
+          numericValue = ROUND(CASE WHEN s.suffix = ''cm'' THEN v.number / 2.54 ELSE v.number END, 3),
+          unit = ''in''
+        FROM Measurements m
+        CROSS APPLY (SELECT LOWER(LTRIM(RTRIM(m.measurementValue))) AS text) t
+        CROSS APPLY (SELECT CASE WHEN RIGHT(t.text, 2) IN (''in'', ''cm'') THEN RIGHT(t.text, 2) ELSE '''' END AS suffix) s
+        CROSS APPLY (SELECT TRY_CAST(RTRIM(LEFT(t.text, LEN(t.text) - LEN(s.suffix))) AS DECIMAL(12,4)) AS number) v
+        WHERE v.number IS NOT NULL AND v.number >= 0
+      ');
+      EXEC('UPDATE Measurements SET measurementValue = FORMAT(numericValue, ''0.###'') WHERE unit IS NOT NULL');
+    `,
+    sqlite: `
+      ALTER TABLE Measurements ADD COLUMN numericValue REAL;
+      ALTER TABLE Measurements ADD COLUMN unit TEXT;
+
+      UPDATE Measurements SET
+        numericValue = ROUND(CAST(parsed.numberText AS REAL) / parsed.divisor, 3),
+        unit = 'in'
+      FROM (
+        SELECT
+          measurementId,
+          rtrim(CASE WHEN suffix <> '' THEN substr(text, 1, length(text) - 2) ELSE text END) AS numberText,
+          CASE WHEN suffix = 'cm' THEN 2.54 ELSE 1 END AS divisor
+        FROM (
+          SELECT
+            measurementId,
+            lower(trim(measurementValue)) AS text,
+            CASE WHEN substr(lower(trim(measurementValue)), -2) IN ('in', 'cm') THEN substr(lower(trim(measurementValue)), -2) ELSE '' END AS suffix
+          FROM Measurements
+        )
+      ) AS parsed
+      WHERE parsed.measurementId = Measurements.measurementId
+        AND parsed.numberText GLOB '*[0-9]*'
+        AND parsed.numberText NOT GLOB '*[^0-9.]*'
+        AND parsed.numberText NOT GLOB '*.*.*';
+
+      UPDATE Measurements SET measurementValue = CASE
+        WHEN numericValue = CAST(numericValue AS INTEGER) THEN CAST(CAST(numericValue AS INTEGER) AS TEXT)
+        ELSE CAST(numericValue AS TEXT)
+      END
+      WHERE unit IS NOT NULL;
+    `
+  },
+
+  down: {
+    mssql: `
+      ALTER TABLE Measurements DROP COLUMN numericValue, unit;
+    `,
+    sqlite: `
+      ALTER TABLE Measurements DROP COLUMN unit;
+      ALTER TABLE Measurements DROP COLUMN numericValue;
+    `
+  }
+};
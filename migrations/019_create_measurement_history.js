@@ -0,0 +1,67 @@
+// Measurement history. Every value written to Measurements also adds a MeasurementHistory row:
+// who wrote it, when, the value before and after (as stored: text, number and unit) and the
+// reason given for a correction. Measurements that existed before this migration get one
+// 'Created' row each so every measurement has a history.
+module.exports = {
+  description: 'Create MeasurementHistory and record existing measurements in it',
+
+  up: {
+    mssql: `
+      CREATE TABLE MeasurementHistory (
+        historyId INT IDENTITY(1,1) CONSTRAINT PK_MeasurementHistory PRIMARY KEY,
+        measurementId INT NOT NULL,
+        orderItemId INT NOT NULL CONSTRAINT FK_MeasurementHistory_OrderItems REFERENCES OrderItems(orderItemId) ON DELETE CASCADE,
+        measurementKey NVARCHAR(100) NOT NULL,
+        changeType NVARCHAR(20) NOT NULL,
+        previousValue NVARCHAR(100) NULL,
+        previousNumericValue DECIMAL(9,3) NULL,
+        previousUnit NVARCHAR(10) NULL,
+        newValue NVARCHAR(100) NULL,
+        newNumericValue DECIMAL(9,3) NULL,
+        newUnit NVARCHAR(10) NULL,
+        reason NVARCHAR(500) NULL,
+        changedBy INT NULL,
+        changedAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementHistory_changedAt DEFAULT GETDATE()
+      );
+
+      CREATE INDEX IX_MeasurementHistory_orderItemId ON MeasurementHistory (orderItemId, measurementKey, changedAt);
+
+      INSERT INTO MeasurementHistory (measurementId, orderItemId, measurementKey, changeType, newValue, newNumericValue, newUnit, reason)
+      SELECT measurementId, orderItemId, measurementKey, 'Created', measurementValue, numericValue, unit, 'Recorded before measurement history was kept'
+      FROM Measurements;
+    `,
+    sqlite: `
+      CREATE TABLE MeasurementHistory (
+        historyId INTEGER PRIMARY KEY AUTOINCREMENT,
+        measurementId INTEGER NOT NULL,
+        orderItemId INTEGER NOT NULL REFERENCES OrderItems(orderItemId) ON DELETE CASCADE,
+        measurementKey TEXT NOT NULL,
+        changeType TEXT NOT NULL,
+        previousValue TEXT,
+        previousNumericValue REAL,
+        previousUnit TEXT,
+        newValue TEXT,
+        newNumericValue REAL,
+        newUnit TEXT,
+        reason TEXT,
+        changedBy INTEGER,
+        changedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX IX_MeasurementHistory_orderItemId ON MeasurementHistory (orderItemId, measurementKey, changedAt);
+
+      INSERT INTO MeasurementHistory (measurementId, orderItemId, measurementKey, changeType, newValue, newNumericValue, newUnit, reason)
+      SELECT measurementId, orderItemId, measurementKey, 'Created', measurementValue, numericValue, unit, 'Recorded before measurement history was kept'
+      FROM Measurements;
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE MeasurementHistory;
+    `,
+    sqlite: `
+      DROP TABLE MeasurementHistory;
+    `
+  }
+};
@@ -0,0 +1,53 @@
+// Measurement attachments: posture photos, reference garments and design sketches a measurement
+// boy uploads for an order item during the measurement visit. Files live under
+// uploads/measurements; the row keeps the URL, what the file shows and the assignment (the visit)
+// it was taken in.
+module.exports = {
+  description: 'Create MeasurementAttachments',
+
+  up: {
+    mssql: `
+      CREATE TABLE MeasurementAttachments (
+        attachmentId INT IDENTITY(1,1) CONSTRAINT PK_MeasurementAttachments PRIMARY KEY,
+        orderItemId INT NOT NULL CONSTRAINT FK_MeasurementAttachments_OrderItems REFERENCES OrderItems(orderItemId) ON DELETE CASCADE,
+        orderMeasurementBoyAssignmentId INT NULL,
+        attachmentType NVARCHAR(30) NOT NULL,
+        fileUrl NVARCHAR(500) NOT NULL,
+        originalName NVARCHAR(255) NULL,
+        mimeType NVARCHAR(100) NULL,
+        fileSize INT NULL,
+        caption NVARCHAR(500) NULL,
+        uploadedBy INT NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementAttachments_createdAt DEFAULT GETDATE()
+      );
+
+      CREATE INDEX IX_MeasurementAttachments_orderItemId ON MeasurementAttachments (orderItemId);
+    `,
+    sqlite: `
+      CREATE TABLE MeasurementAttachments (
+        attachmentId INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderItemId INTEGER NOT NULL REFERENCES OrderItems(orderItemId) ON DELETE CASCADE,
+        orderMeasurementBoyAssignmentId INTEGER,
+        attachmentType TEXT NOT NULL,
+        fileUrl TEXT NOT NULL,
+        originalName TEXT,
+        mimeType TEXT,
+        fileSize INTEGER,
+        caption TEXT,
+        uploadedBy INTEGER,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX IX_MeasurementAttachments_orderItemId ON MeasurementAttachments (orderItemId);
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE MeasurementAttachments;
+    `,
+    sqlite: `
+      DROP TABLE MeasurementAttachments;
+    `
+  }
+};
@@ -0,0 +1,78 @@
+// Customer sign-off on collected measurements. Once an order item is measured the customer
+// approves its measurements or disputes them, in the app or through a one-time link sent by email.
+// OrderItems.measurementSignOffStatus holds the current decision (NULL = awaiting the customer; it
+// is cleared again when a measurement changes) and only approved items may go to stitching.
+// MeasurementSignOffs keeps every decision; MeasurementSignOffTokens the hashed links.
+module.exports = {
+  description: 'Add OrderItems.measurementSignOffStatus and create MeasurementSignOffs and MeasurementSignOffTokens',
+
+  up: {
+    mssql: `
+      ALTER TABLE OrderItems ADD measurementSignOffStatus NVARCHAR(20) NULL, measurementSignOffAt DATETIME2 NULL;
+
+      CREATE TABLE MeasurementSignOffs (
+        signOffId INT IDENTITY(1,1) CONSTRAINT PK_MeasurementSignOffs PRIMARY KEY,
+        orderItemId INT NOT NULL CONSTRAINT FK_MeasurementSignOffs_OrderItems REFERENCES OrderItems(orderItemId) ON DELETE CASCADE,
+        decision NVARCHAR(20) NOT NULL,
+        comment NVARCHAR(1000) NULL,
+        signedOffBy INT NULL,
+        signedOffVia NVARCHAR(20) NOT NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementSignOffs_createdAt DEFAULT GETDATE()
+      );
+
+      CREATE INDEX IX_MeasurementSignOffs_orderItemId ON MeasurementSignOffs (orderItemId);
+
+      CREATE TABLE MeasurementSignOffTokens (
+        id INT IDENTITY(1,1) CONSTRAINT PK_MeasurementSignOffTokens PRIMARY KEY,
+        orderId INT NOT NULL CONSTRAINT FK_MeasurementSignOffTokens_Orders REFERENCES Orders(orderId) ON DELETE CASCADE,
+        tokenHash NVARCHAR(64) NOT NULL CONSTRAINT UQ_MeasurementSignOffTokens_tokenHash UNIQUE,
+        expiresAt DATETIME2 NOT NULL,
+        createdAt DATETIME2 NOT NULL CONSTRAINT DF_MeasurementSignOffTokens_createdAt DEFAULT GETDATE(),
+        usedAt DATETIME2 NULL
+      );
+
+      CREATE INDEX IX_MeasurementSignOffTokens_orderId ON MeasurementSignOffTokens (orderId);
+    `,
+    sqlite: `
+      ALTER TABLE OrderItems ADD COLUMN measurementSignOffStatus TEXT;
+      ALTER TABLE OrderItems ADD COLUMN measurementSignOffAt TEXT;
+
+      CREATE TABLE MeasurementSignOffs (
+        signOffId INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderItemId INTEGER NOT NULL REFERENCES OrderItems(orderItemId) ON DELETE CASCADE,
+        decision TEXT NOT NULL,
+        comment TEXT,
+        signedOffBy INTEGER,
+        signedOffVia TEXT NOT NULL,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX IX_MeasurementSignOffs_orderItemId ON MeasurementSignOffs (orderItemId);
+
+      CREATE TABLE MeasurementSignOffTokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderId INTEGER NOT NULL REFERENCES Orders(orderId) ON DELETE CASCADE,
+        tokenHash TEXT NOT NULL UNIQUE,
+        expiresAt TEXT NOT NULL,
+        createdAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        usedAt TEXT
+      );
+
+      CREATE INDEX IX_MeasurementSignOffTokens_orderId ON MeasurementSignOffTokens (orderId);
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE MeasurementSignOffTokens;
+      DROP TABLE MeasurementSignOffs;
+      ALTER TABLE OrderItems DROP COLUMN measurementSignOffStatus, measurementSignOffAt;
+    `,
+    sqlite: `
+      DROP TABLE MeasurementSignOffTokens;
+      DROP TABLE MeasurementSignOffs;
+      ALTER TABLE OrderItems DROP COLUMN measurementSignOffAt;
+      ALTER TABLE OrderItems DROP COLUMN measurementSignOffStatus;
+    `
+  }
+};
@@ -0,0 +1,98 @@
+// Order item lifecycle. OrderItems.status moves Placed -> MeasurementScheduled -> Measured ->
+// FabricReceived -> Stitching -> QualityCheck -> ReadyForDelivery -> Delivered (or Cancelled)
+// through the transitions in services/orderStatusService.js, and every change is kept in
+// OrderItemStatusHistory. Existing items get the lifecycle status matching what is known about them
+// ('Pending' becomes Placed, MeasurementScheduled or Measured) and one history row each. The sqlite
+// column default stays 'Pending' (changing it means rebuilding the table); inserts always set it.
+module.exports = {
+  description: 'Move order items to lifecycle statuses and create OrderItemStatusHistory',
+
+  up: {
+    mssql: `
+      CREATE TABLE OrderItemStatusHistory (
+        historyId INT IDENTITY(1,1) CONSTRAINT PK_OrderItemStatusHistory PRIMARY KEY,
+        orderItemId INT NOT NULL CONSTRAINT FK_OrderItemStatusHistory_OrderItems REFERENCES OrderItems(orderItemId) ON DELETE CASCADE,
+        fromStatus NVARCHAR(50) NULL,
+        toStatus NVARCHAR(50) NOT NULL,
+        reason NVARCHAR(500) NULL,
+        changedBy INT NULL,
+        changedAt DATETIME2 NOT NULL CONSTRAINT DF_OrderItemStatusHistory_changedAt DEFAULT GETDATE()
+      );
+
+      CREATE INDEX IX_OrderItemStatusHistory_orderItemId ON OrderItemStatusHistory (orderItemId, changedAt);
+
+      ALTER TABLE OrderItems DROP CONSTRAINT DF_OrderItems_status;
+      ALTER TABLE OrderItems ADD CONSTRAINT DF_OrderItems_status DEFAULT 'Placed' FOR status;
+
+      UPDATE OrderItems
+      SET status = CASE LOWER(status)
+          WHEN 'placed' THEN 'Placed'
+          WHEN 'measurementscheduled' THEN 'MeasurementScheduled'
+          WHEN 'measured' THEN 'Measured'
+          WHEN 'fabricreceived' THEN 'FabricReceived'
+          WHEN 'stitching' THEN 'Stitching'
+          WHEN 'qualitycheck' THEN 'QualityCheck'
+          WHEN 'readyfordelivery' THEN 'ReadyForDelivery'
+          WHEN 'delivered' THEN 'Delivered'
+          WHEN 'cancelled' THEN 'Cancelled'
+          ELSE CASE
+            WHEN isMeasurementDone = 1 THEN 'Measured'
+            WHEN EXISTS (SELECT 1 FROM OrderMeasurementBoyAssignment omba WHERE omba.orderId = OrderItems.orderId) THEN 'MeasurementScheduled'
+            ELSE 'Placed'
+          END
+        END;
+
+      INSERT INTO OrderItemStatusHistory (orderItemId, fromStatus, toStatus, reason, changedAt)
+      SELECT orderItemId, NULL, status, 'Status before status history was kept', COALESCE(updatedAt, createdAt)
+      FROM OrderItems;
+    `,
+    sqlite: `
+      CREATE TABLE OrderItemStatusHistory (
+        historyId INTEGER PRIMARY KEY AUTOINCREMENT,
+        orderItemId INTEGER NOT NULL REFERENCES OrderItems(orderItemId) ON DELETE CASCADE,
+        fromStatus TEXT,
+        toStatus TEXT NOT NULL,
+        reason TEXT,
+        changedBy INTEGER,
+        changedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+
+      CREATE INDEX IX_OrderItemStatusHistory_orderItemId ON OrderItemStatusHistory (orderItemId, changedAt);
+
+      UPDATE OrderItems
+      SET status = CASE LOWER(status)
+          WHEN 'placed' THEN 'Placed'
+          WHEN 'measurementscheduled' THEN 'MeasurementScheduled'
+          WHEN 'measured' THEN 'Measured'
+          WHEN 'fabricreceived' THEN 'FabricReceived'
+          WHEN 'stitching' THEN 'Stitching'
+          WHEN 'qualitycheck' THEN 'QualityCheck'
+          WHEN 'readyfordelivery' THEN 'ReadyForDelivery'
+          WHEN 'delivered' THEN 'Delivered'
+          WHEN 'cancelled' THEN 'Cancelled'
+          ELSE CASE
+            WHEN isMeasurementDone = 1 THEN 'Measured'
+            WHEN EXISTS (SELECT 1 FROM OrderMeasurementBoyAssignment omba WHERE omba.orderId = OrderItems.orderId) THEN 'MeasurementScheduled'
+            ELSE 'Placed'
+          END
+        END;
+
+      INSERT INTO OrderItemStatusHistory (orderItemId, fromStatus, toStatus, reason, changedAt)
+      SELECT orderItemId, NULL, status, 'Status before status history was kept', COALESCE(updatedAt, createdAt)
+      FROM OrderItems;
+    `
+  },
+
+  down: {
+    mssql: `
+      DROP TABLE OrderItemStatusHistory;
+      ALTER TABLE OrderItems DROP CONSTRAINT DF_OrderItems_status;
+      ALTER TABLE OrderItems ADD CONSTRAINT DF_OrderItems_status DEFAULT 'Pending' FOR status;
+      UPDATE OrderItems SET status = 'Pending' WHERE status IN ('Placed', 'MeasurementScheduled', 'Measured');
+    `,
+    sqlite: `
+      DROP TABLE OrderItemStatusHistory;
+      UPDATE OrderItems SET status = 'Pending' WHERE status IN ('Placed', 'MeasurementScheduled', 'Measured');
+    `
+  }
+};
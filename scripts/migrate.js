@@ -0,0 +1,59 @@
+// Database migration CLI
+//
+// Usage:
+//   node scripts/migrate.js up [version]   Apply pending migrations (up to and including version)
+//   node scripts/migrate.js down [steps]   Roll back the last applied migration(s) (default: 1)
+//   node scripts/migrate.js status         List migrations and whether they are applied
+//   node scripts/migrate.js seed           Insert seed data (roles, tailor items, measurement templates); safe to re-run
+//
+// Uses the same DB_DRIVER / connection settings as the API (see config/index.js).
+const { closeConnection } = require('../config/database');
+const migrationService = require('../services/migrationService');
+
+const commands = {
+  up: async (version) => {
+    await migrationService.up(version || null);
+  },
+  down: async (steps) => {
+    const count = steps ? parseInt(steps, 10) : 1;
+    if (isNaN(count) || count < 1) {
+      throw new Error(`Invalid number of steps: ${steps}`);
+    }
+    await migrationService.down(count);
+  },
+  status: async () => {
+    const migrations = await migrationService.status();
+    console.log('📋 ===========================================');
+    console.log('📋 MIGRATION STATUS');
+    console.log('📋 ===========================================');
+    migrations.forEach(migration => {
+      const state = migration.applied ? `✅ applied ${new Date(migration.appliedAt).toISOString()}` : '⏳ pending';
+      console.log(`${migration.version}  ${migration.name}  ${state}`);
+    });
+    console.log('📋 ===========================================');
+  },
+  seed: async () => {
+    await migrationService.seed();
+  }
+};
+
+const run = async () => {
+  const [command, argument] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    console.error(`❌ Unknown command: ${command || '(none)'}. Valid commands are: ${Object.keys(commands).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await commands[command](argument);
+  } catch (error) {
+    console.error(`❌ Migration command "${command}" failed:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeConnection();
+  }
+};
+
+run();
@@ -0,0 +1,13 @@
+// Roles every signup and role check relies on (validators/userValidation.js lists the same names)
+module.exports = {
+  description: 'Seed roles',
+  template: 'seedRole',
+  rows: [
+    { role_name: 'Admin', description: 'Platform administrator' },
+    { role_name: 'Customer', description: 'Customer placing orders' },
+    { role_name: 'Seller', description: 'Seller of unstitched fabric products' },
+    { role_name: 'Tailor', description: 'Tailor offering stitching services' },
+    { role_name: 'Taylorseller', description: 'Tailor who also sells fabric products' },
+    { role_name: 'MeasurementBoy', description: 'Field agent taking customer measurements' }
+  ]
+};
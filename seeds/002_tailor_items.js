@@ -0,0 +1,18 @@
+// Garments tailors can price in TailorItemPrices (GET /api/tailor-items)
+module.exports = {
+  description: 'Seed tailor items',
+  template: 'seedTailorItem',
+  rows: [
+    { Name: 'Shirt', Description: 'Formal or casual shirt' },
+    { Name: 'Trouser', Description: 'Formal trouser' },
+    { Name: 'Kurta', Description: 'Traditional kurta' },
+    { Name: 'Pyjama', Description: 'Kurta pyjama or churidar' },
+    { Name: 'Blazer', Description: 'Single or double breasted blazer' },
+    { Name: 'Suit', Description: 'Two or three piece suit' },
+    { Name: 'Waistcoat', Description: 'Waistcoat or Nehru jacket' },
+    { Name: 'Sherwani', Description: 'Wedding sherwani' },
+    { Name: 'Blouse', Description: 'Saree blouse' },
+    { Name: 'Salwar Kameez', Description: 'Salwar suit' },
+    { Name: 'Lehenga', Description: 'Lehenga choli' }
+  ]
+};
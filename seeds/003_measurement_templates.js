@@ -0,0 +1,47 @@
+// Default measurement templates (inches) for common garments. A row is only added while the
+// item's template has never been saved by an admin (see migrations/016_create_measurement_templates.js),
+// so edited templates are left as they are
+module.exports = {
+  description: 'Seed measurement templates',
+  template: 'seedMeasurementTemplateField',
+  rows: [
+    { itemName: 'Shirt', measurementKey: 'CHEST', label: 'Chest', unit: 'in', minValue: 20, maxValue: 70, isOptional: false, sortOrder: 1 },
+    { itemName: 'Shirt', measurementKey: 'WAIST', label: 'Waist', unit: 'in', minValue: 20, maxValue: 70, isOptional: false, sortOrder: 2 },
+    { itemName: 'Shirt', measurementKey: 'SHOULDER', label: 'Shoulder', unit: 'in', minValue: 10, maxValue: 30, isOptional: false, sortOrder: 3 },
+    { itemName: 'Shirt', measurementKey: 'SLEEVE', label: 'Sleeve length', unit: 'in', minValue: 10, maxValue: 40, isOptional: false, sortOrder: 4 },
+    { itemName: 'Shirt', measurementKey: 'LENGTH', label: 'Shirt length', unit: 'in', minValue: 20, maxValue: 45, isOptional: false, sortOrder: 5 },
+    { itemName: 'Shirt', measurementKey: 'NECK', label: 'Neck', unit: 'in', minValue: 10, maxValue: 25, isOptional: false, sortOrder: 6 },
+    { itemName: 'Shirt', measurementKey: 'CUFF', label: 'Cuff', unit: 'in', minValue: 5, maxValue: 15, isOptional: true, sortOrder: 7 },
+    { itemName: 'Trouser', measurementKey: 'WAIST', label: 'Waist', unit: 'in', minValue: 20, maxValue: 70, isOptional: false, sortOrder: 1 },
+    { itemName: 'Trouser', measurementKey: 'HIP', label: 'Hip', unit: 'in', minValue: 25, maxValue: 75, isOptional: false, sortOrder: 2 },
+    { itemName: 'Trouser', measurementKey: 'LENGTH', label: 'Trouser length', unit: 'in', minValue: 25, maxValue: 50, isOptional: false, sortOrder: 3 },
+    { itemName: 'Trouser', measurementKey: 'INSEAM', label: 'Inseam', unit: 'in', minValue: 20, maxValue: 40, isOptional: false, sortOrder: 4 },
+    { itemName: 'Trouser', measurementKey: 'THIGH', label: 'Thigh', unit: 'in', minValue: 12, maxValue: 40, isOptional: false, sortOrder: 5 },
+    { itemName: 'Trouser', measurementKey: 'BOTTOM', label: 'Bottom opening', unit: 'in', minValue: 10, maxValue: 30, isOptional: true, sortOrder: 6 },
+    { itemName: 'Kurta', measurementKey: 'CHEST', label: 'Chest', unit: 'in', minValue: 20, maxValue: 70, isOptional: false, sortOrder: 1 },
+    { itemName: 'Kurta', measurementKey: 'WAIST', label: 'Waist', unit: 'in', minValue: 20, maxValue: 70, isOptional: false, sortOrder: 2 },
+    { itemName: 'Kurta', measurementKey: 'SHOULDER', label: 'Shoulder', unit: 'in', minValue: 10, maxValue: 30, isOptional: false, sortOrder: 3 },
+    { itemName: 'Kurta', measurementKey: 'SLEEVE', label: 'Sleeve length', unit: 'in', minValue: 10, maxValue: 40, isOptional: false, sortOrder: 4 },
+    { itemName: 'Kurta', measurementKey: 'LENGTH', label: 'Kurta length', unit: 'in', minValue: 25, maxValue: 55, isOptional: false, sortOrder: 5 },
+    { itemName: 'Kurta', measurementKey: 'NECK', label: 'Neck', unit: 'in', minValue: 10, maxValue: 25, isOptional: false, sortOrder: 6 },
+    { itemName: 'Pyjama', measurementKey: 'WAIST', label: 'Waist', unit: 'in', minValue: 20, maxValue: 70, isOptional: false, sortOrder: 1 },
+    { itemName: 'Pyjama', measurementKey: 'HIP', label: 'Hip', unit: 'in', minValue: 25, maxValue: 75, isOptional: false, sortOrder: 2 },
+    { itemName: 'Pyjama', measurementKey: 'LENGTH', label: 'Pyjama length', unit: 'in', minValue: 25, maxValue: 50, isOptional: false, sortOrder: 3 },
+    { itemName: 'Pyjama', measurementKey: 'BOTTOM', label: 'Bottom opening', unit: 'in', minValue: 8, maxValue: 30, isOptional: false, sortOrder: 4 },
+    { itemName: 'Blazer', measurementKey: 'CHEST', label: 'Chest', unit: 'in', minValue: 20, maxValue: 70, isOptional: false, sortOrder: 1 },
+    { itemName: 'Blazer', measurementKey: 'WAIST', label: 'Waist', unit: 'in', minValue: 20, maxValue: 70, isOptional: false, sortOrder: 2 },
+    { itemName: 'Blazer', measurementKey: 'SHOULDER', label: 'Shoulder', unit: 'in', minValue: 10, maxValue: 30, isOptional: false, sortOrder: 3 },
+    { itemName: 'Blazer', measurementKey: 'SLEEVE', label: 'Sleeve length', unit: 'in', minValue: 10, maxValue: 40, isOptional: false, sortOrder: 4 },
+    { itemName: 'Blazer', measurementKey: 'LENGTH', label: 'Blazer length', unit: 'in', minValue: 20, maxValue: 40, isOptional: false, sortOrder: 5 },
+    { itemName: 'Waistcoat', measurementKey: 'CHEST', label: 'Chest', unit: 'in', minValue: 20, maxValue: 70, isOptional: false, sortOrder: 1 },
+    { itemName: 'Waistcoat', measurementKey: 'WAIST', label: 'Waist', unit: 'in', minValue: 20, maxValue: 70, isOptional: false, sortOrder: 2 },
+    { itemName: 'Waistcoat', measurementKey: 'SHOULDER', label: 'Shoulder', unit: 'in', minValue: 10, maxValue: 30, isOptional: false, sortOrder: 3 },
+    { itemName: 'Waistcoat', measurementKey: 'LENGTH', label: 'Waistcoat length', unit: 'in', minValue: 15, maxValue: 35, isOptional: false, sortOrder: 4 },
+    { itemName: 'Blouse', measurementKey: 'BUST', label: 'Bust', unit: 'in', minValue: 20, maxValue: 60, isOptional: false, sortOrder: 1 },
+    { itemName: 'Blouse', measurementKey: 'WAIST', label: 'Waist', unit: 'in', minValue: 18, maxValue: 60, isOptional: false, sortOrder: 2 },
+    { itemName: 'Blouse', measurementKey: 'SHOULDER', label: 'Shoulder', unit: 'in', minValue: 10, maxValue: 25, isOptional: false, sortOrder: 3 },
+    { itemName: 'Blouse', measurementKey: 'ARMHOLE', label: 'Armhole', unit: 'in', minValue: 10, maxValue: 25, isOptional: false, sortOrder: 4 },
+    { itemName: 'Blouse', measurementKey: 'LENGTH', label: 'Blouse length', unit: 'in', minValue: 10, maxValue: 25, isOptional: false, sortOrder: 5 },
+    { itemName: 'Blouse', measurementKey: 'SLEEVE', label: 'Sleeve length', unit: 'in', minValue: 3, maxValue: 25, isOptional: true, sortOrder: 6 }
+  ]
+};
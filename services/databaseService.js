@@ -1,6 +1,17 @@
-const { executeQuery } = require('../config/database');
+const { executeQuery, redactParams, runInTransaction } = require('../config/database');
 const { generateInsertUserSQL, generateUpdateUserSQL, generateDeleteUserSQL, loadTemplate } = require('../utils/sqlTemplate');
 
+// Columns of BusinessInformations that UpdateBusinessByBusinessId may set
+const updatableBusinessColumns = [
+  'ownerName', 'businessName', 'email', 'mobileNumber', 'alternateNumber', 'shopAddress',
+  'googleMapLink', 'gpsLatitude', 'gpsLongitude', 'workingCity', 'serviceTypes', 'specialization',
+  'yearsOfExperience', 'portfolioPhotos', 'certifications', 'openingTime', 'closingTime',
+  'weeklyOff', 'businessLogo', 'businessDescription', 'tailoringCategories'
+];
+
+// ORDER BY clauses GetAllOrders accepts (identifiers cannot be bound as parameters)
+const allowedOrderSortColumns = ['orderId', 'orderDate', 'totalAmount', 'deliveryDate', 'createdAt', 'updatedAt'];
+
 class DatabaseService {
   constructor() {
     this.db = {
@@ -8,12 +19,59 @@ class DatabaseService {
       InsertUser: this.InsertUser.bind(this),
       UpdateUser: this.UpdateUser.bind(this),
       GetUserByEmail: this.GetUserByEmail.bind(this),
+      GetUserById: this.GetUserById.bind(this),
+      GetUsersByPhoneNumber: this.GetUsersByPhoneNumber.bind(this),
+      UpdateUserPassword: this.UpdateUserPassword.bind(this),
+      MarkUserEmailVerified: this.MarkUserEmailVerified.bind(this),
       SelectUsers: this.SelectUsers.bind(this),
       DeleteUser: this.DeleteUser.bind(this),
+      SearchUsers: this.SearchUsers.bind(this),
+      CountUsers: this.CountUsers.bind(this),
+      SetUserActive: this.SetUserActive.bind(this),
       // Role operations
       GetRoleByName: this.GetRoleByName.bind(this),
       InsertUserRole: this.InsertUserRole.bind(this),
       GetUserRoles: this.GetUserRoles.bind(this),
+      DeleteUserRole: this.DeleteUserRole.bind(this),
+      // Auth session operations
+      InsertAuthSession: this.InsertAuthSession.bind(this),
+      GetAuthSessionByRefreshTokenHash: this.GetAuthSessionByRefreshTokenHash.bind(this),
+      GetAuthSessionStatus: this.GetAuthSessionStatus.bind(this),
+      RotateAuthSessionRefreshToken: this.RotateAuthSessionRefreshToken.bind(this),
+      UpdateAuthSessionActiveRole: this.UpdateAuthSessionActiveRole.bind(this),
+      RevokeAuthSession: this.RevokeAuthSession.bind(this),
+      RevokeUserAuthSessions: this.RevokeUserAuthSessions.bind(this),
+      // Password reset token operations
+      InsertPasswordResetToken: this.InsertPasswordResetToken.bind(this),
+      GetPasswordResetTokenByHash: this.GetPasswordResetTokenByHash.bind(this),
+      MarkPasswordResetTokenUsed: this.MarkPasswordResetTokenUsed.bind(this),
+      InvalidateUserPasswordResetTokens: this.InvalidateUserPasswordResetTokens.bind(this),
+      // Email verification token operations
+      InsertEmailVerificationToken: this.InsertEmailVerificationToken.bind(this),
+      GetEmailVerificationTokenByHash: this.GetEmailVerificationTokenByHash.bind(this),
+      GetLatestEmailVerificationTokenCreatedAt: this.GetLatestEmailVerificationTokenCreatedAt.bind(this),
+      MarkEmailVerificationTokenUsed: this.MarkEmailVerificationTokenUsed.bind(this),
+      InvalidateUserEmailVerificationTokens: this.InvalidateUserEmailVerificationTokens.bind(this),
+      // Login attempt and throttle operations
+      InsertLoginAttempt: this.InsertLoginAttempt.bind(this),
+      GetLoginAttempts: this.GetLoginAttempts.bind(this),
+      GetLoginThrottle: this.GetLoginThrottle.bind(this),
+      InsertLoginThrottleIfMissing: this.InsertLoginThrottleIfMissing.bind(this),
+      CountLoginThrottleFailure: this.CountLoginThrottleFailure.bind(this),
+      LockLoginThrottle: this.LockLoginThrottle.bind(this),
+      ResetLoginThrottle: this.ResetLoginThrottle.bind(this),
+      // Admin audit log operations
+      InsertAdminAuditLog: this.InsertAdminAuditLog.bind(this),
+      GetAdminAuditLog: this.GetAdminAuditLog.bind(this),
+      CountAdminAuditLog: this.CountAdminAuditLog.bind(this),
+      // Login OTP operations
+      InsertLoginOtp: this.InsertLoginOtp.bind(this),
+      InsertLoginOtpRequest: this.InsertLoginOtpRequest.bind(this),
+      GetLoginOtpRequestStats: this.GetLoginOtpRequestStats.bind(this),
+      GetLatestLoginOtp: this.GetLatestLoginOtp.bind(this),
+      IncrementLoginOtpAttempts: this.IncrementLoginOtpAttempts.bind(this),
+      ConsumeLoginOtp: this.ConsumeLoginOtp.bind(this),
+      ConsumeOpenLoginOtps: this.ConsumeOpenLoginOtps.bind(this),
       // Business Information operations
       InsertBusinessInformation: this.InsertBusinessInformation.bind(this),
       GetBusinessByUserId: this.GetBusinessByUserId.bind(this),
@@ -74,9 +132,69 @@ class DatabaseService {
       GetOrdersByTailorId: this.GetOrdersByTailorId.bind(this),
       GetOrdersByShopId: this.GetOrdersByShopId.bind(this),
       GetOrdersByMeasurementBoyId: this.GetOrdersByMeasurementBoyId.bind(this),
+      GetOrderAccess: this.GetOrderAccess.bind(this),
+      // OrderMeasurementBoyAssignment operations
+      GetMeasurementBoyAssignmentByOrderId: this.GetMeasurementBoyAssignmentByOrderId.bind(this),
+      InsertMeasurementBoyAssignment: this.InsertMeasurementBoyAssignment.bind(this),
+      ReassignMeasurementBoy: this.ReassignMeasurementBoy.bind(this),
+      UpdateMeasurementBoyAssignmentStatus: this.UpdateMeasurementBoyAssignmentStatus.bind(this),
+      GetUnassignedMeasurementOrders: this.GetUnassignedMeasurementOrders.bind(this),
+      // MeasurementBoyProfile operations
+      GetMeasurementBoyProfile: this.GetMeasurementBoyProfile.bind(this),
+      GetMeasurementBoyServicePincodes: this.GetMeasurementBoyServicePincodes.bind(this),
+      InsertMeasurementBoyProfileIfMissing: this.InsertMeasurementBoyProfileIfMissing.bind(this),
+      UpdateMeasurementBoyProfile: this.UpdateMeasurementBoyProfile.bind(this),
+      DeleteMeasurementBoyServicePincodes: this.DeleteMeasurementBoyServicePincodes.bind(this),
+      InsertMeasurementBoyServicePincode: this.InsertMeasurementBoyServicePincode.bind(this),
+      GetMeasurementBoyDispatchCandidates: this.GetMeasurementBoyDispatchCandidates.bind(this),
+      // MeasurementSlot operations
+      InsertMeasurementSlotSchedule: this.InsertMeasurementSlotSchedule.bind(this),
+      UpdateMeasurementSlotSchedule: this.UpdateMeasurementSlotSchedule.bind(this),
+      GetMeasurementSlotScheduleById: this.GetMeasurementSlotScheduleById.bind(this),
+      GetMeasurementSlotSchedules: this.GetMeasurementSlotSchedules.bind(this),
+      GetMeasurementSlotScheduleForArea: this.GetMeasurementSlotScheduleForArea.bind(this),
+      GetMeasurementSlotSchedulePincodes: this.GetMeasurementSlotSchedulePincodes.bind(this),
+      DeleteMeasurementSlotSchedulePincodes: this.DeleteMeasurementSlotSchedulePincodes.bind(this),
+      InsertMeasurementSlotSchedulePincode: this.InsertMeasurementSlotSchedulePincode.bind(this),
+      InsertMeasurementSlotClosure: this.InsertMeasurementSlotClosure.bind(this),
+      DeleteMeasurementSlotClosure: this.DeleteMeasurementSlotClosure.bind(this),
+      GetMeasurementSlotClosures: this.GetMeasurementSlotClosures.bind(this),
+      GetMeasurementSlotBookingCounts: this.GetMeasurementSlotBookingCounts.bind(this),
+      InsertMeasurementSlotBooking: this.InsertMeasurementSlotBooking.bind(this),
+      GetMeasurementSlotBookingsByOrderId: this.GetMeasurementSlotBookingsByOrderId.bind(this),
+      DeleteMeasurementSlotBooking: this.DeleteMeasurementSlotBooking.bind(this),
+      // MeasurementTemplate operations
+      GetMeasurementTemplate: this.GetMeasurementTemplate.bind(this),
+      GetMeasurementTemplateFields: this.GetMeasurementTemplateFields.bind(this),
+      InsertMeasurementTemplateIfMissing: this.InsertMeasurementTemplateIfMissing.bind(this),
+      UpdateMeasurementTemplate: this.UpdateMeasurementTemplate.bind(this),
+      DeleteMeasurementTemplateFields: this.DeleteMeasurementTemplateFields.bind(this),
+      InsertMeasurementTemplateField: this.InsertMeasurementTemplateField.bind(this),
+      GetMissingMeasurementKeys: this.GetMissingMeasurementKeys.bind(this),
+      // MeasurementProfile operations
+      InsertMeasurementProfile: this.InsertMeasurementProfile.bind(this),
+      UpdateMeasurementProfile: this.UpdateMeasurementProfile.bind(this),
+      GetMeasurementProfiles: this.GetMeasurementProfiles.bind(this),
+      InsertMeasurementProfileVersion: this.InsertMeasurementProfileVersion.bind(this),
+      InsertMeasurementProfileValue: this.InsertMeasurementProfileValue.bind(this),
+      GetMeasurementProfileVersions: this.GetMeasurementProfileVersions.bind(this),
+      GetMeasurementProfileValues: this.GetMeasurementProfileValues.bind(this),
+      // MeasurementSignOff operations
+      UpdateOrderItemSignOff: this.UpdateOrderItemSignOff.bind(this),
+      InsertMeasurementSignOff: this.InsertMeasurementSignOff.bind(this),
+      GetMeasurementSignOffs: this.GetMeasurementSignOffs.bind(this),
+      InsertMeasurementSignOffToken: this.InsertMeasurementSignOffToken.bind(this),
+      GetMeasurementSignOffTokenByHash: this.GetMeasurementSignOffTokenByHash.bind(this),
+      MarkMeasurementSignOffTokenUsed: this.MarkMeasurementSignOffTokenUsed.bind(this),
+      InvalidateOrderMeasurementSignOffTokens: this.InvalidateOrderMeasurementSignOffTokens.bind(this),
+      // OrderItemStatus operations
+      UpdateOrderItemStatus: this.UpdateOrderItemStatus.bind(this),
+      InsertOrderItemStatusHistory: this.InsertOrderItemStatusHistory.bind(this),
+      GetOrderItemStatusHistory: this.GetOrderItemStatusHistory.bind(this),
       // OrderItem operations
       InsertOrderItem: this.InsertOrderItem.bind(this),
       GetOrderItemsByOrderId: this.GetOrderItemsByOrderId.bind(this),
+      GetOrderItemById: this.GetOrderItemById.bind(this),
       UpdateOrderItem: this.UpdateOrderItem.bind(this),
       DeleteOrderItem: this.DeleteOrderItem.bind(this),
       CheckAllMeasurementsDone: this.CheckAllMeasurementsDone.bind(this),
@@ -85,6 +203,7 @@ class DatabaseService {
       InsertDeliveryAddress: this.InsertDeliveryAddress.bind(this),
       GetDeliveryAddressByOrderId: this.GetDeliveryAddressByOrderId.bind(this),
       GetDeliveryAddressesByUserId: this.GetDeliveryAddressesByUserId.bind(this),
+      GetDeliveryAddressById: this.GetDeliveryAddressById.bind(this),
       UpdateDeliveryAddress: this.UpdateDeliveryAddress.bind(this),
       DeleteDeliveryAddress: this.DeleteDeliveryAddress.bind(this),
       // OrderDeliveryAddressMapping operations
@@ -93,21 +212,34 @@ class DatabaseService {
       // Measurements operations
       InsertMeasurement: this.InsertMeasurement.bind(this),
       GetMeasurementByOrderItemIdAndKey: this.GetMeasurementByOrderItemIdAndKey.bind(this),
+      GetMeasurementsByOrderItemId: this.GetMeasurementsByOrderItemId.bind(this),
+      InsertMeasurementHistory: this.InsertMeasurementHistory.bind(this),
+      GetMeasurementHistory: this.GetMeasurementHistory.bind(this),
+      InsertMeasurementAttachment: this.InsertMeasurementAttachment.bind(this),
+      GetMeasurementAttachments: this.GetMeasurementAttachments.bind(this),
+      DeleteMeasurementAttachment: this.DeleteMeasurementAttachment.bind(this),
       UpdateMeasurement: this.UpdateMeasurement.bind(this)
     };
   }
 
+  // Run a multi-step flow as one unit of work: every db.* call awaited inside work
+  // joins the same transaction, which commits when work resolves and rolls back if it throws.
+  // Usage: await databaseService.transaction(async (tx) => { await tx.InsertOrder(...); ... });
+  async transaction(work) {
+    return runInTransaction(() => work(this.db));
+  }
+
   // Insert user using HBS template
   async InsertUser(parameters) {
     try {
-      console.log('🔄 DatabaseService.InsertUser called with parameters:', parameters);
+      console.log('🔄 DatabaseService.InsertUser called with parameters:', redactParams(parameters));
       
       // Generate SQL using HBS template
-      const sql = generateInsertUserSQL(parameters);
+      const { sql, params } = generateInsertUserSQL(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ User inserted successfully');
       
       return result;
@@ -121,14 +253,14 @@ class DatabaseService {
   // Update user using HBS template
   async UpdateUser(userId, parameters) {
     try {
-      console.log('🔄 DatabaseService.UpdateUser called with ID:', userId, 'parameters:', parameters);
+      console.log('🔄 DatabaseService.UpdateUser called with ID:', userId, 'parameters:', redactParams(parameters));
       
       // Generate SQL using HBS template
-      const sql = generateUpdateUserSQL(userId, parameters);
+      const { sql, params } = generateUpdateUserSQL(userId, parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ User updated successfully');
       console.log('📊 Update result:', result);
       
@@ -146,12 +278,12 @@ class DatabaseService {
       console.log('🔄 DatabaseService.GetUserByEmail called with parameters:', parameters);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getUserByEmail');
-      const sql = template(parameters);
+      const template = loadTemplate('getUserByEmail', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ User retrieved successfully');
       console.log('📊 Select result:', result);
       
@@ -163,1434 +295,3504 @@ class DatabaseService {
     }
   }
 
-  // Select all users
-  async SelectUsers() {
+  // Get user by id using HBS template
+  async GetUserById(userId) {
     try {
-      console.log('🔄 DatabaseService.SelectUsers called');
+      console.log('🔄 DatabaseService.GetUserById called with userId:', userId);
       
-      // Generate SQL using HBS template (no parameters = all users)
-      const template = loadTemplate('selectUser');
-      const sql = template({});
+      // Generate SQL using HBS template
+      const template = loadTemplate('getUserById', { parameterized: true });
+      const { sql, params } = template({ id: userId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ All users selected successfully');
-      console.log('📊 Select result:', result);
+      const result = await executeQuery(sql, params);
+      console.log('✅ User lookup by id completed');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.SelectUsers error:', error);
+      console.error('❌ DatabaseService.GetUserById error:', error);
       throw error;
     }
   }
 
-  // Delete user using HBS template
-  async DeleteUser(userId) {
+  // Get users by phone number using HBS template
+  async GetUsersByPhoneNumber(phoneNumber) {
     try {
-      console.log('🔄 DatabaseService.DeleteUser called with ID:', userId);
+      console.log('🔄 DatabaseService.GetUsersByPhoneNumber called with phoneNumber:', phoneNumber);
       
       // Generate SQL using HBS template
-      const sql = generateDeleteUserSQL(userId);
+      const template = loadTemplate('getUsersByPhoneNumber', { parameterized: true });
+      const { sql, params } = template({ phoneNumber });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ User deleted successfully');
-      console.log('📊 Delete result:', result);
+      const result = await executeQuery(sql, params);
+      console.log('✅ User lookup by phone number completed');
       
-      return result;
+      return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.DeleteUser error:', error);
+      console.error('❌ DatabaseService.GetUsersByPhoneNumber error:', error);
       throw error;
     }
   }
 
-  // Get role by name using HBS template
-  async GetRoleByName(roleName) {
+  // Set a new (already hashed) password using HBS template
+  async UpdateUserPassword(userId, passwordHash) {
     try {
-      console.log('🔄 DatabaseService.GetRoleByName called with roleName:', roleName);
+      console.log('🔄 DatabaseService.UpdateUserPassword called with userId:', userId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getRoleByName');
-      const sql = template({ roleName });
+      const template = loadTemplate('updateUserPassword', { parameterized: true });
+      const { sql, params } = template({ id: userId, password: passwordHash });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Role retrieved successfully');
-      console.log('📊 Role result:', result);
+      const result = await executeQuery(sql, params);
+      console.log('✅ User password updated successfully');
       
-      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetRoleByName error:', error);
+      console.error('❌ DatabaseService.UpdateUserPassword error:', error);
       throw error;
     }
   }
 
-  // Insert user role mapping using HBS template
-  async InsertUserRole(userId, roleId) {
+  // Record that the user verified their email address using HBS template
+  async MarkUserEmailVerified(userId) {
     try {
-      console.log('🔄 DatabaseService.InsertUserRole called with userId:', userId, 'roleId:', roleId);
+      console.log('🔄 DatabaseService.MarkUserEmailVerified called with userId:', userId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertUserRole');
-      const sql = template({
-        userId,
-        roleId,
-        assignedAt: new Date().toISOString()
-      });
+      const template = loadTemplate('markUserEmailVerified', { parameterized: true });
+      const { sql, params } = template({ id: userId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ User role mapping inserted successfully');
-      console.log('📊 Insert result:', result);
+      const result = await executeQuery(sql, params);
+      console.log('✅ User email marked as verified');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.InsertUserRole error:', error);
+      console.error('❌ DatabaseService.MarkUserEmailVerified error:', error);
       throw error;
     }
   }
 
-  // Get user roles using HBS template
-  async GetUserRoles(userId) {
+  // Select all users
+  async SelectUsers() {
     try {
-      console.log('🔄 DatabaseService.GetUserRoles called with userId:', userId);
+      console.log('🔄 DatabaseService.SelectUsers called');
       
-      // Generate SQL using HBS template
-      const template = loadTemplate('getUserRoles');
-      const sql = template({ userId });
+      // Generate SQL using HBS template (no parameters = all users)
+      const template = loadTemplate('selectUser', { parameterized: true });
+      const { sql, params } = template({});
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ User roles retrieved successfully');
-      console.log('📊 Roles result:', result);
+      const result = await executeQuery(sql, params);
+      console.log('✅ All users selected successfully');
+      console.log('📊 Select result:', result);
       
       return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetUserRoles error:', error);
+      console.error('❌ DatabaseService.SelectUsers error:', error);
       throw error;
     }
   }
 
-  // Insert business information using HBS template
-  async InsertBusinessInformation(parameters) {
+  // Delete user using HBS template
+  async DeleteUser(userId) {
     try {
-      console.log('🔄 DatabaseService.InsertBusinessInformation called with parameters:', parameters);
+      console.log('🔄 DatabaseService.DeleteUser called with ID:', userId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertBusinessInformation');
-      const sql = template(parameters);
+      const { sql, params } = generateDeleteUserSQL(userId);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Business information inserted successfully');
-      console.log('📊 Insert result:', result);
+      const result = await executeQuery(sql, params);
+      console.log('✅ User deleted successfully');
+      console.log('📊 Delete result:', result);
       
-      // Get the inserted business ID from the result
-      if (result && result.recordset && result.recordset.length > 0) {
-        const businessId = result.recordset[0].businessId;
-        console.log('✅ Business ID retrieved:', businessId);
-        return { success: true, businessId, result };
-      } else {
-        throw new Error('Failed to retrieve business ID after insertion');
-      }
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.InsertBusinessInformation error:', error);
+      console.error('❌ DatabaseService.DeleteUser error:', error);
       throw error;
     }
   }
 
-  // Insert product using HBS template
-  async InsertProduct(parameters) {
+  // Search users (admin) by name, email or phone, role and active flag, one page at a time
+  async SearchUsers({ search, roleName, isActive, offset = 0, pageSize = 20 } = {}) {
     try {
-      console.log('🔄 DatabaseService.InsertProduct called with parameters:', parameters);
+      console.log('🔄 DatabaseService.SearchUsers called with search:', search, 'roleName:', roleName, 'isActive:', isActive);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertProduct');
-      const sql = template(parameters);
+      const template = loadTemplate('searchUsers', { parameterized: true });
+      const { sql, params } = template({
+        search: search ? `%${search}%` : undefined,
+        roleName,
+        isActive,
+        offset,
+        pageSize
+      });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product inserted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Users searched successfully');
       
-      // Get the inserted product ID from the result
-      if (result && result.recordset && result.recordset.length > 0) {
-        const productId = result.recordset[0].id;
-        console.log('✅ Product ID retrieved:', productId);
-        return { success: true, productId };
-      } else {
-        throw new Error('Failed to retrieve product ID after insertion');
-      }
+      return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.InsertProduct error:', error);
+      console.error('❌ DatabaseService.SearchUsers error:', error);
       throw error;
     }
   }
 
-  // Insert product price using HBS template
-  async InsertProductPrice(parameters) {
+  // Count the users matching the SearchUsers filters
+  async CountUsers({ search, roleName, isActive } = {}) {
     try {
-      console.log('🔄 DatabaseService.InsertProductPrice called with parameters:', parameters);
+      console.log('🔄 DatabaseService.CountUsers called with search:', search, 'roleName:', roleName, 'isActive:', isActive);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertProductPrice');
-      const sql = template(parameters);
+      const template = loadTemplate('countUsers', { parameterized: true });
+      const { sql, params } = template({
+        search: search ? `%${search}%` : undefined,
+        roleName,
+        isActive
+      });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product price inserted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Users counted successfully');
       
-      return result;
+      return (result && result.recordset && result.recordset.length > 0) ? Number(result.recordset[0].total) : 0;
       
     } catch (error) {
-      console.error('❌ DatabaseService.InsertProductPrice error:', error);
+      console.error('❌ DatabaseService.CountUsers error:', error);
       throw error;
     }
   }
 
-  // Get brand by name using HBS template
-  async GetBrandByName(name) {
+  // Activate or deactivate a user account
+  async SetUserActive(userId, isActive) {
     try {
-      console.log('🔄 DatabaseService.GetBrandByName called with name:', name);
+      console.log('🔄 DatabaseService.SetUserActive called with userId:', userId, 'isActive:', isActive);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getBrandByName');
-      const sql = template({ name });
+      const template = loadTemplate('setUserActive', { parameterized: true });
+      const { sql, params } = template({ userId, isActive });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Brand retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ User active flag updated successfully');
       
-      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetBrandByName error:', error);
+      console.error('❌ DatabaseService.SetUserActive error:', error);
       throw error;
     }
   }
 
-  // Get brand by ID using HBS template
-  async GetBrandById(id) {
+  // Get role by name using HBS template
+  async GetRoleByName(roleName) {
     try {
-      console.log('🔄 DatabaseService.GetBrandById called with id:', id);
+      console.log('🔄 DatabaseService.GetRoleByName called with roleName:', roleName);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getBrandById');
-      const sql = template({ id });
+      const template = loadTemplate('getRoleByName', { parameterized: true });
+      const { sql, params } = template({ roleName });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Brand retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Role retrieved successfully');
+      console.log('📊 Role result:', result);
       
       return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetBrandById error:', error);
+      console.error('❌ DatabaseService.GetRoleByName error:', error);
       throw error;
     }
   }
 
-  // Get category by name using HBS template
-  async GetCategoryByName(name) {
+  // Insert user role mapping using HBS template
+  async InsertUserRole(userId, roleId) {
     try {
-      console.log('🔄 DatabaseService.GetCategoryByName called with name:', name);
+      console.log('🔄 DatabaseService.InsertUserRole called with userId:', userId, 'roleId:', roleId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getCategoryByName');
-      const sql = template({ name });
+      const template = loadTemplate('insertUserRole', { parameterized: true });
+      const { sql, params } = template({
+        userId,
+        roleId,
+        assignedAt: new Date().toISOString()
+      });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Category retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ User role mapping inserted successfully');
+      console.log('📊 Insert result:', result);
       
-      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetCategoryByName error:', error);
+      console.error('❌ DatabaseService.InsertUserRole error:', error);
       throw error;
     }
   }
 
-  // Get category by ID using HBS template
-  async GetCategoryById(id) {
+  // Get user roles using HBS template
+  async GetUserRoles(userId) {
     try {
-      console.log('🔄 DatabaseService.GetCategoryById called with id:', id);
+      console.log('🔄 DatabaseService.GetUserRoles called with userId:', userId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getCategoryById');
-      const sql = template({ id });
+      const template = loadTemplate('getUserRoles', { parameterized: true });
+      const { sql, params } = template({ userId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Category retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ User roles retrieved successfully');
+      console.log('📊 Roles result:', result);
       
-      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetCategoryById error:', error);
+      console.error('❌ DatabaseService.GetUserRoles error:', error);
       throw error;
     }
   }
 
-  // Insert product image using HBS template
-  async InsertProductImage(parameters) {
+  // Remove a role from a user
+  async DeleteUserRole(userId, roleId) {
     try {
-      console.log('🔄 DatabaseService.InsertProductImage called with parameters:', parameters);
+      console.log('🔄 DatabaseService.DeleteUserRole called with userId:', userId, 'roleId:', roleId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertProductImage');
-      const sql = template(parameters);
+      const template = loadTemplate('deleteUserRole', { parameterized: true });
+      const { sql, params } = template({ userId, roleId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product image inserted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ User role mapping deleted successfully');
       
-      // Get the inserted image ID from the result
-      if (result && result.recordset && result.recordset.length > 0) {
-        const imageId = result.recordset[0].id;
-        console.log('✅ Product image ID retrieved:', imageId);
-        return { success: true, imageId };
-      } else {
-        throw new Error('Failed to retrieve image ID after insertion');
-      }
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.InsertProductImage error:', error);
+      console.error('❌ DatabaseService.DeleteUserRole error:', error);
       throw error;
     }
   }
 
-  // Insert product compliance using HBS template
-  async InsertProductCompliance(parameters) {
+  // Insert a login session (refresh token) using HBS template
+  async InsertAuthSession(parameters) {
     try {
-      console.log('🔄 DatabaseService.InsertProductCompliance called with parameters:', parameters);
+      console.log('🔄 DatabaseService.InsertAuthSession called for userId:', parameters.userId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertProductCompliance');
-      const sql = template(parameters);
+      const template = loadTemplate('insertAuthSession', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product compliance inserted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Auth session inserted successfully');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.InsertProductCompliance error:', error);
+      console.error('❌ DatabaseService.InsertAuthSession error:', error);
       throw error;
     }
   }
 
-  // Get product by ID with all associated data
-  async GetProductById(id, userId = null) {
+  // Get the session a refresh token (current or previous) belongs to using HBS template
+  async GetAuthSessionByRefreshTokenHash(refreshTokenHash) {
     try {
-      console.log('🔄 DatabaseService.GetProductById called with id:', id, 'user_id:', userId);
+      console.log('🔄 DatabaseService.GetAuthSessionByRefreshTokenHash called');
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getProductById');
-      const sql = template({ id, user_id: userId });
+      const template = loadTemplate('getAuthSessionByRefreshTokenHash', { parameterized: true });
+      const { sql, params } = template({ refreshTokenHash });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Auth session lookup completed');
       
       return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetProductById error:', error);
+      console.error('❌ DatabaseService.GetAuthSessionByRefreshTokenHash error:', error);
       throw error;
     }
   }
 
-  // Get product images
-  async GetProductImages(productId) {
+  // Get session revocation/expiry and the user active flag using HBS template
+  async GetAuthSessionStatus(sessionId) {
     try {
-      console.log('🔄 DatabaseService.GetProductImages called with productId:', productId);
+      console.log('🔄 DatabaseService.GetAuthSessionStatus called with sessionId:', sessionId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getProductImages');
-      const sql = template({ product_id: productId });
+      const template = loadTemplate('getAuthSessionStatus', { parameterized: true });
+      const { sql, params } = template({ sessionId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product images retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Auth session status retrieved successfully');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetProductImages error:', error);
+      console.error('❌ DatabaseService.GetAuthSessionStatus error:', error);
       throw error;
     }
   }
 
-  // Get all products with pagination
-  async GetAllProducts(parameters = {}) {
+  // Replace the refresh token of a session using HBS template (no rows affected if it was already rotated or revoked)
+  async RotateAuthSessionRefreshToken(parameters) {
     try {
-      console.log('🔄 DatabaseService.GetAllProducts called with parameters:', parameters);
+      console.log('🔄 DatabaseService.RotateAuthSessionRefreshToken called with sessionId:', parameters.sessionId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getAllProducts');
-      const sql = template(parameters);
+      const template = loadTemplate('rotateAuthSessionRefreshToken', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Products retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Auth session refresh token rotated');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetAllProducts error:', error);
+      console.error('❌ DatabaseService.RotateAuthSessionRefreshToken error:', error);
       throw error;
     }
   }
 
-  // Insert user-product relationship
-  async InsertUserProduct(parameters) {
+  // Scope a session to one role (null for all roles)
+  async UpdateAuthSessionActiveRole(sessionId, activeRole) {
     try {
-      console.log('🔄 DatabaseService.InsertUserProduct called with parameters:', parameters);
+      console.log('🔄 DatabaseService.UpdateAuthSessionActiveRole called with sessionId:', sessionId, 'activeRole:', activeRole);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertUserProduct');
-      const sql = template(parameters);
+      const template = loadTemplate('updateAuthSessionActiveRole', { parameterized: true });
+      const { sql, params } = template({ sessionId, activeRole });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ User-product relationship inserted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Auth session active role updated successfully');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.InsertUserProduct error:', error);
+      console.error('❌ DatabaseService.UpdateAuthSessionActiveRole error:', error);
       throw error;
     }
   }
 
-  // Update product using HBS template
-  async UpdateProduct(productId, parameters) {
+  // Revoke a single session using HBS template
+  async RevokeAuthSession(sessionId, reason) {
     try {
-      console.log('🔄 DatabaseService.UpdateProduct called with ID:', productId, 'parameters:', parameters);
-      
-      // Add product_id to parameters
-      const updateData = { ...parameters, product_id: productId };
+      console.log('🔄 DatabaseService.RevokeAuthSession called with sessionId:', sessionId, 'reason:', reason);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateProduct');
-      const sql = template(updateData);
+      const template = loadTemplate('revokeAuthSession', { parameterized: true });
+      const { sql, params } = template({ sessionId, reason });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product updated successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Auth session revoked successfully');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.UpdateProduct error:', error);
+      console.error('❌ DatabaseService.RevokeAuthSession error:', error);
       throw error;
     }
   }
 
-  // Update product price using HBS template
-  async UpdateProductPrice(productId, parameters) {
+  // Revoke every active session of a user using HBS template
+  async RevokeUserAuthSessions(userId, reason) {
     try {
-      console.log('🔄 DatabaseService.UpdateProductPrice called with productId:', productId, 'parameters:', parameters);
-      
-      // Add product_id to parameters
-      const updateData = { ...parameters, product_id: productId };
+      console.log('🔄 DatabaseService.RevokeUserAuthSessions called with userId:', userId, 'reason:', reason);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateProductPrice');
-      const sql = template(updateData);
+      const template = loadTemplate('revokeUserAuthSessions', { parameterized: true });
+      const { sql, params } = template({ userId, reason });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product price updated successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ User auth sessions revoked successfully');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.UpdateProductPrice error:', error);
+      console.error('❌ DatabaseService.RevokeUserAuthSessions error:', error);
       throw error;
     }
   }
 
-  // Update product compliance using HBS template
-  async UpdateProductCompliance(productId, parameters) {
+  // Store a password reset token hash using HBS template
+  async InsertPasswordResetToken(parameters) {
     try {
-      console.log('🔄 DatabaseService.UpdateProductCompliance called with productId:', productId, 'parameters:', parameters);
-      
-      // Add product_id to parameters
-      const updateData = { ...parameters, product_id: productId };
+      console.log('🔄 DatabaseService.InsertPasswordResetToken called for userId:', parameters.userId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateProductCompliance');
-      const sql = template(updateData);
+      const template = loadTemplate('insertPasswordResetToken', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product compliance updated successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Password reset token inserted successfully');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.UpdateProductCompliance error:', error);
+      console.error('❌ DatabaseService.InsertPasswordResetToken error:', error);
       throw error;
     }
   }
 
-  // Delete product images using HBS template
-  async DeleteProductImages(productId) {
+  // Get a password reset token and its user using HBS template
+  async GetPasswordResetTokenByHash(tokenHash) {
     try {
-      console.log('🔄 DatabaseService.DeleteProductImages called with productId:', productId);
+      console.log('🔄 DatabaseService.GetPasswordResetTokenByHash called');
       
       // Generate SQL using HBS template
-      const template = loadTemplate('deleteProductImages');
-      const sql = template({ product_id: productId });
+      const template = loadTemplate('getPasswordResetTokenByHash', { parameterized: true });
+      const { sql, params } = template({ tokenHash });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product images deleted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Password reset token lookup completed');
       
-      return result;
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.DeleteProductImages error:', error);
+      console.error('❌ DatabaseService.GetPasswordResetTokenByHash error:', error);
       throw error;
     }
   }
 
-  // Delete product using HBS template
-  async DeleteProduct(productId) {
+  // Spend a reset token using HBS template (no rows affected if it was already used)
+  async MarkPasswordResetTokenUsed(id) {
     try {
-      console.log('🔄 DatabaseService.DeleteProduct called with productId:', productId);
+      console.log('🔄 DatabaseService.MarkPasswordResetTokenUsed called with id:', id);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('deleteProduct');
-      const sql = template({ product_id: productId });
+      const template = loadTemplate('markPasswordResetTokenUsed', { parameterized: true });
+      const { sql, params } = template({ id });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product deleted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Password reset token marked as used');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.DeleteProduct error:', error);
+      console.error('❌ DatabaseService.MarkPasswordResetTokenUsed error:', error);
       throw error;
     }
   }
 
-  // Delete product price using HBS template
-  async DeleteProductPrice(productId) {
+  // Close every open reset token of a user using HBS template
+  async InvalidateUserPasswordResetTokens(userId) {
     try {
-      console.log('🔄 DatabaseService.DeleteProductPrice called with productId:', productId);
+      console.log('🔄 DatabaseService.InvalidateUserPasswordResetTokens called with userId:', userId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('deleteProductPrice');
-      const sql = template({ product_id: productId });
+      const template = loadTemplate('invalidateUserPasswordResetTokens', { parameterized: true });
+      const { sql, params } = template({ userId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product price deleted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ User password reset tokens invalidated');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.DeleteProductPrice error:', error);
+      console.error('❌ DatabaseService.InvalidateUserPasswordResetTokens error:', error);
       throw error;
     }
   }
 
-  // Delete product compliance using HBS template
-  async DeleteProductCompliance(productId) {
+  // Store an email verification token hash using HBS template
+  async InsertEmailVerificationToken(parameters) {
     try {
-      console.log('🔄 DatabaseService.DeleteProductCompliance called with productId:', productId);
+      console.log('🔄 DatabaseService.InsertEmailVerificationToken called for userId:', parameters.userId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('deleteProductCompliance');
-      const sql = template({ product_id: productId });
+      const template = loadTemplate('insertEmailVerificationToken', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product compliance deleted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Email verification token inserted successfully');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.DeleteProductCompliance error:', error);
+      console.error('❌ DatabaseService.InsertEmailVerificationToken error:', error);
       throw error;
     }
   }
 
-  // Delete user-product relationship using HBS template
-  async DeleteUserProduct(productId) {
+  // Get an email verification token and its user using HBS template
+  async GetEmailVerificationTokenByHash(tokenHash) {
     try {
-      console.log('🔄 DatabaseService.DeleteUserProduct called with productId:', productId);
+      console.log('🔄 DatabaseService.GetEmailVerificationTokenByHash called');
       
       // Generate SQL using HBS template
-      const template = loadTemplate('deleteUserProduct');
-      const sql = template({ product_id: productId });
+      const template = loadTemplate('getEmailVerificationTokenByHash', { parameterized: true });
+      const { sql, params } = template({ tokenHash });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ User-product relationship deleted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Email verification token lookup completed');
       
-      return result;
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.DeleteUserProduct error:', error);
+      console.error('❌ DatabaseService.GetEmailVerificationTokenByHash error:', error);
       throw error;
     }
   }
 
-  // Get all product types using HBS template
-  async GetAllProductTypes() {
+  // Get when the last verification email was issued to a user using HBS template
+  async GetLatestEmailVerificationTokenCreatedAt(userId) {
     try {
-      console.log('🔄 DatabaseService.GetAllProductTypes called');
+      console.log('🔄 DatabaseService.GetLatestEmailVerificationTokenCreatedAt called with userId:', userId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getAllProductTypes');
-      const sql = template({});
+      const template = loadTemplate('getLatestEmailVerificationTokenCreatedAt', { parameterized: true });
+      const { sql, params } = template({ userId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product types retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Latest email verification token lookup completed');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetAllProductTypes error:', error);
+      console.error('❌ DatabaseService.GetLatestEmailVerificationTokenCreatedAt error:', error);
       throw error;
     }
   }
 
-  // Get all categories using HBS template
-  async GetAllCategories() {
+  // Spend a verification token using HBS template (no rows affected if it was already used)
+  async MarkEmailVerificationTokenUsed(id) {
     try {
-      console.log('🔄 DatabaseService.GetAllCategories called');
+      console.log('🔄 DatabaseService.MarkEmailVerificationTokenUsed called with id:', id);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getAllCategories');
-      const sql = template({});
+      const template = loadTemplate('markEmailVerificationTokenUsed', { parameterized: true });
+      const { sql, params } = template({ id });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Categories retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Email verification token marked as used');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetAllCategories error:', error);
+      console.error('❌ DatabaseService.MarkEmailVerificationTokenUsed error:', error);
       throw error;
     }
   }
 
-  // Get all brands using HBS template
+  // Close every open verification token of a user using HBS template
+  async InvalidateUserEmailVerificationTokens(userId) {
+    try {
+      console.log('🔄 DatabaseService.InvalidateUserEmailVerificationTokens called with userId:', userId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('invalidateUserEmailVerificationTokens', { parameterized: true });
+      const { sql, params } = template({ userId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ User email verification tokens invalidated');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InvalidateUserEmailVerificationTokens error:', error);
+      throw error;
+    }
+  }
+
+  // Record a login attempt in the audit log using HBS template
+  async InsertLoginAttempt(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertLoginAttempt called with method:', parameters.method, 'identifier:', parameters.identifier, 'succeeded:', parameters.succeeded);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertLoginAttempt', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login attempt recorded');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertLoginAttempt error:', error);
+      throw error;
+    }
+  }
+
+  // Get recent login attempts (newest first) using HBS template
+  async GetLoginAttempts(parameters) {
+    try {
+      console.log('🔄 DatabaseService.GetLoginAttempts called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getLoginAttempts', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login attempts retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetLoginAttempts error:', error);
+      throw error;
+    }
+  }
+
+  // Get the failure counter of an email or IP using HBS template
+  async GetLoginThrottle(scope, identifier) {
+    try {
+      console.log('🔄 DatabaseService.GetLoginThrottle called with scope:', scope, 'identifier:', identifier);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getLoginThrottle', { parameterized: true });
+      const { sql, params } = template({ scope, identifier });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login throttle lookup completed');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetLoginThrottle error:', error);
+      throw error;
+    }
+  }
+
+  // Create the failure counter of an email or IP if it does not exist using HBS template
+  async InsertLoginThrottleIfMissing(scope, identifier) {
+    try {
+      console.log('🔄 DatabaseService.InsertLoginThrottleIfMissing called with scope:', scope, 'identifier:', identifier);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertLoginThrottleIfMissing', { parameterized: true });
+      const { sql, params } = template({ scope, identifier });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login throttle ensured');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertLoginThrottleIfMissing error:', error);
+      throw error;
+    }
+  }
+
+  // Count a failed login against an email or IP using HBS template
+  async CountLoginThrottleFailure(parameters) {
+    try {
+      console.log('🔄 DatabaseService.CountLoginThrottleFailure called with scope:', parameters.scope);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('countLoginThrottleFailure', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login failure counted');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.CountLoginThrottleFailure error:', error);
+      throw error;
+    }
+  }
+
+  // Lock an email or IP that reached its failure limit using HBS template (no rows affected
+  // when it is below the limit, e.g. a concurrent failure locked it already)
+  async LockLoginThrottle(parameters) {
+    try {
+      console.log('🔄 DatabaseService.LockLoginThrottle called with id:', parameters.id);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('lockLoginThrottle', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login throttle lock checked');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.LockLoginThrottle error:', error);
+      throw error;
+    }
+  }
+
+  // Clear the failures and lockout of an email or IP using HBS template
+  async ResetLoginThrottle(scope, identifier, unlockedBy = null) {
+    try {
+      console.log('🔄 DatabaseService.ResetLoginThrottle called with scope:', scope, 'identifier:', identifier);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('resetLoginThrottle', { parameterized: true });
+      const { sql, params } = template({ scope, identifier, unlockedBy });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login throttle reset');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.ResetLoginThrottle error:', error);
+      throw error;
+    }
+  }
+
+  // Write an admin action to the audit log
+  async InsertAdminAuditLog({ adminUserId, action, targetUserId = null, details = null, ipAddress = null }) {
+    try {
+      console.log('🔄 DatabaseService.InsertAdminAuditLog called with action:', action, 'adminUserId:', adminUserId, 'targetUserId:', targetUserId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertAdminAuditLog', { parameterized: true });
+      const { sql, params } = template({
+        adminUserId,
+        action,
+        targetUserId,
+        details: details ? JSON.stringify(details) : null,
+        ipAddress
+      });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Admin audit log entry inserted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertAdminAuditLog error:', error);
+      throw error;
+    }
+  }
+
+  // Admin audit log entries, newest first, one page at a time
+  async GetAdminAuditLog({ adminUserId, targetUserId, action, since, offset = 0, pageSize = 50 } = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetAdminAuditLog called with adminUserId:', adminUserId, 'targetUserId:', targetUserId, 'action:', action);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getAdminAuditLog', { parameterized: true });
+      const { sql, params } = template({ adminUserId, targetUserId, action, since, offset, pageSize });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Admin audit log retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetAdminAuditLog error:', error);
+      throw error;
+    }
+  }
+
+  // Count the audit log entries matching the GetAdminAuditLog filters
+  async CountAdminAuditLog({ adminUserId, targetUserId, action, since } = {}) {
+    try {
+      console.log('🔄 DatabaseService.CountAdminAuditLog called with adminUserId:', adminUserId, 'targetUserId:', targetUserId, 'action:', action);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('countAdminAuditLog', { parameterized: true });
+      const { sql, params } = template({ adminUserId, targetUserId, action, since });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Admin audit log counted successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? Number(result.recordset[0].total) : 0;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.CountAdminAuditLog error:', error);
+      throw error;
+    }
+  }
+
+  // Store a login OTP hash using HBS template
+  async InsertLoginOtp(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertLoginOtp called for phoneNumber:', parameters.phoneNumber);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertLoginOtp', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login OTP inserted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertLoginOtp error:', error);
+      throw error;
+    }
+  }
+
+  // Log a login OTP request for a phone number using HBS template
+  async InsertLoginOtpRequest(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertLoginOtpRequest called for phoneNumber:', parameters.phoneNumber);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertLoginOtpRequest', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login OTP request logged');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertLoginOtpRequest error:', error);
+      throw error;
+    }
+  }
+
+  // Count OTPs requested for a phone number since a point in time using HBS template
+  async GetLoginOtpRequestStats(phoneNumber, since) {
+    try {
+      console.log('🔄 DatabaseService.GetLoginOtpRequestStats called with phoneNumber:', phoneNumber, 'since:', since);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getLoginOtpRequestStats', { parameterized: true });
+      const { sql, params } = template({ phoneNumber, since });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login OTP request stats retrieved');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetLoginOtpRequestStats error:', error);
+      throw error;
+    }
+  }
+
+  // Get the newest unspent OTP of a phone number using HBS template
+  async GetLatestLoginOtp(phoneNumber) {
+    try {
+      console.log('🔄 DatabaseService.GetLatestLoginOtp called with phoneNumber:', phoneNumber);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getLatestLoginOtp', { parameterized: true });
+      const { sql, params } = template({ phoneNumber });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Latest login OTP lookup completed');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetLatestLoginOtp error:', error);
+      throw error;
+    }
+  }
+
+  // Use up one attempt at an OTP using HBS template (no rows affected once maxAttempts are used
+  // or the OTP is spent)
+  async IncrementLoginOtpAttempts(id, { maxAttempts }) {
+    try {
+      console.log('🔄 DatabaseService.IncrementLoginOtpAttempts called with id:', id);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('incrementLoginOtpAttempts', { parameterized: true });
+      const { sql, params } = template({ id, maxAttempts });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login OTP attempts incremented');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.IncrementLoginOtpAttempts error:', error);
+      throw error;
+    }
+  }
+
+  // Spend an OTP using HBS template (no rows affected if it was already spent)
+  async ConsumeLoginOtp(id) {
+    try {
+      console.log('🔄 DatabaseService.ConsumeLoginOtp called with id:', id);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('consumeLoginOtp', { parameterized: true });
+      const { sql, params } = template({ id });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Login OTP consumed');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.ConsumeLoginOtp error:', error);
+      throw error;
+    }
+  }
+
+  // Spend every open OTP of a phone number using HBS template
+  async ConsumeOpenLoginOtps(phoneNumber) {
+    try {
+      console.log('🔄 DatabaseService.ConsumeOpenLoginOtps called with phoneNumber:', phoneNumber);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('consumeOpenLoginOtps', { parameterized: true });
+      const { sql, params } = template({ phoneNumber });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Open login OTPs consumed');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.ConsumeOpenLoginOtps error:', error);
+      throw error;
+    }
+  }
+
+  // Insert business information using HBS template
+  async InsertBusinessInformation(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertBusinessInformation called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertBusinessInformation', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Business information inserted successfully');
+      console.log('📊 Insert result:', result);
+      
+      // Get the inserted business ID from the result
+      if (result && result.recordset && result.recordset.length > 0) {
+        const businessId = result.recordset[0].businessId;
+        console.log('✅ Business ID retrieved:', businessId);
+        return { success: true, businessId, result };
+      } else {
+        throw new Error('Failed to retrieve business ID after insertion');
+      }
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertBusinessInformation error:', error);
+      throw error;
+    }
+  }
+
+  // Insert product using HBS template
+  async InsertProduct(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertProduct called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertProduct', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product inserted successfully');
+      
+      // Get the inserted product ID from the result
+      if (result && result.recordset && result.recordset.length > 0) {
+        const productId = result.recordset[0].id;
+        console.log('✅ Product ID retrieved:', productId);
+        return { success: true, productId };
+      } else {
+        throw new Error('Failed to retrieve product ID after insertion');
+      }
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertProduct error:', error);
+      throw error;
+    }
+  }
+
+  // Insert product price using HBS template
+  async InsertProductPrice(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertProductPrice called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertProductPrice', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product price inserted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertProductPrice error:', error);
+      throw error;
+    }
+  }
+
+  // Get brand by name using HBS template
+  async GetBrandByName(name) {
+    try {
+      console.log('🔄 DatabaseService.GetBrandByName called with name:', name);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getBrandByName', { parameterized: true });
+      const { sql, params } = template({ name });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Brand retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetBrandByName error:', error);
+      throw error;
+    }
+  }
+
+  // Get brand by ID using HBS template
+  async GetBrandById(id) {
+    try {
+      console.log('🔄 DatabaseService.GetBrandById called with id:', id);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getBrandById', { parameterized: true });
+      const { sql, params } = template({ id });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Brand retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetBrandById error:', error);
+      throw error;
+    }
+  }
+
+  // Get category by name using HBS template
+  async GetCategoryByName(name) {
+    try {
+      console.log('🔄 DatabaseService.GetCategoryByName called with name:', name);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getCategoryByName', { parameterized: true });
+      const { sql, params } = template({ name });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Category retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetCategoryByName error:', error);
+      throw error;
+    }
+  }
+
+  // Get category by ID using HBS template
+  async GetCategoryById(id) {
+    try {
+      console.log('🔄 DatabaseService.GetCategoryById called with id:', id);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getCategoryById', { parameterized: true });
+      const { sql, params } = template({ id });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Category retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetCategoryById error:', error);
+      throw error;
+    }
+  }
+
+  // Insert product image using HBS template
+  async InsertProductImage(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertProductImage called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertProductImage', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product image inserted successfully');
+      
+      // Get the inserted image ID from the result
+      if (result && result.recordset && result.recordset.length > 0) {
+        const imageId = result.recordset[0].id;
+        console.log('✅ Product image ID retrieved:', imageId);
+        return { success: true, imageId };
+      } else {
+        throw new Error('Failed to retrieve image ID after insertion');
+      }
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertProductImage error:', error);
+      throw error;
+    }
+  }
+
+  // Insert product compliance using HBS template
+  async InsertProductCompliance(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertProductCompliance called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertProductCompliance', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product compliance inserted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertProductCompliance error:', error);
+      throw error;
+    }
+  }
+
+  // Get product by ID with all associated data
+  async GetProductById(id, userId = null) {
+    try {
+      console.log('🔄 DatabaseService.GetProductById called with id:', id, 'user_id:', userId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getProductById', { parameterized: true });
+      const { sql, params } = template({ id, user_id: userId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetProductById error:', error);
+      throw error;
+    }
+  }
+
+  // Get product images
+  async GetProductImages(productId) {
+    try {
+      console.log('🔄 DatabaseService.GetProductImages called with productId:', productId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getProductImages', { parameterized: true });
+      const { sql, params } = template({ product_id: productId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product images retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetProductImages error:', error);
+      throw error;
+    }
+  }
+
+  // Get all products with pagination
+  async GetAllProducts(parameters = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetAllProducts called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getAllProducts', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Products retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetAllProducts error:', error);
+      throw error;
+    }
+  }
+
+  // Insert user-product relationship
+  async InsertUserProduct(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertUserProduct called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertUserProduct', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ User-product relationship inserted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertUserProduct error:', error);
+      throw error;
+    }
+  }
+
+  // Update product using HBS template
+  async UpdateProduct(productId, parameters) {
+    try {
+      console.log('🔄 DatabaseService.UpdateProduct called with ID:', productId, 'parameters:', parameters);
+      
+      // Add product_id to parameters
+      const updateData = { ...parameters, product_id: productId };
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('updateProduct', { parameterized: true });
+      const { sql, params } = template(updateData);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product updated successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateProduct error:', error);
+      throw error;
+    }
+  }
+
+  // Update product price using HBS template
+  async UpdateProductPrice(productId, parameters) {
+    try {
+      console.log('🔄 DatabaseService.UpdateProductPrice called with productId:', productId, 'parameters:', parameters);
+      
+      // Add product_id to parameters
+      const updateData = { ...parameters, product_id: productId };
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('updateProductPrice', { parameterized: true });
+      const { sql, params } = template(updateData);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product price updated successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateProductPrice error:', error);
+      throw error;
+    }
+  }
+
+  // Update product compliance using HBS template
+  async UpdateProductCompliance(productId, parameters) {
+    try {
+      console.log('🔄 DatabaseService.UpdateProductCompliance called with productId:', productId, 'parameters:', parameters);
+      
+      // Add product_id to parameters
+      const updateData = { ...parameters, product_id: productId };
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('updateProductCompliance', { parameterized: true });
+      const { sql, params } = template(updateData);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product compliance updated successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateProductCompliance error:', error);
+      throw error;
+    }
+  }
+
+  // Delete product images using HBS template
+  async DeleteProductImages(productId) {
+    try {
+      console.log('🔄 DatabaseService.DeleteProductImages called with productId:', productId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('deleteProductImages', { parameterized: true });
+      const { sql, params } = template({ product_id: productId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product images deleted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.DeleteProductImages error:', error);
+      throw error;
+    }
+  }
+
+  // Delete product using HBS template
+  async DeleteProduct(productId) {
+    try {
+      console.log('🔄 DatabaseService.DeleteProduct called with productId:', productId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('deleteProduct', { parameterized: true });
+      const { sql, params } = template({ product_id: productId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product deleted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.DeleteProduct error:', error);
+      throw error;
+    }
+  }
+
+  // Delete product price using HBS template
+  async DeleteProductPrice(productId) {
+    try {
+      console.log('🔄 DatabaseService.DeleteProductPrice called with productId:', productId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('deleteProductPrice', { parameterized: true });
+      const { sql, params } = template({ product_id: productId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product price deleted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.DeleteProductPrice error:', error);
+      throw error;
+    }
+  }
+
+  // Delete product compliance using HBS template
+  async DeleteProductCompliance(productId) {
+    try {
+      console.log('🔄 DatabaseService.DeleteProductCompliance called with productId:', productId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('deleteProductCompliance', { parameterized: true });
+      const { sql, params } = template({ product_id: productId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product compliance deleted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.DeleteProductCompliance error:', error);
+      throw error;
+    }
+  }
+
+  // Delete user-product relationship using HBS template
+  async DeleteUserProduct(productId) {
+    try {
+      console.log('🔄 DatabaseService.DeleteUserProduct called with productId:', productId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('deleteUserProduct', { parameterized: true });
+      const { sql, params } = template({ product_id: productId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ User-product relationship deleted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.DeleteUserProduct error:', error);
+      throw error;
+    }
+  }
+
+  // Get all product types using HBS template
+  async GetAllProductTypes() {
+    try {
+      console.log('🔄 DatabaseService.GetAllProductTypes called');
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getAllProductTypes', { parameterized: true });
+      const { sql, params } = template({});
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product types retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetAllProductTypes error:', error);
+      throw error;
+    }
+  }
+
+  // Get all categories using HBS template
+  async GetAllCategories() {
+    try {
+      console.log('🔄 DatabaseService.GetAllCategories called');
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getAllCategories', { parameterized: true });
+      const { sql, params } = template({});
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Categories retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetAllCategories error:', error);
+      throw error;
+    }
+  }
+
+  // Get all brands using HBS template
   async GetAllBrands() {
     try {
-      console.log('🔄 DatabaseService.GetAllBrands called');
+      console.log('🔄 DatabaseService.GetAllBrands called');
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getAllBrands', { parameterized: true });
+      const { sql, params } = template({});
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Brands retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetAllBrands error:', error);
+      throw error;
+    }
+  }
+
+  // Insert product inventory using HBS template
+  async InsertProductInventory(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertProductInventory called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertProductInventory', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product inventory inserted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertProductInventory error:', error);
+      throw error;
+    }
+  }
+
+  // Update product inventory using HBS template
+  async UpdateProductInventory(productId, parameters) {
+    try {
+      console.log('🔄 DatabaseService.UpdateProductInventory called with productId:', productId, 'parameters:', parameters);
+      
+      // Add product_id to parameters
+      const updateData = { ...parameters, product_id: productId };
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('updateProductInventory', { parameterized: true });
+      const { sql, params } = template(updateData);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Product inventory updated successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateProductInventory error:', error);
+      throw error;
+    }
+  }
+
+  // ==================== Business Information Operations ====================
+
+  // Get business by user ID using HBS template
+  async GetBusinessByUserId(parameters) {
+    try {
+      console.log('🔄 DatabaseService.GetBusinessByUserId called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getBusinessByUserId', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Business retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetBusinessByUserId error:', error);
+      throw error;
+    }
+  }
+
+  // Get all businesses using HBS template (owners with a verified email unless includeUnverified)
+  async GetAllBusinesses(parameters = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetAllBusinesses called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getAllBusinesses', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ All businesses retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetAllBusinesses error:', error);
+      throw error;
+    }
+  }
+
+  // Get list of tailors with business information using HBS template (verified unless includeUnverified)
+  async GetTailorsList(parameters = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetTailorsList called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getTailorsList', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Tailors list retrieved successfully');
+      console.log('📊 Number of tailors found:', result.recordset ? result.recordset.length : 0);
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetTailorsList error:', error);
+      throw error;
+    }
+  }
+
+  // Get tailor by user ID using HBS template
+  async GetTailorByUserId(parameters) {
+    try {
+      console.log('🔄 DatabaseService.GetTailorByUserId called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getTailorByUserId', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Tailor retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetTailorByUserId error:', error);
+      throw error;
+    }
+  }
+
+  // Check if business exists using HBS template
+  async CheckBusinessExists(parameters) {
+    try {
+      console.log('🔄 DatabaseService.CheckBusinessExists called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('checkBusinessExists', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Business check completed');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.CheckBusinessExists error:', error);
+      throw error;
+    }
+  }
+
+  // Update business information using HBS template
+  async UpdateBusinessInformation(parameters) {
+    try {
+      console.log('🔄 DatabaseService.UpdateBusinessInformation called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('updateBusinessInformation', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Business information updated successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateBusinessInformation error:', error);
+      throw error;
+    }
+  }
+
+  // Update business information by business ID dynamically
+  async UpdateBusinessByBusinessId(parameters) {
+    try {
+      console.log('🔄 DatabaseService.UpdateBusinessByBusinessId called with parameters:', parameters);
+      
+      const { businessId, ...updateFields } = parameters;
+      
+      // Build SET clause dynamically for fields that are provided; values are bound as parameters
+      const setStatements = [];
+      const params = {
+        businessId: { value: businessId, type: 'Int' }
+      };
+      
+      for (const [key, value] of Object.entries(updateFields)) {
+        if (value !== undefined) {
+          if (!updatableBusinessColumns.includes(key)) {
+            throw new Error(`Field ${key} cannot be updated`);
+          }
+          params[key] = { value, type: null };
+          setStatements.push(`${key} = @${key}`);
+        }
+      }
+      
+      if (setStatements.length === 0) {
+        throw new Error('No fields provided to update');
+      }
+      
+      // Add updated_at timestamp
+      setStatements.push('updated_at = GETDATE()');
+      
+      // Build final SQL
+      const sql = `UPDATE BusinessInformations SET ${setStatements.join(', ')} WHERE businessId = @businessId`;
+      
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Business information updated successfully by business ID');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateBusinessByBusinessId error:', error);
+      throw error;
+    }
+  }
+
+  // Update business logo only using HBS template
+  async UpdateBusinessLogo(parameters) {
+    try {
+      console.log('🔄 DatabaseService.UpdateBusinessLogo called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('updateBusinessLogo', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Business logo updated successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateBusinessLogo error:', error);
+      throw error;
+    }
+  }
+
+  // Delete business information using HBS template
+  async DeleteBusinessInformation(parameters) {
+    try {
+      console.log('🔄 DatabaseService.DeleteBusinessInformation called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('deleteBusinessInformation', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Business information deleted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.DeleteBusinessInformation error:', error);
+      throw error;
+    }
+  }
+
+  // ==================== Tailor Date Availability Operations ====================
+
+  // Check if tailor date availability exists by BusinessId using HBS template
+  async CheckTailorDateAvailabilityExists(parameters) {
+    try {
+      console.log('🔄 DatabaseService.CheckTailorDateAvailabilityExists called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('checkTailorDateAvailabilityExists', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Tailor date availability check completed');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.CheckTailorDateAvailabilityExists error:', error);
+      throw error;
+    }
+  }
+
+  // Get tailor date availability by BusinessId using HBS template
+  async GetTailorDateAvailabilityByBusinessId(parameters) {
+    try {
+      console.log('🔄 DatabaseService.GetTailorDateAvailabilityByBusinessId called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getTailorDateAvailabilityByBusinessId', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Tailor date availability retrieved successfully');
+      console.log('📊 Number of records found:', result.recordset ? result.recordset.length : 0);
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetTailorDateAvailabilityByBusinessId error:', error);
+      throw error;
+    }
+  }
+
+  // Get all tailor date availability using HBS template
+  async GetAllTailorDateAvailability() {
+    try {
+      console.log('🔄 DatabaseService.GetAllTailorDateAvailability called');
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getAllTailorDateAvailability', { parameterized: true });
+      const { sql, params } = template({});
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ All tailor date availability retrieved successfully');
+      console.log('📊 Number of records found:', result.recordset ? result.recordset.length : 0);
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetAllTailorDateAvailability error:', error);
+      throw error;
+    }
+  }
+
+  // Insert tailor date availability using HBS template
+  async InsertTailorDateAvailability(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertTailorDateAvailability called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertTailorDateAvailability', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Tailor date availability inserted successfully');
+      console.log('📊 Insert result:', result);
+      
+      // Get the inserted ID from the result
+      if (result && result.recordset && result.recordset.length > 0) {
+        const tailorDateAvailabilityId = result.recordset[0].TailorDateAvailabilityId;
+        console.log('✅ Tailor Date Availability ID retrieved:', tailorDateAvailabilityId);
+        return { success: true, tailorDateAvailabilityId, result };
+      } else {
+        throw new Error('Failed to retrieve Tailor Date Availability ID after insertion');
+      }
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertTailorDateAvailability error:', error);
+      throw error;
+    }
+  }
+
+  // Update tailor date availability using HBS template
+  async UpdateTailorDateAvailability(parameters) {
+    try {
+      console.log('🔄 DatabaseService.UpdateTailorDateAvailability called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('updateTailorDateAvailability', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Tailor date availability updated successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateTailorDateAvailability error:', error);
+      throw error;
+    }
+  }
+
+  // Get all tailor items using HBS template
+  async GetAllTailorItems() {
+    try {
+      console.log('🔄 DatabaseService.GetAllTailorItems called');
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getAllTailorItems', { parameterized: true });
+      const { sql, params } = template({});
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ All tailor items retrieved successfully');
+      console.log('📊 Number of records found:', result.recordset ? result.recordset.length : 0);
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetAllTailorItems error:', error);
+      throw error;
+    }
+  }
+
+  // Insert tailor item price using HBS template
+  async InsertTailorItemPrice(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertTailorItemPrice called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertTailorItemPrice', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Tailor item price inserted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertTailorItemPrice error:', error);
+      throw error;
+    }
+  }
+
+  // Get tailor item prices by BusinessId using HBS template
+  async GetTailorItemPricesByBusinessId(parameters) {
+    try {
+      console.log('🔄 DatabaseService.GetTailorItemPricesByBusinessId called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getTailorItemPricesByBusinessId', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Tailor item prices retrieved successfully');
+      console.log('📊 Number of records found:', result.recordset ? result.recordset.length : 0);
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetTailorItemPricesByBusinessId error:', error);
+      throw error;
+    }
+  }
+
+  // Update tailor item price using HBS template
+  async UpdateTailorItemPrice(parameters) {
+    try {
+      console.log('🔄 DatabaseService.UpdateTailorItemPrice called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('updateTailorItemPrice', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Tailor item price updated successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateTailorItemPrice error:', error);
+      throw error;
+    }
+  }
+
+  // ==================== Order Operations ====================
+
+  // Insert order using HBS template
+  async InsertOrder(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertOrder called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertOrder', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Order inserted successfully');
+      
+      // Get the inserted order ID from the result
+      if (result && result.recordset && result.recordset.length > 0) {
+        const orderId = result.recordset[0].orderId;
+        console.log('✅ Order ID retrieved:', orderId);
+        return { success: true, orderId, result };
+      } else {
+        throw new Error('Failed to retrieve order ID after insertion');
+      }
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertOrder error:', error);
+      throw error;
+    }
+  }
+
+  // Get order by ID using HBS template
+  async GetOrderById(orderId) {
+    try {
+      console.log('🔄 DatabaseService.GetOrderById called with orderId:', orderId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getOrderById', { parameterized: true });
+      const { sql, params } = template({ orderId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Order retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetOrderById error:', error);
+      throw error;
+    }
+  }
+
+  // Get how a user relates to an order (customer, business on one of its items, assigned measurement boy)
+  async GetOrderAccess(orderId, userId) {
+    try {
+      console.log('🔄 DatabaseService.GetOrderAccess called with orderId:', orderId, 'userId:', userId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getOrderAccess', { parameterized: true });
+      const { sql, params } = template({ orderId, userId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Order access retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetOrderAccess error:', error);
+      throw error;
+    }
+  }
+
+  // Get all orders using HBS template
+  async GetAllOrders(parameters = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetAllOrders called with parameters:', parameters);
+      
+      // Only allow whitelisted sort columns (e.g. "createdAt" or "o.totalAmount DESC")
+      const templateData = { ...parameters };
+      if (templateData.orderBy) {
+        const match = /^(?:o\.)?(\w+)(?:\s+(ASC|DESC))?$/i.exec(String(templateData.orderBy).trim());
+        if (!match || !allowedOrderSortColumns.includes(match[1])) {
+          throw new Error(`Invalid orderBy value: ${templateData.orderBy}`);
+        }
+        templateData.orderBy = `o.${match[1]} ${(match[2] || 'ASC').toUpperCase()}`;
+      }
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getAllOrders', { parameterized: true });
+      const { sql, params } = template(templateData);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ All orders retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetAllOrders error:', error);
+      throw error;
+    }
+  }
+
+  // Get orders by customer ID using HBS template
+  async GetOrdersByCustomerId(customerId) {
+    try {
+      console.log('🔄 DatabaseService.GetOrdersByCustomerId called with customerId:', customerId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getOrdersByCustomerId', { parameterized: true });
+      const { sql, params } = template({ customerId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Orders retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetOrdersByCustomerId error:', error);
+      throw error;
+    }
+  }
+
+  // Update order using HBS template
+  async UpdateOrder(orderId, parameters) {
+    try {
+      console.log('🔄 DatabaseService.UpdateOrder called with orderId:', orderId, 'parameters:', parameters);
+      
+      // Add orderId to parameters
+      const updateData = { ...parameters, orderId };
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('updateOrder', { parameterized: true });
+      const { sql, params } = template(updateData);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Order updated successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateOrder error:', error);
+      throw error;
+    }
+  }
+
+  // Delete order using HBS template, only while every item of it has the given status
+  async DeleteOrder(orderId, { status }) {
+    try {
+      console.log('🔄 DatabaseService.DeleteOrder called with orderId:', orderId, 'status:', status);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('deleteOrder', { parameterized: true });
+      const { sql, params } = template({ orderId, status });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Order deleted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.DeleteOrder error:', error);
+      throw error;
+    }
+  }
+
+  // Get orders per day by business ID (tailorId) using HBS template
+  async GetOrdersPerDayByBusinessId(businessId, parameters = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetOrdersPerDayByBusinessId called with businessId:', businessId, 'parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getOrdersPerDayByBusinessId', { parameterized: true });
+      const { sql, params } = template({ businessId, ...parameters });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Orders per day retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetOrdersPerDayByBusinessId error:', error);
+      throw error;
+    }
+  }
+
+  // Get orders by date and business ID (tailorId) using HBS template
+  async GetOrdersByDateAndBusinessId(businessId, date) {
+    try {
+      console.log('🔄 DatabaseService.GetOrdersByDateAndBusinessId called with businessId:', businessId, 'date:', date);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getOrdersByDateAndBusinessId', { parameterized: true });
+      const { sql, params } = template({ businessId, date });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Orders by date retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetOrdersByDateAndBusinessId error:', error);
+      throw error;
+    }
+  }
+
+  // Get orders by tailor ID using HBS template
+  async GetOrdersByTailorId(tailorId, parameters = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetOrdersByTailorId called with tailorId:', tailorId, 'parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getOrdersByTailorId', { parameterized: true });
+      const { sql, params } = template({ tailorId, ...parameters });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Orders by tailor ID retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetOrdersByTailorId error:', error);
+      throw error;
+    }
+  }
+
+  // Get orders by shop ID using HBS template
+  async GetOrdersByShopId(shopId, parameters = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetOrdersByShopId called with shopId:', shopId, 'parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getOrdersByShopId', { parameterized: true });
+      const { sql, params } = template({ shopId, ...parameters });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Orders by shop ID retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetOrdersByShopId error:', error);
+      throw error;
+    }
+  }
+
+  // Get orders by measurement boy ID using HBS template
+  async GetOrdersByMeasurementBoyId(measurementBoyId, isOrderMeasurementDone = null) {
+    try {
+      console.log('🔄 DatabaseService.GetOrdersByMeasurementBoyId called with measurementBoyId:', measurementBoyId, 'isOrderMeasurementDone:', isOrderMeasurementDone);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getOrdersByMeasurementBoyId', { parameterized: true });
+      const templateData = { 
+        measurementBoyId
+      };
+      
+      // Only add filter if provided
+      if (isOrderMeasurementDone !== null && isOrderMeasurementDone !== undefined) {
+        templateData.isOrderMeasurementDone = isOrderMeasurementDone;
+        templateData.hasFilter = true;
+      } else {
+        templateData.hasFilter = false;
+      }
+      
+      const { sql, params } = template(templateData);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Orders by measurement boy ID retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetOrdersByMeasurementBoyId error:', error);
+      throw error;
+    }
+  }
+
+  // Get the measurement boy assignment of an order using HBS template
+  async GetMeasurementBoyAssignmentByOrderId(orderId) {
+    try {
+      console.log('🔄 DatabaseService.GetMeasurementBoyAssignmentByOrderId called with orderId:', orderId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getMeasurementBoyAssignmentByOrderId', { parameterized: true });
+      const { sql, params } = template({ orderId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement boy assignment retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetMeasurementBoyAssignmentByOrderId error:', error);
+      throw error;
+    }
+  }
+
+  // Insert measurement boy assignment (only while the order has none) using HBS template
+  async InsertMeasurementBoyAssignment(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertMeasurementBoyAssignment called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertMeasurementBoyAssignment', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement boy assignment insert executed');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertMeasurementBoyAssignment error:', error);
+      throw error;
+    }
+  }
+
+  // Move an assignment to another measurement boy (only while it still has fromStatus) using HBS template
+  async ReassignMeasurementBoy(orderId, measurementBoyId, status, fromStatus) {
+    try {
+      console.log('🔄 DatabaseService.ReassignMeasurementBoy called with orderId:', orderId, 'measurementBoyId:', measurementBoyId, 'fromStatus:', fromStatus);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('reassignMeasurementBoy', { parameterized: true });
+      const { sql, params } = template({ orderId, measurementBoyId, status, fromStatus });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement boy reassigned');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.ReassignMeasurementBoy error:', error);
+      throw error;
+    }
+  }
+
+  // Move an assignment from fromStatus to status using HBS template
+  async UpdateMeasurementBoyAssignmentStatus(orderId, measurementBoyId, { status, fromStatus, setStartedAt = false, setCompletedAt = false }) {
+    try {
+      console.log('🔄 DatabaseService.UpdateMeasurementBoyAssignmentStatus called with orderId:', orderId, 'measurementBoyId:', measurementBoyId, 'status:', fromStatus, '->', status);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('updateMeasurementBoyAssignmentStatus', { parameterized: true });
+      const { sql, params } = template({ orderId, measurementBoyId, status, fromStatus, setStartedAt, setCompletedAt });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement boy assignment status updated');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateMeasurementBoyAssignmentStatus error:', error);
+      throw error;
+    }
+  }
+
+  // Get orders with a measurement address and no measurement boy using HBS template
+  async GetUnassignedMeasurementOrders({ tailorId = null } = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetUnassignedMeasurementOrders called with tailorId:', tailorId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getUnassignedMeasurementOrders', { parameterized: true });
+      const { sql, params } = template({ tailorId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Unassigned measurement orders retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetUnassignedMeasurementOrders error:', error);
+      throw error;
+    }
+  }
+
+  // Get a measurement boy's dispatch profile using HBS template
+  async GetMeasurementBoyProfile(userId) {
+    try {
+      console.log('🔄 DatabaseService.GetMeasurementBoyProfile called with userId:', userId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getMeasurementBoyProfile', { parameterized: true });
+      const { sql, params } = template({ userId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement boy profile retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetMeasurementBoyProfile error:', error);
+      throw error;
+    }
+  }
+
+  // Get the pincodes a measurement boy covers using HBS template
+  async GetMeasurementBoyServicePincodes(userId) {
+    try {
+      console.log('🔄 DatabaseService.GetMeasurementBoyServicePincodes called with userId:', userId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getMeasurementBoyServicePincodes', { parameterized: true });
+      const { sql, params } = template({ userId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement boy service pincodes retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetMeasurementBoyServicePincodes error:', error);
+      throw error;
+    }
+  }
+
+  // Create an empty measurement boy profile unless one exists using HBS template
+  async InsertMeasurementBoyProfileIfMissing(userId) {
+    try {
+      console.log('🔄 DatabaseService.InsertMeasurementBoyProfileIfMissing called with userId:', userId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getAllBrands');
-      const sql = template({});
+      const template = loadTemplate('insertMeasurementBoyProfileIfMissing', { parameterized: true });
+      const { sql, params } = template({ userId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Brands retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement boy profile ensured');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetAllBrands error:', error);
+      console.error('❌ DatabaseService.InsertMeasurementBoyProfileIfMissing error:', error);
       throw error;
     }
   }
 
-  // Insert product inventory using HBS template
-  async InsertProductInventory(parameters) {
+  // Update measurement boy profile using HBS template
+  async UpdateMeasurementBoyProfile(userId, { workingCity, dailyCapacity, isAvailable }) {
     try {
-      console.log('🔄 DatabaseService.InsertProductInventory called with parameters:', parameters);
+      console.log('🔄 DatabaseService.UpdateMeasurementBoyProfile called with userId:', userId, 'workingCity:', workingCity, 'dailyCapacity:', dailyCapacity, 'isAvailable:', isAvailable);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertProductInventory');
-      const sql = template(parameters);
+      const template = loadTemplate('updateMeasurementBoyProfile', { parameterized: true });
+      const { sql, params } = template({ userId, workingCity, dailyCapacity, isAvailable });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product inventory inserted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement boy profile updated successfully');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.InsertProductInventory error:', error);
+      console.error('❌ DatabaseService.UpdateMeasurementBoyProfile error:', error);
       throw error;
     }
   }
 
-  // Update product inventory using HBS template
-  async UpdateProductInventory(productId, parameters) {
+  // Delete all pincodes of a measurement boy using HBS template
+  async DeleteMeasurementBoyServicePincodes(userId) {
     try {
-      console.log('🔄 DatabaseService.UpdateProductInventory called with productId:', productId, 'parameters:', parameters);
+      console.log('🔄 DatabaseService.DeleteMeasurementBoyServicePincodes called with userId:', userId);
       
-      // Add product_id to parameters
-      const updateData = { ...parameters, product_id: productId };
+      // Generate SQL using HBS template
+      const template = loadTemplate('deleteMeasurementBoyServicePincodes', { parameterized: true });
+      const { sql, params } = template({ userId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement boy service pincodes deleted');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.DeleteMeasurementBoyServicePincodes error:', error);
+      throw error;
+    }
+  }
+
+  // Insert measurement boy service pincode using HBS template
+  async InsertMeasurementBoyServicePincode(userId, pincode) {
+    try {
+      console.log('🔄 DatabaseService.InsertMeasurementBoyServicePincode called with userId:', userId, 'pincode:', pincode);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateProductInventory');
-      const sql = template(updateData);
+      const template = loadTemplate('insertMeasurementBoyServicePincode', { parameterized: true });
+      const { sql, params } = template({ userId, pincode });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Product inventory updated successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement boy service pincode inserted');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.UpdateProductInventory error:', error);
+      console.error('❌ DatabaseService.InsertMeasurementBoyServicePincode error:', error);
       throw error;
     }
   }
 
-  // ==================== Business Information Operations ====================
+  // Get measurement boys free for a measurement visit using HBS template
+  async GetMeasurementBoyDispatchCandidates({ pincode, city = null, measurementDate, measurementSlot = null, defaultDailyCapacity }) {
+    try {
+      console.log('🔄 DatabaseService.GetMeasurementBoyDispatchCandidates called with pincode:', pincode, 'city:', city, 'measurementDate:', measurementDate, 'measurementSlot:', measurementSlot);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getMeasurementBoyDispatchCandidates', { parameterized: true });
+      const { sql, params } = template({ pincode, city, measurementDate, measurementSlot, defaultDailyCapacity });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement boy dispatch candidates retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetMeasurementBoyDispatchCandidates error:', error);
+      throw error;
+    }
+  }
 
-  // Get business by user ID using HBS template
-  async GetBusinessByUserId(parameters) {
+  // Insert measurement slot schedule using HBS template
+  async InsertMeasurementSlotSchedule(parameters) {
     try {
-      console.log('🔄 DatabaseService.GetBusinessByUserId called with parameters:', parameters);
+      console.log('🔄 DatabaseService.InsertMeasurementSlotSchedule called with parameters:', parameters);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getBusinessByUserId');
-      const sql = template(parameters);
+      const template = loadTemplate('insertMeasurementSlotSchedule', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Business retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot schedule inserted successfully');
       
       return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetBusinessByUserId error:', error);
+      console.error('❌ DatabaseService.InsertMeasurementSlotSchedule error:', error);
       throw error;
     }
   }
 
-  // Get all businesses using HBS template
-  async GetAllBusinesses() {
+  // Update measurement slot schedule using HBS template
+  async UpdateMeasurementSlotSchedule(scheduleId, parameters) {
     try {
-      console.log('🔄 DatabaseService.GetAllBusinesses called');
+      console.log('🔄 DatabaseService.UpdateMeasurementSlotSchedule called with scheduleId:', scheduleId, 'parameters:', parameters);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getAllBusinesses');
-      const sql = template({});
+      const template = loadTemplate('updateMeasurementSlotSchedule', { parameterized: true });
+      const { sql, params } = template({ ...parameters, scheduleId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ All businesses retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot schedule updated successfully');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetAllBusinesses error:', error);
+      console.error('❌ DatabaseService.UpdateMeasurementSlotSchedule error:', error);
       throw error;
     }
   }
 
-  // Get list of tailors with business information using HBS template
-  async GetTailorsList() {
+  // Get measurement slot schedule by ID using HBS template
+  async GetMeasurementSlotScheduleById(scheduleId) {
     try {
-      console.log('🔄 DatabaseService.GetTailorsList called');
+      console.log('🔄 DatabaseService.GetMeasurementSlotScheduleById called with scheduleId:', scheduleId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getTailorsList');
-      const sql = template({});
+      const template = loadTemplate('getMeasurementSlotScheduleById', { parameterized: true });
+      const { sql, params } = template({ scheduleId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Tailors list retrieved successfully');
-      console.log('📊 Number of tailors found:', result.recordset ? result.recordset.length : 0);
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot schedule retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetMeasurementSlotScheduleById error:', error);
+      throw error;
+    }
+  }
+
+  // Get measurement slot schedules (optionally of one city) using HBS template
+  async GetMeasurementSlotSchedules({ city = null } = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetMeasurementSlotSchedules called with city:', city);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getMeasurementSlotSchedules', { parameterized: true });
+      const { sql, params } = template({ city });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot schedules retrieved successfully');
       
       return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetTailorsList error:', error);
+      console.error('❌ DatabaseService.GetMeasurementSlotSchedules error:', error);
       throw error;
     }
   }
 
-  // Get tailor by user ID using HBS template
-  async GetTailorByUserId(parameters) {
+  // Get the active slot schedule for a pincode or city using HBS template
+  async GetMeasurementSlotScheduleForArea({ pincode, city = null }) {
     try {
-      console.log('🔄 DatabaseService.GetTailorByUserId called with parameters:', parameters);
+      console.log('🔄 DatabaseService.GetMeasurementSlotScheduleForArea called with pincode:', pincode, 'city:', city);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getTailorByUserId');
-      const sql = template(parameters);
+      const template = loadTemplate('getMeasurementSlotScheduleForArea', { parameterized: true });
+      const { sql, params } = template({ pincode, city });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Tailor retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot schedule for area retrieved');
       
       return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetTailorByUserId error:', error);
+      console.error('❌ DatabaseService.GetMeasurementSlotScheduleForArea error:', error);
       throw error;
     }
   }
 
-  // Check if business exists using HBS template
-  async CheckBusinessExists(parameters) {
+  // Get the pincodes of a slot schedule using HBS template
+  async GetMeasurementSlotSchedulePincodes(scheduleId) {
     try {
-      console.log('🔄 DatabaseService.CheckBusinessExists called with parameters:', parameters);
+      console.log('🔄 DatabaseService.GetMeasurementSlotSchedulePincodes called with scheduleId:', scheduleId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('checkBusinessExists');
-      const sql = template(parameters);
+      const template = loadTemplate('getMeasurementSlotSchedulePincodes', { parameterized: true });
+      const { sql, params } = template({ scheduleId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Business check completed');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot schedule pincodes retrieved successfully');
       
-      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.CheckBusinessExists error:', error);
+      console.error('❌ DatabaseService.GetMeasurementSlotSchedulePincodes error:', error);
       throw error;
     }
   }
 
-  // Update business information using HBS template
-  async UpdateBusinessInformation(parameters) {
+  // Delete all pincodes of a slot schedule using HBS template
+  async DeleteMeasurementSlotSchedulePincodes(scheduleId) {
     try {
-      console.log('🔄 DatabaseService.UpdateBusinessInformation called with parameters:', parameters);
+      console.log('🔄 DatabaseService.DeleteMeasurementSlotSchedulePincodes called with scheduleId:', scheduleId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateBusinessInformation');
-      const sql = template(parameters);
+      const template = loadTemplate('deleteMeasurementSlotSchedulePincodes', { parameterized: true });
+      const { sql, params } = template({ scheduleId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Business information updated successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot schedule pincodes deleted');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.UpdateBusinessInformation error:', error);
+      console.error('❌ DatabaseService.DeleteMeasurementSlotSchedulePincodes error:', error);
       throw error;
     }
   }
 
-  // Update business information by business ID dynamically
-  async UpdateBusinessByBusinessId(parameters) {
+  // Insert slot schedule pincode using HBS template
+  async InsertMeasurementSlotSchedulePincode(scheduleId, pincode) {
     try {
-      console.log('🔄 DatabaseService.UpdateBusinessByBusinessId called with parameters:', parameters);
+      console.log('🔄 DatabaseService.InsertMeasurementSlotSchedulePincode called with scheduleId:', scheduleId, 'pincode:', pincode);
       
-      const { businessId, ...updateFields } = parameters;
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertMeasurementSlotSchedulePincode', { parameterized: true });
+      const { sql, params } = template({ scheduleId, pincode });
+      console.log('📋 Generated SQL:', sql);
       
-      // Build SET clause dynamically for fields that are provided
-      const setStatements = [];
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot schedule pincode inserted');
       
-      for (const [key, value] of Object.entries(updateFields)) {
-        if (value !== undefined) {
-          // Handle different data types
-          if (value === null) {
-            setStatements.push(`${key} = NULL`);
-          } else if (typeof value === 'number') {
-            setStatements.push(`${key} = ${value}`);
-          } else if (typeof value === 'boolean') {
-            setStatements.push(`${key} = ${value ? 1 : 0}`);
-          } else {
-            // String: escape single quotes by doubling them
-            const escapedValue = String(value).replace(/'/g, "''");
-            setStatements.push(`${key} = '${escapedValue}'`);
-          }
-        }
-      }
+      return result;
       
-      if (setStatements.length === 0) {
-        throw new Error('No fields provided to update');
-      }
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertMeasurementSlotSchedulePincode error:', error);
+      throw error;
+    }
+  }
+
+  // Insert measurement slot closure using HBS template
+  async InsertMeasurementSlotClosure(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertMeasurementSlotClosure called with parameters:', parameters);
       
-      // Add updated_at timestamp
-      setStatements.push('updated_at = GETDATE()');
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertMeasurementSlotClosure', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
       
-      // Build final SQL
-      const sql = `UPDATE BusinessInformations SET ${setStatements.join(', ')} WHERE businessId = ${businessId}`;
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot closure inserted successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertMeasurementSlotClosure error:', error);
+      throw error;
+    }
+  }
+
+  // Delete measurement slot closure using HBS template
+  async DeleteMeasurementSlotClosure(scheduleId, closureId) {
+    try {
+      console.log('🔄 DatabaseService.DeleteMeasurementSlotClosure called with scheduleId:', scheduleId, 'closureId:', closureId);
       
+      // Generate SQL using HBS template
+      const template = loadTemplate('deleteMeasurementSlotClosure', { parameterized: true });
+      const { sql, params } = template({ scheduleId, closureId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Business information updated successfully by business ID');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot closure deleted');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.UpdateBusinessByBusinessId error:', error);
+      console.error('❌ DatabaseService.DeleteMeasurementSlotClosure error:', error);
       throw error;
     }
   }
 
-  // Update business logo only using HBS template
-  async UpdateBusinessLogo(parameters) {
+  // Get closures of a slot schedule (one date, or from a date on) using HBS template
+  async GetMeasurementSlotClosures(scheduleId, { closedDate = null, fromDate = null } = {}) {
     try {
-      console.log('🔄 DatabaseService.UpdateBusinessLogo called with parameters:', parameters);
+      console.log('🔄 DatabaseService.GetMeasurementSlotClosures called with scheduleId:', scheduleId, 'closedDate:', closedDate, 'fromDate:', fromDate);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateBusinessLogo');
-      const sql = template(parameters);
+      const template = loadTemplate('getMeasurementSlotClosures', { parameterized: true });
+      const { sql, params } = template({ scheduleId, closedDate, fromDate });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Business logo updated successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot closures retrieved successfully');
       
-      return result;
+      return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.UpdateBusinessLogo error:', error);
+      console.error('❌ DatabaseService.GetMeasurementSlotClosures error:', error);
       throw error;
     }
   }
 
-  // Delete business information using HBS template
-  async DeleteBusinessInformation(parameters) {
+  // Get bookings per slot of a schedule on a date using HBS template
+  async GetMeasurementSlotBookingCounts(scheduleId, slotDate) {
     try {
-      console.log('🔄 DatabaseService.DeleteBusinessInformation called with parameters:', parameters);
+      console.log('🔄 DatabaseService.GetMeasurementSlotBookingCounts called with scheduleId:', scheduleId, 'slotDate:', slotDate);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('deleteBusinessInformation');
-      const sql = template(parameters);
+      const template = loadTemplate('getMeasurementSlotBookingCounts', { parameterized: true });
+      const { sql, params } = template({ scheduleId, slotDate });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Business information deleted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot booking counts retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetMeasurementSlotBookingCounts error:', error);
+      throw error;
+    }
+  }
+
+  // Insert measurement slot booking using HBS template
+  async InsertMeasurementSlotBooking(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertMeasurementSlotBooking called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertMeasurementSlotBooking', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot booking inserted successfully');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.DeleteBusinessInformation error:', error);
+      console.error('❌ DatabaseService.InsertMeasurementSlotBooking error:', error);
       throw error;
     }
   }
 
-  // ==================== Tailor Date Availability Operations ====================
+  // Get the slots an order booked using HBS template
+  async GetMeasurementSlotBookingsByOrderId(orderId) {
+    try {
+      console.log('🔄 DatabaseService.GetMeasurementSlotBookingsByOrderId called with orderId:', orderId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getMeasurementSlotBookingsByOrderId', { parameterized: true });
+      const { sql, params } = template({ orderId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot bookings retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetMeasurementSlotBookingsByOrderId error:', error);
+      throw error;
+    }
+  }
 
-  // Check if tailor date availability exists by BusinessId using HBS template
-  async CheckTailorDateAvailabilityExists(parameters) {
+  // Delete measurement slot booking using HBS template
+  async DeleteMeasurementSlotBooking(bookingId) {
     try {
-      console.log('🔄 DatabaseService.CheckTailorDateAvailabilityExists called with parameters:', parameters);
+      console.log('🔄 DatabaseService.DeleteMeasurementSlotBooking called with bookingId:', bookingId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('checkTailorDateAvailabilityExists');
-      const sql = template(parameters);
+      const template = loadTemplate('deleteMeasurementSlotBooking', { parameterized: true });
+      const { sql, params } = template({ bookingId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Tailor date availability check completed');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement slot booking deleted');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.DeleteMeasurementSlotBooking error:', error);
+      throw error;
+    }
+  }
+
+  // Get a tailor item with the admin edit info of its measurement template
+  async GetMeasurementTemplate(itemId) {
+    try {
+      console.log('🔄 DatabaseService.GetMeasurementTemplate called with itemId:', itemId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getMeasurementTemplate', { parameterized: true });
+      const { sql, params } = template({ itemId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement template retrieved successfully');
       
       return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.CheckTailorDateAvailabilityExists error:', error);
+      console.error('❌ DatabaseService.GetMeasurementTemplate error:', error);
       throw error;
     }
   }
 
-  // Get tailor date availability by BusinessId using HBS template
-  async GetTailorDateAvailabilityByBusinessId(parameters) {
+  // Get measurement template fields, optionally of one item (by ID or name)
+  async GetMeasurementTemplateFields({ itemId = null, itemName = null } = {}) {
     try {
-      console.log('🔄 DatabaseService.GetTailorDateAvailabilityByBusinessId called with parameters:', parameters);
+      console.log('🔄 DatabaseService.GetMeasurementTemplateFields called with filters:', { itemId, itemName });
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getTailorDateAvailabilityByBusinessId');
-      const sql = template(parameters);
+      const template = loadTemplate('getMeasurementTemplateFields', { parameterized: true });
+      const { sql, params } = template({ itemId, itemName });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Tailor date availability retrieved successfully');
-      console.log('📊 Number of records found:', result.recordset ? result.recordset.length : 0);
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement template fields retrieved successfully');
       
       return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetTailorDateAvailabilityByBusinessId error:', error);
+      console.error('❌ DatabaseService.GetMeasurementTemplateFields error:', error);
       throw error;
     }
   }
 
-  // Get all tailor date availability using HBS template
-  async GetAllTailorDateAvailability() {
+  // Create the measurement template row of an item when it has none
+  async InsertMeasurementTemplateIfMissing(itemId) {
+    try {
+      console.log('🔄 DatabaseService.InsertMeasurementTemplateIfMissing called with itemId:', itemId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertMeasurementTemplateIfMissing', { parameterized: true });
+      const { sql, params } = template({ itemId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement template ensured');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertMeasurementTemplateIfMissing error:', error);
+      throw error;
+    }
+  }
+
+  // Record who last saved a measurement template
+  async UpdateMeasurementTemplate(itemId, updatedBy) {
+    try {
+      console.log('🔄 DatabaseService.UpdateMeasurementTemplate called with itemId:', itemId, 'updatedBy:', updatedBy);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('updateMeasurementTemplate', { parameterized: true });
+      const { sql, params } = template({ itemId, updatedBy });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement template updated successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.UpdateMeasurementTemplate error:', error);
+      throw error;
+    }
+  }
+
+  // Delete every field of a measurement template
+  async DeleteMeasurementTemplateFields(itemId) {
+    try {
+      console.log('🔄 DatabaseService.DeleteMeasurementTemplateFields called with itemId:', itemId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('deleteMeasurementTemplateFields', { parameterized: true });
+      const { sql, params } = template({ itemId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement template fields deleted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.DeleteMeasurementTemplateFields error:', error);
+      throw error;
+    }
+  }
+
+  // Insert a measurement template field
+  async InsertMeasurementTemplateField(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertMeasurementTemplateField called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertMeasurementTemplateField', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement template field inserted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertMeasurementTemplateField error:', error);
+      throw error;
+    }
+  }
+
+  // Get the required template keys an order item has no measurement for
+  async GetMissingMeasurementKeys(orderItemId) {
     try {
-      console.log('🔄 DatabaseService.GetAllTailorDateAvailability called');
+      console.log('🔄 DatabaseService.GetMissingMeasurementKeys called with orderItemId:', orderItemId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getAllTailorDateAvailability');
-      const sql = template({});
+      const template = loadTemplate('getMissingMeasurementKeys', { parameterized: true });
+      const { sql, params } = template({ orderItemId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ All tailor date availability retrieved successfully');
-      console.log('📊 Number of records found:', result.recordset ? result.recordset.length : 0);
+      const result = await executeQuery(sql, params);
+      console.log('✅ Missing measurement keys retrieved successfully');
       
       return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetAllTailorDateAvailability error:', error);
+      console.error('❌ DatabaseService.GetMissingMeasurementKeys error:', error);
       throw error;
     }
   }
 
-  // Insert tailor date availability using HBS template
-  async InsertTailorDateAvailability(parameters) {
+  // Insert a customer measurement profile
+  async InsertMeasurementProfile(parameters) {
     try {
-      console.log('🔄 DatabaseService.InsertTailorDateAvailability called with parameters:', parameters);
+      console.log('🔄 DatabaseService.InsertMeasurementProfile called with parameters:', parameters);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertTailorDateAvailability');
-      const sql = template(parameters);
+      const template = loadTemplate('insertMeasurementProfile', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Tailor date availability inserted successfully');
-      console.log('📊 Insert result:', result);
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement profile inserted successfully');
       
-      // Get the inserted ID from the result
-      if (result && result.recordset && result.recordset.length > 0) {
-        const tailorDateAvailabilityId = result.recordset[0].TailorDateAvailabilityId;
-        console.log('✅ Tailor Date Availability ID retrieved:', tailorDateAvailabilityId);
-        return { success: true, tailorDateAvailabilityId, result };
-      } else {
-        throw new Error('Failed to retrieve Tailor Date Availability ID after insertion');
-      }
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.InsertTailorDateAvailability error:', error);
+      console.error('❌ DatabaseService.InsertMeasurementProfile error:', error);
       throw error;
     }
   }
 
-  // Update tailor date availability using HBS template
-  async UpdateTailorDateAvailability(parameters) {
+  // Rename or archive a measurement profile
+  async UpdateMeasurementProfile(profileId, parameters) {
     try {
-      console.log('🔄 DatabaseService.UpdateTailorDateAvailability called with parameters:', parameters);
+      console.log('🔄 DatabaseService.UpdateMeasurementProfile called with profileId:', profileId, 'parameters:', parameters);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateTailorDateAvailability');
-      const sql = template(parameters);
+      const template = loadTemplate('updateMeasurementProfile', { parameterized: true });
+      const { sql, params } = template({ profileId, ...parameters });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Tailor date availability updated successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement profile updated successfully');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.UpdateTailorDateAvailability error:', error);
+      console.error('❌ DatabaseService.UpdateMeasurementProfile error:', error);
       throw error;
     }
   }
 
-  // Get all tailor items using HBS template
-  async GetAllTailorItems() {
+  // Get measurement profiles with their latest version (by profile, customer or item type)
+  async GetMeasurementProfiles({ profileId = null, customerId = null, itemType = null, includeArchived = false } = {}) {
     try {
-      console.log('🔄 DatabaseService.GetAllTailorItems called');
+      console.log('🔄 DatabaseService.GetMeasurementProfiles called with filters:', { profileId, customerId, itemType, includeArchived });
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getAllTailorItems');
-      const sql = template({});
+      const template = loadTemplate('getMeasurementProfiles', { parameterized: true });
+      const { sql, params } = template({ profileId, customerId, itemType, includeArchived });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ All tailor items retrieved successfully');
-      console.log('📊 Number of records found:', result.recordset ? result.recordset.length : 0);
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement profiles retrieved successfully');
       
       return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetAllTailorItems error:', error);
+      console.error('❌ DatabaseService.GetMeasurementProfiles error:', error);
       throw error;
     }
   }
 
-  // Insert tailor item price using HBS template
-  async InsertTailorItemPrice(parameters) {
+  // Add the next version to a measurement profile
+  async InsertMeasurementProfileVersion(parameters) {
     try {
-      console.log('🔄 DatabaseService.InsertTailorItemPrice called with parameters:', parameters);
+      console.log('🔄 DatabaseService.InsertMeasurementProfileVersion called with parameters:', parameters);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertTailorItemPrice');
-      const sql = template(parameters);
+      const template = loadTemplate('insertMeasurementProfileVersion', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Tailor item price inserted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement profile version inserted successfully');
       
-      return result;
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.InsertTailorItemPrice error:', error);
+      console.error('❌ DatabaseService.InsertMeasurementProfileVersion error:', error);
       throw error;
     }
   }
 
-  // Get tailor item prices by BusinessId using HBS template
-  async GetTailorItemPricesByBusinessId(parameters) {
+  // Insert one value of a measurement profile version
+  async InsertMeasurementProfileValue(versionId, measurementKey, measurementValue) {
     try {
-      console.log('🔄 DatabaseService.GetTailorItemPricesByBusinessId called with parameters:', parameters);
+      console.log('🔄 DatabaseService.InsertMeasurementProfileValue called with versionId:', versionId, 'measurementKey:', measurementKey);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getTailorItemPricesByBusinessId');
-      const sql = template(parameters);
+      const template = loadTemplate('insertMeasurementProfileValue', { parameterized: true });
+      const { sql, params } = template({ versionId, measurementKey, measurementValue });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Tailor item prices retrieved successfully');
-      console.log('📊 Number of records found:', result.recordset ? result.recordset.length : 0);
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement profile value inserted successfully');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetTailorItemPricesByBusinessId error:', error);
+      console.error('❌ DatabaseService.InsertMeasurementProfileValue error:', error);
       throw error;
     }
   }
 
-  // Update tailor item price using HBS template
-  async UpdateTailorItemPrice(parameters) {
+  // Get the versions of a measurement profile, newest first (or only versionNumber)
+  async GetMeasurementProfileVersions(profileId, { versionNumber = null } = {}) {
     try {
-      console.log('🔄 DatabaseService.UpdateTailorItemPrice called with parameters:', parameters);
+      console.log('🔄 DatabaseService.GetMeasurementProfileVersions called with profileId:', profileId, 'versionNumber:', versionNumber);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateTailorItemPrice');
-      const sql = template(parameters);
+      const template = loadTemplate('getMeasurementProfileVersions', { parameterized: true });
+      const { sql, params } = template({ profileId, versionNumber });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Tailor item price updated successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement profile versions retrieved successfully');
       
-      return result;
+      return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.UpdateTailorItemPrice error:', error);
+      console.error('❌ DatabaseService.GetMeasurementProfileVersions error:', error);
       throw error;
     }
   }
 
-  // ==================== Order Operations ====================
-
-  // Insert order using HBS template
-  async InsertOrder(parameters) {
+  // Get the values of a measurement profile version
+  async GetMeasurementProfileValues(versionId) {
     try {
-      console.log('🔄 DatabaseService.InsertOrder called with parameters:', parameters);
+      console.log('🔄 DatabaseService.GetMeasurementProfileValues called with versionId:', versionId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertOrder');
-      const sql = template(parameters);
+      const template = loadTemplate('getMeasurementProfileValues', { parameterized: true });
+      const { sql, params } = template({ versionId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Order inserted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement profile values retrieved successfully');
       
-      // Get the inserted order ID from the result
-      if (result && result.recordset && result.recordset.length > 0) {
-        const orderId = result.recordset[0].orderId;
-        console.log('✅ Order ID retrieved:', orderId);
-        return { success: true, orderId, result };
-      } else {
-        throw new Error('Failed to retrieve order ID after insertion');
-      }
+      return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.InsertOrder error:', error);
+      console.error('❌ DatabaseService.GetMeasurementProfileValues error:', error);
       throw error;
     }
   }
 
-  // Get order by ID using HBS template
-  async GetOrderById(orderId) {
+  // Set (or clear, with a null status) an order item's measurement sign-off using HBS template
+  async UpdateOrderItemSignOff(orderItemId, measurementSignOffStatus) {
     try {
-      console.log('🔄 DatabaseService.GetOrderById called with orderId:', orderId);
+      console.log('🔄 DatabaseService.UpdateOrderItemSignOff called with orderItemId:', orderItemId, 'status:', measurementSignOffStatus);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getOrderById');
-      const sql = template({ orderId });
+      const template = loadTemplate('updateOrderItemSignOff', { parameterized: true });
+      const { sql, params } = template({ orderItemId, measurementSignOffStatus });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Order retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Order item sign-off updated successfully');
       
-      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetOrderById error:', error);
+      console.error('❌ DatabaseService.UpdateOrderItemSignOff error:', error);
       throw error;
     }
   }
 
-  // Get all orders using HBS template
-  async GetAllOrders(parameters = {}) {
+  // Record a customer sign-off decision using HBS template
+  async InsertMeasurementSignOff(parameters) {
     try {
-      console.log('🔄 DatabaseService.GetAllOrders called with parameters:', parameters);
+      console.log('🔄 DatabaseService.InsertMeasurementSignOff called with parameters:', parameters);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getAllOrders');
-      const sql = template(parameters);
+      const template = loadTemplate('insertMeasurementSignOff', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ All orders retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement sign-off recorded successfully');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetAllOrders error:', error);
+      console.error('❌ DatabaseService.InsertMeasurementSignOff error:', error);
       throw error;
     }
   }
 
-  // Get orders by customer ID using HBS template
-  async GetOrdersByCustomerId(customerId) {
+  // Get sign-off decisions for the items of an order using HBS template
+  async GetMeasurementSignOffs(orderId) {
     try {
-      console.log('🔄 DatabaseService.GetOrdersByCustomerId called with customerId:', customerId);
+      console.log('🔄 DatabaseService.GetMeasurementSignOffs called with orderId:', orderId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getOrdersByCustomerId');
-      const sql = template({ customerId });
+      const template = loadTemplate('getMeasurementSignOffs', { parameterized: true });
+      const { sql, params } = template({ orderId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Orders retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement sign-offs retrieved successfully');
       
       return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetOrdersByCustomerId error:', error);
+      console.error('❌ DatabaseService.GetMeasurementSignOffs error:', error);
       throw error;
     }
   }
 
-  // Update order using HBS template
-  async UpdateOrder(orderId, parameters) {
+  // Store a measurement sign-off link token hash using HBS template
+  async InsertMeasurementSignOffToken(parameters) {
     try {
-      console.log('🔄 DatabaseService.UpdateOrder called with orderId:', orderId, 'parameters:', parameters);
-      
-      // Add orderId to parameters
-      const updateData = { ...parameters, orderId };
+      console.log('🔄 DatabaseService.InsertMeasurementSignOffToken called for orderId:', parameters.orderId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateOrder');
-      const sql = template(updateData);
+      const template = loadTemplate('insertMeasurementSignOffToken', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Order updated successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement sign-off token stored successfully');
       
       return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.UpdateOrder error:', error);
+      console.error('❌ DatabaseService.InsertMeasurementSignOffToken error:', error);
       throw error;
     }
   }
 
-  // Delete order using HBS template
-  async DeleteOrder(orderId) {
+  // Get a measurement sign-off token (with the order customer) by hash using HBS template
+  async GetMeasurementSignOffTokenByHash(tokenHash) {
     try {
-      console.log('🔄 DatabaseService.DeleteOrder called with orderId:', orderId);
+      console.log('🔄 DatabaseService.GetMeasurementSignOffTokenByHash called');
       
       // Generate SQL using HBS template
-      const template = loadTemplate('deleteOrder');
-      const sql = template({ orderId });
+      const template = loadTemplate('getMeasurementSignOffTokenByHash', { parameterized: true });
+      const { sql, params } = template({ tokenHash });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Order deleted successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement sign-off token lookup completed');
       
-      return result;
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
       
     } catch (error) {
-      console.error('❌ DatabaseService.DeleteOrder error:', error);
+      console.error('❌ DatabaseService.GetMeasurementSignOffTokenByHash error:', error);
       throw error;
     }
   }
 
-  // Get orders per day by business ID (tailorId) using HBS template
-  async GetOrdersPerDayByBusinessId(businessId, parameters = {}) {
+  // Mark a measurement sign-off token used (only if unused) using HBS template
+  async MarkMeasurementSignOffTokenUsed(id) {
     try {
-      console.log('🔄 DatabaseService.GetOrdersPerDayByBusinessId called with businessId:', businessId, 'parameters:', parameters);
+      console.log('🔄 DatabaseService.MarkMeasurementSignOffTokenUsed called with id:', id);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getOrdersPerDayByBusinessId');
-      const sql = template({ businessId, ...parameters });
+      const template = loadTemplate('markMeasurementSignOffTokenUsed', { parameterized: true });
+      const { sql, params } = template({ id });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Orders per day retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement sign-off token marked used');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetOrdersPerDayByBusinessId error:', error);
+      console.error('❌ DatabaseService.MarkMeasurementSignOffTokenUsed error:', error);
       throw error;
     }
   }
 
-  // Get orders by date and business ID (tailorId) using HBS template
-  async GetOrdersByDateAndBusinessId(businessId, date) {
+  // Close every open sign-off link of an order using HBS template
+  async InvalidateOrderMeasurementSignOffTokens(orderId) {
     try {
-      console.log('🔄 DatabaseService.GetOrdersByDateAndBusinessId called with businessId:', businessId, 'date:', date);
+      console.log('🔄 DatabaseService.InvalidateOrderMeasurementSignOffTokens called with orderId:', orderId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getOrdersByDateAndBusinessId');
-      const sql = template({ businessId, date });
+      const template = loadTemplate('invalidateOrderMeasurementSignOffTokens', { parameterized: true });
+      const { sql, params } = template({ orderId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Orders by date retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement sign-off tokens invalidated');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetOrdersByDateAndBusinessId error:', error);
+      console.error('❌ DatabaseService.InvalidateOrderMeasurementSignOffTokens error:', error);
       throw error;
     }
   }
 
-  // Get orders by tailor ID using HBS template
-  async GetOrdersByTailorId(tailorId, parameters = {}) {
+  // Move an order item to a new status if it still has fromStatus using HBS template
+  async UpdateOrderItemStatus(orderItemId, { status, fromStatus }) {
     try {
-      console.log('🔄 DatabaseService.GetOrdersByTailorId called with tailorId:', tailorId, 'parameters:', parameters);
+      console.log('🔄 DatabaseService.UpdateOrderItemStatus called with orderItemId:', orderItemId, 'status:', fromStatus, '->', status);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getOrdersByTailorId');
-      const sql = template({ tailorId, ...parameters });
+      const template = loadTemplate('updateOrderItemStatus', { parameterized: true });
+      const { sql, params } = template({ orderItemId, status, fromStatus });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Orders by tailor ID retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Order item status updated');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetOrdersByTailorId error:', error);
+      console.error('❌ DatabaseService.UpdateOrderItemStatus error:', error);
       throw error;
     }
   }
 
-  // Get orders by shop ID using HBS template
-  async GetOrdersByShopId(shopId, parameters = {}) {
+  // Record an order item status change using HBS template
+  async InsertOrderItemStatusHistory(historyData) {
     try {
-      console.log('🔄 DatabaseService.GetOrdersByShopId called with shopId:', shopId, 'parameters:', parameters);
+      console.log('🔄 DatabaseService.InsertOrderItemStatusHistory called with orderItemId:', historyData.orderItemId, 'status:', historyData.fromStatus, '->', historyData.toStatus);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getOrdersByShopId');
-      const sql = template({ shopId, ...parameters });
+      const template = loadTemplate('insertOrderItemStatusHistory', { parameterized: true });
+      const { sql, params } = template(historyData);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Orders by shop ID retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Order item status history recorded');
       
-      return (result && result.recordset) ? result.recordset : [];
+      return result;
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetOrdersByShopId error:', error);
+      console.error('❌ DatabaseService.InsertOrderItemStatusHistory error:', error);
       throw error;
     }
   }
 
-  // Get orders by measurement boy ID using HBS template
-  async GetOrdersByMeasurementBoyId(measurementBoyId, isOrderMeasurementDone = null) {
+  // Get the status history of an order's items (or one item) using HBS template
+  async GetOrderItemStatusHistory(orderId, { orderItemId = null } = {}) {
     try {
-      console.log('🔄 DatabaseService.GetOrdersByMeasurementBoyId called with measurementBoyId:', measurementBoyId, 'isOrderMeasurementDone:', isOrderMeasurementDone);
+      console.log('🔄 DatabaseService.GetOrderItemStatusHistory called with orderId:', orderId, 'orderItemId:', orderItemId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getOrdersByMeasurementBoyId');
-      const templateData = { 
-        measurementBoyId
-      };
-      
-      // Only add filter if provided
-      if (isOrderMeasurementDone !== null && isOrderMeasurementDone !== undefined) {
-        templateData.isOrderMeasurementDone = isOrderMeasurementDone;
-        templateData.hasFilter = true;
-      } else {
-        templateData.hasFilter = false;
-      }
-      
-      const sql = template(templateData);
+      const template = loadTemplate('getOrderItemStatusHistory', { parameterized: true });
+      const { sql, params } = template({ orderId, orderItemId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
-      console.log('✅ Orders by measurement boy ID retrieved successfully');
+      const result = await executeQuery(sql, params);
+      console.log('✅ Order item status history retrieved successfully');
       
       return (result && result.recordset) ? result.recordset : [];
       
     } catch (error) {
-      console.error('❌ DatabaseService.GetOrdersByMeasurementBoyId error:', error);
+      console.error('❌ DatabaseService.GetOrderItemStatusHistory error:', error);
       throw error;
     }
   }
@@ -1603,12 +3805,12 @@ class DatabaseService {
       console.log('🔄 DatabaseService.InsertOrderItem called with parameters:', parameters);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertOrderItem');
-      const sql = template(parameters);
+      const template = loadTemplate('insertOrderItem', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Order item inserted successfully');
       
       // Get the inserted order item ID from the result
@@ -1632,12 +3834,12 @@ class DatabaseService {
       console.log('🔄 DatabaseService.GetOrderItemsByOrderId called with orderId:', orderId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getOrderItemsByOrderId');
-      const sql = template({ orderId });
+      const template = loadTemplate('getOrderItemsByOrderId', { parameterized: true });
+      const { sql, params } = template({ orderId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Order items retrieved successfully');
       
       return (result && result.recordset) ? result.recordset : [];
@@ -1648,6 +3850,28 @@ class DatabaseService {
     }
   }
 
+  // Get a single order item by ID using HBS template
+  async GetOrderItemById(orderItemId) {
+    try {
+      console.log('🔄 DatabaseService.GetOrderItemById called with orderItemId:', orderItemId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getOrderItemById', { parameterized: true });
+      const { sql, params } = template({ orderItemId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Order item retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetOrderItemById error:', error);
+      throw error;
+    }
+  }
+
   // Update order item using HBS template
   async UpdateOrderItem(orderItemId, parameters) {
     try {
@@ -1657,12 +3881,12 @@ class DatabaseService {
       const updateData = { ...parameters, orderItemId };
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateOrderItem');
-      const sql = template(updateData);
+      const template = loadTemplate('updateOrderItem', { parameterized: true });
+      const { sql, params } = template(updateData);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Order item updated successfully');
       
       return result;
@@ -1673,18 +3897,18 @@ class DatabaseService {
     }
   }
 
-  // Delete order item using HBS template
-  async DeleteOrderItem(orderItemId) {
+  // Delete order item using HBS template, only while it has the given status
+  async DeleteOrderItem(orderItemId, { status }) {
     try {
-      console.log('🔄 DatabaseService.DeleteOrderItem called with orderItemId:', orderItemId);
+      console.log('🔄 DatabaseService.DeleteOrderItem called with orderItemId:', orderItemId, 'status:', status);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('deleteOrderItem');
-      const sql = template({ orderItemId });
+      const template = loadTemplate('deleteOrderItem', { parameterized: true });
+      const { sql, params } = template({ orderItemId, status });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Order item deleted successfully');
       
       return result;
@@ -1701,12 +3925,12 @@ class DatabaseService {
       console.log('🔄 DatabaseService.CheckAllMeasurementsDone called with orderId:', orderId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('checkAllMeasurementsDone');
-      const sql = template({ orderId });
+      const template = loadTemplate('checkAllMeasurementsDone', { parameterized: true });
+      const { sql, params } = template({ orderId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Check all measurements done query executed successfully');
       
       if (result && result.recordset && result.recordset.length > 0) {
@@ -1728,12 +3952,12 @@ class DatabaseService {
       console.log('🔄 DatabaseService.UpdateOrderItemsMeasurementDone called with orderId:', orderId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateOrderItemsMeasurementDone');
-      const sql = template({ orderId });
+      const template = loadTemplate('updateOrderItemsMeasurementDone', { parameterized: true });
+      const { sql, params } = template({ orderId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Order items measurement done updated successfully');
       
       return result;
@@ -1752,12 +3976,12 @@ class DatabaseService {
       console.log('🔄 DatabaseService.InsertDeliveryAddress called with parameters:', parameters);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertDeliveryAddress');
-      const sql = template(parameters);
+      const template = loadTemplate('insertDeliveryAddress', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Delivery address inserted successfully');
       
       // Get the inserted delivery address ID from the result
@@ -1781,12 +4005,12 @@ class DatabaseService {
       console.log('🔄 DatabaseService.GetDeliveryAddressByOrderId called with orderId:', orderId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getDeliveryAddressByOrderId');
-      const sql = template({ orderId });
+      const template = loadTemplate('getDeliveryAddressByOrderId', { parameterized: true });
+      const { sql, params } = template({ orderId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Delivery address(es) retrieved successfully');
       
       // Return array of addresses (can be empty array)
@@ -1803,18 +4027,40 @@ class DatabaseService {
     return this.GetDeliveryAddressByOrderId(orderId);
   }
 
+  // Get a single delivery address by ID using HBS template
+  async GetDeliveryAddressById(deliveryAddressId) {
+    try {
+      console.log('🔄 DatabaseService.GetDeliveryAddressById called with deliveryAddressId:', deliveryAddressId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getDeliveryAddressById', { parameterized: true });
+      const { sql, params } = template({ deliveryAddressId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Delivery address retrieved successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetDeliveryAddressById error:', error);
+      throw error;
+    }
+  }
+
   // Get delivery addresses by user ID using HBS template
   async GetDeliveryAddressesByUserId(userId) {
     try {
       console.log('🔄 DatabaseService.GetDeliveryAddressesByUserId called with userId:', userId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getDeliveryAddressesByUserId');
-      const sql = template({ userId });
+      const template = loadTemplate('getDeliveryAddressesByUserId', { parameterized: true });
+      const { sql, params } = template({ userId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Delivery addresses retrieved successfully');
       
       return (result && result.recordset) ? result.recordset : [];
@@ -1834,12 +4080,12 @@ class DatabaseService {
       const updateData = { ...parameters, deliveryAddressId };
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateDeliveryAddress');
-      const sql = template(updateData);
+      const template = loadTemplate('updateDeliveryAddress', { parameterized: true });
+      const { sql, params } = template(updateData);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Delivery address updated successfully');
       
       return result;
@@ -1856,12 +4102,12 @@ class DatabaseService {
       console.log('🔄 DatabaseService.DeleteDeliveryAddress called with deliveryAddressId:', deliveryAddressId);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('deleteDeliveryAddress');
-      const sql = template({ deliveryAddressId });
+      const template = loadTemplate('deleteDeliveryAddress', { parameterized: true });
+      const { sql, params } = template({ deliveryAddressId });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Delivery address deleted successfully');
       
       return result;
@@ -1880,12 +4126,12 @@ class DatabaseService {
       console.log('🔄 DatabaseService.InsertOrderDeliveryAddressMapping called with parameters:', parameters);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertOrderDeliveryAddressMapping');
-      const sql = template(parameters);
+      const template = loadTemplate('insertOrderDeliveryAddressMapping', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Order delivery address mapping inserted successfully');
       
       // Get the inserted mapping ID from the result
@@ -1911,12 +4157,12 @@ class DatabaseService {
       console.log('🔄 DatabaseService.InsertMeasurement called with parameters:', parameters);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('insertMeasurement');
-      const sql = template(parameters);
+      const template = loadTemplate('insertMeasurement', { parameterized: true });
+      const { sql, params } = template(parameters);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Measurement inserted successfully');
       
       // Get the inserted measurement ID from the result
@@ -1940,12 +4186,12 @@ class DatabaseService {
       console.log('🔄 DatabaseService.GetMeasurementByOrderItemIdAndKey called with orderItemId:', orderItemId, 'measurementKey:', measurementKey);
       
       // Generate SQL using HBS template
-      const template = loadTemplate('getMeasurementByOrderItemIdAndKey');
-      const sql = template({ orderItemId, measurementKey });
+      const template = loadTemplate('getMeasurementByOrderItemIdAndKey', { parameterized: true });
+      const { sql, params } = template({ orderItemId, measurementKey });
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Measurement retrieved successfully');
       
       return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
@@ -1956,6 +4202,138 @@ class DatabaseService {
     }
   }
 
+  // Get every measurement of an order item
+  async GetMeasurementsByOrderItemId(orderItemId) {
+    try {
+      console.log('🔄 DatabaseService.GetMeasurementsByOrderItemId called with orderItemId:', orderItemId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getMeasurementsByOrderItemId', { parameterized: true });
+      const { sql, params } = template({ orderItemId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurements retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetMeasurementsByOrderItemId error:', error);
+      throw error;
+    }
+  }
+
+  // Record a measurement value change using HBS template
+  async InsertMeasurementHistory(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertMeasurementHistory called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertMeasurementHistory', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement history recorded successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertMeasurementHistory error:', error);
+      throw error;
+    }
+  }
+
+  // Get measurement history of an order item (optionally one key) using HBS template
+  async GetMeasurementHistory(orderItemId, { measurementKey = null } = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetMeasurementHistory called with orderItemId:', orderItemId, 'measurementKey:', measurementKey);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getMeasurementHistory', { parameterized: true });
+      const { sql, params } = template({ orderItemId, measurementKey });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement history retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetMeasurementHistory error:', error);
+      throw error;
+    }
+  }
+
+  // Insert measurement attachment using HBS template
+  async InsertMeasurementAttachment(parameters) {
+    try {
+      console.log('🔄 DatabaseService.InsertMeasurementAttachment called with parameters:', parameters);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('insertMeasurementAttachment', { parameterized: true });
+      const { sql, params } = template(parameters);
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement attachment inserted successfully');
+      
+      return (result && result.recordset && result.recordset.length > 0) ? result.recordset[0] : null;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.InsertMeasurementAttachment error:', error);
+      throw error;
+    }
+  }
+
+  // Get measurement attachments of an order item (optionally one) using HBS template
+  async GetMeasurementAttachments(orderItemId, { attachmentId = null } = {}) {
+    try {
+      console.log('🔄 DatabaseService.GetMeasurementAttachments called with orderItemId:', orderItemId, 'attachmentId:', attachmentId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('getMeasurementAttachments', { parameterized: true });
+      const { sql, params } = template({ orderItemId, attachmentId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement attachments retrieved successfully');
+      
+      return (result && result.recordset) ? result.recordset : [];
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.GetMeasurementAttachments error:', error);
+      throw error;
+    }
+  }
+
+  // Delete measurement attachment using HBS template
+  async DeleteMeasurementAttachment(orderItemId, attachmentId) {
+    try {
+      console.log('🔄 DatabaseService.DeleteMeasurementAttachment called with orderItemId:', orderItemId, 'attachmentId:', attachmentId);
+      
+      // Generate SQL using HBS template
+      const template = loadTemplate('deleteMeasurementAttachment', { parameterized: true });
+      const { sql, params } = template({ orderItemId, attachmentId });
+      console.log('📋 Generated SQL:', sql);
+      
+      // Execute the SQL query
+      const result = await executeQuery(sql, params);
+      console.log('✅ Measurement attachment deleted successfully');
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ DatabaseService.DeleteMeasurementAttachment error:', error);
+      throw error;
+    }
+  }
+
   // Update measurement using HBS template
   async UpdateMeasurement(measurementId, parameters) {
     try {
@@ -1965,12 +4343,12 @@ class DatabaseService {
       const updateData = { ...parameters, measurementId };
       
       // Generate SQL using HBS template
-      const template = loadTemplate('updateMeasurement');
-      const sql = template(updateData);
+      const template = loadTemplate('updateMeasurement', { parameterized: true });
+      const { sql, params } = template(updateData);
       console.log('📋 Generated SQL:', sql);
       
       // Execute the SQL query
-      const result = await executeQuery(sql);
+      const result = await executeQuery(sql, params);
       console.log('✅ Measurement updated successfully');
       
       return result;
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const config = require('../config');
+const databaseService = require('./databaseService');
+const tokenService = require('./tokenService');
+const mailService = require('./mailService');
+const { AuthError } = require('./tokenService');
+
+// Email verification for new accounts. Users start with emailVerifiedAt NULL and cannot log in
+// (nor are their businesses listed) until they follow the emailed link. Tokens are random,
+// stored as SHA-256 hashes, expire after EMAIL_VERIFICATION_TOKEN_TTL_HOURS and are single use.
+
+const hourMs = 60 * 60 * 1000;
+
+const invalidLinkMessage = 'Verification link is invalid or has expired';
+
+class EmailVerificationService {
+  // Issue a new verification token (closing earlier ones) and email it to the user
+  async sendVerification(user) {
+    console.log('🔄 Sending email verification to:', user.email);
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await databaseService.transaction(async (tx) => {
+      // Only the latest link works
+      await tx.InvalidateUserEmailVerificationTokens(user.id);
+      await tx.InsertEmailVerificationToken({
+        userId: user.id,
+        tokenHash: tokenService.hashToken(token),
+        expiresAt: new Date(Date.now() + config.auth.emailVerificationTokenTtlHours * hourMs)
+      });
+    });
+
+    await mailService.sendEmailVerification(user, token);
+    console.log('✅ Email verification sent to:', user.email);
+  }
+
+  // Send a new link. Unknown, deactivated or already verified accounts get no email but the
+  // same response, so the endpoint cannot be used to find out which emails are registered
+  async resendVerification(email) {
+    console.log('🔄 Email verification resend requested for:', email);
+    const users = await databaseService.db.GetUserByEmail({ Email: email });
+    const user = users && users[0];
+    if (!user || !user.isActive || user.emailVerifiedAt) {
+      console.log('⚠️ No unverified account to resend verification to:', email);
+      return;
+    }
+
+    const latest = await databaseService.db.GetLatestEmailVerificationTokenCreatedAt(user.id);
+    if (latest && latest.lastCreatedAt) {
+      const cooldownMs = config.auth.emailVerificationResendCooldownSeconds * 1000;
+      const waitSeconds = Math.ceil((new Date(latest.lastCreatedAt).getTime() + cooldownMs - Date.now()) / 1000);
+      if (waitSeconds > 0) {
+        throw new AuthError(`Please wait ${waitSeconds} seconds before requesting another verification email`, 429, waitSeconds);
+      }
+    }
+
+    await this.sendVerification(user);
+  }
+
+  // Spend a verification token and mark the email as verified
+  async verifyEmail(token) {
+    console.log('🔄 Verifying email with verification token...');
+    const verificationToken = await databaseService.db.GetEmailVerificationTokenByHash(tokenService.hashToken(token));
+
+    if (!verificationToken || new Date(verificationToken.expiresAt) <= new Date()) {
+      throw new AuthError(invalidLinkMessage, 400);
+    }
+    // Following the same link twice is harmless once the email is verified
+    if (verificationToken.emailVerifiedAt) {
+      return { email: verificationToken.email, alreadyVerified: true };
+    }
+    if (verificationToken.usedAt) {
+      throw new AuthError(invalidLinkMessage, 400);
+    }
+    if (!verificationToken.isActive) {
+      throw new AuthError('Account is deactivated', 400);
+    }
+
+    await databaseService.transaction(async (tx) => {
+      const claimed = await tx.MarkEmailVerificationTokenUsed(verificationToken.id);
+      if (!claimed || !claimed.rowsAffected || claimed.rowsAffected[0] === 0) {
+        throw new AuthError(invalidLinkMessage, 400);
+      }
+      await tx.MarkUserEmailVerified(verificationToken.userId);
+      await tx.InvalidateUserEmailVerificationTokens(verificationToken.userId);
+    });
+
+    console.log('✅ Email verified for user:', verificationToken.userId);
+    return { email: verificationToken.email, alreadyVerified: false };
+  }
+}
+
+// Create singleton instance
+const emailVerificationService = new EmailVerificationService();
+
+module.exports = emailVerificationService;
@@ -0,0 +1,173 @@
+const config = require('../config');
+const databaseService = require('./databaseService');
+const { AuthError } = require('./tokenService');
+
+// Brute-force protection for password login. Failed attempts are counted per email address and
+// per client IP (LoginThrottles); failures older than LOGIN_FAILURE_WINDOW_MINUTES no longer count.
+//   - from the second failure on, the email must wait 1, 2, 4, ... seconds (up to
+//     LOGIN_DELAY_MAX_SECONDS) before the next attempt
+//   - reaching the failure limit locks the email (or IP) for LOGIN_LOCKOUT_MINUTES, doubling
+//     with every repeated lockout up to LOGIN_LOCKOUT_MAX_MINUTES
+// A successful login clears the email counter; an admin can clear either. Every attempt is
+// written to the LoginAttempts audit log.
+
+const settings = config.auth.login;
+const minuteMs = 60 * 1000;
+
+const SCOPES = {
+  EMAIL: 'email',
+  IP: 'ip'
+};
+
+class LoginThrottleService {
+  // The counters an attempt is checked against and counted in
+  keysFor(email, ipAddress) {
+    return [
+      [SCOPES.EMAIL, email],
+      [SCOPES.IP, ipAddress]
+    ].filter(([, identifier]) => Boolean(identifier));
+  }
+
+  // Failures still counting, i.e. not older than the failure window
+  activeFailures(throttle, now) {
+    if (!throttle || !throttle.lastFailedAt) {
+      return 0;
+    }
+    const isStale = new Date(throttle.lastFailedAt).getTime() + settings.failureWindowMinutes * minuteMs < now;
+    return isStale ? 0 : throttle.failedCount;
+  }
+
+  // Wait before the next attempt after this many consecutive failures
+  delaySeconds(failedCount) {
+    if (failedCount < 2) {
+      return 0;
+    }
+    return Math.min(2 ** (failedCount - 2), settings.delayMaxSeconds);
+  }
+
+  lockedError(scope, lockedUntil, now) {
+    const retryAfterSeconds = Math.ceil((lockedUntil.getTime() - now) / 1000);
+    const message = scope === SCOPES.EMAIL
+      ? 'Too many failed login attempts for this account. Try again later'
+      : 'Too many failed login attempts from this network. Try again later';
+    return new AuthError(message, 429, retryAfterSeconds, { lockedUntil: lockedUntil.toISOString() });
+  }
+
+  // Throws a 429 AuthError while the email or IP is locked out or still has to wait
+  async assertLoginAllowed(email, ipAddress) {
+    const now = Date.now();
+
+    for (const [scope, identifier] of this.keysFor(email, ipAddress)) {
+      const throttle = await databaseService.db.GetLoginThrottle(scope, identifier);
+      if (!throttle) {
+        continue;
+      }
+
+      if (throttle.lockedUntil && new Date(throttle.lockedUntil).getTime() > now) {
+        throw this.lockedError(scope, new Date(throttle.lockedUntil), now);
+      }
+
+      if (scope === SCOPES.EMAIL) {
+        const delayMs = this.delaySeconds(this.activeFailures(throttle, now)) * 1000;
+        const nextAttemptAt = new Date(throttle.lastFailedAt).getTime() + delayMs;
+        if (delayMs > 0 && nextAttemptAt > now) {
+          const waitSeconds = Math.ceil((nextAttemptAt - now) / 1000);
+          throw new AuthError(`Too many failed login attempts. Please wait ${waitSeconds} seconds and try again`, 429, waitSeconds);
+        }
+      }
+    }
+  }
+
+  // Write an attempt to the audit log
+  async recordAttempt({ method = 'password', identifier, userId = null, ipAddress = null, userAgent = null, succeeded, failureReason = null }) {
+    await databaseService.db.InsertLoginAttempt({
+      method,
+      identifier,
+      userId,
+      ipAddress,
+      userAgent: userAgent ? userAgent.slice(0, 500) : null,
+      succeeded,
+      failureReason
+    });
+  }
+
+  // Record a failed password login and count it against the email and IP.
+  // Returns the AuthError to answer with when this failure triggered a lockout, else null
+  async recordFailure(email, ipAddress, { userId = null, userAgent = null, reason }) {
+    await this.recordAttempt({ identifier: email, userId, ipAddress, userAgent, succeeded: false, failureReason: reason });
+
+    const now = Date.now();
+    let lockout = null;
+
+    for (const [scope, identifier] of this.keysFor(email, ipAddress)) {
+      await databaseService.db.InsertLoginThrottleIfMissing(scope, identifier);
+      // Counted in SQL and read back, so concurrent failures cannot overwrite each other's count
+      await databaseService.db.CountLoginThrottleFailure({
+        scope,
+        identifier,
+        failedAt: new Date(now),
+        staleBefore: new Date(now - settings.failureWindowMinutes * minuteMs)
+      });
+      const throttle = await databaseService.db.GetLoginThrottle(scope, identifier);
+
+      const limit = scope === SCOPES.EMAIL ? settings.maxFailedAttempts : settings.maxFailedAttemptsPerIp;
+      if (throttle.failedCount >= limit) {
+        const minutes = Math.min(settings.lockoutMinutes * 2 ** throttle.lockoutCount, settings.lockoutMaxMinutes);
+        const lockedUntil = new Date(now + minutes * minuteMs);
+        const locked = await databaseService.db.LockLoginThrottle({ id: throttle.id, limit, lockedUntil });
+        if (locked && locked.rowsAffected && locked.rowsAffected[0] > 0) {
+          console.log(`⚠️ Login locked for ${scope} ${identifier} until ${lockedUntil.toISOString()}`);
+          lockout = lockout || this.lockedError(scope, lockedUntil, now);
+        }
+      }
+    }
+
+    return lockout;
+  }
+
+  // Record a successful password login and clear the failures of the email.
+  // The IP counter is left alone: one valid account must not reset an attack on others
+  async recordSuccess(email, ipAddress, { userId, userAgent = null }) {
+    await this.recordAttempt({ identifier: email, userId, ipAddress, userAgent, succeeded: true });
+    await databaseService.db.ResetLoginThrottle(SCOPES.EMAIL, email);
+  }
+
+  // Admin unlock of an email address and/or IP
+  async unlock({ email = null, ipAddress = null }, adminUserId) {
+    for (const [scope, identifier] of this.keysFor(email, ipAddress)) {
+      await databaseService.db.ResetLoginThrottle(scope, identifier, adminUserId);
+      console.log(`✅ Login unlocked for ${scope} ${identifier} by user ${adminUserId}`);
+    }
+  }
+
+  // Current counters of an email address and/or IP (admin review)
+  async getStatus({ email = null, ipAddress = null }) {
+    const now = Date.now();
+    const status = [];
+
+    for (const [scope, identifier] of this.keysFor(email, ipAddress)) {
+      const throttle = await databaseService.db.GetLoginThrottle(scope, identifier);
+      const lockedUntil = throttle && throttle.lockedUntil && new Date(throttle.lockedUntil).getTime() > now
+        ? new Date(throttle.lockedUntil).toISOString()
+        : null;
+
+      status.push({
+        scope,
+        identifier,
+        failedAttempts: this.activeFailures(throttle, now),
+        locked: Boolean(lockedUntil),
+        lockedUntil,
+        lockoutCount: throttle ? throttle.lockoutCount : 0,
+        lastFailedAt: throttle ? throttle.lastFailedAt : null
+      });
+    }
+
+    return status;
+  }
+}
+
+// Create singleton instance
+const loginThrottleService = new LoginThrottleService();
+
+module.exports = loginThrottleService;
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,13 @@
+// Development stand-in: prints every message to the log instead of sending it
+const send = async (message) => {
+  console.log('📧 ===========================================');
+  console.log(`📧 To: ${message.to}`);
+  console.log(`📧 From: ${message.from}`);
+  console.log(`📧 Subject: ${message.subject}`);
+  console.log('📧 -------------------------------------------');
+  console.log(message.text);
+  console.log('📧 ===========================================');
+  return { id: null };
+};
+
+module.exports = { name: 'console', send };
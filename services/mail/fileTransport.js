@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+
+// Local stand-in: writes every message to MAIL_FILE_DIR as a .eml file, so links in
+// password reset mails can be opened without a mail server
+const outputDir = path.resolve(config.mail.fileDir || './data/mail');
+
+const send = async (message) => {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+  const file = path.join(outputDir, `${id}.eml`);
+  const content = [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text
+  ].join('\r\n');
+
+  await fs.promises.writeFile(file, content, 'utf8');
+  console.log(`📧 Mail to ${message.to} written to ${file}`);
+  return { id };
+};
+
+module.exports = { name: 'file', send };
@@ -0,0 +1,89 @@
+const config = require('../config');
+
+// Outgoing mail goes through a transport selected with MAIL_TRANSPORT (see config/index.js).
+// Each transport exposes send({ from, to, subject, text }) and resolves once the message is
+// accepted. To deliver through a provider (SMTP, SES, ...) add a transport in services/mail
+// and register it below, or call mailService.setTransport() at startup.
+const transports = {
+  console: () => require('./mail/consoleTransport'),
+  file: () => require('./mail/fileTransport')
+};
+
+class MailService {
+  constructor() {
+    this.transport = transports[config.mail.transport]();
+    console.log(`📧 Mail transport: ${this.transport.name}`);
+  }
+
+  // Replace the transport, e.g. with a provider client or a capturing stub
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text }) {
+    console.log(`🔄 Sending mail "${subject}" to ${to}`);
+    const result = await this.transport.send({ from: config.mail.from, to, subject, text });
+    console.log('✅ Mail sent');
+    return result;
+  }
+
+  // Password reset link: valid for PASSWORD_RESET_TOKEN_TTL_MINUTES and usable once
+  async sendPasswordReset(user, token) {
+    const link = `${config.server.publicAppUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        user.firstName ? `Hi ${user.firstName},` : 'Hi,',
+        '',
+        'We received a request to reset your password. Open the link below to choose a new one:',
+        '',
+        link,
+        '',
+        `The link expires in ${config.auth.passwordResetTokenTtlMinutes} minutes and can only be used once.`,
+        'If you did not ask for this, you can ignore this email; your password will not change.'
+      ].join('\n')
+    });
+  }
+
+  // Email verification link sent at signup (and on resend)
+  async sendEmailVerification(user, token) {
+    const link = `${config.server.publicAppUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    return this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        user.firstName ? `Hi ${user.firstName},` : 'Hi,',
+        '',
+        'Welcome to FitFormal! Please confirm this is your email address by opening the link below:',
+        '',
+        link,
+        '',
+        `The link expires in ${config.auth.emailVerificationTokenTtlHours} hours. You can sign in once your email is verified.`
+      ].join('\n')
+    });
+  }
+
+  // Link to review the measurements taken for an order and approve or dispute them
+  async sendMeasurementSignOff(user, orderId, token) {
+    const link = `${config.server.publicAppUrl}/measurement-sign-off?token=${encodeURIComponent(token)}`;
+    return this.send({
+      to: user.email,
+      subject: `Please confirm your measurements for order #${orderId}`,
+      text: [
+        user.firstName ? `Hi ${user.firstName},` : 'Hi,',
+        '',
+        `Your measurements for order #${orderId} have been taken. Please check them and approve them, or tell us what looks wrong, using the link below:`,
+        '',
+        link,
+        '',
+        `The link expires in ${config.measurements.signOffLinkTtlHours} hours and can only be used once. Stitching starts once you approve.`
+      ].join('\n')
+    });
+  }
+}
+
+// Create singleton instance
+const mailService = new MailService();
+
+module.exports = mailService;
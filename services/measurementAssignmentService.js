@@ -0,0 +1,173 @@
+const databaseService = require('./databaseService');
+const orderStatusService = require('./orderStatusService');
+const { ORDER_ITEM_STATUS } = require('./orderStatusService');
+const { AppError } = require('../utils/appError');
+const { ROLES } = require('../config/permissions');
+
+// Measurement boy assignments (OrderMeasurementBoyAssignment, one per order). Admins and the
+// order's tailor assign or reassign a measurement boy; the measurement boy then moves the
+// assignment Assigned -> Accepted -> Started -> Completed. Status changes only apply while the
+// row still has the status they were checked against, so concurrent requests cannot skip a step.
+// Assigning moves the order's items to MeasurementScheduled (see orderStatusService).
+
+const ASSIGNMENT_STATUS = {
+  ASSIGNED: 'Assigned',
+  ACCEPTED: 'Accepted',
+  STARTED: 'Started',
+  COMPLETED: 'Completed'
+};
+
+// Measurement boy actions: the status each one moves from and to
+const TRANSITIONS = {
+  accept: { from: ASSIGNMENT_STATUS.ASSIGNED, to: ASSIGNMENT_STATUS.ACCEPTED },
+  start: { from: ASSIGNMENT_STATUS.ACCEPTED, to: ASSIGNMENT_STATUS.STARTED, setStartedAt: true },
+  complete: { from: ASSIGNMENT_STATUS.STARTED, to: ASSIGNMENT_STATUS.COMPLETED, setCompletedAt: true }
+};
+
+// Assignment statuses in which measurements are submitted: during the visit, and corrections
+// after it
+const MEASURING_STATUSES = [ASSIGNMENT_STATUS.STARTED, ASSIGNMENT_STATUS.COMPLETED];
+
+const parseJson = (value) => {
+  if (!value || typeof value !== 'string') {
+    return value || null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('❌ Error parsing JSON column:', error);
+    return null;
+  }
+};
+
+class MeasurementAssignmentService {
+  // The user must be an active account holding the MeasurementBoy role
+  async getMeasurementBoyOrFail(measurementBoyId) {
+    const user = await databaseService.db.GetUserById(measurementBoyId);
+    if (!user) {
+      throw new AppError('Measurement boy not found', 404);
+    }
+    const userRoles = await databaseService.db.GetUserRoles(measurementBoyId);
+    if (!user.isActive || !userRoles.some(r => r.role_name === ROLES.MEASUREMENT_BOY)) {
+      throw new AppError(`User ${measurementBoyId} is not an active measurement boy`, 400);
+    }
+    return user;
+  }
+
+  async getAssignment(orderId) {
+    const assignment = await databaseService.db.GetMeasurementBoyAssignmentByOrderId(orderId);
+    if (!assignment) {
+      throw new AppError('No measurement boy is assigned to this order', 404);
+    }
+    return assignment;
+  }
+
+  // Assign a measurement boy to an order that has none yet
+  async assign(orderId, measurementBoyId) {
+    console.log('🔄 Assigning measurement boy', measurementBoyId, 'to order:', orderId);
+    const measurementAddresses = await databaseService.db.GetDeliveryAddressByOrderId(orderId);
+    if (!measurementAddresses || measurementAddresses.length === 0) {
+      throw new AppError('Order has no measurement address', 400);
+    }
+    await this.getMeasurementBoyOrFail(measurementBoyId);
+
+    // The assignment and the items' move to MeasurementScheduled commit together; of two
+    // concurrent assigns only one inserts, the other gets 409
+    await databaseService.transaction(async (tx) => {
+      const result = await tx.InsertMeasurementBoyAssignment({
+        orderId,
+        measurementBoyId,
+        status: ASSIGNMENT_STATUS.ASSIGNED
+      });
+      if (!result || !result.rowsAffected || result.rowsAffected[0] === 0) {
+        throw new AppError('Order already has a measurement boy; reassign it instead', 409);
+      }
+
+      await orderStatusService.advanceOrder(orderId, ORDER_ITEM_STATUS.MEASUREMENT_SCHEDULED, {
+        reason: `Measurement boy ${measurementBoyId} assigned`
+      });
+    });
+
+    console.log('✅ Measurement boy', measurementBoyId, 'assigned to order:', orderId);
+    return this.getAssignment(orderId);
+  }
+
+  // Move the order's assignment to another measurement boy; it starts over as Assigned.
+  // Completed assignments are kept as they are
+  async reassign(orderId, measurementBoyId) {
+    console.log('🔄 Reassigning order', orderId, 'to measurement boy:', measurementBoyId);
+    const existing = await this.getAssignment(orderId);
+    if (existing.status === ASSIGNMENT_STATUS.COMPLETED) {
+      throw new AppError('Measurements for this order are already completed', 409);
+    }
+    if (String(existing.measurementBoyId) === String(measurementBoyId)) {
+      throw new AppError('Order is already assigned to this measurement boy', 409);
+    }
+    await this.getMeasurementBoyOrFail(measurementBoyId);
+
+    const result = await databaseService.db.ReassignMeasurementBoy(orderId, measurementBoyId, ASSIGNMENT_STATUS.ASSIGNED, existing.status);
+    if (!result || !result.rowsAffected || result.rowsAffected[0] === 0) {
+      throw new AppError('The assignment changed while reassigning; reload it and try again', 409);
+    }
+
+    console.log('✅ Order', orderId, 'reassigned from measurement boy', existing.measurementBoyId, 'to', measurementBoyId);
+    return { assignment: await this.getAssignment(orderId), previousMeasurementBoyId: existing.measurementBoyId };
+  }
+
+  // A measurement boy accepts, starts or completes their own assignment (see TRANSITIONS)
+  async transition(measurementBoyId, orderId, action) {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+      throw new AppError(`Unknown assignment action: ${action}`, 400);
+    }
+
+    const assignment = await databaseService.db.GetMeasurementBoyAssignmentByOrderId(orderId);
+    if (!assignment || String(assignment.measurementBoyId) !== String(measurementBoyId)) {
+      throw new AppError('This order is not assigned to you', 403);
+    }
+    if (assignment.status !== transition.from) {
+      throw new AppError(`Cannot ${action} an assignment that is ${assignment.status}; it must be ${transition.from}`, 409);
+    }
+
+    const result = await databaseService.db.UpdateMeasurementBoyAssignmentStatus(orderId, measurementBoyId, {
+      status: transition.to,
+      fromStatus: transition.from,
+      setStartedAt: Boolean(transition.setStartedAt),
+      setCompletedAt: Boolean(transition.setCompletedAt)
+    });
+    if (!result || !result.rowsAffected || result.rowsAffected[0] === 0) {
+      throw new AppError('The assignment changed; reload it and try again', 409);
+    }
+
+    console.log('✅ Measurement boy', measurementBoyId, action, 'order:', orderId);
+    return this.getAssignment(orderId);
+  }
+
+  // Throws 409 until the measurement boy has started the visit (see MEASURING_STATUSES)
+  async assertMeasuring(orderId) {
+    const assignment = await databaseService.db.GetMeasurementBoyAssignmentByOrderId(orderId);
+    if (!assignment) {
+      throw new AppError('This order has no measurement boy assigned', 409);
+    }
+    if (!MEASURING_STATUSES.includes(assignment.status)) {
+      throw new AppError(`Start the measurement visit before submitting measurements; the assignment is ${assignment.status}`, 409);
+    }
+  }
+
+  // Orders waiting for a measurement boy. tailorId limits them to orders with an item for that
+  // tailor's business; admins pass none and see every order
+  async listUnassigned({ tailorId = null } = {}) {
+    const orders = await databaseService.db.GetUnassignedMeasurementOrders({ tailorId });
+    return orders.map(order => ({
+      ...order,
+      measurementAddress: parseJson(order.measurementAddress)
+    }));
+  }
+}
+
+// Create singleton instance
+const measurementAssignmentService = new MeasurementAssignmentService();
+
+module.exports = measurementAssignmentService;
+module.exports.ASSIGNMENT_STATUS = ASSIGNMENT_STATUS;
+module.exports.TRANSITIONS = TRANSITIONS;
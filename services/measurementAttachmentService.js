@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const databaseService = require('./databaseService');
+const { measurementUploadsDir } = require('../middleware/uploadMiddleware');
+const { AppError } = require('../utils/appError');
+
+// Measurement attachments: photos and sketches a measurement boy uploads for an order item
+// during the measurement visit (see middleware/uploadMiddleware.js handleMeasurementUpload).
+// They are returned with the order item's measurements.
+
+const ATTACHMENT_TYPES = {
+  PHOTO: 'Photo',
+  SKETCH: 'Sketch',
+  REFERENCE_GARMENT: 'ReferenceGarment'
+};
+
+const ATTACHMENT_URL_PREFIX = '/uploads/measurements/';
+
+// Remove uploaded files; best effort, a file left behind is only an orphan
+const removeFiles = (filePaths) => {
+  filePaths.forEach((filePath) => {
+    fs.unlink(filePath, (unlinkError) => {
+      if (unlinkError) {
+        console.error(`⚠️ Warning: Failed to remove measurement attachment ${filePath}:`, unlinkError.message);
+      }
+    });
+  });
+};
+
+class MeasurementAttachmentService {
+  // Drop files that were uploaded for a request that was then rejected
+  discardUploads(files = []) {
+    removeFiles(files.map(file => file.path));
+  }
+
+  // Save the uploaded files as attachments of the order item, in the current measurement
+  // assignment of its order
+  async addAttachments(orderItem, files, { attachmentType = ATTACHMENT_TYPES.PHOTO, caption = null, uploadedBy = null } = {}) {
+    const assignment = await databaseService.db.GetMeasurementBoyAssignmentByOrderId(orderItem.orderId);
+
+    try {
+      await databaseService.transaction(async (tx) => {
+        for (const file of files) {
+          await tx.InsertMeasurementAttachment({
+            orderItemId: orderItem.orderItemId,
+            orderMeasurementBoyAssignmentId: assignment ? assignment.orderMeasurementBoyAssignmentId : null,
+            attachmentType,
+            fileUrl: `${ATTACHMENT_URL_PREFIX}${file.filename}`,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            fileSize: file.size,
+            caption,
+            uploadedBy
+          });
+        }
+      });
+    } catch (error) {
+      this.discardUploads(files);
+      throw error;
+    }
+
+    console.log('✅ Saved', files.length, 'measurement attachment(s) for order item', orderItem.orderItemId);
+    return databaseService.db.GetMeasurementAttachments(orderItem.orderItemId);
+  }
+
+  // Delete an attachment and its file. Measurement boys may only delete their own uploads
+  async removeAttachment(orderItemId, attachmentId, userId) {
+    const [attachment] = await databaseService.db.GetMeasurementAttachments(orderItemId, { attachmentId });
+    if (!attachment) {
+      throw new AppError('Measurement attachment not found', 404);
+    }
+    if (String(attachment.uploadedBy) !== String(userId)) {
+      throw new AppError('Only the measurement boy who uploaded an attachment can delete it', 403);
+    }
+
+    await databaseService.db.DeleteMeasurementAttachment(orderItemId, attachmentId);
+    if (attachment.fileUrl.startsWith(ATTACHMENT_URL_PREFIX)) {
+      removeFiles([path.join(measurementUploadsDir, path.basename(attachment.fileUrl))]);
+    }
+    console.log('✅ Measurement attachment deleted:', attachmentId);
+  }
+}
+
+// Create singleton instance
+const measurementAttachmentService = new MeasurementAttachmentService();
+
+module.exports = measurementAttachmentService;
+module.exports.ATTACHMENT_TYPES = ATTACHMENT_TYPES;
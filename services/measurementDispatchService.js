@@ -0,0 +1,156 @@
+const config = require('../config');
+const databaseService = require('./databaseService');
+const measurementAssignmentService = require('./measurementAssignmentService');
+const { AppError } = require('../utils/appError');
+
+// Automatic measurement boy dispatch. A new order with a Measurement address goes to an available
+// measurement boy who covers its pincode (MeasurementBoyServicePincodes) or, failing that, its
+// city (MeasurementBoyProfiles.workingCity), has no other visit in the same slot and is under
+// their daily capacity. Pincode matches win, then the measurement boy with the fewest visits that
+// day. Orders nobody can take stay unassigned for an admin or the tailor to assign by hand;
+// manual assignment and reassignment (see measurementAssignmentService) ignore capacity, which is
+// how admins override the dispatcher.
+
+const DISPATCH_RESULT = {
+  ASSIGNED: 'assigned',
+  ALREADY_ASSIGNED: 'already-assigned',
+  NO_MEASUREMENT_ADDRESS: 'no-measurement-address',
+  NO_MEASUREMENT_BOY_AVAILABLE: 'no-measurement-boy-available'
+};
+
+// YYYY-MM-DD of a DATE column (mssql returns a Date, sqlite the stored text)
+const toDateString = (value) => (value instanceof Date ? value.toISOString() : String(value)).slice(0, 10);
+
+class MeasurementDispatchService {
+  // The measurement visit of an order: where (its Measurement address) and when (the earliest
+  // item measurementDate and that item's slot; orders without a date are planned for today).
+  // Returns null when the order has no Measurement address
+  async getVisit(orderId) {
+    const [addresses, orderItems] = await Promise.all([
+      databaseService.db.GetDeliveryAddressByOrderId(orderId),
+      databaseService.db.GetOrderItemsByOrderId(orderId)
+    ]);
+    if (!addresses || addresses.length === 0) {
+      return null;
+    }
+
+    const address = addresses[0];
+    const firstVisitItem = orderItems
+      .filter(item => item.measurementDate)
+      .sort((a, b) => toDateString(a.measurementDate).localeCompare(toDateString(b.measurementDate)))[0];
+
+    return {
+      city: address.city || null,
+      pincode: address.pincode,
+      measurementDate: firstVisitItem ? toDateString(firstVisitItem.measurementDate) : toDateString(new Date()),
+      measurementSlot: (firstVisitItem && firstVisitItem.measurementSlot) || null
+    };
+  }
+
+  // Measurement boys who could take the visit, best first
+  async getCandidates(visit) {
+    const candidates = await databaseService.db.GetMeasurementBoyDispatchCandidates({
+      ...visit,
+      defaultDailyCapacity: config.measurements.defaultDailyCapacity
+    });
+    return candidates.map(candidate => ({ ...candidate, servesPincode: Boolean(candidate.servesPincode) }));
+  }
+
+  // The order's visit and the measurement boys who could take it
+  async findCandidates(orderId) {
+    const visit = await this.getVisit(orderId);
+    if (!visit) {
+      throw new AppError('Order has no measurement address', 400);
+    }
+    return { visit, candidates: await this.getCandidates(visit) };
+  }
+
+  // Assign the best free measurement boy to the order.
+  // Returns { result, assignment, visit } - result is one of DISPATCH_RESULT
+  async dispatchOrder(orderId) {
+    console.log('🔄 Dispatching measurement boy for order:', orderId);
+    const existing = await databaseService.db.GetMeasurementBoyAssignmentByOrderId(orderId);
+    if (existing) {
+      return { result: DISPATCH_RESULT.ALREADY_ASSIGNED, assignment: existing, visit: null };
+    }
+
+    const visit = await this.getVisit(orderId);
+    if (!visit) {
+      console.log('ℹ️ Order', orderId, 'has no measurement address, nothing to dispatch');
+      return { result: DISPATCH_RESULT.NO_MEASUREMENT_ADDRESS, assignment: null, visit: null };
+    }
+
+    const candidates = await this.getCandidates(visit);
+    for (const candidate of candidates) {
+      try {
+        const assignment = await measurementAssignmentService.assign(orderId, candidate.measurementBoyId);
+        console.log('✅ Order', orderId, 'dispatched to measurement boy', candidate.measurementBoyId);
+        return { result: DISPATCH_RESULT.ASSIGNED, assignment, visit };
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          throw error;
+        }
+        // Assigned concurrently (e.g. by an admin): keep that assignment
+        if (error.statusCode === 409) {
+          const assignment = await databaseService.db.GetMeasurementBoyAssignmentByOrderId(orderId);
+          return { result: DISPATCH_RESULT.ALREADY_ASSIGNED, assignment, visit };
+        }
+        // The candidate was deactivated or lost the role since the query: try the next one
+        console.log('⚠️ Skipping measurement boy', candidate.measurementBoyId, ':', error.message);
+      }
+    }
+
+    console.log('⚠️ No measurement boy available for order', orderId, 'visit:', visit);
+    return { result: DISPATCH_RESULT.NO_MEASUREMENT_BOY_AVAILABLE, assignment: null, visit };
+  }
+
+  // Dispatch profile of a measurement boy; defaults when none has been saved yet
+  async getProfile(userId) {
+    const [profile, pincodes] = await Promise.all([
+      databaseService.db.GetMeasurementBoyProfile(userId),
+      databaseService.db.GetMeasurementBoyServicePincodes(userId)
+    ]);
+
+    return {
+      userId: Number(userId),
+      workingCity: profile ? profile.workingCity : null,
+      dailyCapacity: profile ? profile.dailyCapacity : null,
+      effectiveDailyCapacity: (profile && profile.dailyCapacity) || config.measurements.defaultDailyCapacity,
+      isAvailable: profile ? Boolean(profile.isAvailable) : true,
+      servicePincodes: pincodes.map(row => row.pincode),
+      updatedAt: profile ? profile.updatedAt : null
+    };
+  }
+
+  // Save the fields given in changes ({ workingCity, dailyCapacity, isAvailable, servicePincodes });
+  // servicePincodes replaces the whole list
+  async saveProfile(userId, changes) {
+    const current = await this.getProfile(userId);
+    const has = (field) => changes[field] !== undefined;
+
+    await databaseService.transaction(async (tx) => {
+      await tx.InsertMeasurementBoyProfileIfMissing(userId);
+      await tx.UpdateMeasurementBoyProfile(userId, {
+        workingCity: has('workingCity') ? changes.workingCity : current.workingCity,
+        dailyCapacity: has('dailyCapacity') ? changes.dailyCapacity : current.dailyCapacity,
+        isAvailable: has('isAvailable') ? changes.isAvailable : current.isAvailable
+      });
+
+      if (has('servicePincodes')) {
+        await tx.DeleteMeasurementBoyServicePincodes(userId);
+        for (const pincode of [...new Set(changes.servicePincodes)]) {
+          await tx.InsertMeasurementBoyServicePincode(userId, pincode);
+        }
+      }
+    });
+
+    console.log('✅ Measurement boy profile saved for user:', userId);
+    return this.getProfile(userId);
+  }
+}
+
+// Create singleton instance
+const measurementDispatchService = new MeasurementDispatchService();
+
+module.exports = measurementDispatchService;
+module.exports.DISPATCH_RESULT = DISPATCH_RESULT;
@@ -0,0 +1,70 @@
+const databaseService = require('./databaseService');
+const measurementUnitService = require('./measurementUnitService');
+
+// Measurement history: one MeasurementHistory row per value written to Measurements, with who
+// wrote it, when, the previous value and the reason for a correction. Order items show their full
+// history so tailors can settle fitting disputes.
+
+const CHANGE_TYPES = {
+  CREATED: 'Created',
+  CORRECTED: 'Corrected'
+};
+
+const fullName = (firstName, lastName) => [firstName, lastName].filter(Boolean).join(' ') || null;
+
+class MeasurementHistoryService {
+  // Record a written value. previous is the Measurements row before the write (null for a new
+  // measurement), current the stored { measurementValue, numericValue, unit }. Joins the caller's
+  // transaction when there is one
+  async recordChange({ measurementId, orderItemId, measurementKey, previous = null, current, reason = null, changedBy = null }) {
+    await databaseService.db.InsertMeasurementHistory({
+      measurementId,
+      orderItemId,
+      measurementKey,
+      changeType: previous ? CHANGE_TYPES.CORRECTED : CHANGE_TYPES.CREATED,
+      previousValue: previous ? previous.measurementValue : null,
+      previousNumericValue: previous ? previous.numericValue : null,
+      previousUnit: previous ? previous.unit : null,
+      newValue: current.measurementValue,
+      newNumericValue: current.numericValue,
+      newUnit: current.unit,
+      reason,
+      changedBy
+    });
+  }
+
+  // History of an order item's measurements, oldest first, with values in the requested unit
+  async getHistory(orderItemId, { measurementKey = null, unit = null } = {}) {
+    const rows = await databaseService.db.GetMeasurementHistory(orderItemId, { measurementKey });
+
+    return rows.map((row) => {
+      const previous = row.previousValue === null
+        ? null
+        : measurementUnitService.toUnit({ measurementValue: row.previousValue, numericValue: row.previousNumericValue, unit: row.previousUnit }, unit);
+      const current = measurementUnitService.toUnit({ measurementValue: row.newValue, numericValue: row.newNumericValue, unit: row.newUnit }, unit);
+
+      return {
+        historyId: row.historyId,
+        measurementId: row.measurementId,
+        measurementKey: row.measurementKey,
+        changeType: row.changeType,
+        previousValue: previous ? previous.measurementValue : null,
+        previousNumericValue: previous ? previous.numericValue : null,
+        previousUnit: previous ? previous.unit : null,
+        newValue: current.measurementValue,
+        newNumericValue: current.numericValue,
+        newUnit: current.unit,
+        reason: row.reason,
+        changedBy: row.changedBy,
+        changedByName: fullName(row.changedByFirstName, row.changedByLastName),
+        changedAt: row.changedAt
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const measurementHistoryService = new MeasurementHistoryService();
+
+module.exports = measurementHistoryService;
+module.exports.CHANGE_TYPES = CHANGE_TYPES;
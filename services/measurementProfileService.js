@@ -0,0 +1,241 @@
+const databaseService = require('./databaseService');
+const measurementTemplateService = require('./measurementTemplateService');
+const { AppError } = require('../utils/appError');
+
+// Reusable customer measurement profiles. A profile is one person's measurements (the customer or
+// a family member, named by the customer) for one garment type; each measurement adds a new dated
+// version and older versions are kept. Measurement boys can save what they collected for an order
+// item as a profile version, and a new order item can be made from a profile version instead of a
+// home visit: its values are copied into the item's Measurements.
+
+// Profile as returned by the API
+const toProfile = (profile) => ({
+  profileId: profile.profileId,
+  customerId: profile.customerId,
+  name: profile.name,
+  itemType: profile.itemType,
+  isArchived: Boolean(profile.isArchived),
+  latestVersion: profile.latestVersionId
+    ? {
+      versionId: profile.latestVersionId,
+      versionNumber: profile.latestVersionNumber,
+      measuredAt: profile.lastMeasuredAt
+    }
+    : null,
+  createdAt: profile.createdAt,
+  updatedAt: profile.updatedAt
+});
+
+const sameText = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+class MeasurementProfileService {
+  async getProfileOrFail(profileId, { includeArchived = true } = {}) {
+    const [profile] = await databaseService.db.GetMeasurementProfiles({ profileId, includeArchived });
+    if (!profile) {
+      throw new AppError('Measurement profile not found', 404);
+    }
+    return profile;
+  }
+
+  async listProfiles(customerId, { itemType = null, includeArchived = false } = {}) {
+    const profiles = await databaseService.db.GetMeasurementProfiles({ customerId, itemType, includeArchived });
+    return profiles.map(toProfile);
+  }
+
+  // One version of the profile (the latest when versionNumber is not given) with its values
+  async getVersion(profileId, versionNumber = null) {
+    const versions = await databaseService.db.GetMeasurementProfileVersions(profileId, { versionNumber });
+    if (versions.length === 0) {
+      throw new AppError(versionNumber ? `Version ${versionNumber} of this measurement profile not found` : 'Measurement profile has no measurements yet', 404);
+    }
+
+    const version = versions[0];
+    const values = await databaseService.db.GetMeasurementProfileValues(version.versionId);
+    return {
+      ...version,
+      measurements: values.reduce((all, value) => ({ ...all, [value.measurementKey]: value.measurementValue }), {})
+    };
+  }
+
+  // The profile with its version history and the values of one version (default: the latest)
+  async getProfile(profileId, { versionNumber = null } = {}) {
+    const profile = toProfile(await this.getProfileOrFail(profileId));
+    const versions = await databaseService.db.GetMeasurementProfileVersions(profileId);
+
+    return {
+      ...profile,
+      versions,
+      version: versions.length > 0 ? await this.getVersion(profileId, versionNumber) : null
+    };
+  }
+
+  // Check { key: value } measurements against the item type's template (see
+  // measurementTemplateService.validateMeasurements); returns the pairs to store
+  async validateMeasurements(itemType, measurements) {
+    const templateFields = await measurementTemplateService.getTemplateForItemType(itemType);
+    const { values, errors } = measurementTemplateService.validateMeasurements(templateFields, measurements);
+    if (errors.length > 0) {
+      throw new AppError(`Measurements do not match the ${itemType} measurement template: ${errors.map(e => e.message).join('; ')}`, 400);
+    }
+    if (values.length === 0) {
+      throw new AppError('At least one measurement is required', 400);
+    }
+    return values;
+  }
+
+  // Write a new version with the given { measurementKey, measurementValue } pairs
+  async writeVersion(profileId, values, { measuredBy = null, sourceOrderItemId = null, notes = null } = {}) {
+    return databaseService.transaction(async (tx) => {
+      const version = await tx.InsertMeasurementProfileVersion({ profileId, measuredBy, sourceOrderItemId, notes });
+      for (const { measurementKey, measurementValue } of values) {
+        await tx.InsertMeasurementProfileValue(version.versionId, measurementKey, measurementValue);
+      }
+      console.log('✅ Measurement profile', profileId, 'version', version.versionNumber, 'saved');
+      return version;
+    });
+  }
+
+  async findActiveProfile(customerId, name, itemType) {
+    const profiles = await databaseService.db.GetMeasurementProfiles({ customerId, itemType });
+    return profiles.find(profile => sameText(profile.name, name) && sameText(profile.itemType, itemType)) || null;
+  }
+
+  // New profile with its first version
+  async createProfile({ customerId, name, itemType, measurements, notes = null, measuredBy = null }) {
+    const values = await this.validateMeasurements(itemType, measurements);
+    if (await this.findActiveProfile(customerId, name, itemType)) {
+      throw new AppError(`There is already a ${itemType} measurement profile named ${name}; add a new version to it instead`, 409);
+    }
+
+    const profileId = await databaseService.transaction(async (tx) => {
+      const profile = await tx.InsertMeasurementProfile({ customerId, name, itemType });
+      await this.writeVersion(profile.profileId, values, { measuredBy, notes });
+      return profile.profileId;
+    });
+
+    console.log('✅ Measurement profile created:', profileId, name, itemType);
+    return this.getProfile(profileId);
+  }
+
+  // Re-measure: the values become the profile's next version
+  async addVersion(profileId, { measurements, notes = null, measuredBy = null }) {
+    const profile = await this.getProfileOrFail(profileId);
+    if (profile.isArchived) {
+      throw new AppError('Measurement profile is archived', 400);
+    }
+
+    const values = await this.validateMeasurements(profile.itemType, measurements);
+    await this.writeVersion(profileId, values, { measuredBy, notes });
+    return this.getProfile(profileId);
+  }
+
+  async renameProfile(profileId, name) {
+    const profile = await this.getProfileOrFail(profileId);
+    const existing = await this.findActiveProfile(profile.customerId, name, profile.itemType);
+    if (existing && existing.profileId !== profile.profileId) {
+      throw new AppError(`There is already a ${profile.itemType} measurement profile named ${name}`, 409);
+    }
+
+    await databaseService.db.UpdateMeasurementProfile(profileId, { name, isArchived: Boolean(profile.isArchived) });
+    return this.getProfile(profileId);
+  }
+
+  // Archived profiles are hidden and cannot be used for new orders; order items made from them
+  // keep their measurements
+  async archiveProfile(profileId) {
+    const profile = await this.getProfileOrFail(profileId);
+    await databaseService.db.UpdateMeasurementProfile(profileId, { name: profile.name, isArchived: true });
+    console.log('✅ Measurement profile archived:', profileId);
+  }
+
+  // Where submit-measurement should save what was collected for an order item:
+  // { profileId } adds a version to that profile, { name } to the customer's profile of that
+  // name for the item type (created when missing). Checked before any measurement is written
+  async resolveSaveTarget(customerId, itemType, saveProfile) {
+    if (!saveProfile || typeof saveProfile !== 'object') {
+      throw new AppError('saveProfile must be { profileId } or { name }', 400);
+    }
+    if (!itemType) {
+      throw new AppError('Measurements of an order item without an itemType cannot be saved as a profile', 400);
+    }
+
+    if (saveProfile.profileId !== undefined && saveProfile.profileId !== null) {
+      const profileId = parseInt(saveProfile.profileId);
+      const profile = Number.isNaN(profileId) ? null : (await databaseService.db.GetMeasurementProfiles({ profileId }))[0];
+      if (!profile || String(profile.customerId) !== String(customerId)) {
+        throw new AppError('Measurement profile not found for this customer', 404);
+      }
+      if (!sameText(profile.itemType, itemType)) {
+        throw new AppError(`Measurement profile ${profileId} is for ${profile.itemType}, not ${itemType}`, 400);
+      }
+      return { profileId: profile.profileId, name: profile.name };
+    }
+
+    const name = typeof saveProfile.name === 'string' ? saveProfile.name.trim() : '';
+    if (name.length === 0 || name.length > 100) {
+      throw new AppError('saveProfile.name must be between 1 and 100 characters', 400);
+    }
+    const existing = await this.findActiveProfile(customerId, name, itemType);
+    return { profileId: existing ? existing.profileId : null, name };
+  }
+
+  // Save every measurement the order item now has as a new version of the target profile
+  // (see resolveSaveTarget). Returns { profileId, name, versionId, versionNumber }
+  async saveFromOrderItem(orderItem, customerId, target, measuredBy) {
+    const measurements = await databaseService.db.GetMeasurementsByOrderItemId(orderItem.orderItemId);
+    const values = measurements.map(m => ({ measurementKey: m.measurementKey, measurementValue: m.measurementValue }));
+
+    return databaseService.transaction(async (tx) => {
+      let profileId = target.profileId;
+      if (!profileId) {
+        const profile = await tx.InsertMeasurementProfile({ customerId, name: target.name, itemType: orderItem.itemType });
+        profileId = profile.profileId;
+      }
+      const version = await this.writeVersion(profileId, values, {
+        measuredBy,
+        sourceOrderItemId: orderItem.orderItemId
+      });
+      return { profileId, name: target.name, versionId: version.versionId, versionNumber: version.versionNumber };
+    });
+  }
+
+  // Resolve the profiles order items ask for (measurementProfileId and, optionally,
+  // measurementProfileVersion). Returns one entry per item: null, or
+  // { profileId, versionId, versionNumber, values } with the values to copy into Measurements
+  async planAttachments(customerId, orderItems = []) {
+    const attachments = [];
+    for (const item of orderItems) {
+      if (item.measurementProfileId === undefined || item.measurementProfileId === null || item.measurementProfileId === '') {
+        attachments.push(null);
+        continue;
+      }
+
+      const profileId = parseInt(item.measurementProfileId);
+      const profile = Number.isNaN(profileId) ? null : (await databaseService.db.GetMeasurementProfiles({ profileId }))[0];
+      if (!profile || String(profile.customerId) !== String(customerId)) {
+        throw new AppError(`Measurement profile ${item.measurementProfileId} not found for this customer`, 404);
+      }
+      if (!sameText(profile.itemType, item.itemType)) {
+        throw new AppError(`Measurement profile ${profileId} is for ${profile.itemType}, not ${item.itemType || 'an item without itemType'}`, 400);
+      }
+
+      const versionNumber = item.measurementProfileVersion ? parseInt(item.measurementProfileVersion) : null;
+      if (Number.isNaN(versionNumber)) {
+        throw new AppError('measurementProfileVersion must be a version number', 400);
+      }
+      const version = await this.getVersion(profileId, versionNumber);
+      attachments.push({
+        profileId,
+        versionId: version.versionId,
+        versionNumber: version.versionNumber,
+        values: Object.entries(version.measurements).map(([measurementKey, measurementValue]) => ({ measurementKey, measurementValue }))
+      });
+    }
+    return attachments;
+  }
+}
+
+// Create singleton instance
+const measurementProfileService = new MeasurementProfileService();
+
+module.exports = measurementProfileService;
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const config = require('../config');
+const databaseService = require('./databaseService');
+const tokenService = require('./tokenService');
+const mailService = require('./mailService');
+const measurementUnitService = require('./measurementUnitService');
+const { AppError } = require('../utils/appError');
+
+// Customer sign-off on collected measurements. Once an order is measured the customer reviews
+// each item's measurements and approves them or raises a dispute, in the app or through a
+// one-time link emailed when the visit is complete. A later change to an item's measurements
+// clears its sign-off. Only approved items may move to stitching (see orderStatusService), and
+// from then on neither the measurements nor the sign-off can change.
+
+const SIGN_OFF_STATUS = {
+  PENDING: 'Pending',
+  APPROVED: 'Approved',
+  DISPUTED: 'Disputed'
+};
+
+// decision in requests -> stored status
+const DECISIONS = {
+  approve: SIGN_OFF_STATUS.APPROVED,
+  dispute: SIGN_OFF_STATUS.DISPUTED
+};
+
+const SIGN_OFF_VIA = {
+  ACCOUNT: 'Account',
+  LINK: 'Link'
+};
+
+// Order item statuses from stitching on (see orderStatusService, which depends on this service)
+const MEASUREMENTS_IN_USE_STATUSES = ['Stitching', 'QualityCheck', 'ReadyForDelivery', 'Delivered'];
+
+const hourMs = 60 * 60 * 1000;
+
+const invalidLinkMessage = 'Sign-off link is invalid or has expired';
+
+// JSON columns of the order item queries arrive as text (mssql) or already parsed
+const parseJsonColumn = (value) => {
+  if (!value) {
+    return [];
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('❌ Error parsing order item JSON column:', error);
+    return [];
+  }
+};
+
+const isMeasured = (orderItem) => orderItem.isMeasurementDone === 1 || orderItem.isMeasurementDone === true;
+
+class MeasurementSignOffService {
+  // Sign-off status of an order item: Pending once measured until the customer decides, null
+  // while it is still being measured
+  getStatus(orderItem) {
+    if (orderItem.measurementSignOffStatus) {
+      return orderItem.measurementSignOffStatus;
+    }
+    return isMeasured(orderItem) ? SIGN_OFF_STATUS.PENDING : null;
+  }
+
+  // What the customer reviews: each item with its measurements (in unit when given), photos and
+  // sign-off status, plus the decisions made so far
+  async getReview(orderId, { unit = null } = {}) {
+    const order = await databaseService.db.GetOrderById(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+    const orderItems = await databaseService.db.GetOrderItemsByOrderId(orderId);
+    const signOffs = await databaseService.db.GetMeasurementSignOffs(orderId);
+
+    return {
+      orderId: order.orderId,
+      customerId: order.customerId,
+      items: orderItems.map(item => ({
+        orderItemId: item.orderItemId,
+        itemType: item.itemType,
+        description: item.description,
+        isMeasurementDone: isMeasured(item),
+        signOffStatus: this.getStatus(item),
+        signedOffAt: item.measurementSignOffAt || null,
+        measurements: parseJsonColumn(item.measurements).map(measurement => measurementUnitService.toUnit(measurement, unit)),
+        attachments: parseJsonColumn(item.attachments),
+        signOffs: signOffs.filter(signOff => signOff.orderItemId === item.orderItemId)
+      }))
+    };
+  }
+
+  // Record decisions ([{ orderItemId, decision: approve|dispute, comment }]) for items of the
+  // order. Disputes need a comment; items must be measured first
+  async decide(orderId, decisions, { signedOffBy = null, signedOffVia = SIGN_OFF_VIA.ACCOUNT } = {}) {
+    const orderItems = await databaseService.db.GetOrderItemsByOrderId(orderId);
+    const seen = new Set();
+
+    for (const { orderItemId, decision, comment } of decisions) {
+      const orderItem = orderItems.find(item => String(item.orderItemId) === String(orderItemId));
+      if (!orderItem) {
+        throw new AppError(`Order item ${orderItemId} not found in order ${orderId}`, 404);
+      }
+      if (seen.has(orderItem.orderItemId)) {
+        throw new AppError(`Order item ${orderItemId} is listed more than once`, 400);
+      }
+      seen.add(orderItem.orderItemId);
+      if (!DECISIONS[decision]) {
+        throw new AppError(`decision must be one of: ${Object.keys(DECISIONS).join(', ')}`, 400);
+      }
+      if (!isMeasured(orderItem)) {
+        throw new AppError(`Order item ${orderItemId} has not been measured yet`, 409);
+      }
+      this.assertMeasurementsOpen(orderItem);
+      if (DECISIONS[decision] === SIGN_OFF_STATUS.DISPUTED && !(comment && comment.trim())) {
+        throw new AppError(`Please say what is wrong with the measurements of order item ${orderItemId}`, 400);
+      }
+    }
+
+    await databaseService.transaction(async (tx) => {
+      for (const { orderItemId, decision, comment } of decisions) {
+        await tx.InsertMeasurementSignOff({
+          orderItemId,
+          decision: DECISIONS[decision],
+          comment: comment ? comment.trim() : null,
+          signedOffBy,
+          signedOffVia
+        });
+        await tx.UpdateOrderItemSignOff(orderItemId, DECISIONS[decision]);
+      }
+    });
+
+    console.log('✅ Measurement sign-off recorded for order', orderId, 'items:', decisions.map(d => `${d.orderItemId}=${d.decision}`).join(', '));
+  }
+
+  // In the app: only the order's customer (or an admin) signs off
+  async decideInApp(orderId, decisions, { userId, asAdmin = false }) {
+    const order = await databaseService.db.GetOrderById(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+    if (!asAdmin && String(order.customerId) !== String(userId)) {
+      throw new AppError('Only the customer who placed the order can sign off its measurements', 403);
+    }
+
+    await this.decide(orderId, decisions, { signedOffBy: userId, signedOffVia: SIGN_OFF_VIA.ACCOUNT });
+    return this.getReview(orderId);
+  }
+
+  // Issue a new sign-off link for the order (closing earlier ones) and email it to the customer
+  async sendLink(orderId) {
+    const order = await databaseService.db.GetOrderById(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+    const customer = await databaseService.db.GetUserById(order.customerId);
+    if (!customer || !customer.email) {
+      throw new AppError('The customer of this order has no email address', 400);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + config.measurements.signOffLinkTtlHours * hourMs);
+    await databaseService.transaction(async (tx) => {
+      // Only the latest link works
+      await tx.InvalidateOrderMeasurementSignOffTokens(orderId);
+      await tx.InsertMeasurementSignOffToken({ orderId, tokenHash: tokenService.hashToken(token), expiresAt });
+    });
+
+    await mailService.sendMeasurementSignOff(customer, order.orderId, token);
+    console.log('✅ Measurement sign-off link sent for order', orderId);
+    return { orderId: order.orderId, sentTo: customer.email, expiresAt };
+  }
+
+  async getLinkToken(token) {
+    const signOffToken = token ? await databaseService.db.GetMeasurementSignOffTokenByHash(tokenService.hashToken(token)) : null;
+    if (!signOffToken || signOffToken.usedAt || new Date(signOffToken.expiresAt) <= new Date()) {
+      throw new AppError(invalidLinkMessage, 400);
+    }
+    return signOffToken;
+  }
+
+  // Review through the link; viewing does not use it up
+  async getReviewByLink(token, { unit = null } = {}) {
+    const signOffToken = await this.getLinkToken(token);
+    return this.getReview(signOffToken.orderId, { unit });
+  }
+
+  // Decide through the link, which can only be used once
+  async decideByLink(token, decisions) {
+    const signOffToken = await this.getLinkToken(token);
+
+    await databaseService.transaction(async (tx) => {
+      const claimed = await tx.MarkMeasurementSignOffTokenUsed(signOffToken.id);
+      if (!claimed || !claimed.rowsAffected || claimed.rowsAffected[0] === 0) {
+        throw new AppError(invalidLinkMessage, 400);
+      }
+      await this.decide(signOffToken.orderId, decisions, {
+        signedOffBy: signOffToken.customerId,
+        signedOffVia: SIGN_OFF_VIA.LINK
+      });
+    });
+
+    return this.getReview(signOffToken.orderId);
+  }
+
+  // A measurement of the item changed: the customer has to sign off again
+  async clearSignOff(orderItemId) {
+    await databaseService.db.UpdateOrderItemSignOff(orderItemId, null);
+  }
+
+  // Throws once stitching has started: the approved measurements are in use and can no longer be
+  // changed or signed off again
+  assertMeasurementsOpen(orderItem) {
+    if (MEASUREMENTS_IN_USE_STATUSES.includes(orderItem.status)) {
+      throw new AppError(`Order item ${orderItem.orderItemId} is already ${orderItem.status}; its measurements can no longer change`, 409);
+    }
+  }
+
+  // Throws unless the customer has approved the item's measurements
+  assertApproved(orderItem) {
+    if (orderItem.measurementSignOffStatus !== SIGN_OFF_STATUS.APPROVED) {
+      throw new AppError(`Order item ${orderItem.orderItemId} cannot move to stitching until the customer approves its measurements`, 409);
+    }
+  }
+}
+
+// Create singleton instance
+const measurementSignOffService = new MeasurementSignOffService();
+
+module.exports = measurementSignOffService;
+module.exports.SIGN_OFF_STATUS = SIGN_OFF_STATUS;
+module.exports.SIGN_OFF_VIA = SIGN_OFF_VIA;
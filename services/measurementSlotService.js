@@ -0,0 +1,373 @@
+const databaseService = require('./databaseService');
+const { AppError } = require('../utils/appError');
+
+// Measurement slot catalog. Each measurement team has a MeasurementSlotSchedule: the pincodes or
+// city it serves, its working hours cut into slots of slotMinutes, and how many visits a slot
+// takes (maxBookings). A slot is closed on the team's closed weekdays, on closure dates (a whole
+// day or a single slot) and once its date has passed; it is full when maxBookings orders booked
+// it. Order items store the slot as its label, 'HH:MM-HH:MM'. Addresses no schedule covers keep
+// the free-form slots orders had before the catalog.
+
+const SLOT_STATUS = {
+  OPEN: 'open',
+  FULL: 'full',
+  CLOSED: 'closed'
+};
+
+// Order item status that frees its slot (orderStatusService's CANCELLED; that service depends on
+// this one)
+const CANCELLED_STATUS = 'Cancelled';
+
+// 'HH:MM' <-> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// YYYY-MM-DD of a DATE column or date value (mssql returns a Date, sqlite the stored text)
+const toDateString = (value) => (value instanceof Date ? value.toISOString() : String(value)).slice(0, 10);
+
+const splitList = (value) => (value ? String(value).split(',').filter(Boolean) : []);
+
+// Start time of a requested slot: 'HH:MM-HH:MM', 'HH:MM' or { time: ... } as sent by clients.
+// Returns null when no slot was requested and undefined when the value is not a time
+const parseSlotStart = (slot) => {
+  const value = slot && typeof slot === 'object' ? slot.time : slot;
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const match = /^\s*(\d{1,2}):(\d{2})/.exec(String(value));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return undefined;
+  }
+  return toTime(Number(match[1]) * 60 + Number(match[2]));
+};
+
+const sameVisit = (a, b) => a.date === b.date && a.start === b.start;
+
+// The { date, start } visit an order item's measurementDate and measurementSlot ask for, or null
+const toVisit = (item) => {
+  const start = parseSlotStart(item.measurementSlot);
+  return start && item.measurementDate ? { date: toDateString(item.measurementDate), start } : null;
+};
+
+// Schedule as returned by the API
+const toSchedule = (schedule, pincodes) => ({
+  scheduleId: schedule.scheduleId,
+  name: schedule.name,
+  city: schedule.city,
+  pincodes,
+  startTime: schedule.startTime,
+  endTime: schedule.endTime,
+  slotMinutes: schedule.slotMinutes,
+  maxBookings: schedule.maxBookings,
+  closedWeekdays: splitList(schedule.closedWeekdays).map(Number),
+  isActive: Boolean(schedule.isActive),
+  createdAt: schedule.createdAt,
+  updatedAt: schedule.updatedAt
+});
+
+class MeasurementSlotService {
+  // The slots of one working day: [{ start, end, label }]
+  buildSlots(schedule) {
+    const slots = [];
+    const endOfDay = toMinutes(schedule.endTime);
+    for (let start = toMinutes(schedule.startTime); start + schedule.slotMinutes <= endOfDay; start += schedule.slotMinutes) {
+      const slot = { start: toTime(start), end: toTime(start + schedule.slotMinutes) };
+      slots.push({ ...slot, label: `${slot.start}-${slot.end}` });
+    }
+    return slots;
+  }
+
+  validateHours({ startTime, endTime, slotMinutes }) {
+    if (toMinutes(endTime) - toMinutes(startTime) < slotMinutes) {
+      throw new AppError('endTime must be at least one slot (slotMinutes) after startTime', 400);
+    }
+  }
+
+  async getScheduleOrFail(scheduleId) {
+    const schedule = await databaseService.db.GetMeasurementSlotScheduleById(scheduleId);
+    if (!schedule) {
+      throw new AppError('Measurement slot schedule not found', 404);
+    }
+    return schedule;
+  }
+
+  async listSchedules({ city = null } = {}) {
+    const schedules = await databaseService.db.GetMeasurementSlotSchedules({ city });
+    return schedules.map(schedule => toSchedule(schedule, splitList(schedule.pincodes).sort()));
+  }
+
+  // A schedule with its slots and the closures from today on
+  async getSchedule(scheduleId) {
+    const schedule = await this.getScheduleOrFail(scheduleId);
+    const [pincodes, closures] = await Promise.all([
+      databaseService.db.GetMeasurementSlotSchedulePincodes(scheduleId),
+      databaseService.db.GetMeasurementSlotClosures(scheduleId, { fromDate: toDateString(new Date()) })
+    ]);
+
+    return {
+      ...toSchedule(schedule, pincodes.map(row => row.pincode)),
+      slots: this.buildSlots(schedule),
+      closures: closures.map(closure => ({ ...closure, closedDate: toDateString(closure.closedDate) }))
+    };
+  }
+
+  // Write the schedule row and, when given, replace its pincodes
+  async saveSchedule(scheduleId, fields, pincodes) {
+    const row = {
+      ...fields,
+      closedWeekdays: fields.closedWeekdays && fields.closedWeekdays.length > 0 ? fields.closedWeekdays.join(',') : null
+    };
+
+    return databaseService.transaction(async (tx) => {
+      let id = scheduleId;
+      if (id) {
+        await tx.UpdateMeasurementSlotSchedule(id, row);
+      } else {
+        const inserted = await tx.InsertMeasurementSlotSchedule(row);
+        id = inserted.scheduleId;
+      }
+
+      if (pincodes !== undefined) {
+        await tx.DeleteMeasurementSlotSchedulePincodes(id);
+        for (const pincode of [...new Set(pincodes)]) {
+          await tx.InsertMeasurementSlotSchedulePincode(id, pincode);
+        }
+      }
+      return id;
+    });
+  }
+
+  async createSchedule({ name, city, pincodes = [], startTime, endTime, slotMinutes, maxBookings, closedWeekdays = [], isActive = true }) {
+    const fields = { name, city, startTime, endTime, slotMinutes, maxBookings, closedWeekdays, isActive };
+    this.validateHours(fields);
+
+    const scheduleId = await this.saveSchedule(null, fields, pincodes);
+    console.log('✅ Measurement slot schedule created:', scheduleId, name);
+    return this.getSchedule(scheduleId);
+  }
+
+  // Fields left out keep their value; pincodes, when given, replaces the whole list.
+  // Existing bookings stay valid even if their slot no longer exists
+  async updateSchedule(scheduleId, changes) {
+    const current = toSchedule(await this.getScheduleOrFail(scheduleId), []);
+    const fields = {};
+    for (const field of ['name', 'city', 'startTime', 'endTime', 'slotMinutes', 'maxBookings', 'closedWeekdays', 'isActive']) {
+      fields[field] = changes[field] !== undefined ? changes[field] : current[field];
+    }
+    this.validateHours(fields);
+
+    await this.saveSchedule(scheduleId, fields, changes.pincodes);
+    console.log('✅ Measurement slot schedule updated:', scheduleId);
+    return this.getSchedule(scheduleId);
+  }
+
+  // Close a whole date, or one slot of it (slotStart)
+  async addClosure(scheduleId, { closedDate, slotStart = null, reason = null }) {
+    const schedule = await this.getScheduleOrFail(scheduleId);
+    const start = parseSlotStart(slotStart);
+    if (start && !this.buildSlots(schedule).some(slot => slot.start === start)) {
+      throw new AppError(`${slotStart} is not a slot of this schedule`, 400);
+    }
+
+    const closure = await databaseService.db.InsertMeasurementSlotClosure({
+      scheduleId,
+      closedDate,
+      slotStart: start,
+      reason
+    });
+    console.log('✅ Measurement slot closure added to schedule', scheduleId, ':', closedDate, start || 'whole day');
+    return { closureId: closure.closureId, scheduleId: Number(scheduleId), closedDate, slotStart: start, reason };
+  }
+
+  async removeClosure(scheduleId, closureId) {
+    const result = await databaseService.db.DeleteMeasurementSlotClosure(scheduleId, closureId);
+    if (!result || !result.rowsAffected || result.rowsAffected[0] === 0) {
+      throw new AppError('Measurement slot closure not found', 404);
+    }
+    console.log('✅ Measurement slot closure', closureId, 'removed from schedule', scheduleId);
+  }
+
+  // Every slot of the schedule on the date with its bookings and status (SLOT_STATUS)
+  async getDaySlots(schedule, date) {
+    const [closures, bookingCounts] = await Promise.all([
+      databaseService.db.GetMeasurementSlotClosures(schedule.scheduleId, { closedDate: date }),
+      databaseService.db.GetMeasurementSlotBookingCounts(schedule.scheduleId, date)
+    ]);
+
+    const isPast = date < toDateString(new Date());
+    const isClosedWeekday = splitList(schedule.closedWeekdays).map(Number).includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+    const dayClosure = closures.find(closure => !closure.slotStart);
+
+    return this.buildSlots(schedule).map(slot => {
+      const booked = (bookingCounts.find(row => row.slotStart === slot.start) || { bookings: 0 }).bookings;
+      const closure = dayClosure || closures.find(c => c.slotStart === slot.start);
+
+      let status = SLOT_STATUS.OPEN;
+      let closedReason = null;
+      if (isPast || isClosedWeekday || closure) {
+        status = SLOT_STATUS.CLOSED;
+        closedReason = isPast ? 'Date has passed' : (isClosedWeekday ? 'Team does not work on this day' : (closure.reason || 'Closed'));
+      } else if (booked >= schedule.maxBookings) {
+        status = SLOT_STATUS.FULL;
+      }
+
+      return {
+        ...slot,
+        maxBookings: schedule.maxBookings,
+        booked,
+        remaining: Math.max(schedule.maxBookings - booked, 0),
+        status,
+        closedReason
+      };
+    });
+  }
+
+  // Slots on a date for an address (pincode, and city as a fallback).
+  // Returns { schedule, slots } - schedule is null when no team covers the address
+  async findSlots({ date, pincode, city = null, openOnly = true }) {
+    const schedule = await databaseService.db.GetMeasurementSlotScheduleForArea({ pincode, city });
+    if (!schedule) {
+      return { schedule: null, slots: [] };
+    }
+
+    const slots = await this.getDaySlots(schedule, date);
+    return {
+      schedule: {
+        scheduleId: schedule.scheduleId,
+        name: schedule.name,
+        city: schedule.city,
+        slotMinutes: schedule.slotMinutes
+      },
+      slots: openOnly ? slots.filter(slot => slot.status === SLOT_STATUS.OPEN) : slots
+    };
+  }
+
+  // Check the slots an order's items ask for against the catalog of the measurement address.
+  // Returns null when no schedule covers the address, else { schedule, visits, slotLabels }:
+  // visits are the distinct { date, start, label } to book, slotLabels the slot label to store
+  // for each item (null for items without a slot). Throws for unknown, closed and full slots;
+  // heldVisits ({ date, start }) the order has already booked are not checked again
+  async planBookings({ pincode, city = null }, orderItems = [], { heldVisits = [] } = {}) {
+    const schedule = await databaseService.db.GetMeasurementSlotScheduleForArea({ pincode, city });
+    if (!schedule) {
+      return null;
+    }
+
+    const slots = this.buildSlots(schedule);
+    const visits = [];
+    const slotLabels = orderItems.map(item => {
+      const start = parseSlotStart(item.measurementSlot);
+      if (start === null) {
+        return null;
+      }
+      const slot = start && slots.find(s => s.start === start);
+      if (!slot) {
+        throw new AppError(`Measurement slot must be one of: ${slots.map(s => s.label).join(', ')}`, 400);
+      }
+      if (!item.measurementDate) {
+        throw new AppError('measurementDate is required with measurementSlot', 400);
+      }
+
+      const date = toDateString(item.measurementDate);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+        throw new AppError('measurementDate must be a date (YYYY-MM-DD)', 400);
+      }
+      if (!visits.some(visit => visit.date === date && visit.start === slot.start)) {
+        visits.push({ date, start: slot.start, label: slot.label });
+      }
+      return slot.label;
+    });
+
+    for (const visit of visits.filter(visit => !heldVisits.some(held => sameVisit(held, visit)))) {
+      const daySlot = (await this.getDaySlots(schedule, visit.date)).find(slot => slot.start === visit.start);
+      if (daySlot.status === SLOT_STATUS.CLOSED) {
+        throw new AppError(`Measurement slot ${visit.date} ${visit.label} is closed: ${daySlot.closedReason}`, 409);
+      }
+      if (daySlot.status === SLOT_STATUS.FULL) {
+        throw new AppError(`Measurement slot ${visit.date} ${visit.label} is full`, 409);
+      }
+    }
+
+    return { schedule, visits, slotLabels };
+  }
+
+  // Book the slot of an item added to an existing order, or of an item whose measurementDate or
+  // measurementSlot changed (previous is the item as it was), inside the caller's transaction.
+  // A visit the order already booked is shared, a new one must be open and is booked, and the
+  // previous visit is released once no other item of the order uses it. Returns the slot to
+  // store: the slot label, or the slot as given when no team covers the measurement address
+  async bookItemSlot(orderId, item, { previous = null } = {}) {
+    const [address] = await databaseService.db.GetDeliveryAddressByOrderId(orderId);
+    if (!address || !address.pincode) {
+      return item.measurementSlot;
+    }
+
+    const booked = (await databaseService.db.GetMeasurementSlotBookingsByOrderId(orderId))
+      .map(booking => ({ bookingId: booking.bookingId, date: toDateString(booking.slotDate), start: booking.slotStart }));
+    const plan = await this.planBookings({ pincode: address.pincode, city: address.city || null }, [item], { heldVisits: booked });
+    if (!plan) {
+      return item.measurementSlot;
+    }
+
+    await this.bookSlots(orderId, { ...plan, visits: plan.visits.filter(visit => !booked.some(held => sameVisit(held, visit))) });
+
+    const previousVisit = previous && toVisit(previous);
+    if (previousVisit && !plan.visits.some(visit => sameVisit(visit, previousVisit))) {
+      await this.releaseVisit(orderId, previousVisit, { orderItemId: previous.orderItemId });
+    }
+
+    return plan.slotLabels[0];
+  }
+
+  // Release the slot of an order item that was cancelled or is being deleted, inside the caller's
+  // transaction, unless another item of the order still uses it
+  async releaseItemSlot(orderItem) {
+    const visit = toVisit(orderItem);
+    if (visit) {
+      await this.releaseVisit(orderItem.orderId, visit, { orderItemId: orderItem.orderItemId });
+    }
+  }
+
+  // Delete the order's booking of visit once no item of the order but orderItemId uses it.
+  // Cancelled items no longer hold their visit
+  async releaseVisit(orderId, visit, { orderItemId }) {
+    const booking = (await databaseService.db.GetMeasurementSlotBookingsByOrderId(orderId))
+      .find(held => sameVisit({ date: toDateString(held.slotDate), start: held.slotStart }, visit));
+    if (!booking) {
+      return;
+    }
+    const otherItems = (await databaseService.db.GetOrderItemsByOrderId(orderId))
+      .filter(orderItem => String(orderItem.orderItemId) !== String(orderItemId) && orderItem.status !== CANCELLED_STATUS);
+    if (!otherItems.some(orderItem => toVisit(orderItem) && sameVisit(toVisit(orderItem), visit))) {
+      await databaseService.db.DeleteMeasurementSlotBooking(booking.bookingId);
+    }
+  }
+
+  // Book the planned visits for the order. Runs inside the caller's order transaction, together
+  // with planBookings: a booking is only written while its slot still has room, so when
+  // concurrent orders race for the last place one of them fails and rolls back
+  async bookSlots(orderId, plan) {
+    for (const visit of plan.visits) {
+      const result = await databaseService.db.InsertMeasurementSlotBooking({
+        orderId,
+        scheduleId: plan.schedule.scheduleId,
+        slotDate: visit.date,
+        slotStart: visit.start,
+        maxBookings: plan.schedule.maxBookings
+      });
+      if (!result || !result.rowsAffected || result.rowsAffected[0] === 0) {
+        throw new AppError(`Measurement slot ${visit.date} ${visit.label} is full`, 409);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const measurementSlotService = new MeasurementSlotService();
+
+module.exports = measurementSlotService;
+module.exports.SLOT_STATUS = SLOT_STATUS;
@@ -0,0 +1,161 @@
+const databaseService = require('./databaseService');
+const measurementUnitService = require('./measurementUnitService');
+const { AppError } = require('../utils/appError');
+
+const { MEASUREMENT_UNITS, CANONICAL_UNIT } = measurementUnitService;
+
+// Measurement templates: the measurements taken for each TailorItems item, each with a unit,
+// an accepted range and an optional flag. Order items use the template of the item named by
+// their itemType. Submissions for an item with a template may only use its keys and must stay
+// within range; an item is measured once every required key has a value. Items without a
+// template keep accepting any keys.
+
+// Template field as returned by the API
+const toField = (field) => ({
+  fieldId: field.fieldId,
+  measurementKey: field.measurementKey,
+  label: field.label,
+  unit: field.unit,
+  minValue: Number(field.minValue),
+  maxValue: Number(field.maxValue),
+  isOptional: Boolean(field.isOptional),
+  sortOrder: field.sortOrder
+});
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+class MeasurementTemplateService {
+  async getItemOrFail(itemId) {
+    const item = await databaseService.db.GetMeasurementTemplate(itemId);
+    if (!item) {
+      throw new AppError('Tailor item not found', 404);
+    }
+    return item;
+  }
+
+  // Every tailor item with its template fields (empty when it has no template)
+  async listTemplates() {
+    const [items, fields] = await Promise.all([
+      databaseService.db.GetAllTailorItems(),
+      databaseService.db.GetMeasurementTemplateFields()
+    ]);
+
+    return items
+      .map(item => ({
+        itemId: item.ItemId,
+        itemName: item.Name,
+        fields: fields.filter(field => field.itemId === item.ItemId).map(toField)
+      }))
+      .sort((a, b) => a.itemId - b.itemId);
+  }
+
+  async getTemplate(itemId) {
+    const item = await this.getItemOrFail(itemId);
+    const fields = await databaseService.db.GetMeasurementTemplateFields({ itemId });
+    return {
+      itemId: item.itemId,
+      itemName: item.itemName,
+      fields: fields.map(toField),
+      updatedBy: item.updatedBy || null,
+      updatedAt: item.updatedAt || null
+    };
+  }
+
+  // Template fields of an order item's itemType; empty when the item has no template
+  async getTemplateForItemType(itemType) {
+    if (!itemType) {
+      return [];
+    }
+    const fields = await databaseService.db.GetMeasurementTemplateFields({ itemName: itemType });
+    return fields.map(toField);
+  }
+
+  // Replace the template's fields (in the given order). An empty list removes the template, so
+  // the item accepts any keys again
+  async saveTemplate(itemId, fields, updatedBy) {
+    await this.getItemOrFail(itemId);
+
+    const keys = new Set();
+    for (const field of fields) {
+      const key = field.measurementKey.toUpperCase();
+      if (keys.has(key)) {
+        throw new AppError(`Measurement key ${key} is listed more than once`, 400);
+      }
+      if (field.minValue >= field.maxValue) {
+        throw new AppError(`minValue of ${key} must be below its maxValue`, 400);
+      }
+      keys.add(key);
+    }
+
+    await databaseService.transaction(async (tx) => {
+      await tx.InsertMeasurementTemplateIfMissing(itemId);
+      await tx.UpdateMeasurementTemplate(itemId, updatedBy);
+      await tx.DeleteMeasurementTemplateFields(itemId);
+      for (const [index, field] of fields.entries()) {
+        await tx.InsertMeasurementTemplateField({
+          itemId,
+          measurementKey: field.measurementKey.toUpperCase(),
+          label: field.label || null,
+          unit: field.unit,
+          minValue: field.minValue,
+          maxValue: field.maxValue,
+          isOptional: Boolean(field.isOptional),
+          sortOrder: index + 1
+        });
+      }
+    });
+
+    console.log('✅ Measurement template saved for item', itemId, 'with', fields.length, 'fields');
+    return this.getTemplate(itemId);
+  }
+
+  // Check submitted { key: value } pairs against the template fields. Empty values are skipped.
+  // Values may carry a unit suffix ("96.5cm"); bare numbers are in options.unit, else in the
+  // field's unit. Ranges are checked in the field's unit.
+  // Returns { values, errors }: values are the Measurements columns to store ({ measurementKey,
+  // measurementValue, numericValue, unit }, keys uppercase, numbers in the canonical unit), errors
+  // one { measurementKey, message } per rejected pair
+  validateMeasurements(templateFields, measurementFields, { unit = null } = {}) {
+    const values = [];
+    const errors = [];
+
+    for (const [key, value] of Object.entries(measurementFields)) {
+      if (isEmpty(value)) {
+        continue;
+      }
+
+      const measurementKey = key.toUpperCase();
+      if (templateFields.length === 0) {
+        values.push({ measurementKey, ...measurementUnitService.normalize(value, unit || CANONICAL_UNIT) });
+        continue;
+      }
+
+      const field = templateFields.find(f => f.measurementKey === measurementKey);
+      const parsed = field ? measurementUnitService.parse(value, unit || field.unit) : null;
+      const number = parsed ? measurementUnitService.convert(parsed.value, parsed.unit, field.unit) : null;
+      if (!field) {
+        errors.push({ measurementKey, message: `${measurementKey} is not part of this item's measurement template` });
+      } else if (!parsed) {
+        errors.push({ measurementKey, message: `${measurementKey} must be a number, optionally followed by ${Object.values(MEASUREMENT_UNITS).join(' or ')}` });
+      } else if (number < field.minValue || number > field.maxValue) {
+        errors.push({ measurementKey, message: `${measurementKey} must be between ${field.minValue} and ${field.maxValue} ${field.unit}` });
+      } else {
+        values.push({ measurementKey, ...measurementUnitService.toStored(parsed) });
+      }
+    }
+
+    return { values, errors };
+  }
+
+  // Required template keys the order item has no measurement for
+  async getMissingKeys(orderItemId) {
+    const missing = await databaseService.db.GetMissingMeasurementKeys(orderItemId);
+    return missing.map(row => row.measurementKey);
+  }
+}
+
+// Create singleton instance
+const measurementTemplateService = new MeasurementTemplateService();
+
+module.exports = measurementTemplateService;
+module.exports.MEASUREMENT_UNITS = MEASUREMENT_UNITS;
@@ -0,0 +1,118 @@
+// Measurement units. Measurements are stored in one canonical unit (inches, the unit of the
+// seeded templates): Measurements.numericValue holds the number, Measurements.unit the unit and
+// measurementValue the same number as text. Values may be submitted as numbers or as text with a
+// unit suffix ("38", "38in", "96.5 cm"); reads can ask for another unit and are converted here.
+
+const MEASUREMENT_UNITS = {
+  INCH: 'in',
+  CENTIMETRE: 'cm'
+};
+
+const CANONICAL_UNIT = MEASUREMENT_UNITS.INCH;
+
+const CENTIMETRES_PER_INCH = 2.54;
+
+// Suffixes accepted on submitted values, by unit
+const UNIT_ALIASES = {
+  in: MEASUREMENT_UNITS.INCH,
+  inch: MEASUREMENT_UNITS.INCH,
+  inches: MEASUREMENT_UNITS.INCH,
+  '"': MEASUREMENT_UNITS.INCH,
+  cm: MEASUREMENT_UNITS.CENTIMETRE,
+  cms: MEASUREMENT_UNITS.CENTIMETRE
+};
+
+const VALUE_PATTERN = /^([0-9]+(?:\.[0-9]+)?|\.[0-9]+)\s*([a-z"]*)$/i;
+
+// Stored values keep three decimals so that centimetres survive the trip through inches;
+// converted values are shown with two
+const round = (number, decimals = 2) => Math.round(number * 10 ** decimals) / 10 ** decimals;
+
+class MeasurementUnitService {
+  // { value, unit } of a submitted value, with defaultUnit for bare numbers; null when the value
+  // is not a number (with an optional known unit suffix)
+  parse(value, defaultUnit = CANONICAL_UNIT) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? { value, unit: defaultUnit } : null;
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const match = VALUE_PATTERN.exec(value.trim());
+    if (!match) {
+      return null;
+    }
+    const unit = match[2] ? UNIT_ALIASES[match[2].toLowerCase()] : defaultUnit;
+    return unit ? { value: Number(match[1]), unit } : null;
+  }
+
+  convert(value, fromUnit, toUnit, decimals = 2) {
+    if (fromUnit === toUnit) {
+      return round(value, decimals);
+    }
+    return fromUnit === MEASUREMENT_UNITS.CENTIMETRE
+      ? round(value / CENTIMETRES_PER_INCH, decimals)
+      : round(value * CENTIMETRES_PER_INCH, decimals);
+  }
+
+  // Measurements columns for a parsed { value, unit }
+  toStored({ value, unit }) {
+    const numericValue = this.convert(value, unit, CANONICAL_UNIT, 3);
+    return { measurementValue: String(numericValue), numericValue, unit: CANONICAL_UNIT };
+  }
+
+  // Measurements columns for a submitted value: numbers are stored in the canonical unit, anything
+  // else (free-form items only) as text without a unit
+  normalize(value, defaultUnit = CANONICAL_UNIT) {
+    const parsed = this.parse(value, defaultUnit);
+    return parsed
+      ? this.toStored(parsed)
+      : { measurementValue: String(value), numericValue: null, unit: null };
+  }
+
+  // A stored measurement (as in the measurements JSON of order items) in the requested unit;
+  // text measurements are returned as they are
+  toUnit(measurement, unit) {
+    if (!unit || !measurement.unit || measurement.numericValue === null || measurement.numericValue === undefined) {
+      return measurement;
+    }
+    const numericValue = this.convert(Number(measurement.numericValue), measurement.unit, unit);
+    return { ...measurement, measurementValue: String(numericValue), numericValue, unit };
+  }
+
+  // Convert the measurements of order items to the requested unit. measurements may be the JSON
+  // text the order item queries return or an already parsed array; the same form is returned
+  convertOrderItems(orderItems, unit) {
+    if (!unit || !Array.isArray(orderItems)) {
+      return orderItems;
+    }
+
+    return orderItems.map((item) => {
+      if (!item.measurements) {
+        return item;
+      }
+      const isText = typeof item.measurements === 'string';
+      let measurements;
+      try {
+        measurements = isText ? JSON.parse(item.measurements) : item.measurements;
+      } catch (error) {
+        console.error('❌ Error parsing measurements JSON:', error);
+        return item;
+      }
+      if (!Array.isArray(measurements)) {
+        return item;
+      }
+
+      const converted = measurements.map(measurement => this.toUnit(measurement, unit));
+      return { ...item, measurements: isText ? JSON.stringify(converted) : converted };
+    });
+  }
+}
+
+// Create singleton instance
+const measurementUnitService = new MeasurementUnitService();
+
+module.exports = measurementUnitService;
+module.exports.MEASUREMENT_UNITS = MEASUREMENT_UNITS;
+module.exports.CANONICAL_UNIT = CANONICAL_UNIT;
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { executeQuery, runInTransaction, dialect } = require('../config/database');
+const { loadTemplate } = require('../utils/sqlTemplate');
+
+const migrationsDir = path.join(__dirname, '..', 'migrations');
+const seedsDir = path.join(__dirname, '..', 'seeds');
+
+// Migration and seed files are named <version>_<name>.js, e.g. 004_create_order_tables.js
+const versionedFilePattern = /^(\d+)_([\w-]+)\.js$/;
+
+// Load versioned modules from a directory, ordered by version
+const loadVersionedModules = (dir) => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => versionedFilePattern.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(versionedFilePattern);
+      return { version, name, file, ...require(path.join(dir, file)) };
+    });
+};
+
+// Applies the versioned migrations in migrations/ and records them in the SchemaMigrations table.
+// Each migration module exports { description, up: { mssql, sqlite }, down: { mssql, sqlite } }
+// and runs in its own transaction together with its SchemaMigrations row.
+class MigrationService {
+  // Create the SchemaMigrations tracking table if it does not exist yet
+  async ensureMigrationsTable() {
+    const template = loadTemplate('createSchemaMigrationsTable', { parameterized: true });
+    const { sql, params } = template({});
+    await executeQuery(sql, params);
+  }
+
+  // Versions already applied to the database
+  async getAppliedMigrations() {
+    await this.ensureMigrationsTable();
+
+    const template = loadTemplate('getAppliedMigrations', { parameterized: true });
+    const { sql, params } = template({});
+    const result = await executeQuery(sql, params);
+    return result.recordset || [];
+  }
+
+  // Every migration with its applied state, ordered by version
+  async status() {
+    const migrations = loadVersionedModules(migrationsDir);
+    const applied = await this.getAppliedMigrations();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      applied: appliedByVersion.has(migration.version),
+      appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).appliedAt : null
+    }));
+  }
+
+  // Apply pending migrations in version order, up to and including targetVersion (all when omitted)
+  async up(targetVersion = null) {
+    console.log(`🔄 Running migrations (${dialect})...`);
+    const migrations = loadVersionedModules(migrationsDir);
+    const applied = new Set((await this.getAppliedMigrations()).map(row => row.version));
+
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (!targetVersion || parseInt(migration.version, 10) <= parseInt(targetVersion, 10))
+    );
+
+    if (pending.length === 0) {
+      console.log('✅ Database schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      const upSql = migration.up && migration.up[dialect];
+      if (!upSql) {
+        throw new Error(`Migration ${migration.file} has no "up" script for dialect ${dialect}`);
+      }
+
+      console.log(`⬆️  Applying ${migration.file}: ${migration.description || migration.name}`);
+      await runInTransaction(async () => {
+        await executeQuery(upSql);
+
+        const template = loadTemplate('insertSchemaMigration', { parameterized: true });
+        const { sql, params } = template({ version: migration.version, name: migration.name });
+        await executeQuery(sql, params);
+      });
+      console.log(`✅ Applied ${migration.file}`);
+    }
+
+    console.log(`🎉 Applied ${pending.length} migration(s)`);
+    return pending.map(migration => migration.version);
+  }
+
+  // Roll back the most recently applied migrations, newest first
+  async down(steps = 1) {
+    console.log(`🔄 Rolling back ${steps} migration(s) (${dialect})...`);
+    const migrations = loadVersionedModules(migrationsDir);
+    const migrationsByVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const applied = await this.getAppliedMigrations();
+
+    const toRollBack = applied.map(row => row.version).reverse().slice(0, steps);
+
+    if (toRollBack.length === 0) {
+      console.log('ℹ️ No applied migrations to roll back');
+      return [];
+    }
+
+    for (const version of toRollBack) {
+      const migration = migrationsByVersion.get(version);
+      if (!migration) {
+        throw new Error(`Applied migration ${version} has no file in ${migrationsDir}`);
+      }
+
+      const downSql = migration.down && migration.down[dialect];
+      if (!downSql) {
+        throw new Error(`Migration ${migration.file} has no "down" script for dialect ${dialect}`);
+      }
+
+      console.log(`⬇️  Rolling back ${migration.file}: ${migration.description || migration.name}`);
+      await runInTransaction(async () => {
+        await executeQuery(downSql);
+
+        const template = loadTemplate('deleteSchemaMigration', { parameterized: true });
+        const { sql, params } = template({ version });
+        await executeQuery(sql, params);
+      });
+      console.log(`✅ Rolled back ${migration.file}`);
+    }
+
+    return toRollBack;
+  }
+
+  // Run every seed in seeds/. Seeds export { description, template, rows } and their templates
+  // insert a row only when it is missing, so seeding is safe to repeat.
+  async seed() {
+    console.log('🌱 Running seeds...');
+    const seeds = loadVersionedModules(seedsDir);
+
+    for (const seed of seeds) {
+      console.log(`🌱 ${seed.file}: ${seed.description || seed.name} (${seed.rows.length} rows)`);
+      const template = loadTemplate(seed.template, { parameterized: true });
+
+      await runInTransaction(async () => {
+        for (const row of seed.rows) {
+          const { sql, params } = template(row);
+          await executeQuery(sql, params);
+        }
+      });
+    }
+
+    console.log(`✅ Ran ${seeds.length} seed(s)`);
+    return seeds.map(seed => seed.version);
+  }
+}
+
+// Create singleton instance
+const migrationService = new MigrationService();
+
+module.exports = migrationService;
@@ -0,0 +1,337 @@
+const databaseService = require('./databaseService');
+const measurementSignOffService = require('./measurementSignOffService');
+const measurementSlotService = require('./measurementSlotService');
+const measurementTemplateService = require('./measurementTemplateService');
+const { AppError } = require('../utils/appError');
+const { ROLES, getRoleNames } = require('../config/permissions');
+
+// Order item lifecycle: Placed -> MeasurementScheduled -> Measured -> FabricReceived -> Stitching
+// -> QualityCheck -> ReadyForDelivery -> Delivered, or Cancelled along the way. Each move is
+// allowed to the roles listed in TRANSITIONS (Admin may make every move) and is recorded in
+// OrderItemStatusHistory. Assigning a measurement boy and finishing the measurements move items
+// forward on their own. An order's status is derived from its items.
+
+const ORDER_ITEM_STATUS = {
+  PLACED: 'Placed',
+  MEASUREMENT_SCHEDULED: 'MeasurementScheduled',
+  MEASURED: 'Measured',
+  FABRIC_RECEIVED: 'FabricReceived',
+  STITCHING: 'Stitching',
+  QUALITY_CHECK: 'QualityCheck',
+  READY_FOR_DELIVERY: 'ReadyForDelivery',
+  DELIVERED: 'Delivered',
+  CANCELLED: 'Cancelled'
+};
+
+const S = ORDER_ITEM_STATUS;
+
+// Lifecycle order; Cancelled is outside it
+const LIFECYCLE = [
+  S.PLACED,
+  S.MEASUREMENT_SCHEDULED,
+  S.MEASURED,
+  S.FABRIC_RECEIVED,
+  S.STITCHING,
+  S.QUALITY_CHECK,
+  S.READY_FOR_DELIVERY,
+  S.DELIVERED
+];
+
+// Status -> status it can move to -> roles that may move it there. Customers count only on their
+// own orders, tailors and sellers on the items for their business and measurement boys on orders
+// assigned to them (see getOrderRoles)
+const TRANSITIONS = {
+  [S.PLACED]: {
+    [S.MEASUREMENT_SCHEDULED]: [ROLES.TAILOR],
+    [S.MEASURED]: [ROLES.MEASUREMENT_BOY],
+    [S.CANCELLED]: [ROLES.CUSTOMER, ROLES.TAILOR, ROLES.SELLER]
+  },
+  [S.MEASUREMENT_SCHEDULED]: {
+    [S.MEASURED]: [ROLES.MEASUREMENT_BOY],
+    [S.CANCELLED]: [ROLES.CUSTOMER, ROLES.TAILOR, ROLES.SELLER]
+  },
+  [S.MEASURED]: {
+    [S.FABRIC_RECEIVED]: [ROLES.TAILOR, ROLES.SELLER],
+    [S.CANCELLED]: [ROLES.CUSTOMER, ROLES.TAILOR, ROLES.SELLER]
+  },
+  [S.FABRIC_RECEIVED]: {
+    [S.STITCHING]: [ROLES.TAILOR],
+    [S.CANCELLED]: [ROLES.TAILOR, ROLES.SELLER]
+  },
+  [S.STITCHING]: {
+    [S.QUALITY_CHECK]: [ROLES.TAILOR],
+    [S.CANCELLED]: []
+  },
+  [S.QUALITY_CHECK]: {
+    [S.READY_FOR_DELIVERY]: [ROLES.TAILOR],
+    // Failed the check: back for rework
+    [S.STITCHING]: [ROLES.TAILOR],
+    [S.CANCELLED]: []
+  },
+  [S.READY_FOR_DELIVERY]: {
+    [S.DELIVERED]: [ROLES.TAILOR, ROLES.SELLER],
+    [S.CANCELLED]: []
+  },
+  [S.DELIVERED]: {},
+  [S.CANCELLED]: {}
+};
+
+const fullName = (firstName, lastName) => [firstName, lastName].filter(Boolean).join(' ') || null;
+
+class OrderStatusService {
+  // Order status from its items: the status of the item furthest behind, Cancelled when every
+  // item is cancelled
+  deriveOrderStatus(orderItems = []) {
+    const active = orderItems.filter(item => item.status !== S.CANCELLED);
+    if (orderItems.length > 0 && active.length === 0) {
+      return S.CANCELLED;
+    }
+    const positions = active.map(item => LIFECYCLE.indexOf(item.status)).filter(position => position >= 0);
+    return positions.length > 0 ? LIFECYCLE[Math.min(...positions)] : S.PLACED;
+  }
+
+  // Status a new item of the order starts in
+  async getInitialStatus(orderId) {
+    const assignment = await databaseService.db.GetMeasurementBoyAssignmentByOrderId(orderId);
+    return assignment ? S.MEASUREMENT_SCHEDULED : S.PLACED;
+  }
+
+  // The roles the user acts in on this order (see TRANSITIONS): { roles } that count on every
+  // item, and { businessRoles } (tailor, seller) that count only on the items of { businessId }
+  async getOrderRoles(user, orderId) {
+    const access = await databaseService.db.GetOrderAccess(orderId, user.userId);
+    if (!access) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const userRoles = getRoleNames(user.roles);
+    const roles = [];
+    if (userRoles.includes(ROLES.ADMIN)) {
+      roles.push(ROLES.ADMIN);
+    }
+    if (String(access.customerId) === String(user.userId)) {
+      roles.push(ROLES.CUSTOMER);
+    }
+    if (access.isAssignedMeasurementBoy && userRoles.includes(ROLES.MEASUREMENT_BOY)) {
+      roles.push(ROLES.MEASUREMENT_BOY);
+    }
+
+    const businessRoles = [];
+    let businessId = null;
+    if (access.isBusinessOrder) {
+      // Legacy Taylorseller accounts act as both
+      const isTaylorseller = userRoles.includes(ROLES.TAYLORSELLER);
+      if (isTaylorseller || userRoles.includes(ROLES.TAILOR)) {
+        businessRoles.push(ROLES.TAILOR);
+      }
+      if (isTaylorseller || userRoles.includes(ROLES.SELLER)) {
+        businessRoles.push(ROLES.SELLER);
+      }
+      const business = await databaseService.db.GetBusinessByUserId({ UserId: user.userId });
+      businessId = business ? business.businessId : null;
+    }
+    return { roles, businessRoles, businessId };
+  }
+
+  // The roles the user acts in on one item of the order (see getOrderRoles)
+  getItemRoles(orderRoles, orderItem) {
+    const { roles, businessRoles, businessId } = orderRoles;
+    const isOwnItem = businessId !== null
+      && [orderItem.tailorId, orderItem.shopId].some(id => id !== null && id !== undefined && String(id) === String(businessId));
+    return isOwnItem ? [...roles, ...businessRoles] : roles;
+  }
+
+  // Statuses an item can move to from status, for the given order roles
+  getAllowedTransitions(status, orderRoles) {
+    const transitions = TRANSITIONS[status] || {};
+    return Object.keys(transitions).filter(toStatus =>
+      orderRoles.includes(ROLES.ADMIN) || transitions[toStatus].some(roleName => orderRoles.includes(roleName))
+    );
+  }
+
+  // Move an order item to toStatus. orderRoles null is the system itself (automatic moves).
+  // Applies only while the item still has the status it was checked in, so concurrent requests
+  // cannot skip a step. Joins the caller's transaction when there is one
+  async transitionItem(orderItem, toStatus, { orderRoles = null, changedBy = null, reason = null } = {}) {
+    if (!Object.values(ORDER_ITEM_STATUS).includes(toStatus)) {
+      throw new AppError(`status must be one of: ${Object.values(ORDER_ITEM_STATUS).join(', ')}`, 400);
+    }
+    const fromStatus = orderItem.status;
+    if (fromStatus === toStatus) {
+      throw new AppError(`Order item ${orderItem.orderItemId} is already ${toStatus}`, 409);
+    }
+    const allowedRoles = (TRANSITIONS[fromStatus] || {})[toStatus];
+    if (!allowedRoles) {
+      throw new AppError(`Order item ${orderItem.orderItemId} cannot move from ${fromStatus} to ${toStatus}`, 409);
+    }
+    if (orderRoles && !orderRoles.includes(ROLES.ADMIN) && !allowedRoles.some(roleName => orderRoles.includes(roleName))) {
+      throw new AppError(`You cannot move order item ${orderItem.orderItemId} from ${fromStatus} to ${toStatus}`, 403);
+    }
+    if (toStatus === S.MEASURED) {
+      // Measured only once the measurements are stored, whoever makes the move
+      await this.assertMeasured(orderItem);
+    }
+    if (toStatus === S.STITCHING) {
+      // Stitching starts only once the customer has approved the measurements
+      measurementSignOffService.assertApproved(orderItem);
+    }
+
+    await databaseService.transaction(async (tx) => {
+      const result = await tx.UpdateOrderItemStatus(orderItem.orderItemId, { status: toStatus, fromStatus });
+      if (!result || !result.rowsAffected || result.rowsAffected[0] === 0) {
+        throw new AppError(`Order item ${orderItem.orderItemId} changed; reload it and try again`, 409);
+      }
+      await tx.InsertOrderItemStatusHistory({
+        orderItemId: orderItem.orderItemId,
+        fromStatus,
+        toStatus,
+        reason,
+        changedBy
+      });
+      if (toStatus === S.CANCELLED) {
+        await measurementSlotService.releaseItemSlot(orderItem);
+      }
+    });
+
+    console.log('✅ Order item', orderItem.orderItemId, 'moved from', fromStatus, 'to', toStatus);
+  }
+
+  // Throws 409 unless the item has every required key of its template, or any measurement when
+  // it has no template (the same rule as submit-measurement)
+  async assertMeasured(orderItem) {
+    const missingKeys = await measurementTemplateService.getMissingKeys(orderItem.orderItemId);
+    if (missingKeys.length > 0) {
+      throw new AppError(`Order item ${orderItem.orderItemId} is missing measurements: ${missingKeys.join(', ')}`, 409);
+    }
+    const measurements = await databaseService.db.GetMeasurementsByOrderItemId(orderItem.orderItemId);
+    if (measurements.length === 0) {
+      throw new AppError(`Order item ${orderItem.orderItemId} has no measurements yet`, 409);
+    }
+  }
+
+  // Record the status a new order item starts in
+  async recordInitialStatus(orderItemId, status, { changedBy = null } = {}) {
+    await databaseService.db.InsertOrderItemStatusHistory({ orderItemId, fromStatus: null, toStatus: status, changedBy });
+  }
+
+  // Current status of the order and each item, with the moves the user can make
+  async getStatus(user, orderId) {
+    const orderRoles = await this.getOrderRoles(user, orderId);
+    const orderItems = await databaseService.db.GetOrderItemsByOrderId(orderId);
+
+    return {
+      orderId: parseInt(orderId),
+      orderStatus: this.deriveOrderStatus(orderItems),
+      items: orderItems.map(item => ({
+        orderItemId: item.orderItemId,
+        itemType: item.itemType,
+        status: item.status,
+        allowedTransitions: this.getAllowedTransitions(item.status, this.getItemRoles(orderRoles, item))
+      }))
+    };
+  }
+
+  // A user moves one item of the order
+  async transitionOrderItem(user, orderId, orderItemId, toStatus, { reason = null } = {}) {
+    const orderRoles = await this.getOrderRoles(user, orderId);
+    const orderItem = await databaseService.db.GetOrderItemById(orderItemId);
+    if (!orderItem || String(orderItem.orderId) !== String(orderId)) {
+      throw new AppError('Order item not found', 404);
+    }
+
+    await this.transitionItem(orderItem, toStatus, { orderRoles: this.getItemRoles(orderRoles, orderItem), changedBy: user.userId, reason });
+    return this.getStatus(user, orderId);
+  }
+
+  // A user moves every item of the order (e.g. cancels it). Items already there, and cancelled
+  // items, are left alone; all others must be able to make the move or none moves
+  async transitionOrder(user, orderId, toStatus, { reason = null } = {}) {
+    const orderRoles = await this.getOrderRoles(user, orderId);
+    const orderItems = (await databaseService.db.GetOrderItemsByOrderId(orderId))
+      .filter(item => item.status !== toStatus && item.status !== S.CANCELLED);
+    if (orderItems.length === 0) {
+      throw new AppError(`No items of order ${orderId} can move to ${toStatus}`, 409);
+    }
+
+    await databaseService.transaction(async () => {
+      for (const orderItem of orderItems) {
+        await this.transitionItem(orderItem, toStatus, { orderRoles: this.getItemRoles(orderRoles, orderItem), changedBy: user.userId, reason });
+      }
+    });
+    return this.getStatus(user, orderId);
+  }
+
+  // Move the order's items that are behind toStatus and can move there, as the system (a
+  // measurement boy was assigned, the measurements were finished). Other items are left alone
+  async advanceOrder(orderId, toStatus, { changedBy = null, reason = null } = {}) {
+    const target = LIFECYCLE.indexOf(toStatus);
+    const orderItems = (await databaseService.db.GetOrderItemsByOrderId(orderId)).filter(item => {
+      const position = LIFECYCLE.indexOf(item.status);
+      return position >= 0 && position < target && (TRANSITIONS[item.status] || {})[toStatus];
+    });
+
+    await databaseService.transaction(async () => {
+      for (const orderItem of orderItems) {
+        await this.transitionItem(orderItem, toStatus, { changedBy, reason });
+      }
+    });
+    return orderItems.length;
+  }
+
+  // Hard-delete an order. Only while every item is still Placed: deleting also drops the status
+  // history, so orders that have moved on are cancelled instead (transitionOrder)
+  async deleteOrder(orderId) {
+    const result = await databaseService.db.DeleteOrder(orderId, { status: S.PLACED });
+    if (result && result.rowsAffected && result.rowsAffected[0] > 0) {
+      console.log('✅ Order', orderId, 'deleted');
+      return;
+    }
+    if (!await databaseService.db.GetOrderById(orderId)) {
+      throw new AppError('Order not found', 404);
+    }
+    throw new AppError(`Only orders whose items are all ${S.PLACED} can be deleted; cancel order ${orderId} instead (POST /api/orders/${orderId}/status with status ${S.CANCELLED})`, 409);
+  }
+
+  // Hard-delete an order item, only while it is still Placed (see deleteOrder), and release its
+  // measurement slot
+  async deleteOrderItem(orderId, orderItemId) {
+    const orderItem = await databaseService.db.GetOrderItemById(orderItemId);
+    if (!orderItem) {
+      throw new AppError('Order item not found', 404);
+    }
+
+    await databaseService.transaction(async (tx) => {
+      const result = await tx.DeleteOrderItem(orderItemId, { status: S.PLACED });
+      if (!result || !result.rowsAffected || result.rowsAffected[0] === 0) {
+        throw new AppError(`Only ${S.PLACED} order items can be deleted; cancel order item ${orderItemId} instead (POST /api/orders/${orderId}/items/${orderItemId}/status with status ${S.CANCELLED})`, 409);
+      }
+      await measurementSlotService.releaseItemSlot(orderItem);
+    });
+
+    console.log('✅ Order item', orderItemId, 'deleted');
+  }
+
+  // Status history of the order's items (or one item), oldest first
+  async getHistory(orderId, { orderItemId = null } = {}) {
+    const rows = await databaseService.db.GetOrderItemStatusHistory(orderId, { orderItemId });
+
+    return rows.map(row => ({
+      historyId: row.historyId,
+      orderItemId: row.orderItemId,
+      itemType: row.itemType,
+      fromStatus: row.fromStatus,
+      toStatus: row.toStatus,
+      reason: row.reason,
+      changedBy: row.changedBy,
+      changedByName: fullName(row.changedByFirstName, row.changedByLastName),
+      changedAt: row.changedAt
+    }));
+  }
+}
+
+// Create singleton instance
+const orderStatusService = new OrderStatusService();
+
+module.exports = orderStatusService;
+module.exports.ORDER_ITEM_STATUS = ORDER_ITEM_STATUS;
+module.exports.LIFECYCLE = LIFECYCLE;
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const config = require('../config');
+const databaseService = require('./databaseService');
+const smsService = require('./smsService');
+const { AuthError } = require('./tokenService');
+const { AppError } = require('../utils/appError');
+const { ROLES } = require('../config/permissions');
+
+// Phone number login with one-time codes sent by SMS. Codes are stored as HMACs keyed with
+// the JWT secret (a plain hash of a 6 digit code is trivial to reverse), expire after
+// OTP_TTL_MINUTES and are spent on success or after OTP_MAX_ATTEMPTS guesses.
+// Requests per number, registered or not, are limited by a resend cooldown and a per-window cap.
+// A phone number identifies one account, so no two accounts may share one.
+
+const otpSettings = config.auth.otp;
+
+// Roles allowed to sign in with a phone number; other accounts keep using email and password
+const otpLoginRoles = [ROLES.CUSTOMER, ROLES.MEASUREMENT_BOY];
+
+const invalidCodeMessage = 'Invalid or expired code';
+
+class OtpService {
+  hashOtp(phoneNumber, otp) {
+    return crypto.createHmac('sha256', config.jwt.secret).update(`${phoneNumber}:${otp}`).digest('hex');
+  }
+
+  generateOtp() {
+    return crypto.randomInt(0, 10 ** otpSettings.length).toString().padStart(otpSettings.length, '0');
+  }
+
+  // The single active account with this phone number that may use OTP login, if any
+  async findOtpUser(phoneNumber) {
+    const users = (await databaseService.db.GetUsersByPhoneNumber(phoneNumber)).filter(user => user.isActive);
+
+    const eligible = [];
+    for (const user of users) {
+      const userRoles = await databaseService.db.GetUserRoles(user.id);
+      if (userRoles.some(role => otpLoginRoles.includes(role.role_name))) {
+        eligible.push({ user, userRoles });
+      }
+    }
+
+    if (eligible.length > 1) {
+      console.log('⚠️ Phone number shared by several accounts, OTP login refused:', phoneNumber);
+      return null;
+    }
+    return eligible[0] || null;
+  }
+
+  // Throws a 429 AuthError when the number asked for a code too recently or too often
+  async checkRequestLimits(phoneNumber) {
+    const now = Date.now();
+    const windowMs = otpSettings.requestWindowMinutes * 60 * 1000;
+    const stats = await databaseService.db.GetLoginOtpRequestStats(phoneNumber, new Date(now - windowMs));
+    if (!stats || !stats.requestCount) {
+      return;
+    }
+
+    const lastRequestedAt = new Date(stats.lastRequestedAt).getTime();
+    const cooldownLeft = Math.ceil((lastRequestedAt + otpSettings.resendCooldownSeconds * 1000 - now) / 1000);
+    if (cooldownLeft > 0) {
+      throw new AuthError(`Please wait ${cooldownLeft} seconds before requesting another code`, 429, cooldownLeft);
+    }
+
+    if (stats.requestCount >= otpSettings.maxRequestsPerWindow) {
+      throw new AuthError('Too many codes requested for this phone number, please try again later', 429, Math.ceil(windowMs / 1000));
+    }
+  }
+
+  // Throws a 409 AppError when an account other than userId already has the phone number
+  async assertPhoneNumberAvailable(phoneNumber, { userId = null } = {}) {
+    if (!phoneNumber) {
+      return;
+    }
+    const users = await databaseService.db.GetUsersByPhoneNumber(phoneNumber);
+    if (users.some(user => String(user.id) !== String(userId))) {
+      throw new AppError('This phone number is already used by another account', 409);
+    }
+  }
+
+  // Send a login code. Unknown numbers get no SMS but the same response and the same limits, so
+  // the endpoint cannot be used to find out which numbers are registered
+  async requestOtp(phoneNumber, { ipAddress = null } = {}) {
+    console.log('🔄 Login OTP requested for:', phoneNumber);
+    await this.checkRequestLimits(phoneNumber);
+    await databaseService.db.InsertLoginOtpRequest({ phoneNumber, requestedIp: ipAddress });
+
+    const account = await this.findOtpUser(phoneNumber);
+    if (!account) {
+      console.log('⚠️ No account eligible for OTP login:', phoneNumber);
+      return;
+    }
+
+    const otp = this.generateOtp();
+    await databaseService.transaction(async (tx) => {
+      // Only the latest code works
+      await tx.ConsumeOpenLoginOtps(phoneNumber);
+      await tx.InsertLoginOtp({
+        userId: account.user.id,
+        phoneNumber,
+        otpHash: this.hashOtp(phoneNumber, otp),
+        expiresAt: new Date(Date.now() + otpSettings.ttlMinutes * 60 * 1000),
+        requestedIp: ipAddress
+      });
+    });
+
+    await smsService.sendLoginOtp(phoneNumber, otp);
+    console.log('✅ Login OTP sent to:', phoneNumber);
+  }
+
+  // Check a code and spend it. Resolves with { user, userRoles } of the account signing in
+  async verifyOtp(phoneNumber, otp) {
+    console.log('🔄 Verifying login OTP for:', phoneNumber);
+    const loginOtp = await databaseService.db.GetLatestLoginOtp(phoneNumber);
+
+    if (!loginOtp || new Date(loginOtp.expiresAt) <= new Date()) {
+      throw new AuthError(invalidCodeMessage);
+    }
+    // Use up an attempt before comparing. The update only succeeds while attempts are left, so
+    // parallel guesses cannot all pass on the same attempts count
+    const claimed = await databaseService.db.IncrementLoginOtpAttempts(loginOtp.id, { maxAttempts: otpSettings.maxAttempts });
+    if (!claimed || !claimed.rowsAffected || claimed.rowsAffected[0] === 0) {
+      await databaseService.db.ConsumeLoginOtp(loginOtp.id);
+      throw new AuthError(invalidCodeMessage);
+    }
+
+    const expected = Buffer.from(loginOtp.otpHash, 'hex');
+    const actual = Buffer.from(this.hashOtp(phoneNumber, otp), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      if (loginOtp.attempts + 1 >= otpSettings.maxAttempts) {
+        console.log('⚠️ Too many wrong codes, OTP spent for:', phoneNumber);
+        await databaseService.db.ConsumeLoginOtp(loginOtp.id);
+      }
+      throw new AuthError(invalidCodeMessage);
+    }
+
+    // Lost a race with a concurrent verify of the same code
+    const consumed = await databaseService.db.ConsumeLoginOtp(loginOtp.id);
+    if (!consumed || !consumed.rowsAffected || consumed.rowsAffected[0] === 0) {
+      throw new AuthError(invalidCodeMessage);
+    }
+
+    // The account may have been deactivated or lost its role since the code was sent
+    const account = await this.findOtpUser(phoneNumber);
+    if (!account || account.user.id !== loginOtp.userId) {
+      throw new AuthError('Account is not available for phone number login');
+    }
+    if (!account.user.emailVerifiedAt) {
+      throw new AuthError('Please verify your email address before logging in', 403);
+    }
+
+    console.log('✅ Login OTP verified for user:', account.user.id);
+    return account;
+  }
+}
+
+// Create singleton instance
+const otpService = new OtpService();
+
+module.exports = otpService;
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const config = require('../config');
+const databaseService = require('./databaseService');
+const tokenService = require('./tokenService');
+const mailService = require('./mailService');
+const { AuthError } = require('./tokenService');
+const { AppError } = require('../utils/appError');
+
+// Password change and forgot/reset flows. Reset tokens are random, stored only as SHA-256
+// hashes, expire after PASSWORD_RESET_TOKEN_TTL_MINUTES and can be used once.
+// Any password change revokes every session of the user.
+
+const saltRounds = 12;
+const minuteMs = 60 * 1000;
+
+class PasswordService {
+  hashPassword(password) {
+    return bcrypt.hash(password, saltRounds);
+  }
+
+  // Store the new password, close open reset links and sign the user out everywhere
+  async setPassword(userId, newPassword, reason) {
+    const passwordHash = await this.hashPassword(newPassword);
+    await databaseService.transaction(async (tx) => {
+      await tx.UpdateUserPassword(userId, passwordHash);
+      await tx.InvalidateUserPasswordResetTokens(userId);
+      await tx.RevokeUserAuthSessions(userId, reason);
+    });
+  }
+
+  // Signed-in change: the current password must match
+  async changePassword(userId, currentPassword, newPassword) {
+    console.log('🔄 Changing password for user:', userId);
+    const user = await databaseService.db.GetUserById(userId);
+    if (!user || !user.isActive) {
+      throw new AuthError('Account is deactivated');
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password || '');
+    if (!isPasswordValid) {
+      throw new AuthError('Current password is incorrect', 400);
+    }
+    if (await bcrypt.compare(newPassword, user.password)) {
+      throw new AppError('New password must be different from the current password', 400);
+    }
+
+    await this.setPassword(userId, newPassword, 'password-change');
+    console.log('✅ Password changed for user:', userId);
+    return user;
+  }
+
+  // Email a reset link. Does nothing (silently) for unknown or deactivated accounts,
+  // so the response cannot be used to find out which emails are registered
+  async requestReset(email, { ipAddress = null } = {}) {
+    console.log('🔄 Password reset requested for:', email);
+    const users = await databaseService.db.GetUserByEmail({ Email: email });
+    const user = users && users[0];
+    if (!user || !user.isActive) {
+      console.log('⚠️ No active account for password reset:', email);
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await databaseService.transaction(async (tx) => {
+      // Only the latest link works
+      await tx.InvalidateUserPasswordResetTokens(user.id);
+      await tx.InsertPasswordResetToken({
+        userId: user.id,
+        tokenHash: tokenService.hashToken(token),
+        expiresAt: new Date(Date.now() + config.auth.passwordResetTokenTtlMinutes * minuteMs),
+        requestedIp: ipAddress
+      });
+    });
+
+    await mailService.sendPasswordReset(user, token);
+    console.log('✅ Password reset link sent to:', email);
+  }
+
+  // Spend a reset token and set the new password
+  async resetPassword(token, newPassword) {
+    console.log('🔄 Resetting password with reset token...');
+    const resetToken = await databaseService.db.GetPasswordResetTokenByHash(tokenService.hashToken(token));
+
+    if (!resetToken || resetToken.usedAt || new Date(resetToken.expiresAt) <= new Date()) {
+      throw new AuthError('Reset link is invalid or has expired', 400);
+    }
+    if (!resetToken.isActive) {
+      throw new AuthError('Account is deactivated', 400);
+    }
+
+    const passwordHash = await this.hashPassword(newPassword);
+    await databaseService.transaction(async (tx) => {
+      // Claim the token first: a concurrent reset with the same token finds it used
+      const claimed = await tx.MarkPasswordResetTokenUsed(resetToken.id);
+      if (!claimed || !claimed.rowsAffected || claimed.rowsAffected[0] === 0) {
+        throw new AuthError('Reset link is invalid or has expired', 400);
+      }
+      await tx.UpdateUserPassword(resetToken.userId, passwordHash);
+      await tx.InvalidateUserPasswordResetTokens(resetToken.userId);
+      await tx.RevokeUserAuthSessions(resetToken.userId, 'password-reset');
+    });
+
+    console.log('✅ Password reset for user:', resetToken.userId);
+  }
+}
+
+// Create singleton instance
+const passwordService = new PasswordService();
+
+module.exports = passwordService;
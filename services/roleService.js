@@ -0,0 +1,211 @@
+const databaseService = require('./databaseService');
+const { AuthError } = require('./tokenService');
+const { AppError } = require('../utils/appError');
+const { ROLES } = require('../config/permissions');
+
+// Multi-role accounts. A user can hold several roles at once (e.g. Tailor and Seller) and add or
+// remove roles later. Tailor and Seller need a business profile (BusinessInformations, one per
+// user, shared by both roles) which is created from the onboarding data the first time either
+// role is added. Admin and MeasurementBoy are only assigned by admins (/api/admin).
+
+// Roles that run a business
+const BUSINESS_ROLES = [ROLES.TAILOR, ROLES.SELLER, ROLES.TAYLORSELLER];
+
+// Roles users may add to or remove from their own account
+const SELF_SERVICE_ROLES = [ROLES.CUSTOMER, ROLES.TAILOR, ROLES.SELLER];
+
+// Taylorseller predates multi-role accounts and now stands for Tailor + Seller
+const expandRoleNames = (roleNames) => [...new Set(roleNames.flatMap(roleName => (
+  roleName === ROLES.TAYLORSELLER ? [ROLES.TAILOR, ROLES.SELLER] : [roleName]
+)))];
+
+class RoleService {
+  // Role rows for the given names (Taylorseller expanded); throws for unknown names
+  async resolveRoles(roleNames) {
+    const roles = [];
+    for (const roleName of expandRoleNames(roleNames)) {
+      const role = await databaseService.db.GetRoleByName(roleName);
+      if (!role) {
+        throw new AppError(`Invalid role name: ${roleName}. Valid roles are: ${Object.values(ROLES).join(', ')}`, 400);
+      }
+      roles.push(role);
+    }
+    return roles;
+  }
+
+  // Create the business profile (and tailor item prices) of a new Tailor/Seller.
+  // onboarding is { businessInfo, tailoringCategoriesWithDetailsArray } as sent at signup;
+  // user needs id, email, firstName, lastName and phoneNumber for the defaults
+  async createBusinessProfile(tx, user, onboarding = {}) {
+    const { firstName, lastName, phoneNumber, email } = user;
+
+    // Extract business information from request body (nested object)
+    const businessInfo = onboarding.businessInfo || {};
+    console.log('📋 Business info from request:', businessInfo);
+
+    // Create business information with provided data or defaults
+    const businessData = {
+      userId: user.id,
+      businessName: businessInfo.businessName || `${firstName} ${lastName}'s Business`,
+      ownerName: businessInfo.ownerName || `${firstName} ${lastName}`,
+      businessLogo: businessInfo.businessLogo || null,
+      businessDescription: businessInfo.businessDescription || null,
+      mobileNumber: businessInfo.mobileNumber || phoneNumber || '',
+      alternateNumber: businessInfo.alternateNumber || null,
+      email: businessInfo.email || email,
+      shopAddress: businessInfo.shopAddress || null,
+      googleMapLink: businessInfo.googleMapLink || null,
+      gpsLatitude: businessInfo.gpsLatitude || null,
+      gpsLongitude: businessInfo.gpsLongitude || null,
+      workingCity: businessInfo.workingCity || null,
+      serviceTypes: businessInfo.serviceTypes || null,
+      specialization: businessInfo.specialization || null,
+      yearsOfExperience: businessInfo.yearsOfExperience || null,
+      portfolioPhotos: businessInfo.portfolioPhotos || null,
+      certifications: businessInfo.certifications || null,
+      openingTime: businessInfo.openingTime || null,
+      closingTime: businessInfo.closingTime || null,
+      weeklyOff: businessInfo.weeklyOff || null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    console.log('📋 Prepared business data for insertion:', businessData);
+    const businessResult = await tx.InsertBusinessInformation(businessData);
+    const createdBusiness = {
+      businessId: businessResult.businessId,
+      businessName: businessData.businessName,
+      ownerName: businessData.ownerName,
+      workingCity: businessData.workingCity
+    };
+    console.log('✅ Business information created successfully:', createdBusiness);
+
+    // Insert tailoringCategoriesWithDetailsArray into TailorItemPrices
+    // Check multiple possible sources: array directly or JSON string in tailoringCategoriesDetails
+    let tailoringCategoriesWithDetailsArray = onboarding.tailoringCategoriesWithDetailsArray || businessInfo.tailoringCategoriesWithDetailsArray;
+
+    // If not found as array, check tailoringCategoriesDetails (might be a JSON string)
+    if (!tailoringCategoriesWithDetailsArray && businessInfo.tailoringCategoriesDetails) {
+      try {
+        console.log('🔄 Found tailoringCategoriesDetails, attempting to parse JSON string');
+        const parsedDetails = typeof businessInfo.tailoringCategoriesDetails === 'string'
+          ? JSON.parse(businessInfo.tailoringCategoriesDetails)
+          : businessInfo.tailoringCategoriesDetails;
+
+        if (Array.isArray(parsedDetails)) {
+          tailoringCategoriesWithDetailsArray = parsedDetails;
+          console.log('✅ Successfully parsed tailoringCategoriesDetails');
+        }
+      } catch (parseError) {
+        console.error('❌ Error parsing tailoringCategoriesDetails:', parseError);
+        console.log('⚠️ Could not parse tailoringCategoriesDetails as JSON');
+      }
+    }
+
+    if (tailoringCategoriesWithDetailsArray && Array.isArray(tailoringCategoriesWithDetailsArray) && tailoringCategoriesWithDetailsArray.length > 0) {
+      console.log('🔄 Inserting tailor item prices for business:', businessResult.businessId);
+      console.log('📋 Tailoring categories with details array:', tailoringCategoriesWithDetailsArray);
+
+      // Inserted one at a time - a transaction runs a single request at a time
+      const currentTime = new Date().toISOString();
+      for (const item of tailoringCategoriesWithDetailsArray) {
+        const tailorItemPriceData = {
+          BusinessId: businessResult.businessId,
+          ItemId: item.ItemId || null,
+          FullPrice: item.FullPrice || null,
+          DiscountPrice: item.DiscountPrice || null,
+          DiscountType: item.DiscountType || null,
+          DiscountValue: item.DiscountValue || null,
+          EstimatedDays: item.EstimatedDays || null,
+          IsAvailable: item.IsAvailable !== undefined ? item.IsAvailable : true,
+          Notes: item.Notes || null,
+          CreatedAt: currentTime,
+          UpdatedAt: currentTime
+        };
+
+        console.log('📋 Inserting tailor item price:', tailorItemPriceData);
+        await tx.InsertTailorItemPrice(tailorItemPriceData);
+      }
+      console.log('✅ All tailor item prices inserted successfully');
+    } else {
+      console.log('ℹ️ No tailoringCategoriesWithDetailsArray or tailoringCategoriesDetails provided or empty array');
+    }
+
+    return createdBusiness;
+  }
+
+  // Map the roles to the user inside the caller's transaction and onboard business roles.
+  // Returns the business profile created, or null when none was needed
+  async assignRoles(tx, user, roles, onboarding = {}) {
+    for (const role of roles) {
+      console.log('🔄 Assigning role to user:', role.role_name);
+      await tx.InsertUserRole(user.id, role.id);
+    }
+
+    if (!roles.some(role => BUSINESS_ROLES.includes(role.role_name))) {
+      return null;
+    }
+    // Tailor and Seller share one business profile
+    const existingBusiness = await tx.GetBusinessByUserId({ UserId: user.id });
+    if (existingBusiness) {
+      return null;
+    }
+
+    console.log('🔄 Creating business information for user:', user.id);
+    return this.createBusinessProfile(tx, user, onboarding);
+  }
+
+  // Self-service: add a role to the signed-in user's account
+  async addRole(userId, roleName, onboarding = {}) {
+    console.log('🔄 Adding role', roleName, 'to user:', userId);
+    const roleNames = expandRoleNames([roleName]);
+    if (!roleNames.every(name => SELF_SERVICE_ROLES.includes(name))) {
+      throw new AppError(`The ${roleName} role can only be assigned by an admin`, 403);
+    }
+
+    const user = await databaseService.db.GetUserById(userId);
+    if (!user || !user.isActive) {
+      throw new AuthError('Account is deactivated');
+    }
+
+    const userRoles = await databaseService.db.GetUserRoles(userId);
+    const roles = (await this.resolveRoles(roleNames))
+      .filter(role => !userRoles.some(r => r.role_name === role.role_name));
+    if (roles.length === 0) {
+      throw new AppError(`You already have the ${roleName} role`, 409);
+    }
+
+    const business = await databaseService.transaction(tx => this.assignRoles(tx, user, roles, onboarding));
+    console.log('✅ Roles added to user', userId, ':', roles.map(role => role.role_name));
+    return { addedRoles: roles.map(role => role.role_name), business };
+  }
+
+  // Self-service: remove a role from the signed-in user's account. The business profile stays
+  // (orders and prices refer to it) and is used again if a business role is added back
+  async removeRole(userId, roleName) {
+    console.log('🔄 Removing role', roleName, 'from user:', userId);
+    if (![...SELF_SERVICE_ROLES, ROLES.TAYLORSELLER].includes(roleName)) {
+      throw new AppError(`The ${roleName} role can only be removed by an admin`, 403);
+    }
+
+    const userRoles = await databaseService.db.GetUserRoles(userId);
+    const role = userRoles.find(r => r.role_name === roleName);
+    if (!role) {
+      throw new AppError(`You do not have the ${roleName} role`, 404);
+    }
+    if (userRoles.length === 1) {
+      throw new AppError('You must keep at least one role', 400);
+    }
+
+    await databaseService.db.DeleteUserRole(userId, role.id);
+    console.log('✅ Role', roleName, 'removed from user:', userId);
+  }
+}
+
+// Create singleton instance
+const roleService = new RoleService();
+
+module.exports = roleService;
+module.exports.BUSINESS_ROLES = BUSINESS_ROLES;
+module.exports.SELF_SERVICE_ROLES = SELF_SERVICE_ROLES;
+module.exports.expandRoleNames = expandRoleNames;
@@ -0,0 +1,10 @@
+// Development stand-in: prints every SMS to the log instead of sending it
+const send = async (message) => {
+  console.log('📱 ===========================================');
+  console.log(`📱 SMS to: ${message.to}`);
+  console.log(`📱 ${message.text}`);
+  console.log('📱 ===========================================');
+  return { id: null };
+};
+
+module.exports = { name: 'console', send };
@@ -0,0 +1,40 @@
+const config = require('../config');
+
+// Outgoing SMS goes through a provider selected with SMS_PROVIDER (see config/index.js).
+// Each provider exposes send({ to, text }) and resolves once the message is accepted.
+// To deliver through a gateway (Twilio, MSG91, ...) add a provider in services/sms and
+// register it below, or call smsService.setProvider() at startup.
+const providers = {
+  console: () => require('./sms/consoleProvider')
+};
+
+class SmsService {
+  constructor() {
+    this.provider = providers[config.sms.provider]();
+    console.log(`📱 SMS provider: ${this.provider.name}`);
+  }
+
+  // Replace the provider, e.g. with a gateway client or a capturing stub
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  async send({ to, text }) {
+    console.log(`🔄 Sending SMS to ${to}`);
+    const result = await this.provider.send({ to, text });
+    console.log('✅ SMS sent');
+    return result;
+  }
+
+  async sendLoginOtp(phoneNumber, otp) {
+    return this.send({
+      to: phoneNumber,
+      text: `${otp} is your FitFormal login code. It expires in ${config.auth.otp.ttlMinutes} minutes. Do not share it with anyone.`
+    });
+  }
+}
+
+// Create singleton instance
+const smsService = new SmsService();
+
+module.exports = smsService;
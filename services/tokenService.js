@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const databaseService = require('./databaseService');
+const { AppError } = require('../utils/appError');
+
+// Sessions: every login creates an AuthSessions row holding the hash of a refresh token.
+// Access tokens are short lived (JWT_EXPIRES_IN) and carry the session id (sid), so
+// authenticateToken can reject them as soon as the session is revoked or the user deactivated.
+// Refresh tokens rotate on every use; presenting an already rotated token revokes the session.
+// Impersonation sessions (an admin acting as another user) carry the admin in the "act" claim,
+// last IMPERSONATION_TTL_MINUTES and cannot be refreshed.
+// A session can be scoped to one "active role": its access tokens then carry only that role.
+
+const dayMs = 24 * 60 * 60 * 1000;
+const minuteMs = 60 * 1000;
+
+// Raised for credentials or tokens that cannot be used; the message is safe to show to clients.
+// retryAfterSeconds is set for rate limited requests (429); data is returned with the error
+class AuthError extends AppError {
+  constructor(message, statusCode = 401, retryAfterSeconds = null, data = null) {
+    super(message, statusCode, data);
+    this.name = 'AuthError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+class TokenService {
+  // Refresh tokens are only stored as SHA-256 hashes
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  refreshTokenExpiresAt() {
+    return new Date(Date.now() + config.jwt.refreshTokenTtlDays * dayMs);
+  }
+
+  // The active role to keep for a session: null (all roles) once the user no longer holds it
+  resolveActiveRole(userRoles, activeRole) {
+    return activeRole && userRoles.some(r => r.role_name === activeRole) ? activeRole : null;
+  }
+
+  // Sign an access token for the user, with roles as returned by GetUserRoles.
+  // impersonatedBy is the id of the admin acting as the user, activeRole limits the roles carried
+  signAccessToken(user, userRoles, sessionId, { impersonatedBy = null, expiresIn = config.jwt.expiresIn, activeRole = null } = {}) {
+    const tokenRoles = activeRole ? userRoles.filter(r => r.role_name === activeRole) : userRoles;
+    const tokenPayload = {
+      userId: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      roles: tokenRoles.map(r => ({ id: r.id, name: r.role_name })),
+      sid: sessionId
+    };
+    if (activeRole) {
+      tokenPayload.activeRole = activeRole;
+    }
+    if (impersonatedBy) {
+      tokenPayload.act = { userId: impersonatedBy };
+    }
+
+    return jwt.sign(
+      tokenPayload,
+      config.jwt.secret,
+      {
+        expiresIn, // JWT_EXPIRES_IN, 15m by default
+        issuer: config.jwt.issuer,
+        audience: config.jwt.audience
+      }
+    );
+  }
+
+  // Start a session for a user who has just logged in, optionally scoped to one of their roles
+  async createSession(user, userRoles, { userAgent = null, ipAddress = null, activeRole = null } = {}) {
+    console.log('🔄 Creating auth session for user:', user.id);
+    if (activeRole && !this.resolveActiveRole(userRoles, activeRole)) {
+      throw new AuthError(`You do not have the ${activeRole} role`, 400);
+    }
+    const sessionId = crypto.randomUUID();
+    const refreshToken = this.generateRefreshToken();
+    const refreshTokenExpiresAt = this.refreshTokenExpiresAt();
+
+    await databaseService.db.InsertAuthSession({
+      sessionId,
+      userId: user.id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      expiresAt: refreshTokenExpiresAt,
+      userAgent: userAgent ? userAgent.slice(0, 500) : null,
+      ipAddress,
+      activeRole
+    });
+
+    console.log('✅ Auth session created:', sessionId);
+    return {
+      sessionId,
+      accessToken: this.signAccessToken(user, userRoles, sessionId, { activeRole }),
+      refreshToken,
+      refreshTokenExpiresAt,
+      expiresIn: config.jwt.expiresIn,
+      activeRole
+    };
+  }
+
+  // Start a session in which an admin acts as another user (support). Only an access token is
+  // issued; the refresh token is stored but never handed out, so the session ends with the token
+  async createImpersonationSession(user, userRoles, adminUserId, { userAgent = null, ipAddress = null } = {}) {
+    console.log('🔄 Creating impersonation session for user:', user.id, 'by admin:', adminUserId);
+    const sessionId = crypto.randomUUID();
+    const ttlMinutes = config.auth.impersonationTtlMinutes;
+    const expiresAt = new Date(Date.now() + ttlMinutes * minuteMs);
+
+    await databaseService.db.InsertAuthSession({
+      sessionId,
+      userId: user.id,
+      refreshTokenHash: this.hashToken(this.generateRefreshToken()),
+      expiresAt,
+      userAgent: userAgent ? userAgent.slice(0, 500) : null,
+      ipAddress,
+      impersonatedBy: adminUserId
+    });
+
+    console.log('✅ Impersonation session created:', sessionId);
+    return {
+      sessionId,
+      accessToken: this.signAccessToken(user, userRoles, sessionId, {
+        impersonatedBy: adminUserId,
+        expiresIn: ttlMinutes * 60
+      }),
+      expiresAt,
+      expiresIn: ttlMinutes * 60
+    };
+  }
+
+  // Exchange a refresh token for a new access token and refresh token
+  async rotateSession(refreshToken) {
+    console.log('🔄 Rotating refresh token...');
+    const refreshTokenHash = this.hashToken(refreshToken);
+    const session = await databaseService.db.GetAuthSessionByRefreshTokenHash(refreshTokenHash);
+
+    if (!session || session.revokedAt) {
+      throw new AuthError('Invalid refresh token');
+    }
+
+    // A rotated token being replayed means it leaked: end the session for both holders
+    if (session.isPreviousToken) {
+      console.log('⚠️ Refresh token reuse detected, revoking session:', session.sessionId);
+      await databaseService.db.RevokeAuthSession(session.sessionId, 'refresh-token-reuse');
+      throw new AuthError('Invalid refresh token');
+    }
+
+    if (new Date(session.expiresAt) <= new Date()) {
+      throw new AuthError('Refresh token expired');
+    }
+
+    if (!session.isActive) {
+      await databaseService.db.RevokeAuthSession(session.sessionId, 'user-deactivated');
+      throw new AuthError('Account is deactivated');
+    }
+
+    const user = {
+      id: session.userId,
+      email: session.email,
+      firstName: session.firstName,
+      lastName: session.lastName
+    };
+    // Reload roles so role changes apply from the next refresh
+    const userRoles = await databaseService.db.GetUserRoles(user.id);
+    const activeRole = this.resolveActiveRole(userRoles, session.activeRole);
+
+    const newRefreshToken = this.generateRefreshToken();
+    const refreshTokenExpiresAt = this.refreshTokenExpiresAt();
+    const result = await databaseService.db.RotateAuthSessionRefreshToken({
+      sessionId: session.sessionId,
+      refreshTokenHash,
+      newRefreshTokenHash: this.hashToken(newRefreshToken),
+      expiresAt: refreshTokenExpiresAt,
+      activeRole
+    });
+
+    // Lost a race with a concurrent refresh or logout
+    if (!result || !result.rowsAffected || result.rowsAffected[0] === 0) {
+      throw new AuthError('Invalid refresh token');
+    }
+
+    console.log('✅ Refresh token rotated for session:', session.sessionId);
+    return {
+      sessionId: session.sessionId,
+      accessToken: this.signAccessToken(user, userRoles, session.sessionId, { activeRole }),
+      refreshToken: newRefreshToken,
+      refreshTokenExpiresAt,
+      expiresIn: config.jwt.expiresIn,
+      activeRole
+    };
+  }
+
+  // New access token for a live session after the user's roles changed or they switched role.
+  // activeRole: a role name or null (all roles) to switch to, undefined to keep the current one.
+  // The refresh token is unchanged; impersonation sessions keep their admin and end time
+  async reissueAccessToken(sessionId, { activeRole } = {}) {
+    const session = await databaseService.db.GetAuthSessionStatus(sessionId);
+    if (!session || session.revokedAt || new Date(session.expiresAt) <= new Date() || !session.isActive) {
+      throw new AuthError('Session has been revoked, please log in again');
+    }
+
+    const userRoles = await databaseService.db.GetUserRoles(session.userId);
+    if (activeRole && !this.resolveActiveRole(userRoles, activeRole)) {
+      throw new AuthError(`You do not have the ${activeRole} role`, 400);
+    }
+    const nextActiveRole = this.resolveActiveRole(userRoles, activeRole === undefined ? session.activeRole : activeRole);
+    if (nextActiveRole !== (session.activeRole || null)) {
+      await databaseService.db.UpdateAuthSessionActiveRole(sessionId, nextActiveRole);
+    }
+
+    const user = {
+      id: session.userId,
+      email: session.email,
+      firstName: session.firstName,
+      lastName: session.lastName
+    };
+    // Impersonation tokens must not outlive their session
+    const expiresIn = session.impersonatedBy
+      ? Math.floor((new Date(session.expiresAt).getTime() - Date.now()) / 1000)
+      : config.jwt.expiresIn;
+
+    console.log('✅ Access token reissued for session:', sessionId, 'active role:', nextActiveRole);
+    return {
+      accessToken: this.signAccessToken(user, userRoles, sessionId, {
+        impersonatedBy: session.impersonatedBy,
+        expiresIn,
+        activeRole: nextActiveRole
+      }),
+      expiresIn,
+      activeRole: nextActiveRole,
+      roles: userRoles
+    };
+  }
+
+  async revokeSession(sessionId, reason) {
+    await databaseService.db.RevokeAuthSession(sessionId, reason);
+  }
+
+  // Revoke every session of a user (logout everywhere, deactivation, password change)
+  async revokeAllSessions(userId, reason) {
+    await databaseService.db.RevokeUserAuthSessions(userId, reason);
+  }
+
+  // Whether an access token for this session may still be used
+  async isSessionActive(sessionId) {
+    const session = await databaseService.db.GetAuthSessionStatus(sessionId);
+    return Boolean(session)
+      && !session.revokedAt
+      && new Date(session.expiresAt) > new Date()
+      && Boolean(session.isActive);
+  }
+}
+
+// Create singleton instance
+const tokenService = new TokenService();
+
+module.exports = tokenService;
+module.exports.AuthError = AuthError;
@@ -0,0 +1,267 @@
+const databaseService = require('./databaseService');
+const tokenService = require('./tokenService');
+const passwordService = require('./passwordService');
+const roleService = require('./roleService');
+const measurementDispatchService = require('./measurementDispatchService');
+const { AppError } = require('../utils/appError');
+const { ROLES } = require('../config/permissions');
+
+// Admin user management: search, activation, roles, password resets and impersonation.
+// Every change an admin makes to an account is written to AdminAuditLog together with the
+// admin, the target user and the client IP. Deactivation, role revocation and password resets
+// sign the user out everywhere so the change applies immediately.
+
+const ACTIONS = {
+  USER_ACTIVATE: 'user.activate',
+  USER_DEACTIVATE: 'user.deactivate',
+  ROLE_ASSIGN: 'role.assign',
+  ROLE_REVOKE: 'role.revoke',
+  PASSWORD_SET: 'password.set',
+  PASSWORD_RESET_LINK: 'password.reset-link',
+  USER_IMPERSONATE: 'user.impersonate',
+  LOGIN_UNLOCK: 'login.unlock',
+  MEASUREMENT_PROFILE_UPDATE: 'measurement-profile.update'
+};
+
+// Users as shown to admins: never the password hash, roles as a list of names
+const toAdminUser = (user, roleNames) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  phoneNumber: user.phoneNumber,
+  isActive: Boolean(user.isActive),
+  emailVerified: Boolean(user.emailVerifiedAt),
+  emailVerifiedAt: user.emailVerifiedAt,
+  createdAt: user.createdAt,
+  modifiedAt: user.modifiedAt,
+  roles: roleNames
+});
+
+const splitRoles = (roles) => (roles ? String(roles).split(',') : []);
+
+const parseDetails = (details) => {
+  if (!details) {
+    return null;
+  }
+  try {
+    return JSON.parse(details);
+  } catch (error) {
+    return details;
+  }
+};
+
+class UserAdminService {
+  // Write an admin action to the audit log. admin is req.user, context carries the client IP
+  async recordAction(admin, action, targetUserId, details = null, { ipAddress = null } = {}) {
+    await databaseService.db.InsertAdminAuditLog({
+      adminUserId: admin.userId,
+      action,
+      targetUserId,
+      details,
+      ipAddress
+    });
+    console.log(`📋 Admin ${admin.userId} ${action} user ${targetUserId}`);
+  }
+
+  async getUserOrFail(userId) {
+    const user = await databaseService.db.GetUserById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    return user;
+  }
+
+  async getMeasurementBoyOrFail(userId) {
+    await this.getUserOrFail(userId);
+    const userRoles = await databaseService.db.GetUserRoles(userId);
+    if (!userRoles.some(r => r.role_name === ROLES.MEASUREMENT_BOY)) {
+      throw new AppError(`User ${userId} is not a measurement boy`, 400);
+    }
+  }
+
+  // One page of users matching the filters, with the total for paging
+  async listUsers({ search, roleName, isActive, page = 1, pageSize = 20 }) {
+    const filters = { search, roleName, isActive };
+    const [users, total] = await Promise.all([
+      databaseService.db.SearchUsers({ ...filters, offset: (page - 1) * pageSize, pageSize }),
+      databaseService.db.CountUsers(filters)
+    ]);
+
+    return {
+      users: users.map(user => toAdminUser(user, splitRoles(user.roles))),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  async getUser(userId) {
+    const user = await this.getUserOrFail(userId);
+    const userRoles = await databaseService.db.GetUserRoles(userId);
+    return toAdminUser(user, userRoles.map(r => r.role_name));
+  }
+
+  async setActive(admin, userId, isActive, { reason = null, ipAddress = null } = {}) {
+    const user = await this.getUserOrFail(userId);
+    if (!isActive && String(userId) === String(admin.userId)) {
+      throw new AppError('You cannot deactivate your own account', 400);
+    }
+    if (Boolean(user.isActive) === isActive) {
+      return this.getUser(userId);
+    }
+
+    await databaseService.transaction(async (tx) => {
+      await tx.SetUserActive(userId, isActive);
+      if (!isActive) {
+        await tx.RevokeUserAuthSessions(userId, 'user-deactivated');
+      }
+      await this.recordAction(admin, isActive ? ACTIONS.USER_ACTIVATE : ACTIONS.USER_DEACTIVATE, userId, reason ? { reason } : null, { ipAddress });
+    });
+
+    console.log(`✅ User ${userId} ${isActive ? 'activated' : 'deactivated'} by admin ${admin.userId}`);
+    return this.getUser(userId);
+  }
+
+  // Assign a role (Taylorseller stands for Tailor + Seller); Tailor/Seller get a default
+  // business profile when they have none, which the user completes with PUT /api/business/:businessId
+  async assignRole(admin, userId, roleName, { ipAddress = null } = {}) {
+    const user = await this.getUserOrFail(userId);
+    const userRoles = await databaseService.db.GetUserRoles(userId);
+    const roles = (await roleService.resolveRoles([roleName]))
+      .filter(role => !userRoles.some(r => r.role_name === role.role_name));
+    if (roles.length === 0) {
+      throw new AppError(`User already has the ${roleName} role`, 409);
+    }
+
+    await databaseService.transaction(async (tx) => {
+      await roleService.assignRoles(tx, user, roles);
+      for (const role of roles) {
+        await this.recordAction(admin, ACTIONS.ROLE_ASSIGN, userId, { roleName: role.role_name }, { ipAddress });
+      }
+    });
+
+    // New roles reach the user's token at the next refresh or login
+    console.log(`✅ Roles ${roles.map(role => role.role_name).join(', ')} assigned to user ${userId} by admin ${admin.userId}`);
+    return this.getUser(userId);
+  }
+
+  async revokeRole(admin, userId, roleName, { ipAddress = null } = {}) {
+    await this.getUserOrFail(userId);
+    const userRoles = await databaseService.db.GetUserRoles(userId);
+    const role = userRoles.find(r => r.role_name === roleName);
+    if (!role) {
+      throw new AppError(`User does not have the ${roleName} role`, 404);
+    }
+    if (userRoles.length === 1) {
+      throw new AppError('A user must keep at least one role', 400);
+    }
+    if (roleName === ROLES.ADMIN && String(userId) === String(admin.userId)) {
+      throw new AppError('You cannot revoke your own Admin role', 400);
+    }
+
+    await databaseService.transaction(async (tx) => {
+      await tx.DeleteUserRole(userId, role.id);
+      // Tokens still list the revoked role: sign the user out
+      await tx.RevokeUserAuthSessions(userId, 'role-revoked');
+      await this.recordAction(admin, ACTIONS.ROLE_REVOKE, userId, { roleName }, { ipAddress });
+    });
+
+    console.log(`✅ Role ${roleName} revoked from user ${userId} by admin ${admin.userId}`);
+    return this.getUser(userId);
+  }
+
+  // Set a new password directly, or (without newPassword) email the user a reset link
+  async resetPassword(admin, userId, newPassword, { ipAddress = null } = {}) {
+    const user = await this.getUserOrFail(userId);
+    if (!user.isActive) {
+      throw new AppError('Account is deactivated', 400);
+    }
+
+    if (newPassword) {
+      await passwordService.setPassword(userId, newPassword, 'admin-password-reset');
+      await this.recordAction(admin, ACTIONS.PASSWORD_SET, userId, null, { ipAddress });
+      console.log(`✅ Password set for user ${userId} by admin ${admin.userId}`);
+      return { method: 'set' };
+    }
+
+    await passwordService.requestReset(user.email, { ipAddress });
+    await this.recordAction(admin, ACTIONS.PASSWORD_RESET_LINK, userId, null, { ipAddress });
+    console.log(`✅ Password reset link sent to user ${userId} by admin ${admin.userId}`);
+    return { method: 'link' };
+  }
+
+  // Open a short, non-refreshable session as the user for support
+  async impersonate(admin, userId, { userAgent = null, ipAddress = null } = {}) {
+    if (String(userId) === String(admin.userId)) {
+      throw new AppError('You cannot impersonate yourself', 400);
+    }
+    const user = await this.getUserOrFail(userId);
+    if (!user.isActive) {
+      throw new AppError('Account is deactivated', 400);
+    }
+
+    const userRoles = await databaseService.db.GetUserRoles(userId);
+    if (userRoles.some(r => r.role_name === ROLES.ADMIN)) {
+      throw new AppError('Admin accounts cannot be impersonated', 403);
+    }
+
+    const session = await tokenService.createImpersonationSession(user, userRoles, admin.userId, { userAgent, ipAddress });
+    await this.recordAction(admin, ACTIONS.USER_IMPERSONATE, userId, {
+      sessionId: session.sessionId,
+      expiresAt: session.expiresAt.toISOString()
+    }, { ipAddress });
+
+    return {
+      session,
+      user: toAdminUser(user, userRoles.map(r => r.role_name))
+    };
+  }
+
+  // Where a measurement boy works and how many visits they take, as used by auto-dispatch
+  async getMeasurementBoyProfile(userId) {
+    await this.getMeasurementBoyOrFail(userId);
+    return measurementDispatchService.getProfile(userId);
+  }
+
+  async updateMeasurementBoyProfile(admin, userId, changes, { ipAddress = null } = {}) {
+    await this.getMeasurementBoyOrFail(userId);
+
+    const profile = await databaseService.transaction(async () => {
+      const saved = await measurementDispatchService.saveProfile(userId, changes);
+      await this.recordAction(admin, ACTIONS.MEASUREMENT_PROFILE_UPDATE, userId, changes, { ipAddress });
+      return saved;
+    });
+
+    console.log(`✅ Measurement boy profile of user ${userId} updated by admin ${admin.userId}`);
+    return profile;
+  }
+
+  // One page of the audit log, newest first
+  async getAuditLog({ adminUserId, targetUserId, action, since, page = 1, pageSize = 50 }) {
+    const filters = { adminUserId, targetUserId, action, since };
+    const [entries, total] = await Promise.all([
+      databaseService.db.GetAdminAuditLog({ ...filters, offset: (page - 1) * pageSize, pageSize }),
+      databaseService.db.CountAdminAuditLog(filters)
+    ]);
+
+    return {
+      entries: entries.map(entry => ({ ...entry, details: parseDetails(entry.details) })),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const userAdminService = new UserAdminService();
+
+module.exports = userAdminService;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,112 @@
+const databaseService = require('./databaseService');
+const passwordService = require('./passwordService');
+const roleService = require('./roleService');
+const emailVerificationService = require('./emailVerificationService');
+const otpService = require('./otpService');
+const { AppError } = require('../utils/appError');
+const { ROLES } = require('../config/permissions');
+
+// Account registration. registerUser writes the user, their roles, the business profile and
+// tailor item prices (for Tailor/Seller) as one transaction: if any step fails nothing is kept
+// and the client can retry. The new account starts unverified and is sent a verification link.
+
+// Email is unique in Users (mssql: 2627/2601, sqlite: "UNIQUE constraint failed")
+const isDuplicateEmailError = (error) => Boolean(error) && (
+  error.number === 2627
+  || error.number === 2601
+  || /UNIQUE constraint failed: Users\.email/i.test(error.message || '')
+);
+
+const duplicateEmailError = () => new AppError('User with this email already exists', 409);
+
+class UserService {
+  // Register an account. roleNames defaults to Customer and may only hold the roles users pick
+  // themselves (Admin and MeasurementBoy are granted through /api/admin); businessInfo and
+  // tailoringCategoriesWithDetailsArray are the onboarding data of Tailor/Seller.
+  // Returns { user, roles, businessInfo } - the user without the password hash
+  async registerUser({
+    email,
+    password,
+    firstName,
+    lastName,
+    phoneNumber = null,
+    roleNames = [],
+    businessInfo,
+    tailoringCategoriesWithDetailsArray
+  }) {
+    console.log('🔄 Registering user:', email);
+    const requestedRoleNames = roleNames.length > 0 ? roleNames : [ROLES.CUSTOMER];
+    const roles = await roleService.resolveRoles(requestedRoleNames);
+    const adminOnlyRoleName = requestedRoleNames.find(roleName => !roleService.expandRoleNames([roleName])
+      .every(name => roleService.SELF_SERVICE_ROLES.includes(name)));
+    if (adminOnlyRoleName) {
+      throw new AppError(`The ${adminOnlyRoleName} role can only be assigned by an admin`, 403);
+    }
+    console.log('✅ Roles found:', roles.map(r => r.role_name));
+
+    const existingUsers = await databaseService.db.GetUserByEmail({ Email: email });
+    if (existingUsers && existingUsers.length > 0) {
+      console.log('❌ User already exists:', email);
+      throw duplicateEmailError();
+    }
+    await otpService.assertPhoneNumberAvailable(phoneNumber);
+
+    const now = new Date().toISOString();
+    const newUser = {
+      email,
+      password: await passwordService.hashPassword(password),
+      firstName,
+      lastName,
+      phoneNumber: phoneNumber || null,
+      createdAt: now,
+      modifiedAt: now,
+      isActive: true
+    };
+
+    let userId = null;
+    let business = null;
+    try {
+      business = await databaseService.transaction(async (tx) => {
+        const result = await tx.InsertUser(newUser);
+        if (!result || !result.recordset || result.recordset.length === 0) {
+          throw new Error('Failed to retrieve user ID after insertion');
+        }
+        userId = result.recordset[0].id;
+        console.log('✅ User saved with ID:', userId);
+
+        // Roles; Tailor and Seller also get their business profile and item prices
+        return roleService.assignRoles(tx, { id: userId, ...newUser }, roles, {
+          businessInfo,
+          tailoringCategoriesWithDetailsArray
+        });
+      });
+    } catch (error) {
+      // Lost a race with a concurrent signup for the same email
+      if (isDuplicateEmailError(error)) {
+        throw duplicateEmailError();
+      }
+      throw error;
+    }
+
+    // If sending fails the account is still created and the user can ask for a new link
+    // (/verify-email/resend)
+    try {
+      await emailVerificationService.sendVerification({ id: userId, email, firstName });
+    } catch (error) {
+      console.error('⚠️ Error sending verification email:', error);
+    }
+
+    const { password: _, ...userResponse } = newUser;
+    console.log('🎉 User registered successfully:', email);
+    return {
+      user: { id: userId, ...userResponse, emailVerified: false },
+      roles,
+      businessInfo: business
+    };
+  }
+}
+
+// Create singleton instance
+const userService = new UserService();
+
+module.exports = userService;
@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+
+let admin;
+let members;
+
+before(async () => {
+  await testApp.start();
+  admin = await testApp.createUser('admin@example.com', { grantRoles: ['Admin'] });
+  members = [];
+  for (const number of [1, 2, 3]) {
+    members.push(await testApp.createUser(`member${number}@example.com`));
+  }
+});
+after(testApp.stop);
+
+const asAdmin = (method, path, body) => testApp.request(method, `/api/admin${path}`, { token: admin.token, body });
+
+const login = (email) => testApp.request('POST', '/api/auth/login', { body: { email, password: testApp.password } });
+
+test('admins search users a page at a time, without password hashes', async () => {
+  const { status, body } = await asAdmin('GET', '/users?search=member&page=2&pageSize=2');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.pagination, { page: 2, pageSize: 2, total: 3, totalPages: 2 });
+  assert.equal(body.data.length, 1);
+  assert.ok(body.data.every(user => user.email.startsWith('member') && !('password' in user)));
+
+  assert.equal((await testApp.request('GET', '/api/admin/users', { token: members[0].token })).status, 403);
+});
+
+test('deactivation signs the user out and every admin action is audited', async () => {
+  const [member] = members;
+  const userPath = `/users/${member.userId}`;
+
+  assert.equal((await asAdmin('POST', `${userPath}/deactivate`, { reason: 'Support ticket' })).status, 200);
+  assert.equal((await testApp.request('GET', '/api/auth/profile', { token: member.token })).status, 401);
+  assert.notEqual((await login(member.email)).status, 200);
+  assert.equal((await asAdmin('POST', `${userPath}/activate`)).status, 200);
+  assert.equal((await login(member.email)).status, 200);
+
+  const assigned = await asAdmin('POST', `${userPath}/roles`, { roleName: 'MeasurementBoy' });
+  assert.equal(assigned.status, 201);
+  assert.ok(assigned.body.data.roles.includes('MeasurementBoy'));
+  assert.equal((await asAdmin('POST', `${userPath}/roles`, { roleName: 'MeasurementBoy' })).status, 409);
+  const revoked = await asAdmin('DELETE', `${userPath}/roles/MeasurementBoy`);
+  assert.equal(revoked.status, 200);
+  assert.ok(!revoked.body.data.roles.includes('MeasurementBoy'));
+
+  const { body } = await asAdmin('GET', `/audit-log?targetUserId=${member.userId}`);
+  assert.deepEqual(body.data.map(entry => entry.action).reverse(), ['user.deactivate', 'user.activate', 'role.assign', 'role.revoke']);
+  assert.ok(body.data.every(entry => String(entry.adminUserId) === String(admin.userId)));
+  assert.equal(body.data.at(-1).details.reason, 'Support ticket');
+});
+
+test('impersonation acts as the user but cannot change their password', async () => {
+  const member = members[1];
+  const impersonated = await asAdmin('POST', `/users/${member.userId}/impersonate`);
+  assert.equal(impersonated.status, 201);
+  const { token } = impersonated.body.data;
+
+  const profile = await testApp.request('GET', '/api/auth/profile', { token });
+  assert.equal(profile.body.data.user.email, member.email);
+  const changed = await testApp.request('POST', '/api/auth/change-password', {
+    token,
+    body: { currentPassword: testApp.password, newPassword: 'Changed2!' }
+  });
+  assert.equal(changed.status, 403);
+
+  assert.equal((await asAdmin('POST', `/users/${admin.userId}/impersonate`)).status, 400);
+});
@@ -0,0 +1,51 @@
+process.env.NODE_ENV = 'test';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+const config = require('../config');
+const { loadConfig } = config;
+
+before(testApp.start);
+after(testApp.stop);
+
+// What a developer fills in after copying .env.example
+const developmentEnv = { NODE_ENV: 'development', JWT_SECRET: 'dev-secret', DB_USER: 'sa', DB_PASSWORD: 'dev-password' };
+
+test('a development setup from .env.example starts without ngrok', () => {
+  const development = loadConfig(developmentEnv);
+  assert.equal(development.ngrok.enabled, false);
+  assert.equal(development.database.mssql.password, 'dev-password');
+});
+
+test('development has no built-in database credentials', () => {
+  assert.throws(
+    () => loadConfig({ NODE_ENV: 'development', JWT_SECRET: 'dev-secret', DB_PASSWORD: '' }),
+    error => ['DB_USER is required', 'DB_PASSWORD is required'].every(problem => error.problems.includes(problem))
+  );
+});
+
+test('ngrok still needs a token when it is turned on', () => {
+  assert.throws(
+    () => loadConfig({ ...developmentEnv, NGROK_ENABLED: 'true' }),
+    error => error.problems.some(problem => problem.includes('NGROK_AUTHTOKEN'))
+  );
+});
+
+test('error details in 500 responses follow the configured environment', async (t) => {
+  t.mock.method(testApp.db, 'GetAllProductTypes', async () => {
+    throw new Error('product types table is gone');
+  });
+  const isDevelopment = config.isDevelopment;
+  t.after(() => { config.isDevelopment = isDevelopment; });
+
+  config.isDevelopment = true;
+  const development = await testApp.request('GET', '/api/products/getAllProductTypes');
+  assert.equal(development.status, 500);
+  assert.equal(development.body.error, 'product types table is gone');
+
+  config.isDevelopment = false;
+  const otherwise = await testApp.request('GET', '/api/products/getAllProductTypes');
+  assert.equal(otherwise.status, 500);
+  assert.equal(otherwise.body.error, undefined);
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+const { executeQuery, runInTransaction } = require('../config/database');
+
+before(testApp.start);
+after(testApp.stop);
+
+test('concurrent transactions take the connection one at a time', async () => {
+  await executeQuery('CREATE TABLE TransactionProbe (id INTEGER PRIMARY KEY, label TEXT)');
+
+  const results = await Promise.allSettled([1, 2, 3, 4, 5].map(id => runInTransaction(async () => {
+    await executeQuery('INSERT INTO TransactionProbe (id, label) VALUES (@id, @label)', { id, label: 'first' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await executeQuery('UPDATE TransactionProbe SET label = @label WHERE id = @id', { id, label: 'second' });
+  })));
+
+  assert.deepEqual(results.map(result => result.status), Array(5).fill('fulfilled'));
+  const rows = (await executeQuery('SELECT id, label FROM TransactionProbe ORDER BY id')).recordset;
+  assert.deepEqual(rows.map(row => row.label), Array(5).fill('second'));
+});
+
+test('a query outside a transaction waits for the open one and is not rolled back with it', async () => {
+  await executeQuery('CREATE TABLE TransactionProbeOutside (id INTEGER PRIMARY KEY)');
+
+  // Registered outside the transaction's call chain, run once the transaction holds the connection
+  let transactionStarted;
+  const outside = new Promise(resolve => { transactionStarted = resolve; })
+    .then(() => executeQuery('INSERT INTO TransactionProbeOutside (id) VALUES (2)'));
+
+  const failing = runInTransaction(async () => {
+    await executeQuery('INSERT INTO TransactionProbeOutside (id) VALUES (1)');
+    transactionStarted();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    throw new Error('roll back');
+  });
+
+  await assert.rejects(failing, /roll back/);
+  await outside;
+  const rows = (await executeQuery('SELECT id FROM TransactionProbeOutside ORDER BY id')).recordset;
+  assert.deepEqual(rows.map(row => row.id), [2]);
+});
+
+test('query parameter logs leave out password and token hashes', async (t) => {
+  const logged = t.mock.method(console, 'log', () => {});
+  await testApp.createUser('logged@example.com');
+  logged.mock.restore();
+
+  const [user] = await testApp.db.GetUserByEmail({ Email: 'logged@example.com' });
+  const parameterLogs = logged.mock.calls
+    .filter(call => /parameters/.test(call.arguments[0]))
+    .map(call => JSON.stringify(call.arguments.slice(1)));
+
+  assert.ok(parameterLogs.some(line => line.includes('[redacted]')));
+  for (const line of parameterLogs) {
+    assert.ok(!line.includes(user.password), line);
+    assert.ok(!/"(tokenHash|refreshTokenHash|password)":\{"value"/.test(line), line);
+  }
+});
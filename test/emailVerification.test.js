@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+const config = require('../config');
+
+before(testApp.start);
+after(testApp.stop);
+
+const email = 'new.customer@example.com';
+
+const login = () => testApp.request('POST', '/api/auth/login', { body: { email, password: testApp.password } });
+
+const verify = (token) => testApp.request('GET', `/api/auth/verify-email?token=${encodeURIComponent(token)}`);
+
+test('new accounts log in only once the latest emailed link is followed', async (t) => {
+  const signup = await testApp.request('POST', '/api/auth/signup', {
+    body: { email, password: testApp.password, firstName: 'New', lastName: 'Customer', phoneNumber: '9123456780' }
+  });
+  assert.equal(signup.status, 201, JSON.stringify(signup.body));
+  const firstLink = testApp.lastMailedToken(email, 'verify-email');
+  assert.ok(firstLink);
+
+  const unverified = await login();
+  assert.equal(unverified.status, 403);
+  assert.equal(unverified.body.data.emailVerified, false);
+
+  // A new link only after the cooldown; it replaces the first one
+  const tooSoon = await testApp.request('POST', '/api/auth/verify-email/resend', { body: { email } });
+  assert.equal(tooSoon.status, 429);
+  const cooldownSeconds = config.auth.emailVerificationResendCooldownSeconds;
+  t.after(() => { config.auth.emailVerificationResendCooldownSeconds = cooldownSeconds; });
+  config.auth.emailVerificationResendCooldownSeconds = 0;
+  const resent = await testApp.request('POST', '/api/auth/verify-email/resend', { body: { email } });
+  assert.equal(resent.status, 200);
+  const latestLink = testApp.lastMailedToken(email, 'verify-email');
+  assert.notEqual(latestLink, firstLink);
+
+  assert.equal((await verify(firstLink)).status, 400);
+  assert.equal((await verify('not-a-token')).status, 400);
+  const verified = await verify(latestLink);
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.data.emailVerified, true);
+  assert.equal((await login()).status, 200);
+
+  // Following the link again is harmless
+  assert.equal((await verify(latestLink)).status, 200);
+});
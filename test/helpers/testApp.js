@@ -0,0 +1,207 @@
+// Boots the API for a test file: the test profile (in-memory SQLite, see config/index.js), the
+// migrations and seeds, and a server on a free port. Every test file runs in its own process, so
+// each one starts from an empty database. Set TEST_VERBOSE=1 to see the application logs.
+process.env.NODE_ENV = 'test';
+process.env.DB_DRIVER = 'sqlite';
+delete process.env.SQLITE_FILE;
+
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+const app = require('../../app');
+const databaseService = require('../../services/databaseService');
+const migrationService = require('../../services/migrationService');
+const mailService = require('../../services/mailService');
+const smsService = require('../../services/smsService');
+const roleService = require('../../services/roleService');
+const { closeConnection } = require('../../config/database');
+
+const password = 'Secret1!';
+
+// Mail is captured instead of printed so tests can follow the links in it
+const sentMail = [];
+mailService.setTransport({
+  name: 'capture',
+  send: async (message) => {
+    sentMail.push(message);
+  }
+});
+
+// SMS too, for the login codes in it
+const sentSms = [];
+smsService.setProvider({
+  name: 'capture',
+  send: async (message) => {
+    sentSms.push(message);
+  }
+});
+
+let server = null;
+let baseUrl = null;
+let phoneCounter = 0;
+
+const start = async () => {
+  await migrationService.up();
+  await migrationService.seed();
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+};
+
+const stop = async () => {
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+  }
+  await closeConnection();
+};
+
+// Call the API; resolves to { status, body }
+const request = async (method, path, { body, token } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+// Token from the last link of the given path mailed to the address
+const lastMailedToken = (to, linkPath) => {
+  const pattern = new RegExp(`${linkPath}\\?token=([^\\s&]+)`);
+  const message = [...sentMail].reverse().find(mail => mail.to === to && pattern.test(mail.text));
+  return message ? decodeURIComponent(message.text.match(pattern)[1]) : null;
+};
+
+// Login code of the last SMS sent to the phone number
+const lastSmsCode = (to) => {
+  const message = [...sentSms].reverse().find(sms => sms.to === to);
+  return message ? message.text.match(/^(\d+)/)[1] : null;
+};
+
+const login = async (email, activeRole) => {
+  const { body } = await request('POST', '/api/auth/login', { body: { email, password, activeRole } });
+  return body.data.token;
+};
+
+// Sign up and verify an account. Roles signup does not allow (Admin, MeasurementBoy) are granted
+// directly in the database, as an admin would. Resolves to { userId, email, phoneNumber, token }
+const createUser = async (email, { roleName = 'Customer', grantRoles = [], activeRole } = {}) => {
+  phoneCounter += 1;
+  const phoneNumber = `98765${String(phoneCounter).padStart(5, '0')}`;
+  const signup = await request('POST', '/api/auth/signup', {
+    body: {
+      email,
+      password,
+      firstName: 'Test',
+      lastName: 'User',
+      phoneNumber,
+      roleName
+    }
+  });
+  if (signup.status !== 201) {
+    throw new Error(`Signup of ${email} failed: ${JSON.stringify(signup.body)}`);
+  }
+  const userId = signup.body.data.user.id;
+
+  await request('GET', `/api/auth/verify-email?token=${encodeURIComponent(lastMailedToken(email, 'verify-email'))}`);
+  for (const role of await roleService.resolveRoles(grantRoles)) {
+    await databaseService.db.InsertUserRole(userId, role.id);
+  }
+
+  return { userId, email, phoneNumber, token: await login(email, activeRole) };
+};
+
+// Register a business for a tailor or seller directly in the database; resolves to its businessId
+const createBusiness = async (owner, businessName = 'Test Tailors') => {
+  await databaseService.db.InsertBusinessInformation({ userId: owner.userId, businessName, email: owner.email });
+  const business = await databaseService.db.GetBusinessByUserId({ UserId: owner.userId });
+  return business.businessId;
+};
+
+const measurementAddress = {
+  fullName: 'Test Customer',
+  phoneNumber: '9876543210',
+  addressLine1: '1 Main Road',
+  city: 'Pune',
+  state: 'MH',
+  pincode: '411001',
+  country: 'India'
+};
+
+// Order with a Shirt and a Lungi item and a measurement address, placed by the customer
+const createOrder = async (customer, extra = {}) => {
+  const { status, body } = await request('POST', '/api/createOrder', {
+    token: customer.token,
+    body: {
+      customerId: customer.userId,
+      orderType: 'Stitching',
+      orderItems: [
+        { itemType: 'Shirt', quantity: 1, unitPrice: 500 },
+        { itemType: 'Lungi', quantity: 1, unitPrice: 100 }
+      ],
+      measurementAddressType: 'Measurement',
+      measurementAddress,
+      ...extra
+    }
+  });
+  if (status !== 201) {
+    throw new Error(`createOrder failed: ${JSON.stringify(body)}`);
+  }
+  return { orderId: body.data.order.orderId, orderItems: body.data.orderItems };
+};
+
+// Assign the measurement boy to the order as the admin; actions (e.g. ['accept', 'start']) are
+// then taken by the measurement boy
+const assignMeasurementBoy = async (admin, orderId, measurementBoy, actions = []) => {
+  const assigned = await request('POST', `/api/orders/${orderId}/measurement-boy`, {
+    token: admin.token,
+    body: { measurementBoyId: measurementBoy.userId }
+  });
+  if (assigned.status !== 201 && assigned.status !== 200) {
+    throw new Error(`Assigning order ${orderId} failed: ${JSON.stringify(assigned.body)}`);
+  }
+  for (const action of actions) {
+    const { status, body } = await request('POST', `/api/measurement-boy/orders/${orderId}/${action}`, { token: measurementBoy.token });
+    if (status !== 200) {
+      throw new Error(`Assignment ${action} of order ${orderId} failed: ${JSON.stringify(body)}`);
+    }
+  }
+};
+
+// Submit measurements of one order item as the measurement boy; resolves to { status, body }
+const submitMeasurements = (measurementBoy, orderItemId, fields) => request('POST', '/api/measurement-boy/submit-measurement', {
+  token: measurementBoy.token,
+  body: { measurements: { orderItemId, ...fields } }
+});
+
+// Values for every Shirt template key
+const shirtMeasurements = { CHEST: 40, WAIST: 34, SHOULDER: 18, SLEEVE: 25, LENGTH: 30, NECK: 15.5, CUFF: 9 };
+
+module.exports = {
+  start,
+  stop,
+  request,
+  password,
+  login,
+  createUser,
+  createBusiness,
+  createOrder,
+  assignMeasurementBoy,
+  submitMeasurements,
+  lastMailedToken,
+  lastSmsCode,
+  sentMail,
+  sentSms,
+  measurementAddress,
+  shirtMeasurements,
+  db: databaseService.db
+};
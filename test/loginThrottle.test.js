@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+const config = require('../config');
+const { executeQuery } = require('../config/database');
+const loginThrottleService = require('../services/loginThrottleService');
+
+before(testApp.start);
+after(testApp.stop);
+
+const { maxFailedAttempts, lockoutMinutes } = config.auth.login;
+
+const login = (email, password) => testApp.request('POST', '/api/auth/login', { body: { email, password } });
+
+// Failed logins counted directly, without the waits between them
+const failLogins = async (email, count) => {
+  let lockout = null;
+  for (let i = 0; i < count; i += 1) {
+    lockout = await loginThrottleService.recordFailure(email, null, { reason: 'invalid-password' });
+  }
+  return lockout;
+};
+
+const minutesUntil = (date) => Math.round((new Date(date).getTime() - Date.now()) / 60000);
+
+test('failed logins have to wait longer before the next attempt', async () => {
+  const user = await testApp.createUser('slow@example.com');
+  assert.equal((await login(user.email, 'Wrong1!')).status, 401);
+  assert.equal((await login(user.email, 'Wrong1!')).status, 401);
+
+  // The right password has to wait too
+  const waiting = await login(user.email, 'Secret1!');
+  assert.equal(waiting.status, 429);
+  assert.match(waiting.body.message, /wait 1 seconds/);
+});
+
+test('the failure limit locks the account, for longer each time', async () => {
+  const user = await testApp.createUser('locked@example.com');
+  const lockout = await failLogins(user.email, maxFailedAttempts);
+  assert.equal(lockout.statusCode, 429);
+
+  const locked = await login(user.email, 'Secret1!');
+  assert.equal(locked.status, 429);
+  assert.equal(minutesUntil(locked.body.data.lockedUntil), lockoutMinutes);
+
+  // Once the lockout is over the next one lasts twice as long
+  await executeQuery('UPDATE LoginThrottles SET lockedUntil = @lockedUntil WHERE identifier = @email', { lockedUntil: new Date(Date.now() - 1000).toISOString(), email: user.email });
+  const again = await failLogins(user.email, maxFailedAttempts);
+  assert.equal(minutesUntil(again.data.lockedUntil), lockoutMinutes * 2);
+});
+
+test('parallel failed logins all count towards the lockout', async () => {
+  const user = await testApp.createUser('parallel@example.com');
+
+  const lockouts = await Promise.all(Array.from({ length: maxFailedAttempts }, () =>
+    loginThrottleService.recordFailure(user.email, null, { reason: 'invalid-password' })));
+
+  assert.equal(lockouts.filter(Boolean).length, 1);
+  const [status] = await loginThrottleService.getStatus({ email: user.email });
+  assert.equal(status.locked, true);
+  assert.equal(status.lockoutCount, 1);
+});
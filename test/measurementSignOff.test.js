@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+
+let admin;
+let customer;
+let measurementBoy;
+
+before(async () => {
+  await testApp.start();
+  admin = await testApp.createUser('admin@example.com', { grantRoles: ['Admin'] });
+  customer = await testApp.createUser('customer@example.com');
+  measurementBoy = await testApp.createUser('boy@example.com', { grantRoles: ['MeasurementBoy'] });
+});
+after(testApp.stop);
+
+// Order whose Shirt and Lungi are measured and approved by the customer
+const approvedOrder = async () => {
+  const { orderId, orderItems } = await testApp.createOrder(customer);
+  const [shirt, lungi] = orderItems;
+  await testApp.assignMeasurementBoy(admin, orderId, measurementBoy, ['accept', 'start']);
+  await testApp.submitMeasurements(measurementBoy, shirt.orderItemId, testApp.shirtMeasurements);
+  await testApp.submitMeasurements(measurementBoy, lungi.orderItemId, { LENGTH: 40 });
+
+  const { status } = await decide(orderId, [shirt, lungi].map(item => ({ orderItemId: item.orderItemId, decision: 'approve' })));
+  assert.equal(status, 200);
+  return { orderId, shirt, lungi };
+};
+
+const decide = (orderId, items) => testApp.request('POST', `/api/measurement-sign-off/orders/${orderId}`, {
+  token: customer.token,
+  body: { items }
+});
+
+const moveItem = async (orderId, orderItem, statuses) => {
+  for (const status of statuses) {
+    const moved = await testApp.request('POST', `/api/orders/${orderId}/items/${orderItem.orderItemId}/status`, {
+      token: admin.token,
+      body: { status }
+    });
+    assert.equal(moved.status, 200, `${orderItem.itemType} -> ${status}`);
+  }
+};
+
+const signOffStatus = async (orderId, orderItem) => {
+  const { body } = await testApp.request('GET', `/api/measurement-sign-off/orders/${orderId}`, { token: customer.token });
+  return body.data.items.find(item => item.orderItemId === orderItem.orderItemId).signOffStatus;
+};
+
+test('stitching needs the customer\'s approval', async () => {
+  const { orderId, orderItems } = await testApp.createOrder(customer);
+  const [shirt] = orderItems;
+  await testApp.assignMeasurementBoy(admin, orderId, measurementBoy, ['accept', 'start']);
+  await testApp.submitMeasurements(measurementBoy, shirt.orderItemId, testApp.shirtMeasurements);
+  await moveItem(orderId, shirt, ['Measured', 'FabricReceived']);
+
+  const { status } = await testApp.request('POST', `/api/orders/${orderId}/items/${shirt.orderItemId}/status`, {
+    token: admin.token,
+    body: { status: 'Stitching' }
+  });
+  assert.equal(status, 409);
+});
+
+test('measurements stay approved once stitching has started', async () => {
+  const { orderId, shirt } = await approvedOrder();
+  await moveItem(orderId, shirt, ['FabricReceived', 'Stitching']);
+
+  const dispute = await decide(orderId, [{ orderItemId: shirt.orderItemId, decision: 'dispute', comment: 'Too tight' }]);
+  assert.equal(dispute.status, 409);
+
+  const correction = await testApp.submitMeasurements(measurementBoy, shirt.orderItemId, {
+    ...testApp.shirtMeasurements,
+    CHEST: 42,
+    reason: 'Measured again'
+  });
+  assert.equal(correction.status, 409);
+  assert.equal(await signOffStatus(orderId, shirt), 'Approved');
+});
+
+test('measurements can still be corrected until stitching starts', async () => {
+  const { orderId, lungi } = await approvedOrder();
+  await moveItem(orderId, lungi, ['FabricReceived']);
+
+  const correction = await testApp.submitMeasurements(measurementBoy, lungi.orderItemId, { LENGTH: 41, reason: 'Measured again' });
+  assert.equal(correction.status, 201);
+  assert.equal(await signOffStatus(orderId, lungi), 'Pending');
+});
@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+
+let admin;
+let customer;
+let scheduleId;
+
+const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+before(async () => {
+  await testApp.start();
+  admin = await testApp.createUser('admin@example.com', { grantRoles: ['Admin'] });
+  customer = await testApp.createUser('customer@example.com');
+
+  // One visit per slot in the test address's pincode, every day of the week
+  const { status, body } = await testApp.request('POST', '/api/measurement-slots/schedules', {
+    token: admin.token,
+    body: {
+      name: 'Pune team',
+      city: testApp.measurementAddress.city,
+      pincodes: [testApp.measurementAddress.pincode],
+      startTime: '10:00',
+      endTime: '14:00',
+      slotMinutes: 60,
+      maxBookings: 1
+    }
+  });
+  assert.equal(status, 201, JSON.stringify(body));
+  scheduleId = body.data.scheduleId;
+});
+after(testApp.stop);
+
+const slotItem = (measurementSlot) => ({ itemType: 'Shirt', quantity: 1, unitPrice: 500, measurementDate: tomorrow, measurementSlot });
+
+const placeOrder = (orderItems) => testApp.request('POST', '/api/createOrder', {
+  token: customer.token,
+  body: {
+    customerId: customer.userId,
+    orderItems,
+    measurementAddressType: 'Measurement',
+    measurementAddress: testApp.measurementAddress
+  }
+});
+
+const bookedCount = async (slotStart) => {
+  const { body } = await testApp.request('GET', `/api/measurement-slots?date=${tomorrow}&pincode=${testApp.measurementAddress.pincode}&includeUnavailable=true`, {
+    token: customer.token
+  });
+  return body.data.slots.find(slot => slot.start === slotStart).booked;
+};
+
+test('concurrent orders cannot both take the last place of a slot', async () => {
+  const results = await Promise.all([1, 2, 3].map(() => placeOrder([slotItem('10:00')])));
+
+  assert.deepEqual(results.map(result => result.status).sort(), [201, 409, 409]);
+  assert.equal(await bookedCount('10:00'), 1);
+});
+
+test('items added to or changed on an order book their slots like new orders', async () => {
+  // 10:00 is full (taken above), 13:00 closed
+  const closure = await testApp.request('POST', `/api/measurement-slots/schedules/${scheduleId}/closures`, {
+    token: admin.token,
+    body: { closedDate: tomorrow, slotStart: '13:00', reason: 'Team meeting' }
+  });
+  assert.equal(closure.status, 201);
+
+  const { orderId, orderItems: [shirt] } = await testApp.createOrder(customer);
+  const addItem = (measurementSlot) => testApp.request('POST', `/api/orders/${orderId}/items`, {
+    token: customer.token,
+    body: slotItem(measurementSlot)
+  });
+  const updateItem = (orderItemId, measurementSlot) => testApp.request('PUT', `/api/orders/${orderId}/items/${orderItemId}`, {
+    token: customer.token,
+    body: { measurementDate: tomorrow, measurementSlot }
+  });
+
+  assert.equal((await addItem('10:00')).status, 409);
+  assert.equal((await addItem('13:00')).status, 409);
+  assert.equal((await addItem('09:00')).status, 400);
+  const added = await addItem('11:00');
+  assert.equal(added.status, 201);
+  assert.equal(added.body.data.measurementSlot, '11:00-12:00');
+  assert.equal(await bookedCount('11:00'), 1);
+
+  // A second item shares the order's visit
+  assert.equal((await updateItem(shirt.orderItemId, '11:00')).status, 200);
+  assert.equal(await bookedCount('11:00'), 1);
+
+  assert.equal((await updateItem(shirt.orderItemId, '10:00')).status, 409);
+  assert.equal((await updateItem(shirt.orderItemId, '12:00')).status, 200);
+  assert.equal((await updateItem(added.body.data.orderItemId, '12:00')).status, 200);
+  assert.equal(await bookedCount('11:00'), 0);
+  assert.equal(await bookedCount('12:00'), 1);
+});
+
+test('cancelled and deleted items free their slot once no other item of the order uses it', async () => {
+  // 11:00 is the only slot left open (see above)
+  const placeSharedVisit = async () => {
+    const { status, body } = await placeOrder([slotItem('11:00'), slotItem('11:00')]);
+    assert.equal(status, 201, JSON.stringify(body));
+    return body.data.orderItems.map(orderItem => `/api/orders/${body.data.order.orderId}/items/${orderItem.orderItemId}`);
+  };
+  const cancelItem = (itemPath) => testApp.request('POST', `${itemPath}/status`, {
+    token: customer.token,
+    body: { status: 'Cancelled' }
+  });
+  const deleteItem = (itemPath) => testApp.request('DELETE', itemPath, { token: customer.token });
+
+  const cancelled = await placeSharedVisit();
+  assert.equal((await cancelItem(cancelled[0])).status, 200);
+  assert.equal(await bookedCount('11:00'), 1);
+  assert.equal((await cancelItem(cancelled[1])).status, 200);
+  assert.equal(await bookedCount('11:00'), 0);
+
+  const deleted = await placeSharedVisit();
+  assert.equal((await deleteItem(deleted[0])).status, 200);
+  assert.equal(await bookedCount('11:00'), 1);
+  assert.equal((await deleteItem(deleted[1])).status, 200);
+  assert.equal(await bookedCount('11:00'), 0);
+
+  assert.equal((await placeOrder([slotItem('11:00')])).status, 201);
+});
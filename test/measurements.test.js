@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+const measurementAssignmentService = require('../services/measurementAssignmentService');
+const measurementHistoryService = require('../services/measurementHistoryService');
+const orderStatusService = require('../services/orderStatusService');
+
+let admin;
+let customer;
+let measurementBoy;
+
+before(async () => {
+  await testApp.start();
+  admin = await testApp.createUser('admin@example.com', { grantRoles: ['Admin'] });
+  customer = await testApp.createUser('customer@example.com');
+  measurementBoy = await testApp.createUser('boy@example.com', { grantRoles: ['MeasurementBoy'] });
+});
+after(testApp.stop);
+
+const history = async (orderId, orderItem) => {
+  const { body } = await testApp.request('GET', `/api/orders/${orderId}/items/${orderItem.orderItemId}/measurement-history`, { token: customer.token });
+  return body.data;
+};
+
+// The order's moves to MeasurementScheduled
+const scheduledMoves = async (orderId) => {
+  const { body } = await testApp.request('GET', `/api/orders/${orderId}/status-history`, { token: customer.token });
+  return body.data.filter(entry => entry.toStatus === 'MeasurementScheduled');
+};
+
+test('measurements are submitted once the visit has started', async () => {
+  const { orderId, orderItems: [shirt] } = await testApp.createOrder(customer);
+
+  await testApp.assignMeasurementBoy(admin, orderId, measurementBoy);
+  assert.equal((await testApp.submitMeasurements(measurementBoy, shirt.orderItemId, testApp.shirtMeasurements)).status, 409);
+
+  await testApp.request('POST', `/api/measurement-boy/orders/${orderId}/accept`, { token: measurementBoy.token });
+  assert.equal((await testApp.submitMeasurements(measurementBoy, shirt.orderItemId, testApp.shirtMeasurements)).status, 409);
+
+  await testApp.request('POST', `/api/measurement-boy/orders/${orderId}/start`, { token: measurementBoy.token });
+  assert.equal((await testApp.submitMeasurements(measurementBoy, shirt.orderItemId, testApp.shirtMeasurements)).status, 201);
+
+  // Corrections after the visit
+  await testApp.request('POST', `/api/measurement-boy/orders/${orderId}/complete`, { token: measurementBoy.token });
+  const correction = await testApp.submitMeasurements(measurementBoy, shirt.orderItemId, { CHEST: 41, reason: 'Measured again' });
+  assert.equal(correction.status, 201);
+});
+
+test('a submission that fails partway leaves nothing behind', async (t) => {
+  const { orderId, orderItems: [shirt] } = await testApp.createOrder(customer);
+  await testApp.assignMeasurementBoy(admin, orderId, measurementBoy, ['accept', 'start']);
+
+  const recordChange = measurementHistoryService.recordChange;
+  let calls = 0;
+  t.mock.method(measurementHistoryService, 'recordChange', async function (...args) {
+    calls += 1;
+    if (calls === 3) {
+      throw new Error('history write failed');
+    }
+    return recordChange.apply(this, args);
+  });
+
+  const failed = await testApp.submitMeasurements(measurementBoy, shirt.orderItemId, testApp.shirtMeasurements);
+  assert.equal(failed.status, 500);
+  assert.deepEqual(await history(orderId, shirt), []);
+  assert.deepEqual(await testApp.db.GetMeasurementsByOrderItemId(shirt.orderItemId), []);
+
+  t.mock.restoreAll();
+  assert.equal((await testApp.submitMeasurements(measurementBoy, shirt.orderItemId, testApp.shirtMeasurements)).status, 201);
+  assert.equal((await history(orderId, shirt)).length, Object.keys(testApp.shirtMeasurements).length);
+});
+
+test('concurrent assigns give the order exactly one measurement boy', async () => {
+  const { orderId, orderItems } = await testApp.createOrder(customer);
+  const otherBoy = await testApp.createUser('other.boy@example.com', { grantRoles: ['MeasurementBoy'] });
+
+  const results = await Promise.allSettled([measurementBoy, otherBoy, measurementBoy]
+    .map(boy => measurementAssignmentService.assign(orderId, boy.userId)));
+
+  const assigned = results.filter(result => result.status === 'fulfilled');
+  assert.equal(assigned.length, 1);
+  assert.deepEqual(results.filter(result => result.status === 'rejected').map(result => result.reason.statusCode), [409, 409]);
+  const assignment = await testApp.db.GetMeasurementBoyAssignmentByOrderId(orderId);
+  assert.equal(String(assignment.measurementBoyId), String(assigned[0].value.measurementBoyId));
+  assert.equal((await scheduledMoves(orderId)).length, orderItems.length);
+});
+
+test('an assign that fails partway leaves the order unassigned', async (t) => {
+  const { orderId, orderItems } = await testApp.createOrder(customer);
+
+  t.mock.method(orderStatusService, 'advanceOrder', async () => {
+    throw new Error('status update failed');
+  });
+  await assert.rejects(measurementAssignmentService.assign(orderId, measurementBoy.userId), /status update failed/);
+  assert.equal(await testApp.db.GetMeasurementBoyAssignmentByOrderId(orderId), null);
+
+  t.mock.restoreAll();
+  await testApp.assignMeasurementBoy(admin, orderId, measurementBoy);
+  assert.equal((await scheduledMoves(orderId)).length, orderItems.length);
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+
+let customer;
+
+before(async () => {
+  await testApp.start();
+  customer = await testApp.createUser('customer@example.com');
+});
+after(testApp.stop);
+
+const statusHistory = async (orderId) => {
+  const { body } = await testApp.request('GET', `/api/orders/${orderId}/status-history`, { token: customer.token });
+  return body.data;
+};
+
+test('orders are deleted only while every item is Placed', async () => {
+  const placed = await testApp.createOrder(customer);
+  const deleted = await testApp.request('DELETE', `/api/orders/${placed.orderId}`, { token: customer.token });
+  assert.equal(deleted.status, 200);
+
+  const { orderId, orderItems } = await testApp.createOrder(customer);
+  await testApp.db.UpdateOrderItemStatus(orderItems[0].orderItemId, { status: 'Stitching', fromStatus: 'Placed' });
+
+  const rejected = await testApp.request('DELETE', `/api/orders/${orderId}`, { token: customer.token });
+  assert.equal(rejected.status, 409);
+  assert.match(rejected.body.message, /cancel/);
+  const { status } = await testApp.request('GET', `/api/orders/${orderId}`, { token: customer.token });
+  assert.equal(status, 200);
+  assert.ok((await statusHistory(orderId)).length > 0);
+
+  const missing = await testApp.request('DELETE', '/api/orders/999999', { token: customer.token });
+  assert.equal(missing.status, 404);
+});
+
+test('order items are deleted only while Placed', async () => {
+  const { orderId, orderItems } = await testApp.createOrder(customer);
+  const [moved, placed] = orderItems;
+  await testApp.db.UpdateOrderItemStatus(moved.orderItemId, { status: 'Measured', fromStatus: 'Placed' });
+
+  const rejected = await testApp.request('DELETE', `/api/orders/${orderId}/items/${moved.orderItemId}`, { token: customer.token });
+  assert.equal(rejected.status, 409);
+  const deleted = await testApp.request('DELETE', `/api/orders/${orderId}/items/${placed.orderItemId}`, { token: customer.token });
+  assert.equal(deleted.status, 200);
+});
+
+test('items are Measured only once their measurements are stored', async () => {
+  const admin = await testApp.createUser('admin@example.com', { grantRoles: ['Admin'] });
+  const measurementBoy = await testApp.createUser('boy@example.com', { grantRoles: ['MeasurementBoy'] });
+  const { orderId, orderItems } = await testApp.createOrder(customer);
+  const [shirt, lungi] = orderItems;
+  await testApp.assignMeasurementBoy(admin, orderId, measurementBoy, ['accept', 'start']);
+
+  const moveToMeasured = (orderItem, user) => testApp.request('POST', `/api/orders/${orderId}/items/${orderItem.orderItemId}/status`, {
+    token: user.token,
+    body: { status: 'Measured' }
+  });
+
+  // Shirt has a template, Lungi has none and needs any measurement
+  assert.equal((await moveToMeasured(shirt, measurementBoy)).status, 409);
+  assert.equal((await moveToMeasured(lungi, admin)).status, 409);
+
+  const { CHEST, WAIST } = testApp.shirtMeasurements;
+  assert.equal((await testApp.submitMeasurements(measurementBoy, shirt.orderItemId, { CHEST, WAIST })).status, 201);
+  const partial = await moveToMeasured(shirt, measurementBoy);
+  assert.equal(partial.status, 409);
+  assert.match(partial.body.message, /SHOULDER/);
+
+  const { CUFF, ...required } = testApp.shirtMeasurements;
+  assert.equal((await testApp.submitMeasurements(measurementBoy, shirt.orderItemId, required)).status, 201);
+  assert.equal((await moveToMeasured(shirt, measurementBoy)).status, 200);
+});
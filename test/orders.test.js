@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+
+before(testApp.start);
+after(testApp.stop);
+
+// Address id of the order's measurement address
+const measurementAddressIdOf = async (user, orderId) => {
+  const { body } = await testApp.request('GET', `/api/orders/${orderId}`, { token: user.token });
+  return body.data.deliveryAddresses[0].deliveryAddressId;
+};
+
+test('orders can only use the customer\'s own saved addresses', async () => {
+  const owner = await testApp.createUser('owner@example.com');
+  const other = await testApp.createUser('other@example.com');
+  const { orderId } = await testApp.createOrder(owner);
+  const addressId = await measurementAddressIdOf(owner, orderId);
+
+  for (const field of ['deliveryAddressId', 'measurementAddressId']) {
+    const { status } = await testApp.request('POST', '/api/createOrder', {
+      token: other.token,
+      body: {
+        customerId: other.userId,
+        orderItems: [{ itemType: 'Shirt', quantity: 1, unitPrice: 500 }],
+        [field]: addressId
+      }
+    });
+    assert.equal(status, 403, field);
+  }
+
+  const missing = await testApp.request('POST', '/api/createOrder', {
+    token: other.token,
+    body: { customerId: other.userId, deliveryAddressId: 999999 }
+  });
+  assert.equal(missing.status, 404);
+
+  const own = await testApp.request('POST', '/api/createOrder', {
+    token: owner.token,
+    body: {
+      customerId: owner.userId,
+      orderItems: [{ itemType: 'Shirt', quantity: 1, unitPrice: 500 }],
+      measurementAddressId: addressId
+    }
+  });
+  assert.equal(own.status, 201);
+});
+
+// Order with one item for each business
+const createBusinessesOrder = async (customer, ...businessIds) => testApp.createOrder(customer, {
+  orderItems: businessIds.map(tailorId => ({ itemType: 'Shirt', quantity: 1, unitPrice: 500, tailorId }))
+});
+
+test('only an admin changes who an order belongs to and what it costs', async () => {
+  const customer = await testApp.createUser('payer@example.com');
+  const tailor = await testApp.createUser('pricing-tailor@example.com', { roleName: 'Tailor' });
+  const admin = await testApp.createUser('pricing-admin@example.com', { grantRoles: ['Admin'] });
+  const businessId = await testApp.createBusiness(tailor);
+  const { orderId } = await createBusinessesOrder(customer, businessId);
+
+  for (const body of [
+    { customerId: tailor.userId },
+    { totalAmount: 1 },
+    { paymentStatus: 'Paid' },
+    { advancePaid: 500 }
+  ]) {
+    for (const user of [tailor, customer]) {
+      const { status } = await testApp.request('PUT', `/api/orders/${orderId}`, { token: user.token, body });
+      assert.equal(status, 403, `${user.email} ${JSON.stringify(body)}`);
+    }
+  }
+  const { body: order } = await testApp.request('GET', `/api/orders/${orderId}`, { token: customer.token });
+  assert.equal(order.data.order.customerId, customer.userId);
+
+  const notes = await testApp.request('PUT', `/api/orders/${orderId}`, { token: customer.token, body: { notes: 'Ring the bell' } });
+  assert.equal(notes.status, 200);
+  const tailorNotes = await testApp.request('PUT', `/api/orders/${orderId}`, { token: tailor.token, body: { notes: 'Mine now' } });
+  assert.equal(tailorNotes.status, 403);
+
+  const paid = await testApp.request('PUT', `/api/orders/${orderId}`, { token: admin.token, body: { paymentStatus: 'Paid' } });
+  assert.equal(paid.status, 200);
+});
+
+test('tailors change only the items of their own business', async () => {
+  const customer = await testApp.createUser('shared@example.com');
+  const tailor = await testApp.createUser('first-tailor@example.com', { roleName: 'Tailor' });
+  const rival = await testApp.createUser('second-tailor@example.com', { roleName: 'Tailor' });
+  const { orderId, orderItems } = await createBusinessesOrder(customer,
+    await testApp.createBusiness(tailor, 'First Tailors'),
+    await testApp.createBusiness(rival, 'Second Tailors'));
+  const [own, other] = orderItems;
+  const itemPath = (orderItem) => `/api/orders/${orderId}/items/${orderItem.orderItemId}`;
+
+  // The whole order stays readable
+  assert.equal((await testApp.request('GET', `/api/orders/${orderId}`, { token: tailor.token })).status, 200);
+
+  const edit = { description: 'Slim fit' };
+  assert.equal((await testApp.request('PUT', itemPath(other), { token: tailor.token, body: edit })).status, 403);
+  assert.equal((await testApp.request('POST', `${itemPath(other)}/status`, { token: tailor.token, body: { status: 'Cancelled' } })).status, 403);
+  assert.equal((await testApp.request('DELETE', itemPath(other), { token: tailor.token })).status, 403);
+  assert.equal((await testApp.request('POST', `/api/orders/${orderId}/items`, {
+    token: tailor.token,
+    body: { itemType: 'Shirt', quantity: 1, unitPrice: 1 }
+  })).status, 403);
+
+  // Cancelling the whole order would move the other business's item too
+  const cancelOrder = await testApp.request('POST', `/api/orders/${orderId}/status`, { token: tailor.token, body: { status: 'Cancelled' } });
+  assert.equal(cancelOrder.status, 403);
+
+  assert.equal((await testApp.request('PUT', itemPath(own), { token: tailor.token, body: edit })).status, 200);
+  const cancelled = await testApp.request('POST', `${itemPath(own)}/status`, { token: tailor.token, body: { status: 'Cancelled' } });
+  assert.equal(cancelled.status, 200);
+  const statuses = Object.fromEntries(cancelled.body.data.items.map(item => [item.orderItemId, item]));
+  assert.equal(statuses[other.orderItemId].status, 'Placed');
+  assert.deepEqual(statuses[other.orderItemId].allowedTransitions, []);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+const config = require('../config');
+const { executeQuery } = require('../config/database');
+const otpService = require('../services/otpService');
+
+before(testApp.start);
+after(testApp.stop);
+
+const requestOtp = (phoneNumber) => testApp.request('POST', '/api/auth/otp/request', { body: { phoneNumber } });
+
+const verifyOtp = (phoneNumber, otp) => testApp.request('POST', '/api/auth/otp/verify', { body: { phoneNumber, otp } });
+
+test('parallel wrong codes use up no more than the allowed attempts', async () => {
+  const customer = await testApp.createUser('guessed@example.com');
+  assert.equal((await requestOtp(customer.phoneNumber)).status, 200);
+  const otp = testApp.lastSmsCode(customer.phoneNumber);
+  const wrong = String((Number(otp) + 1) % 1000000).padStart(otp.length, '0');
+
+  // In-process, so every guess reads the code before any of them is counted
+  const guesses = await Promise.allSettled(Array.from({ length: 20 }, () => otpService.verifyOtp(customer.phoneNumber, wrong)));
+  assert.ok(guesses.every(guess => guess.status === 'rejected' && guess.reason.statusCode === 401));
+
+  const { recordset: [loginOtp] } = await executeQuery('SELECT attempts, consumedAt FROM LoginOtps WHERE phoneNumber = @phoneNumber', { phoneNumber: customer.phoneNumber });
+  assert.equal(loginOtp.attempts, config.auth.otp.maxAttempts);
+  assert.ok(loginOtp.consumedAt);
+  assert.equal((await verifyOtp(customer.phoneNumber, otp)).status, 401);
+});
+
+test('unknown numbers hit the same request limits as registered ones', async () => {
+  const customer = await testApp.createUser('limited@example.com');
+
+  for (const phoneNumber of [customer.phoneNumber, '9123400000']) {
+    const first = await requestOtp(phoneNumber);
+    assert.equal(first.status, 200, phoneNumber);
+    const again = await requestOtp(phoneNumber);
+    assert.equal(again.status, 429, phoneNumber);
+    assert.equal(again.body.message.replace(/\d+/, 'N'), 'Please wait N seconds before requesting another code');
+  }
+});
+
+test('a phone number cannot be taken over by another account', async () => {
+  const victim = await testApp.createUser('victim@example.com');
+  const attacker = await testApp.createUser('attacker@example.com');
+
+  const profile = await testApp.request('PUT', '/api/auth/profile', {
+    token: attacker.token,
+    body: { firstName: 'Test', lastName: 'User', phoneNumber: victim.phoneNumber }
+  });
+  assert.equal(profile.status, 409);
+
+  const signup = await testApp.request('POST', '/api/auth/signup', {
+    body: { email: 'copycat@example.com', password: 'Secret1!', firstName: 'Copy', lastName: 'Cat', phoneNumber: victim.phoneNumber }
+  });
+  assert.equal(signup.status, 409);
+
+  // Keeping one's own number is fine
+  const own = await testApp.request('PUT', '/api/auth/profile', {
+    token: victim.token,
+    body: { firstName: 'Still', lastName: 'Me', phoneNumber: victim.phoneNumber }
+  });
+  assert.equal(own.status, 200);
+
+  assert.equal((await requestOtp(victim.phoneNumber)).status, 200);
+  const login = await verifyOtp(victim.phoneNumber, testApp.lastSmsCode(victim.phoneNumber));
+  assert.equal(login.status, 200);
+  assert.equal(login.body.data.user.id, victim.userId);
+});
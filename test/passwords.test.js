@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+
+let user;
+
+before(async () => {
+  await testApp.start();
+  user = await testApp.createUser('customer@example.com');
+});
+after(testApp.stop);
+
+const login = (password) => testApp.request('POST', '/api/auth/login', { body: { email: user.email, password } });
+
+const profileStatus = async (token) => (await testApp.request('GET', '/api/auth/profile', { token })).status;
+
+test('changing the password signs out every other session', async () => {
+  const other = (await login(testApp.password)).body.data;
+  const current = (await login(testApp.password)).body.data;
+
+  const wrong = await testApp.request('POST', '/api/auth/change-password', {
+    token: current.token,
+    body: { currentPassword: 'Wrong1!x', newPassword: 'Changed2!' }
+  });
+  assert.equal(wrong.status, 400);
+  assert.equal(await profileStatus(other.token), 200);
+
+  const changed = await testApp.request('POST', '/api/auth/change-password', {
+    token: current.token,
+    body: { currentPassword: testApp.password, newPassword: 'Changed2!' }
+  });
+  assert.equal(changed.status, 200, JSON.stringify(changed.body));
+  assert.equal(await profileStatus(other.token), 401);
+  assert.equal((await testApp.request('POST', '/api/auth/refresh', { body: { refreshToken: other.refreshToken } })).status, 401);
+  assert.equal(await profileStatus(changed.body.data.token), 200);
+
+  assert.equal((await login(testApp.password)).status, 401);
+  assert.equal((await login('Changed2!')).status, 200);
+});
+
+test('a reset link sets a new password once and signs out every session', async () => {
+  const session = (await login('Changed2!')).body.data;
+
+  const forgot = await testApp.request('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+  assert.equal(forgot.status, 200);
+  const unknown = await testApp.request('POST', '/api/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+  assert.equal(unknown.status, 200);
+  assert.equal(unknown.body.message, forgot.body.message);
+
+  const token = testApp.lastMailedToken(user.email, 'reset-password');
+  assert.ok(token);
+  const reset = await testApp.request('POST', '/api/auth/reset-password', { body: { token, newPassword: 'Reset3!x' } });
+  assert.equal(reset.status, 200, JSON.stringify(reset.body));
+  assert.equal(await profileStatus(session.token), 401);
+
+  const reused = await testApp.request('POST', '/api/auth/reset-password', { body: { token, newPassword: 'Again4!x' } });
+  assert.equal(reused.status, 400);
+  assert.equal((await login('Again4!x')).status, 401);
+  assert.equal((await login('Reset3!x')).status, 200);
+});
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+
+let user;
+
+before(async () => {
+  await testApp.start();
+  user = await testApp.createUser('customer@example.com');
+});
+after(testApp.stop);
+
+// Log in as the user; resolves to the { token, refreshToken, ... } of a new session
+const startSession = async () => {
+  const { status, body } = await testApp.request('POST', '/api/auth/login', {
+    body: { email: user.email, password: testApp.password }
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data;
+};
+
+const refresh = (refreshToken) => testApp.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+const profileStatus = async (token) => (await testApp.request('GET', '/api/auth/profile', { token })).status;
+
+test('refresh tokens rotate and a reused one revokes the session', async () => {
+  const session = await startSession();
+
+  const rotated = await refresh(session.refreshToken);
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.data.refreshToken, session.refreshToken);
+  assert.equal(await profileStatus(rotated.body.data.token), 200);
+
+  // The old token replayed: whoever holds either token is signed out
+  assert.equal((await refresh(session.refreshToken)).status, 401);
+  assert.equal((await refresh(rotated.body.data.refreshToken)).status, 401);
+  assert.equal(await profileStatus(rotated.body.data.token), 401);
+});
+
+test('logout ends the current session and logout-all every session', async () => {
+  const [first, second, third] = [await startSession(), await startSession(), await startSession()];
+
+  assert.equal((await testApp.request('POST', '/api/auth/logout', { token: first.token })).status, 200);
+  assert.equal(await profileStatus(first.token), 401);
+  assert.equal((await refresh(first.refreshToken)).status, 401);
+  assert.equal(await profileStatus(second.token), 200);
+
+  assert.equal((await testApp.request('POST', '/api/auth/logout-all', { token: second.token })).status, 200);
+  assert.equal(await profileStatus(second.token), 401);
+  assert.equal(await profileStatus(third.token), 401);
+  assert.equal((await refresh(third.refreshToken)).status, 401);
+});
+
+test('deactivated users lose their sessions at once', async () => {
+  const session = await startSession();
+  await testApp.db.UpdateUser(user.userId, { isActive: false });
+
+  assert.equal(await profileStatus(session.token), 401);
+  assert.equal((await refresh(session.refreshToken)).status, 401);
+});
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testApp = require('./helpers/testApp');
+
+before(testApp.start);
+after(testApp.stop);
+
+const signupBody = (email, roles) => ({
+  email,
+  password: 'Secret1!',
+  firstName: 'Test',
+  lastName: 'User',
+  phoneNumber: '9876500999',
+  ...roles
+});
+
+test('signup grants the roles users pick themselves', async () => {
+  const customer = await testApp.createUser('customer@example.com');
+  const tailor = await testApp.createUser('tailor@example.com', { roleName: 'Taylorseller' });
+
+  const { status, body } = await testApp.request('GET', '/api/auth/roles', { token: tailor.token });
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.roles.map(role => role.name).sort(), ['Seller', 'Tailor']);
+  assert.ok(customer.token);
+});
+
+test('signup rejects Admin and MeasurementBoy with 403', async () => {
+  for (const roles of [
+    { roleName: 'Admin' },
+    { roleName: 'MeasurementBoy' },
+    { roleNames: ['Customer', 'Admin'] }
+  ]) {
+    const { status } = await testApp.request('POST', '/api/auth/signup', {
+      body: signupBody('intruder@example.com', roles)
+    });
+    assert.equal(status, 403, JSON.stringify(roles));
+  }
+
+  // Nothing was created, so the address is still free
+  const { status } = await testApp.request('POST', '/api/auth/signup', {
+    body: signupBody('intruder@example.com', { roleName: 'Customer' })
+  });
+  assert.equal(status, 201);
+});
+
+test('admin routes stay closed to self-registered accounts', async () => {
+  const customer = await testApp.createUser('curious@example.com');
+  const { status } = await testApp.request('GET', '/api/admin/users', { token: customer.token });
+  assert.equal(status, 403);
+});
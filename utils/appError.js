@@ -0,0 +1,14 @@
+// Raised for requests a service turns down (missing records, conflicts, invalid input); the
+// message is safe to show to clients, who get statusCode (e.g. 404, 409) and data with it.
+// Authentication failures raise AuthError (see tokenService), a subclass, so controllers that
+// check for AppError answer both.
+class AppError extends Error {
+  constructor(message, statusCode = 400, data = null) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.data = data;
+  }
+}
+
+module.exports = { AppError };
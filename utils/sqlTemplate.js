@@ -1,26 +1,28 @@
 const Handlebars = require('handlebars');
 const fs = require('fs');
 const path = require('path');
+const { dialect } = require('../config/database');
 
-// Register Handlebars helper to escape SQL strings (escape single quotes)
-Handlebars.registerHelper('escapeSQL', function(str) {
-  if (!str) return '';
-  return String(str).replace(/'/g, "''"); // Escape single quotes by doubling them
-});
+const templatesDir = path.join(__dirname, '..', 'templates', 'sql');
 
-// Helper to safely format SQL values (handles null, numbers, strings)
-Handlebars.registerHelper('sqlValue', function(value) {
-  if (value === null || value === undefined) {
-    return 'NULL';
-  }
-  if (typeof value === 'number') {
-    return value;
+// Helper to bind a context value as a named query parameter.
+// Emits "@name" into the SQL text and records the value (and optional mssql type)
+// in the params collected for the current render, e.g. {{param "orderId" type="Int"}}
+Handlebars.registerHelper('param', function(name, options) {
+  const params = options.data && options.data.params;
+  if (!params) {
+    throw new Error(`Parameter @${name} used in a template that was not loaded in parameterized mode`);
   }
-  if (typeof value === 'boolean') {
-    return value ? 1 : 0;
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    throw new Error(`Invalid parameter name: ${name}`);
   }
-  // String: escape and wrap in quotes
-  return `'${String(value).replace(/'/g, "''")}'`;
+
+  const value = options.data.root[name];
+  params[name] = {
+    value: value === undefined ? null : value,
+    type: options.hash.type || null
+  };
+  return new Handlebars.SafeString(`@${name}`);
 });
 
 // Helper to check if a value is defined (not undefined)
@@ -38,30 +40,56 @@ Handlebars.registerHelper('eq', function(a, b) {
   return a === b;
 });
 
+// Resolve a template file for the active database dialect: templates/sql/<dialect>/<name>.hbs
+// overrides the shared templates/sql/<name>.hbs when a query needs dialect-specific syntax
+const resolveTemplatePath = (templateName, templateDialect) => {
+  const dialectPath = path.join(templatesDir, templateDialect, `${templateName}.hbs`);
+  if (fs.existsSync(dialectPath)) {
+    return dialectPath;
+  }
+  return path.join(templatesDir, `${templateName}.hbs`);
+};
+
 // Load and compile SQL templates
-const loadTemplate = (templateName) => {
+// With { parameterized: true } the compiled template returns { sql, params }, where
+// params holds every value bound through the `param` helper (ready for executeQuery).
+// { dialect } picks the template variant (defaults to the configured database driver's dialect)
+const loadTemplate = (templateName, options = {}) => {
   try {
-    const templatePath = path.join(__dirname, '..', 'templates', 'sql', `${templateName}.hbs`);
+    const templatePath = resolveTemplatePath(templateName, options.dialect || dialect);
     const templateSource = fs.readFileSync(templatePath, 'utf8');
-    return Handlebars.compile(templateSource);
+    const template = Handlebars.compile(templateSource);
+
+    if (!options.parameterized) {
+      return template;
+    }
+
+    return (context = {}) => {
+      const params = {};
+      const sql = template(context, { data: { params } });
+      return { sql, params };
+    };
   } catch (error) {
     console.error(`❌ Error loading template ${templateName}:`, error.message);
     throw error;
   }
 };
 
+// Columns of the Users table that generateUpdateUserSQL may set
+const updatableUserColumns = ['email', 'password', 'firstName', 'lastName', 'phoneNumber', 'isActive'];
+
 // Generate SQL for user insertion
 const generateInsertUserSQL = (userData) => {
   try {
     console.log('🔄 Generating INSERT SQL for user:', userData.email);
     
-    const template = loadTemplate('insertUser');
-    const sql = template(userData);
+    const template = loadTemplate('insertUser', { parameterized: true });
+    const query = template(userData);
     
     console.log('✅ SQL generated successfully');
-    console.log('📋 Generated SQL:', sql);
+    console.log('📋 Generated SQL:', query.sql);
     
-    return sql;
+    return query;
   } catch (error) {
     console.error('❌ Error generating INSERT SQL:', error.message);
     throw error;
@@ -73,17 +101,26 @@ const generateUpdateUserSQL = (userId, userData) => {
   try {
     console.log('🔄 Generating UPDATE SQL for user ID:', userId);
     
+    const params = {
+      id: { value: userId, type: 'Int' },
+      modifiedAt: { value: new Date().toISOString(), type: 'DateTime2' }
+    };
+
     const setClause = Object.keys(userData)
+      .filter(key => updatableUserColumns.includes(key))
       .filter(key => userData[key] !== undefined && userData[key] !== null)
-      .map(key => `${key} = '${userData[key]}'`)
+      .map(key => {
+        params[key] = { value: userData[key], type: key === 'isActive' ? 'Bit' : null };
+        return `${key} = @${key}`;
+      })
       .join(', ');
     
-    const sql = `UPDATE Users SET ${setClause}, modifiedAt = '${new Date().toISOString()}' WHERE id = ${userId};`;
+    const sql = `UPDATE Users SET ${setClause ? `${setClause}, ` : ''}modifiedAt = @modifiedAt WHERE id = @id;`;
     
     console.log('✅ UPDATE SQL generated successfully');
     console.log('📋 Generated SQL:', sql);
     
-    return sql;
+    return { sql, params };
   } catch (error) {
     console.error('❌ Error generating UPDATE SQL:', error.message);
     throw error;
@@ -96,12 +133,13 @@ const generateDeleteUserSQL = (userId) => {
   try {
     console.log('🔄 Generating DELETE SQL for user ID:', userId);
     
-    const sql = `DELETE FROM Users WHERE id = ${userId};`;
+    const template = loadTemplate('deleteUser', { parameterized: true });
+    const query = template({ id: userId });
     
     console.log('✅ DELETE SQL generated successfully');
-    console.log('📋 Generated SQL:', sql);
+    console.log('📋 Generated SQL:', query.sql);
     
-    return sql;
+    return query;
   } catch (error) {
     console.error('❌ Error generating DELETE SQL:', error.message);
     throw error;
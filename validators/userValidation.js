@@ -1,4 +1,33 @@
 const { body, param, query } = require('express-validator');
+const { ROLES } = require('../config/permissions');
+const { MEASUREMENT_UNITS } = require('../services/measurementUnitService');
+const { ORDER_ITEM_STATUS } = require('../services/orderStatusService');
+
+// Capitalize first letter and preserve camelCase for multi-word roles
+const normalizeRoleName = (value) => {
+  if (value) {
+    // Handle camelCase roles like "MeasurementBoy" or "Taylorseller"
+    const lowerValue = value.toLowerCase();
+    const validRoles = {
+      'admin': 'Admin',
+      'customer': 'Customer',
+      'seller': 'Seller',
+      'tailor': 'Tailor',
+      'taylorseller': 'Taylorseller',
+      'measurementboy': 'MeasurementBoy',
+      'measurement boy': 'MeasurementBoy'
+    };
+    
+    // Check if it matches any valid role (case-insensitive)
+    if (validRoles[lowerValue]) {
+      return validRoles[lowerValue];
+    }
+    
+    // Fallback: capitalize first letter only
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  }
+  return value;
+};
 
 // Reusable validation rules
 const validationRules = {
@@ -10,8 +39,8 @@ const validationRules = {
     .isLength({ max: 255 })
     .withMessage('Email must not exceed 255 characters'),
 
-  // Password validation
-  password: () => body('password')
+  // Password validation (field defaults to password, e.g. newPassword for password changes)
+  password: (field = 'password') => body(field)
     .isLength({ min: 6, max: 128 })
     .withMessage('Password must be between 6 and 128 characters')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
@@ -130,38 +159,23 @@ const validationRules = {
       return value;
     }),
 
-  // Role name validation (optional, defaults to Customer)
-  roleName: () => body('roleName')
+  // Role name validation (optional, defaults to Customer). field is e.g. roleNames.* for lists
+  roleName: (field = 'roleName') => body(field)
     .optional()
+    .isString()
+    .withMessage('Role name must be a string')
+    .bail()
     .trim()
-    .customSanitizer(value => {
-      // Capitalize first letter and preserve camelCase for multi-word roles
-      if (value) {
-        // Handle camelCase roles like "MeasurementBoy" or "Taylorseller"
-        const lowerValue = value.toLowerCase();
-        const validRoles = {
-          'admin': 'Admin',
-          'customer': 'Customer',
-          'seller': 'Seller',
-          'tailor': 'Tailor',
-          'taylorseller': 'Taylorseller',
-          'measurementboy': 'MeasurementBoy',
-          'measurement boy': 'MeasurementBoy'
-        };
-        
-        // Check if it matches any valid role (case-insensitive)
-        if (validRoles[lowerValue]) {
-          return validRoles[lowerValue];
-        }
-        
-        // Fallback: capitalize first letter only
-        return value.charAt(0).toUpperCase() + value.slice(1);
-      }
-      return value;
-    })
+    .customSanitizer(normalizeRoleName)
     .isIn(['Admin', 'Customer', 'Seller', 'Tailor', 'Taylorseller', 'MeasurementBoy'])
     .withMessage('Role name must be one of: Admin, Customer, Seller, Tailor, Taylorseller, MeasurementBoy'),
 
+  // Several roles at once (signup), e.g. ["Tailor", "Seller"]
+  roleNames: () => body('roleNames')
+    .optional()
+    .isArray({ min: 1, max: 6 })
+    .withMessage('roleNames must be a list of 1 to 6 role names'),
+
   // Business Information validations (optional, for Seller/Tailor/Taylorseller roles)
   // Accept businessInfo as a nested object
   businessInfo: () => body('businessInfo')
@@ -271,6 +285,93 @@ const validationRules = {
 };
 
 // Predefined validation sets for common use cases
+// 24-hour time of day, HH:MM
+const timeOfDay = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Fields of a measurement slot schedule; optional for updates
+const measurementSlotScheduleRules = (isUpdate) => {
+  const field = (rule) => (isUpdate ? rule.optional() : rule);
+  return [
+    field(body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    field(body('city'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('City must be between 1 and 100 characters'),
+    field(body('startTime'))
+      .matches(timeOfDay)
+      .withMessage('startTime must be a time (HH:MM)'),
+    field(body('endTime'))
+      .matches(timeOfDay)
+      .withMessage('endTime must be a time (HH:MM)'),
+    field(body('slotMinutes'))
+      .isInt({ min: 10, max: 480 })
+      .withMessage('slotMinutes must be between 10 and 480')
+      .toInt(),
+    field(body('maxBookings'))
+      .isInt({ min: 1, max: 100 })
+      .withMessage('maxBookings must be between 1 and 100')
+      .toInt(),
+    body('pincodes')
+      .optional()
+      .isArray({ max: 500 })
+      .withMessage('pincodes must be a list of at most 500 pincodes'),
+    body('pincodes.*')
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9 -]{3,10}$/)
+      .withMessage('Each pincode must be 3 to 10 letters, digits, spaces or dashes'),
+    body('closedWeekdays')
+      .optional()
+      .isArray({ max: 7 })
+      .withMessage('closedWeekdays must be a list of weekdays (0 = Sunday ... 6 = Saturday)'),
+    body('closedWeekdays.*')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('closedWeekdays must be a list of weekdays (0 = Sunday ... 6 = Saturday)')
+      .toInt(),
+    body('isActive')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('isActive must be true or false')
+  ];
+};
+
+// Measurements of a profile version: { "measurements": { "CHEST": 40, ... }, "notes": "..." }
+const measurementProfileValueRules = () => [
+  body('measurements')
+    .isObject()
+    .withMessage('measurements must be an object of measurement keys and values'),
+  body('notes')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+const measurementSignOffRules = () => [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('items must be a non-empty array of sign-off decisions'),
+  body('items.*.orderItemId')
+    .isInt({ min: 1 })
+    .withMessage('orderItemId must be a positive integer')
+    .toInt(),
+  body('items.*.decision')
+    .isIn(['approve', 'dispute'])
+    .withMessage('decision must be one of: approve, dispute'),
+  body('items.*.comment')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment must not exceed 1000 characters')
+];
+
 const validationSets = {
   // Complete user registration validation (with password)
   userRegistration: [
@@ -280,6 +381,8 @@ const validationSets = {
     validationRules.lastName(),
     validationRules.phoneNumber(),
     validationRules.roleName(),
+    validationRules.roleNames(),
+    validationRules.roleName('roleNames.*'),
     // Business information fields (optional, nested object)
     validationRules.businessInfo(),
     validationRules.businessName(),
@@ -304,18 +407,641 @@ const validationSets = {
     validationRules.weeklyOff()
   ],
 
-  // User login validation
+  // User login validation (activeRole optionally scopes the session to one role)
   userLogin: [
     validationRules.email(),
     body('password')
       .notEmpty()
-      .withMessage('Password is required')
+      .withMessage('Password is required'),
+    validationRules.roleName('activeRole')
+  ],
+
+  // Change password (signed in): current password plus a new one meeting the password rules
+  changePassword: [
+    body('currentPassword')
+      .notEmpty()
+      .withMessage('Current password is required'),
+    validationRules.password('newPassword')
+  ],
+
+  // Forgot password: request a reset link by email
+  forgotPassword: [
+    validationRules.email()
+  ],
+
+  // Reset password with the token from the reset link
+  resetPassword: [
+    body('token')
+      .isString()
+      .withMessage('Reset token is required')
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage('Reset token is required'),
+    validationRules.password('newPassword')
+  ],
+
+  // Email verification token from the link (GET ?token=...)
+  verifyEmailQuery: [
+    query('token')
+      .isString()
+      .withMessage('Verification token is required')
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage('Verification token is required')
+  ],
+
+  // Email verification token sent by the client app (POST { token })
+  verifyEmail: [
+    body('token')
+      .isString()
+      .withMessage('Verification token is required')
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage('Verification token is required')
+  ],
+
+  // Request a new verification link
+  resendVerification: [
+    validationRules.email()
+  ],
+
+  // Login audit log filters (admin)
+  loginAttemptsQuery: [
+    query('email')
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    query('ipAddress')
+      .optional()
+      .isIP()
+      .withMessage('Please provide a valid IP address'),
+    query('userId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('User ID must be a positive integer')
+      .toInt(),
+    query('failedOnly')
+      .optional()
+      .isBoolean()
+      .withMessage('failedOnly must be true or false')
+      .toBoolean(),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('since must be an ISO 8601 date')
+      .toDate(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be between 1 and 500')
+      .toInt()
+  ],
+
+  // Lockout status / unlock target (admin): an email address and/or an IP address
+  loginLockoutQuery: [
+    query('email')
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    query('ipAddress')
+      .optional()
+      .isIP()
+      .withMessage('Please provide a valid IP address'),
+    query()
+      .custom((value, { req }) => Boolean(req.query.email || req.query.ipAddress))
+      .withMessage('Provide email and/or ipAddress')
+  ],
+
+  unlockLogin: [
+    body('email')
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    body('ipAddress')
+      .optional()
+      .isIP()
+      .withMessage('Please provide a valid IP address'),
+    body()
+      .custom(value => Boolean(value && (value.email || value.ipAddress)))
+      .withMessage('Provide email and/or ipAddress')
+  ],
+
+  // User list filters and paging (admin)
+  adminUsersQuery: [
+    query('search')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search must be between 1 and 100 characters'),
+    query('role')
+      .optional()
+      .isIn(Object.values(ROLES))
+      .withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`),
+    query('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean(),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('pageSize')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Page size must be between 1 and 100')
+      .toInt()
+  ],
+
+  // Target user of an admin action (:userId)
+  adminUserIdParam: [
+    param('userId')
+      .isInt({ min: 1 })
+      .withMessage('User ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Activate / deactivate (admin): optional reason kept in the audit log
+  adminSetUserActive: [
+    param('userId')
+      .isInt({ min: 1 })
+      .withMessage('User ID must be a positive integer')
+      .toInt(),
+    body('reason')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Reason must not exceed 255 characters')
+  ],
+
+  // Assign a role (admin)
+  adminAssignRole: [
+    param('userId')
+      .isInt({ min: 1 })
+      .withMessage('User ID must be a positive integer')
+      .toInt(),
+    body('roleName')
+      .isIn(Object.values(ROLES))
+      .withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`)
+  ],
+
+  // Revoke a role (admin)
+  adminRevokeRole: [
+    param('userId')
+      .isInt({ min: 1 })
+      .withMessage('User ID must be a positive integer')
+      .toInt(),
+    param('roleName')
+      .isIn(Object.values(ROLES))
+      .withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`)
+  ],
+
+  // Password reset (admin): set newPassword directly, or omit it to email a reset link
+  adminResetPassword: [
+    param('userId')
+      .isInt({ min: 1 })
+      .withMessage('User ID must be a positive integer')
+      .toInt(),
+    validationRules.password('newPassword').optional()
+  ],
+
+  // Measurement boy dispatch profile (admin); fields left out keep their value,
+  // servicePincodes replaces the whole list and null clears workingCity / dailyCapacity
+  adminMeasurementBoyProfile: [
+    param('userId')
+      .isInt({ min: 1 })
+      .withMessage('User ID must be a positive integer')
+      .toInt(),
+    body('workingCity')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Working city must be between 1 and 100 characters'),
+    body('dailyCapacity')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Daily capacity must be between 1 and 100')
+      .toInt(),
+    body('isAvailable')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('isAvailable must be true or false'),
+    body('servicePincodes')
+      .optional()
+      .isArray({ max: 200 })
+      .withMessage('servicePincodes must be a list of at most 200 pincodes'),
+    body('servicePincodes.*')
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9 -]{3,10}$/)
+      .withMessage('Each pincode must be 3 to 10 letters, digits, spaces or dashes'),
+    body()
+      .custom(value => Boolean(value) && ['workingCity', 'dailyCapacity', 'isAvailable', 'servicePincodes'].some(field => value[field] !== undefined))
+      .withMessage('Provide workingCity, dailyCapacity, isAvailable and/or servicePincodes')
+  ],
+
+  // Open measurement slots: ?date=YYYY-MM-DD&pincode= (&city= when no team lists the pincode)
+  measurementSlotsQuery: [
+    query('date')
+      .isISO8601({ strict: true })
+      .withMessage('date must be a date (YYYY-MM-DD)')
+      .bail()
+      .isLength({ min: 10, max: 10 })
+      .withMessage('date must be a date (YYYY-MM-DD)'),
+    query('pincode')
+      .isString()
+      .withMessage('pincode is required')
+      .bail()
+      .trim()
+      .matches(/^[A-Za-z0-9 -]{3,10}$/)
+      .withMessage('pincode must be 3 to 10 letters, digits, spaces or dashes'),
+    query('city')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('City must be between 1 and 100 characters'),
+    query('includeUnavailable')
+      .optional()
+      .isBoolean()
+      .withMessage('includeUnavailable must be true or false')
+      .toBoolean()
+  ],
+
+  // Measurement slot schedule (create); the update set makes every field optional
+  measurementSlotSchedule: [
+    ...measurementSlotScheduleRules(false)
+  ],
+
+  measurementSlotScheduleUpdate: [
+    param('scheduleId')
+      .isInt({ min: 1 })
+      .withMessage('Schedule ID must be a positive integer')
+      .toInt(),
+    ...measurementSlotScheduleRules(true),
+    body()
+      .custom(value => Boolean(value) && Object.keys(value).length > 0)
+      .withMessage('Provide at least one field to update')
+  ],
+
+  measurementSlotScheduleIdParam: [
+    param('scheduleId')
+      .isInt({ min: 1 })
+      .withMessage('Schedule ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Close a date, or one slot of it: { "closedDate": "2026-12-25", "slotStart": "10:00", "reason": "..." }
+  measurementSlotClosure: [
+    param('scheduleId')
+      .isInt({ min: 1 })
+      .withMessage('Schedule ID must be a positive integer')
+      .toInt(),
+    body('closedDate')
+      .isISO8601({ strict: true })
+      .withMessage('closedDate must be a date (YYYY-MM-DD)')
+      .bail()
+      .isLength({ min: 10, max: 10 })
+      .withMessage('closedDate must be a date (YYYY-MM-DD)'),
+    body('slotStart')
+      .optional({ values: 'null' })
+      .matches(timeOfDay)
+      .withMessage('slotStart must be a time (HH:MM)'),
+    body('reason')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Reason must not exceed 255 characters')
+  ],
+
+  measurementSlotClosureParams: [
+    param('scheduleId')
+      .isInt({ min: 1 })
+      .withMessage('Schedule ID must be a positive integer')
+      .toInt(),
+    param('closureId')
+      .isInt({ min: 1 })
+      .withMessage('Closure ID must be a positive integer')
+      .toInt()
+  ],
+
+  measurementTemplateItemId: [
+    param('itemId')
+      .isInt({ min: 1 })
+      .withMessage('Item ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Replace a measurement template: { "fields": [{ "measurementKey": "CHEST", "unit": "in", "minValue": 20, "maxValue": 70, "isOptional": false }] }
+  measurementTemplate: [
+    param('itemId')
+      .isInt({ min: 1 })
+      .withMessage('Item ID must be a positive integer')
+      .toInt(),
+    body('fields')
+      .isArray({ max: 50 })
+      .withMessage('fields must be a list of at most 50 measurement fields'),
+    body('fields.*.measurementKey')
+      .isString()
+      .withMessage('measurementKey is required')
+      .bail()
+      .trim()
+      .matches(/^[A-Za-z][A-Za-z0-9_]{0,99}$/)
+      .withMessage('measurementKey must start with a letter and contain only letters, digits and underscores'),
+    body('fields.*.label')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('label must not exceed 100 characters'),
+    body('fields.*.unit')
+      .isIn(Object.values(MEASUREMENT_UNITS))
+      .withMessage(`unit must be one of: ${Object.values(MEASUREMENT_UNITS).join(', ')}`),
+    body('fields.*.minValue')
+      .isFloat({ min: 0, max: 9999999 })
+      .withMessage('minValue must be a number of at least 0')
+      .toFloat(),
+    body('fields.*.maxValue')
+      .isFloat({ min: 0, max: 9999999 })
+      .withMessage('maxValue must be a number of at least 0')
+      .toFloat(),
+    body('fields.*.isOptional')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('isOptional must be true or false')
+  ],
+
+  // ?unit= on responses with measurements: convert them from the stored unit
+  measurementUnitQuery: [
+    query('unit')
+      .optional()
+      .isIn(Object.values(MEASUREMENT_UNITS))
+      .withMessage(`unit must be one of: ${Object.values(MEASUREMENT_UNITS).join(', ')}`)
+  ],
+
+  // Measurement history of an order item: ?measurementKey= and ?unit=
+  measurementHistoryQuery: [
+    query('measurementKey')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('measurementKey must be between 1 and 100 characters')
+      .toUpperCase(),
+    query('unit')
+      .optional()
+      .isIn(Object.values(MEASUREMENT_UNITS))
+      .withMessage(`unit must be one of: ${Object.values(MEASUREMENT_UNITS).join(', ')}`)
+  ],
+
+  // Measurement profiles: ?customerId= (admins; default: your own), ?itemType=, ?includeArchived=
+  measurementProfilesQuery: [
+    query('customerId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('customerId must be a positive integer')
+      .toInt(),
+    query('itemType')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('itemType must be between 1 and 100 characters'),
+    query('includeArchived')
+      .optional()
+      .isBoolean()
+      .withMessage('includeArchived must be true or false')
+      .toBoolean()
+  ],
+
+  measurementProfile: [
+    body('customerId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('customerId must be a positive integer')
+      .toInt(),
+    body('name')
+      .isString()
+      .withMessage('Profile name is required')
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Profile name must be between 1 and 100 characters'),
+    body('itemType')
+      .isString()
+      .withMessage('itemType is required')
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('itemType must be between 1 and 100 characters'),
+    ...measurementProfileValueRules()
+  ],
+
+  measurementProfileVersion: [
+    param('profileId')
+      .isInt({ min: 1 })
+      .withMessage('Profile ID must be a positive integer')
+      .toInt(),
+    ...measurementProfileValueRules()
+  ],
+
+  measurementProfileRename: [
+    param('profileId')
+      .isInt({ min: 1 })
+      .withMessage('Profile ID must be a positive integer')
+      .toInt(),
+    body('name')
+      .isString()
+      .withMessage('Profile name is required')
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Profile name must be between 1 and 100 characters')
+  ],
+
+  // GET /measurement-profiles/:profileId (?version= picks a version, default the latest)
+  measurementProfileGet: [
+    param('profileId')
+      .isInt({ min: 1 })
+      .withMessage('Profile ID must be a positive integer')
+      .toInt(),
+    query('version')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('version must be a positive integer')
+      .toInt()
+  ],
+
+  measurementProfileId: [
+    param('profileId')
+      .isInt({ min: 1 })
+      .withMessage('Profile ID must be a positive integer')
+      .toInt()
+  ],
+
+  // Measurement sign-off decisions: { items: [{ orderItemId, decision: approve|dispute, comment }] }
+  measurementSignOffDecision: [
+    ...measurementSignOffRules()
+  ],
+
+  // Sign-off through the emailed link: { token, items }
+  measurementSignOffLink: [
+    body('token')
+      .isString()
+      .withMessage('Sign-off token is required')
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage('Sign-off token is required'),
+    ...measurementSignOffRules()
+  ],
+
+  // GET /measurement-sign-off/link?token=&unit=
+  measurementSignOffLinkQuery: [
+    query('token')
+      .isString()
+      .withMessage('Sign-off token is required')
+      .bail()
+      .trim()
+      .notEmpty()
+      .withMessage('Sign-off token is required'),
+    query('unit')
+      .optional()
+      .isIn(Object.values(MEASUREMENT_UNITS))
+      .withMessage(`unit must be one of: ${Object.values(MEASUREMENT_UNITS).join(', ')}`)
+  ],
+
+  // Order item lifecycle move: { status, reason }
+  orderStatusTransition: [
+    body('status')
+      .isIn(Object.values(ORDER_ITEM_STATUS))
+      .withMessage(`status must be one of: ${Object.values(ORDER_ITEM_STATUS).join(', ')}`),
+    body('reason')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must not exceed 500 characters')
+  ],
+
+  // Admin audit log filters and paging
+  adminAuditLogQuery: [
+    query('adminUserId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Admin user ID must be a positive integer')
+      .toInt(),
+    query('targetUserId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Target user ID must be a positive integer')
+      .toInt(),
+    query('action')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Action must be between 1 and 50 characters'),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('since must be an ISO 8601 date')
+      .toDate(),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('pageSize')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Page size must be between 1 and 100')
+      .toInt()
+  ],
+
+  // Phone number login: request a code
+  otpRequest: [
+    body('phoneNumber')
+      .notEmpty()
+      .withMessage('Phone number is required'),
+    validationRules.phoneNumber()
+  ],
+
+  // Phone number login: verify the code
+  otpVerify: [
+    body('phoneNumber')
+      .notEmpty()
+      .withMessage('Phone number is required'),
+    validationRules.phoneNumber(),
+    body('otp')
+      .isString()
+      .trim()
+      .matches(/^\d{4,10}$/)
+      .withMessage('Code must be 4 to 10 digits'),
+    validationRules.roleName('activeRole')
+  ],
+
+  // Add a role to the own account, with the business onboarding data for Tailor/Seller
+  addRole: [
+    body('roleName')
+      .notEmpty()
+      .withMessage('Role name is required'),
+    validationRules.roleName(),
+    validationRules.businessInfo(),
+    validationRules.businessName(),
+    validationRules.ownerName(),
+    validationRules.businessLogo(),
+    validationRules.businessDescription(),
+    validationRules.businessEmail(),
+    validationRules.businessMobileNumber(),
+    validationRules.alternateNumber(),
+    validationRules.shopAddress(),
+    validationRules.googleMapLink(),
+    validationRules.gpsLatitude(),
+    validationRules.gpsLongitude(),
+    validationRules.workingCity(),
+    validationRules.serviceTypes(),
+    validationRules.specialization(),
+    validationRules.yearsOfExperience(),
+    validationRules.portfolioPhotos(),
+    validationRules.certifications(),
+    validationRules.openingTime(),
+    validationRules.closingTime(),
+    validationRules.weeklyOff()
+  ],
+
+  // Switch the session to one role, or back to all roles with { "roleName": null }
+  activeRole: [
+    body('roleName')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('Role name must be a string')
+      .bail()
+      .trim()
+      .customSanitizer(normalizeRoleName)
+      .isIn(['Admin', 'Customer', 'Seller', 'Tailor', 'Taylorseller', 'MeasurementBoy'])
+      .withMessage('Role name must be one of: Admin, Customer, Seller, Tailor, Taylorseller, MeasurementBoy')
   ],
 
   // User profile update validation
   userUpdate: [
     validationRules.emailOptional(),
-    validationRules.passwordOptional(),
+    // Passwords only change through /api/auth/change-password (current password required)
+    body('password')
+      .not()
+      .exists()
+      .withMessage('Use /api/auth/change-password to change your password'),
     validationRules.firstNameOptional(),
     validationRules.lastNameOptional(),
     validationRules.phoneNumberOptional()